@@ -0,0 +1,519 @@
+import {
+  createAppSessionMessage,
+  createCloseAppSessionMessage,
+  createCloseChannelMessage,
+  createCreateChannelMessage,
+  createGetChannelsMessageV2,
+  createGetLedgerBalancesMessage,
+  createResizeChannelMessage,
+  createSubmitAppStateMessage,
+  createTransferMessage,
+  getChannelId,
+  getPackedState,
+  NitroliteService
+} from '@erc7824/nitrolite';
+import { createPublicClient, createWalletClient, erc20Abi, getAddress, http } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import WebSocket from 'ws';
+import { getConfig } from '../src/config.js';
+import { ClearnodeClient } from '../src/clearnode-client.js';
+import { LedgerBalances } from '../src/ledger-balances.js';
+import { formatAmount, parseAmount } from '../src/amounts.js';
+import { buildSessionRequest } from '../src/session-definition.js';
+import { adjustAllocation, allocationOf, fetchAppSessionState, toRPCAllocations } from '../src/app-session-state.js';
+import { sigsInParticipantOrder } from '../src/cosign.js';
+
+// The app's operations without a browser, for the CLI (yellow.js).
+//
+// Built from the same pieces as app.js - ClearnodeClient, LedgerBalances,
+// the session definition and app-session-state helpers, NitroliteService for
+// custody - but signing with a private key and never asking anyone: a method
+// either finishes or throws. Results are plain objects with amounts as
+// bigints in base units next to a `formatted` string. Progress goes to
+// `log(message, level)`.
+//
+// Nothing is stored between runs, so every run authenticates with a new
+// session key. `allowance` caps what that key may spend of the configured
+// asset, as the allowance field in the app does.
+
+export class OperationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OperationError';
+  }
+}
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Channel state from a clearnode response -> the shape the custody contract takes
+const toContractState = (state) => ({
+  intent: state.intent,
+  version: BigInt(state.version),
+  data: state.state_data || '0x',
+  allocations: state.allocations.map(a => ({
+    destination: a.destination,
+    token: a.token,
+    amount: BigInt(a.amount)
+  })),
+  sigs: []
+});
+
+export class YellowOperations {
+  constructor({ environment, privateKey, allowance = null, log = () => {} }) {
+    this.environment = environment;
+    this.config = getConfig(environment);
+    this.account = privateKeyToAccount(privateKey);
+    this.userAddress = this.account.address;
+    this.allowance = allowance;
+    this.log = log;
+
+    this.client = new ClearnodeClient({
+      wsUrl: this.config.wsUrl,
+      sessionExpiryHours: this.config.sessionExpiryHours,
+      // A script should fail, not wait for the clearnode to come back
+      reconnect: { ...this.config.reconnect, maxAttempts: 0 },
+      storage: null,
+      storageNamespace: this.environment,
+      signatureMode: this.config.signatureMode,
+      WebSocketImpl: WebSocket
+    });
+    this.balances = new LedgerBalances(this.client.registry);
+
+    this.client.on('signature_error', ({ reason, method }) => this.log(`Dropped ${method || 'frame'}: ${reason}`, 'warn'));
+    this.client.on('error', (error) => this.log(error.message || String(error), 'error'));
+  }
+
+  // ============ CONNECTION ============
+
+  async connect() {
+    this.log(`Connecting to ${this.config.wsUrl}...`);
+    await new Promise((resolve, reject) => {
+      const stop = () => {
+        offOpen();
+        offOffline();
+      };
+      const offOpen = this.client.on('open', () => {
+        stop();
+        resolve();
+      });
+      const offOffline = this.client.on('offline', ({ reason }) => {
+        stop();
+        reject(new OperationError(`Could not connect to ${this.config.wsUrl}: ${reason}`));
+      });
+      this.client.connect();
+    });
+    await this.client.brokerReady;
+
+    if (this.allowance) {
+      const decimals = this.balances.decimalsFor(this.config.asset);
+      const amount = formatAmount(parseAmount(this.allowance, decimals), decimals, { minFraction: 0 });
+      this.client.setSessionPolicy({ allowances: [{ asset: this.config.asset, amount }] });
+    }
+
+    await this.client.authenticate(this.userAddress, (typedData) => this.account.signTypedData({
+      domain: typedData.domain,
+      types: typedData.types,
+      primaryType: typedData.primaryType,
+      message: typedData.message
+    }));
+    this.log(`Authenticated as ${this.userAddress}`);
+
+    // Decimals and symbols for parsing and formatting amounts
+    await this.client.loadAssets();
+  }
+
+  disconnect() {
+    this.client.disconnect();
+  }
+
+  // ============ AMOUNTS ============
+
+  // Decimals of the configured asset, on a specific chain if given
+  decimals(chainId = null) {
+    return this.client.registry.getAsset(this.config.asset, chainId)?.decimals ?? this.balances.decimalsFor(this.config.asset);
+  }
+
+  // Positive amount of the configured asset from text
+  units(value, what = 'amount', chainId = null) {
+    const units = parseAmount(value ?? '', this.decimals(chainId));
+    if (units <= 0n) throw new OperationError(`${what} must be above 0`);
+    return units;
+  }
+
+  amount(units, chainId = null) {
+    return {
+      amount: units,
+      formatted: `${formatAmount(units, this.decimals(chainId))} ${this.balances.symbolFor(this.config.asset)}`
+    };
+  }
+
+  ledgerAmount(asset, units) {
+    return { asset, amount: units, formatted: this.balances.format(asset, units) };
+  }
+
+  // ============ ON-CHAIN ============
+
+  chainConfig(chainId) {
+    const chainConfig = this.config.chains[chainId];
+    if (!chainConfig?.chain || !chainConfig.custody) {
+      throw new OperationError(`Chain ${chainId} is not usable on ${this.config.displayName}`);
+    }
+    return chainConfig;
+  }
+
+  custody(chainId) {
+    const chainConfig = this.chainConfig(chainId);
+    const transport = http(chainConfig.rpcUrl);
+    const publicClient = createPublicClient({ chain: chainConfig.chain, transport });
+    const walletClient = createWalletClient({ chain: chainConfig.chain, transport, account: this.account });
+    const service = new NitroliteService(
+      publicClient,
+      { custody: chainConfig.custody, adjudicator: chainConfig.adjudicator },
+      walletClient,
+      this.userAddress
+    );
+    return { chainConfig, publicClient, walletClient, service };
+  }
+
+  async confirm(publicClient, hash, what) {
+    this.log(`${what} tx: ${hash}`);
+    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    if (receipt.status !== 'success') throw new OperationError(`${what} transaction ${hash} reverted`);
+    return hash;
+  }
+
+  // Our signature next to the clearnode's, in participant order
+  async signState(channelId, channel, state, serverSignature) {
+    const signature = await this.account.signMessage({ message: { raw: getPackedState(channelId, state) } });
+    const broker = channel.participants.find(p => !sameAddress(p, this.userAddress));
+    return { ...state, sigs: sigsInParticipantOrder(channel.participants, { [this.userAddress]: signature, [broker]: serverSignature }) };
+  }
+
+  // The clearnode's record of one of our channels, for its chain
+  async findChannel(channelId) {
+    const { channels = [] } = await this.client.request(createGetChannelsMessageV2(this.userAddress));
+    const channel = channels.find(c => sameAddress(c.channel_id, channelId));
+    if (!channel) throw new OperationError(`Channel ${channelId} is not one of ${this.userAddress}'s channels`);
+    return channel;
+  }
+
+  // ============ BALANCES ============
+
+  async fetchLedgerBalances() {
+    const response = await this.client.request(await createGetLedgerBalancesMessage(this.client.messageSigner, this.userAddress));
+    this.balances.replace(Array.isArray(response) ? response : response?.ledger_balances || []);
+  }
+
+  // Ledger balances, and what sits in custody on every usable chain. A chain
+  // whose RPC fails gets an `error` instead of failing the whole call.
+  async balance() {
+    await this.fetchLedgerBalances();
+    const ledger = this.balances.list(this.config.asset).map(({ asset, amount }) => this.ledgerAmount(asset, amount));
+
+    const custody = [];
+    for (const [id, chainConfig] of Object.entries(this.config.chains)) {
+      if (!chainConfig.chain || !chainConfig.custody) continue;
+      const chainId = Number(id);
+      try {
+        const units = await this.custody(chainId).service.getAccountBalance(this.userAddress, chainConfig.token);
+        custody.push({ chainId, chain: chainConfig.name, ...this.amount(units, chainId) });
+      } catch (error) {
+        custody.push({ chainId, chain: chainConfig.name, error: error.shortMessage || error.message });
+      }
+    }
+
+    return { address: this.userAddress, ledger, custody };
+  }
+
+  // ============ CUSTODY ============
+
+  // Wallet -> custody contract, approving the token first if needed. The
+  // clearnode credits the ledger balance once it sees the deposit.
+  async deposit({ chainId, amount }) {
+    const units = this.units(amount, 'deposit amount', chainId);
+    const { chainConfig, publicClient, walletClient, service } = this.custody(chainId);
+
+    const walletBalance = await publicClient.readContract({
+      address: chainConfig.token,
+      abi: erc20Abi,
+      functionName: 'balanceOf',
+      args: [this.userAddress]
+    });
+    if (walletBalance < units) {
+      throw new OperationError(`Wallet holds ${this.amount(walletBalance, chainId).formatted}, deposit needs ${this.amount(units, chainId).formatted}`);
+    }
+
+    let approveTxHash = null;
+    const allowance = await publicClient.readContract({
+      address: chainConfig.token,
+      abi: erc20Abi,
+      functionName: 'allowance',
+      args: [this.userAddress, chainConfig.custody]
+    });
+    if (allowance < units) {
+      this.log('Approving the custody contract...');
+      approveTxHash = await this.confirm(publicClient, await walletClient.writeContract({
+        address: chainConfig.token,
+        abi: erc20Abi,
+        functionName: 'approve',
+        args: [chainConfig.custody, units]
+      }), 'Approval');
+    }
+
+    this.log(`Depositing ${this.amount(units, chainId).formatted} on ${chainConfig.name}...`);
+    const txHash = await this.confirm(publicClient, await service.deposit(chainConfig.token, units), 'Deposit');
+    return { chainId, ...this.amount(units, chainId), approveTxHash, txHash };
+  }
+
+  // Custody contract -> wallet; everything in custody without an amount
+  async withdraw({ chainId, amount = null }) {
+    const { chainConfig, publicClient, service } = this.custody(chainId);
+    const units = amount === null
+      ? await service.getAccountBalance(this.userAddress, chainConfig.token)
+      : this.units(amount, 'withdrawal amount', chainId);
+    if (units === 0n) throw new OperationError(`Nothing in custody on ${chainConfig.name}`);
+
+    this.log(`Withdrawing ${this.amount(units, chainId).formatted} from custody on ${chainConfig.name}...`);
+    const txHash = await this.confirm(publicClient, await service.withdraw(chainConfig.token, units), 'Withdrawal');
+    return { chainId, ...this.amount(units, chainId), txHash };
+  }
+
+  // ============ CHANNELS ============
+
+  // Open a channel with the clearnode on `chainId`, and fund it from the
+  // ledger balance when an amount is given
+  async createChannel({ chainId, amount = null }) {
+    // Checked before anything is sent; the funding itself is a resize
+    if (amount !== null) this.units(amount, 'channel amount');
+    const { chainConfig, publicClient, service } = this.custody(chainId);
+
+    const response = await this.client.request(await createCreateChannelMessage(this.client.messageSigner, {
+      chain_id: chainId,
+      token: chainConfig.token
+    }));
+    if (!response?.channel || !response.state || !response.server_signature) {
+      throw new OperationError('create_channel response is missing the channel or its signed state');
+    }
+
+    const channel = {
+      participants: response.channel.participants,
+      adjudicator: response.channel.adjudicator,
+      challenge: BigInt(response.channel.challenge),
+      nonce: BigInt(response.channel.nonce)
+    };
+    const channelId = getChannelId(channel, chainId);
+    this.log(`Opening channel ${channelId} on ${chainConfig.name}...`);
+
+    const state = await this.signState(channelId, channel, toContractState(response.state), response.server_signature);
+    const txHash = await this.confirm(publicClient, await service.createChannel(channel, state), 'Create channel');
+
+    const funded = amount === null ? null : await this.resizeChannel({ channelId, allocate: amount, chainId });
+    return { channelId, chainId, txHash, funded };
+  }
+
+  // `allocate` moves funds between the ledger balance and the channel,
+  // `resize` between custody and the channel; negative amounts move them
+  // back out. The clearnode-signed state is then put on chain, with the
+  // channel's current on-chain state as proof.
+  async resizeChannel({ channelId, allocate = null, resize = null, chainId = null }) {
+    if (allocate === null && resize === null) throw new OperationError('Give an amount to allocate or to resize by');
+    chainId ??= (await this.findChannel(channelId)).chain_id;
+    const signed = (value, what) => {
+      const negative = value.trim().startsWith('-');
+      const units = this.units(value.trim().replace(/^-/, ''), what);
+      return negative ? -units : units;
+    };
+    const allocateUnits = allocate === null ? 0n : signed(allocate, 'allocate amount');
+    const resizeUnits = resize === null ? 0n : signed(resize, 'resize amount');
+
+    const message = await createResizeChannelMessage(this.client.messageSigner, {
+      channel_id: channelId,
+      ...(allocate !== null && { allocate_amount: allocateUnits }),
+      ...(resize !== null && { resize_amount: resizeUnits }),
+      funds_destination: this.userAddress
+    });
+    // Only funds leaving the ledger count against the session key's allowance
+    const response = allocateUnits > 0n
+      ? await this.client.spend({ asset: this.config.asset, amount: allocateUnits, operation: 'Channel resize' }, () => this.client.request(message))
+      : await this.client.request(message);
+    if (!response?.state || !response.server_signature) {
+      throw new OperationError('resize_channel response is missing the signed state');
+    }
+
+    const { publicClient, service } = this.custody(chainId);
+    const { channel, lastValidState } = await service.getChannelData(channelId);
+    const state = await this.signState(channelId, channel, toContractState(response.state), response.server_signature);
+    this.log(`Resizing channel ${channelId} to version ${state.version}...`);
+    const txHash = await this.confirm(publicClient, await service.resize(channelId, state, [lastValidState]), 'Resize');
+
+    return {
+      channelId,
+      chainId,
+      version: state.version,
+      allocated: this.amount(allocateUnits),
+      resized: this.amount(resizeUnits, chainId),
+      txHash
+    };
+  }
+
+  // Cooperative close: the clearnode signs the final state and we submit it.
+  // Our share lands in custody on the channel's chain; `withdraw` takes it
+  // to the wallet.
+  async closeChannel({ channelId }) {
+    const { chain_id: chainId } = await this.findChannel(channelId);
+    const response = await this.client.request(await createCloseChannelMessage(this.client.messageSigner, channelId, this.userAddress));
+    if (!response?.state || !response.server_signature) {
+      throw new OperationError('close_channel response is missing the signed final state');
+    }
+
+    const { publicClient, service } = this.custody(chainId);
+    const { channel } = await service.getChannelData(channelId);
+    const state = await this.signState(channelId, channel, toContractState(response.state), response.server_signature);
+    this.log(`Closing channel ${channelId}...`);
+    const txHash = await this.confirm(publicClient, await service.close(channelId, state, []), 'Close channel');
+
+    const own = state.allocations.find(a => sameAddress(a.destination, this.userAddress));
+    return { channelId, chainId, ...this.amount(own?.amount ?? 0n, chainId), txHash };
+  }
+
+  // ============ TRANSFERS ============
+
+  async transfer({ to, amount, asset = this.config.asset }) {
+    const destination = getAddress(to);
+    const units = parseAmount(amount ?? '', this.balances.decimalsFor(asset));
+    if (units <= 0n) throw new OperationError('transfer amount must be above 0');
+
+    await this.fetchLedgerBalances();
+    if (!this.balances.covers(asset, units)) {
+      throw new OperationError(`Ledger holds ${this.balances.format(asset)}, transfer needs ${this.balances.format(asset, units)}`);
+    }
+
+    this.log(`Transferring ${this.balances.format(asset, units)} to ${destination}...`);
+    const message = await createTransferMessage(this.client.messageSigner, {
+      destination,
+      allocations: [{ asset, amount: units.toString() }]
+    });
+    const response = await this.client.spend({ asset, amount: units, operation: 'Transfer' }, () => this.client.request(message));
+
+    const transactions = (response?.transactions || []).map(tx => ({
+      id: tx.id,
+      to: tx.to_account,
+      ...this.ledgerAmount(tx.asset, this.balances.parseLedgerAmount(tx.asset, tx.amount))
+    }));
+    return { to: destination, ...this.ledgerAmount(asset, units), transactions };
+  }
+
+  // ============ APP SESSIONS ============
+
+  // A session between us and `participants`, funded by us alone: the others
+  // would have to co-sign its creation, which the app can collect and a
+  // script cannot. Weights default to ours 100, theirs 0, as in the app.
+  async createSession({ participants, amount, weights = null, quorum = 100, challenge = 0, application = 'payment' }) {
+    const units = this.units(amount, 'session amount');
+    await this.fetchLedgerBalances();
+
+    const addresses = [this.userAddress, ...participants];
+    const draft = {
+      application,
+      quorum,
+      challenge,
+      participants: addresses.map((address, i) => ({
+        address,
+        weight: weights?.[i] ?? (i === 0 ? 100 : 0),
+        allocations: i === 0 ? [{ asset: this.config.asset, amount: units }] : []
+      }))
+    };
+    const { definition, allocations } = buildSessionRequest(draft, {
+      creator: this.userAddress,
+      available: (asset) => this.balances.get(asset),
+      formatAmount: (asset, value) => this.balances.format(asset, value)
+    });
+
+    this.log(`Creating a session with ${participants.length} other participant(s)...`);
+    const message = await createAppSessionMessage(this.client.messageSigner, { definition, allocations });
+    const response = await this.client.spend(
+      { asset: this.config.asset, amount: units, operation: 'App session deposit' },
+      () => this.client.request(message)
+    );
+    if (!response?.app_session_id) throw new OperationError(`create_app_session failed: ${JSON.stringify(response)}`);
+
+    return {
+      sessionId: response.app_session_id,
+      version: response.version,
+      status: response.status,
+      participants: definition.participants,
+      weights: definition.weights,
+      quorum: definition.quorum,
+      ...this.ledgerAmount(this.config.asset, units)
+    };
+  }
+
+  // Current state from the clearnode, which must let us sign alone
+  async sessionState(sessionId) {
+    const state = await fetchAppSessionState(this.client, {
+      sessionId,
+      userAddress: this.userAddress,
+      parseAmount: (asset, value) => this.balances.parseLedgerAmount(asset, value)
+    });
+    const index = state.participants.findIndex(p => sameAddress(p, this.userAddress));
+    const weight = index === -1 ? 0 : state.weights[index];
+    if (weight < state.quorum) {
+      throw new OperationError(`Your weight ${weight} is below quorum ${state.quorum}; collect co-signatures in the app instead`);
+    }
+    return state;
+  }
+
+  sessionAllocations(allocations) {
+    return allocations.map(({ participant, asset, amount }) => ({ participant, ...this.ledgerAmount(asset, amount) }));
+  }
+
+  // Move `amount` of our allocation to `to`, by default the one other participant
+  async paySession({ sessionId, amount, to = null }) {
+    const units = this.units(amount, 'payment amount');
+    const state = await this.sessionState(sessionId);
+
+    const others = state.participants.filter(p => !sameAddress(p, this.userAddress));
+    if (!to && others.length !== 1) throw new OperationError('The session has several other participants - say which one to pay');
+    const counterparty = to ? getAddress(to) : others[0];
+    if (!others.some(p => sameAddress(p, counterparty))) throw new OperationError(`${counterparty} is not in this session`);
+
+    const available = allocationOf(state, this.userAddress, this.config.asset);
+    if (units > available) {
+      throw new OperationError(`Your session allocation is ${this.balances.format(this.config.asset, available)}`);
+    }
+
+    const allocations = adjustAllocation(
+      adjustAllocation(state.allocations, this.userAddress, this.config.asset, -units),
+      counterparty, this.config.asset, units
+    );
+    this.log(`Paying ${this.balances.format(this.config.asset, units)} to ${counterparty} (version ${state.version + 1})...`);
+    const response = await this.client.request(await createSubmitAppStateMessage(this.client.messageSigner, {
+      app_session_id: state.sessionId,
+      intent: 'operate',
+      version: state.version + 1,
+      allocations: toRPCAllocations(allocations)
+    }));
+
+    return {
+      sessionId: state.sessionId,
+      version: Number(response?.version ?? state.version + 1),
+      to: counterparty,
+      ...this.ledgerAmount(this.config.asset, units),
+      allocations: this.sessionAllocations(allocations)
+    };
+  }
+
+  // Close with the session's current allocations; each participant's share
+  // goes back to their ledger balance
+  async closeSession({ sessionId }) {
+    const state = await this.sessionState(sessionId);
+    this.log(`Closing session ${state.sessionId}...`);
+    const response = await this.client.request(await createCloseAppSessionMessage(this.client.messageSigner, {
+      app_session_id: state.sessionId,
+      allocations: toRPCAllocations(state.allocations)
+    }));
+    if (!response?.app_session_id) throw new OperationError(`close_app_session failed: ${JSON.stringify(response)}`);
+
+    return { sessionId: state.sessionId, allocations: this.sessionAllocations(state.allocations) };
+  }
+}
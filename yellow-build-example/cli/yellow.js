@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+// yellow - scripted Yellow Network operations from the command line.
+//
+// Runs the app's flows (operations.js) with a private key instead of a
+// browser wallet. Progress goes to stderr and the result to stdout, as text
+// or with --json as one object:
+//
+//   { "ok": true, "command": "balance", "environment": "testnet", "result": {...} }
+//   { "ok": false, "command": "balance", "environment": "testnet", "error": { "name", "message" } }
+//
+// Amounts in results are base-unit strings with a `formatted` companion.
+// Exit status: 0 done, 1 the operation failed, 2 bad usage.
+
+import { parseArgs } from 'node:util';
+import { DEFAULT_CHAINS, MAINNET_CONFIG, TESTNET_CONFIG } from '../src/config.js';
+import { YellowOperations } from './operations.js';
+
+const USAGE = `
+yellow - Yellow Network operations for scripts
+
+Usage:
+  yellow balance
+  yellow deposit <amount> [--chain <id>]
+  yellow withdraw [<amount>] [--chain <id>]
+  yellow transfer <address> <amount> [--asset <asset>]
+  yellow channel create [<amount>] [--chain <id>]
+  yellow channel resize <channel id> [--allocate <amount>] [--resize <amount>]
+  yellow channel close <channel id>
+  yellow session create <address>... --amount <amount> [--weights <w,...>] [--quorum <n>] [--challenge <s>]
+  yellow session pay <session id> <amount> [--to <address>]
+  yellow session close <session id>
+
+Commands:
+  balance          Ledger balances and custody balances on every chain
+  deposit          Wallet -> custody; the clearnode then credits the ledger
+  withdraw         Custody -> wallet, everything without an amount
+  transfer         Ledger transfer to another account
+  channel create   Open a channel, funded from the ledger if an amount is given
+  channel resize   --allocate moves ledger funds in, --resize custody funds;
+                   negative amounts move them out (write --allocate=-5)
+  channel close    Close a channel; your share goes to custody
+  session create   App session funded by you, with the given participants.
+                   --weights lists one weight per participant: yours first,
+                   then the addresses in the order given (default: 100 for
+                   you, 0 for the others); --quorum defaults to 100
+  session pay      Pay from your session allocation (to the only other
+                   participant unless --to says otherwise)
+  session close    Close a session with its current allocations
+
+Options:
+  --env <name>            testnet or mainnet (default: $YELLOW_ENV or testnet)
+  --private-key, -k <pk>  Wallet private key (default: $YELLOW_PRIVATE_KEY)
+  --chain <id>            Chain id (default: ${DEFAULT_CHAINS.testnet} on testnet, ${DEFAULT_CHAINS.mainnet} on mainnet)
+  --allowance <amount>    Cap what this run's session key may spend
+  --yes, -y               Confirm an operation that moves mainnet funds
+  --json                  Print the result as JSON
+  --pretty                Print the result as indented JSON
+  --quiet, -q             No progress output
+  --help, -h              Show this help
+
+Mainnet RPC URLs come from VITE_ETHEREUM_MAINNET_RPC_URL and
+VITE_BASE_MAINNET_RPC_URL, as for the app.
+`;
+
+const ENVIRONMENTS = [TESTNET_CONFIG.name, MAINNET_CONFIG.name];
+
+// Everything but balance moves funds
+const READ_ONLY = new Set(['balance']);
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const required = (value, what) => {
+  if (value === undefined || value === '') throw new UsageError(`Missing ${what}`);
+  return value;
+};
+
+// Only the form of an amount is checked here; the asset's decimals are
+// known once connected
+const amountArg = (value, what) => {
+  if (value !== null && !/^(\d+\.?\d*|\.\d+)$/.test(value)) {
+    throw new UsageError(`${what} must be a decimal amount, got "${value}"`);
+  }
+  return value;
+};
+
+const chainOf = (options, environment) => {
+  const chainId = Number(options.chain ?? DEFAULT_CHAINS[environment]);
+  if (!Number.isInteger(chainId)) throw new UsageError(`--chain must be a chain id, got "${options.chain}"`);
+  return chainId;
+};
+
+const optionalNumber = (value, what) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number)) throw new UsageError(`${what} must be a whole number, got "${value}"`);
+  return number;
+};
+
+// 'command' or 'group action' -> [parse, run]. parse(args, options,
+// environment) does all the usage checking and returns the operation's
+// parameters, so bad arguments fail before anything connects;
+// run(ops, params) then performs it.
+const COMMANDS = {
+  'balance': [() => ({}), (ops) => ops.balance()],
+  'deposit': [
+    ([amount], options, environment) => ({ chainId: chainOf(options, environment), amount: amountArg(required(amount, 'amount'), 'amount') }),
+    (ops, params) => ops.deposit(params)
+  ],
+  'withdraw': [
+    ([amount = null], options, environment) => ({ chainId: chainOf(options, environment), amount: amountArg(amount, 'amount') }),
+    (ops, params) => ops.withdraw(params)
+  ],
+  'transfer': [
+    ([to, amount], options) => ({ to: required(to, 'address'), amount: amountArg(required(amount, 'amount'), 'amount'), asset: options.asset }),
+    (ops, params) => ops.transfer(params)
+  ],
+  'channel create': [
+    ([amount = null], options, environment) => ({ chainId: chainOf(options, environment), amount: amountArg(amount, 'amount') }),
+    (ops, params) => ops.createChannel(params)
+  ],
+  'channel resize': [
+    ([channelId], options) => ({ channelId: required(channelId, 'channel id'), allocate: options.allocate ?? null, resize: options.resize ?? null }),
+    (ops, params) => ops.resizeChannel(params)
+  ],
+  'channel close': [
+    ([channelId]) => ({ channelId: required(channelId, 'channel id') }),
+    (ops, params) => ops.closeChannel(params)
+  ],
+  'session create': [
+    (participants, options) => {
+      if (participants.length === 0) throw new UsageError('Missing participant address');
+      // You come first, then the participants as given
+      const weights = options.weights?.split(',').map(weight => optionalNumber(weight.trim(), '--weights'));
+      if (weights && weights.length !== participants.length + 1) {
+        throw new UsageError(`--weights needs ${participants.length + 1} values: yours, then one per participant address`);
+      }
+      return {
+        participants,
+        amount: amountArg(required(options.amount, '--amount'), '--amount'),
+        weights,
+        quorum: optionalNumber(options.quorum, '--quorum'),
+        challenge: optionalNumber(options.challenge, '--challenge')
+      };
+    },
+    (ops, params) => ops.createSession(params)
+  ],
+  'session pay': [
+    ([sessionId, amount], options) => ({ sessionId: required(sessionId, 'session id'), amount: amountArg(required(amount, 'amount'), 'amount'), to: options.to ?? null }),
+    (ops, params) => ops.paySession(params)
+  ],
+  'session close': [
+    ([sessionId]) => ({ sessionId: required(sessionId, 'session id') }),
+    (ops, params) => ops.closeSession(params)
+  ]
+};
+
+const GROUPS = new Set(['channel', 'session']);
+
+function readArgs(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'env': { type: 'string' },
+      'private-key': { type: 'string', short: 'k' },
+      'chain': { type: 'string' },
+      'amount': { type: 'string' },
+      'allocate': { type: 'string' },
+      'resize': { type: 'string' },
+      'asset': { type: 'string' },
+      'to': { type: 'string' },
+      'weights': { type: 'string' },
+      'quorum': { type: 'string' },
+      'challenge': { type: 'string' },
+      'allowance': { type: 'string' },
+      'yes': { type: 'boolean', short: 'y' },
+      'json': { type: 'boolean' },
+      'pretty': { type: 'boolean' },
+      'quiet': { type: 'boolean', short: 'q' },
+      'help': { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const length = GROUPS.has(positionals[0]) ? 2 : 1;
+  return { command: positionals.slice(0, length).join(' '), args: positionals.slice(length), options };
+}
+
+// ============ OUTPUT ============
+
+const toJSON = (value, space) => JSON.stringify(value, (_, item) => (typeof item === 'bigint' ? item.toString() : item), space);
+
+// An amount's `formatted` says everything its base units do
+const fields = (value) => Object.entries(value).filter(([key]) => !(key === 'amount' && 'formatted' in value));
+
+function textLines(value, indent = '') {
+  const lines = [];
+  for (const [key, item] of fields(value)) {
+    if (Array.isArray(item)) {
+      lines.push(`${indent}${key}:${item.length === 0 ? ' none' : ''}`);
+      for (const entry of item) {
+        const line = entry && typeof entry === 'object'
+          ? fields(entry).map(([name, field]) => `${name}=${field}`).join(' ')
+          : String(entry);
+        lines.push(`${indent}  - ${line}`);
+      }
+    } else if (item && typeof item === 'object') {
+      lines.push(`${indent}${key}:`, ...textLines(item, `${indent}  `));
+    } else {
+      lines.push(`${indent}${key}: ${item ?? '-'}`);
+    }
+  }
+  return lines;
+}
+
+// ============ MAIN ============
+
+async function main() {
+  let parsed;
+  try {
+    parsed = readArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
+  }
+  const { command, args, options } = parsed;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  const environment = options.env || process.env.YELLOW_ENV || TESTNET_CONFIG.name;
+  const json = options.json || options.pretty;
+  const printJSON = ({ ok, ...output }) => console.log(toJSON({ ok, command, environment, ...output }, options.pretty ? 2 : undefined));
+
+  let ops = null;
+  try {
+    if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+    if (!ENVIRONMENTS.includes(environment)) throw new UsageError(`--env must be one of ${ENVIRONMENTS.join(', ')}`);
+    const [parse, run] = COMMANDS[command];
+    const params = parse(args, options, environment);
+    if (environment === MAINNET_CONFIG.name && !READ_ONLY.has(command) && !options.yes) {
+      throw new UsageError(`"${command}" moves real funds on mainnet - pass --yes to go ahead`);
+    }
+
+    const privateKey = options['private-key'] || process.env.YELLOW_PRIVATE_KEY;
+    if (!privateKey) throw new UsageError('Pass --private-key or set YELLOW_PRIVATE_KEY');
+
+    ops = new YellowOperations({
+      environment,
+      privateKey: `0x${privateKey.trim().replace(/^0x/, '')}`,
+      allowance: amountArg(options.allowance ?? null, '--allowance'),
+      log: (message, level = 'info') => {
+        if (!options.quiet) console.error(level === 'info' ? message : `[${level}] ${message}`);
+      }
+    });
+    await ops.connect();
+
+    const result = await run(ops, params);
+    if (json) printJSON({ ok: true, result });
+    else console.log(textLines(result).join('\n'));
+    return 0;
+  } catch (error) {
+    if (json) printJSON({ ok: false, error: { name: error.name, message: error.message } });
+    else console.error(`${error.name}: ${error.message}`);
+    return error instanceof UsageError ? 2 : 1;
+  } finally {
+    ops?.disconnect();
+  }
+}
+
+process.exitCode = await main();
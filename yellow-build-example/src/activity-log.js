@@ -0,0 +1,121 @@
+// Structured activity log, kept in localStorage so it survives reloads.
+//
+// Entries are:
+//
+//   { id, time (ms), level, environment, operation, message,
+//     txHash, channelId, sessionId }
+//
+// with the links null when a line is not about a transaction, channel or
+// session. Only the newest `maxEntries` are kept. The log is stored in
+// plaintext, so nothing secret belongs in a message.
+//
+// Events: entry (entry), cleared ()
+
+export const LOG_LEVELS = ['info', 'success', 'warn', 'error'];
+
+export const DEFAULT_MAX_ENTRIES = 500;
+
+const STORAGE_PREFIX = 'yellow_activity_log_';
+
+export class ActivityLog {
+  constructor({ environment, storage = globalThis.localStorage ?? null, maxEntries = DEFAULT_MAX_ENTRIES }) {
+    this.environment = environment;
+    this.storage = storage;
+    this.maxEntries = maxEntries;
+    this.key = `${STORAGE_PREFIX}${environment}`;
+    this.entries = this.load();
+    this.nextId = this.entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+    this.listeners = new Map();
+  }
+
+  // ============ EVENTS ============
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, ...args) {
+    for (const handler of this.listeners.get(event) || []) {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`ActivityLog ${event} handler failed:`, error);
+      }
+    }
+  }
+
+  // ============ ENTRIES ============
+
+  // `context`: { operation, txHash, channelId, sessionId }, all optional
+  add(message, level = 'info', context = {}) {
+    const entry = {
+      id: this.nextId++,
+      time: Date.now(),
+      level: LOG_LEVELS.includes(level) ? level : 'info',
+      environment: this.environment,
+      operation: context.operation || 'general',
+      message: String(message),
+      txHash: context.txHash || null,
+      channelId: context.channelId || null,
+      sessionId: context.sessionId || null
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) this.entries.splice(0, this.entries.length - this.maxEntries);
+    this.save();
+    this.emit('entry', entry);
+    return entry;
+  }
+
+  // Newest first. filters: { level, operation } - both optional
+  list(filters = {}) {
+    return this.entries.filter(entry => matchesLogFilters(entry, filters)).reverse();
+  }
+
+  // Operations seen so far, for the filter
+  operations() {
+    return [...new Set(this.entries.map(entry => entry.operation))].sort();
+  }
+
+  clear() {
+    this.entries = [];
+    this.save();
+    this.emit('cleared');
+  }
+
+  // JSON for bug reports, oldest first like the log was written
+  toJSON(filters = {}) {
+    const entries = this.list(filters).reverse().map(entry => ({ ...entry, time: new Date(entry.time).toISOString() }));
+    return JSON.stringify({ environment: this.environment, exportedAt: new Date().toISOString(), entries }, null, 2);
+  }
+
+  // ============ STORAGE ============
+
+  load() {
+    try {
+      const stored = JSON.parse(this.storage?.getItem(this.key) || '[]');
+      return Array.isArray(stored) ? stored.slice(-this.maxEntries) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // A full quota drops the older half rather than losing the new entry
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.key, JSON.stringify(this.entries));
+    } catch {
+      if (this.entries.length < 2) return;
+      this.entries.splice(0, Math.floor(this.entries.length / 2));
+      this.save();
+    }
+  }
+}
+
+export function matchesLogFilters(entry, { level, operation } = {}) {
+  if (level && entry.level !== level) return false;
+  if (operation && entry.operation !== operation) return false;
+  return true;
+}
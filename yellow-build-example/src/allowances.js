@@ -0,0 +1,118 @@
+import { formatAmount, parseAmount } from './amounts.js';
+
+// Client-side bookkeeping for session-key spending allowances.
+//
+// The clearnode enforces allowances itself, but only tells us after the fact.
+// This tracker keeps a running tally of what the current session key has spent
+// per asset so an operation that would exceed the allowance is refused before
+// it is signed and sent. Amounts are bigints in the asset's smallest unit;
+// allowances use the same decimal strings as the auth Policy.
+
+export class AllowanceExceededError extends Error {
+  constructor({ asset, operation, requested, remaining, decimals }) {
+    const fmt = (value) => formatAmount(value, decimals);
+    super(`${operation} of ${fmt(requested)} ${asset} exceeds session allowance (${fmt(remaining)} ${asset} left)`);
+    this.name = 'AllowanceExceededError';
+    this.asset = asset;
+    this.operation = operation;
+    this.requested = requested;
+    this.remaining = remaining;
+  }
+}
+
+export class AllowanceTracker {
+  constructor({ storage = null, storageNamespace = 'default', decimalsFor = () => 6 } = {}) {
+    this.storage = storage;
+    this.storageNamespace = storageNamespace;
+    this.decimalsFor = decimalsFor;
+
+    this.sessionKey = null;
+    this.allowances = [];
+    this.usage = {}; // asset -> bigint
+  }
+
+  // Switch to the allowances of a (new or reused) session key, restoring any
+  // usage already recorded against it
+  load(sessionKey, allowances = []) {
+    this.sessionKey = sessionKey;
+    this.allowances = allowances;
+    this.usage = {};
+
+    const raw = this.storage?.getItem(this.storageKey());
+    if (raw) {
+      try {
+        for (const [asset, amount] of Object.entries(JSON.parse(raw))) {
+          this.usage[asset] = BigInt(amount);
+        }
+      } catch (error) {
+        console.error('Failed to load allowance usage:', error);
+      }
+    }
+  }
+
+  storageKey() {
+    return `yellow_allowance_usage_${this.storageNamespace}_${this.sessionKey}`;
+  }
+
+  save() {
+    if (!this.storage || !this.sessionKey) return;
+    const serialized = Object.fromEntries(
+      Object.entries(this.usage).map(([asset, amount]) => [asset, amount.toString()])
+    );
+    this.storage.setItem(this.storageKey(), JSON.stringify(serialized));
+  }
+
+  // No allowances means the key is unrestricted. Otherwise an asset that is
+  // not listed has a limit of zero.
+  get isRestricted() {
+    return this.allowances.length > 0;
+  }
+
+  limit(asset) {
+    if (!this.isRestricted) return null;
+    const entry = this.allowances.find((a) => a.asset === asset);
+    return entry ? parseAmount(entry.amount, this.decimalsFor(asset)) : 0n;
+  }
+
+  used(asset) {
+    return this.usage[asset] || 0n;
+  }
+
+  remaining(asset) {
+    const limit = this.limit(asset);
+    if (limit === null) return null;
+    const left = limit - this.used(asset);
+    return left > 0n ? left : 0n;
+  }
+
+  assertCanSpend(asset, amount, operation = 'Operation') {
+    const remaining = this.remaining(asset);
+    if (remaining !== null && BigInt(amount) > remaining) {
+      throw new AllowanceExceededError({
+        asset,
+        operation,
+        requested: BigInt(amount),
+        remaining,
+        decimals: this.decimalsFor(asset)
+      });
+    }
+  }
+
+  record(asset, amount) {
+    this.usage[asset] = this.used(asset) + BigInt(amount);
+    this.save();
+  }
+
+  // Human-readable rows for the UI, one per allowance
+  summary() {
+    return this.allowances.map(({ asset }) => {
+      const decimals = this.decimalsFor(asset);
+      return {
+        asset,
+        used: formatAmount(this.used(asset), decimals),
+        limit: formatAmount(this.limit(asset), decimals),
+        remaining: formatAmount(this.remaining(asset), decimals)
+      };
+    });
+  }
+}
@@ -0,0 +1,43 @@
+// Exact conversion between decimal strings ("12.5") and bigint base units
+// (12500000n for a 6-decimal asset). Every amount the apps read from an
+// input, compare or display goes through here, so nothing is ever a float.
+
+export class AmountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AmountError';
+  }
+}
+
+const DECIMAL = /^(\d*)(?:\.(\d*))?$/;
+
+// Decimal string -> base units. Rejects signs, exponents and more fraction
+// digits than the asset has, rather than silently rounding.
+export function parseAmount(value, decimals) {
+  const text = String(value ?? '').trim();
+  const match = DECIMAL.exec(text);
+  if (!text || text === '.' || !match) {
+    throw new AmountError(`"${value}" is not a decimal amount`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw new AmountError(`at most ${decimals} decimal places allowed`);
+  }
+  return BigInt((whole || '0') + fraction.padEnd(decimals, '0'));
+}
+
+// Base units -> decimal string, exact. Trailing zeros are trimmed down to
+// `minFraction` digits so "12.5" reads as "12.50" with the default.
+export function formatAmount(units, decimals, { minFraction = 2 } = {}) {
+  let value = BigInt(units);
+  const negative = value < 0n;
+  if (negative) value = -value;
+
+  const digits = value.toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  let fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  fraction = fraction.padEnd(Math.min(minFraction, decimals), '0');
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
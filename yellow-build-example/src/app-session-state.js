@@ -0,0 +1,120 @@
+import { createGetAppSessionsMessageV2 } from '@erc7824/nitrolite';
+import { getAddress } from 'viem';
+
+// Current state of an app session as the clearnode holds it.
+//
+// Anything the apps remember locally (the vault copy, the last list fetched)
+// can be stale: the other participant may have submitted since, or a submit
+// may have failed after we saved. Every submit_app_state and
+// close_app_session is built from this instead.
+//
+// The version comes from get_app_sessions; allocations are the app session's
+// ledger account, every page of get_ledger_entries per participant, summed
+// per asset.
+
+export class AppSessionStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AppSessionStateError';
+  }
+}
+
+// Entries per get_ledger_entries request; the clearnode caps the limit
+const ENTRIES_PAGE_SIZE = 100;
+
+// A partial sum would be a wrong balance, so past this the fetch fails
+const MAX_ENTRY_PAGES = 50;
+
+// `parseAmount(asset, amount)` turns a ledger amount into a bigint in base
+// units (LedgerBalances.parseLedgerAmount). Resolves to
+// { sessionId, version, status, participants, weights, quorum, allocations },
+// allocations as [{ participant, asset, amount: bigint }] in participant order.
+export async function fetchAppSessionState(client, { sessionId, userAddress, parseAmount }) {
+  const { app_sessions: sessions = [] } = await client.request(createGetAppSessionsMessageV2(userAddress));
+  const session = sessions.find(s => s.app_session_id?.toLowerCase() === sessionId.toLowerCase());
+  if (!session) throw new AppSessionStateError(`Session ${sessionId.slice(0, 10)}... not found on the clearnode`);
+  if (session.status !== 'open') throw new AppSessionStateError(`Session is ${session.status} on the clearnode`);
+
+  return {
+    sessionId: session.app_session_id,
+    version: Number(session.version),
+    status: session.status,
+    participants: session.participants,
+    weights: session.weights,
+    quorum: session.quorum,
+    allocations: await fetchSessionAllocations(client, session, parseAmount)
+  };
+}
+
+// Allocations of a session as listed by get_app_sessions, for when the
+// version does not matter (showing balances rather than submitting)
+export async function fetchSessionAllocations(client, session, parseAmount) {
+  const allocations = [];
+  for (const participant of session.participants) {
+    const entries = await fetchLedgerEntries(client, session.app_session_id, participant);
+
+    const byAsset = new Map();
+    for (const entry of entries) {
+      if (entry.participant && entry.participant.toLowerCase() !== participant.toLowerCase()) continue;
+      const net = parseAmount(entry.asset, entry.credit) - parseAmount(entry.asset, entry.debit);
+      byAsset.set(entry.asset, (byAsset.get(entry.asset) ?? 0n) + net);
+    }
+    for (const [asset, amount] of byAsset) allocations.push({ participant, asset, amount });
+  }
+  return allocations;
+}
+
+async function fetchLedgerEntries(client, accountId, wallet) {
+  const entries = [];
+  for (let page = 0; page < MAX_ENTRY_PAGES; page++) {
+    const { ledger_entries: batch = [] } = await client.call('get_ledger_entries', {
+      account_id: accountId,
+      wallet,
+      offset: page * ENTRIES_PAGE_SIZE,
+      limit: ENTRIES_PAGE_SIZE
+    });
+    entries.push(...batch);
+    if (batch.length < ENTRIES_PAGE_SIZE) return entries;
+  }
+  throw new AppSessionStateError(`Session ${accountId.slice(0, 10)}... has more than ${MAX_ENTRY_PAGES * ENTRIES_PAGE_SIZE} ledger entries`);
+}
+
+// Amount for one participant and asset; 0n when the session holds none
+export function allocationOf(state, participant, asset) {
+  return state.allocations
+    .filter(a => a.participant.toLowerCase() === participant.toLowerCase() && a.asset === asset)
+    .reduce((sum, a) => sum + a.amount, 0n);
+}
+
+// Copy of `allocations` with `delta` (bigint, may be negative) added to one
+// participant's amount of `asset`; an entry is added if they had none
+export function adjustAllocation(allocations, participant, asset, delta) {
+  const next = allocations.map(a => ({ ...a }));
+  const entry = next.find(a => a.participant.toLowerCase() === participant.toLowerCase() && a.asset === asset);
+  if (entry) entry.amount += delta;
+  else next.push({ participant: getAddress(participant), asset, amount: delta });
+  return next;
+}
+
+// Differences between what we hold locally and the clearnode's state, as
+// readable lines; empty when they agree. `local` may leave out the version
+// or allocations if it does not track them.
+export function describeMismatch(local, server, formatAmount = (asset, amount) => `${amount} ${asset}`) {
+  const problems = [];
+  if (local.version !== undefined && local.version !== null && Number(local.version) !== server.version) {
+    problems.push(`version: local ${local.version}, clearnode ${server.version}`);
+  }
+  for (const { participant, asset, amount } of local.allocations || []) {
+    const serverAmount = allocationOf(server, participant, asset);
+    if (serverAmount !== amount) {
+      problems.push(
+        `${participant.slice(0, 6)}...${participant.slice(-4)}: local ${formatAmount(asset, amount)}, clearnode ${formatAmount(asset, serverAmount)}`
+      );
+    }
+  }
+  return problems;
+}
+
+// Allocations in the form submit_app_state / close_app_session take
+export const toRPCAllocations = (allocations) =>
+  allocations.map(({ participant, asset, amount }) => ({ participant, asset, amount: amount.toString() }));
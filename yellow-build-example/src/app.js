@@ -1,5 +1,4 @@
 import {
-  createAuthRequestMessage,
   createGetLedgerBalancesMessage,
   createTransferMessage,
   createCreateChannelMessage,
@@ -11,17 +10,52 @@ import {
   createSubmitAppStateMessage,
   createCloseAppSessionMessage,
   NitroliteRPC,
-  generateRequestId,
-  getCurrentTimestamp,
-  EIP712AuthTypes,
-  createECDSAMessageSigner,
   NitroliteService,
+  ChannelStatus,
   getChannelId,
   getPackedState
 } from '@erc7824/nitrolite';
-import { getAddress, createPublicClient, createWalletClient, custom, http, parseUnits, formatUnits, erc20Abi } from 'viem';
-import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { getAddress, createPublicClient, createWalletClient, custom, http, erc20Abi } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
 import { TESTNET_CONFIG, MAINNET_CONFIG, getConfig } from './config.js';
+import { ClearnodeClient } from './clearnode-client.js';
+import { LedgerBalances } from './ledger-balances.js';
+import { AmountError, formatAmount, parseAmount } from './amounts.js';
+import { getSharedVault } from './vault.js';
+import { StateHistory, intentName } from './state-history.js';
+import { Watchtower } from './watchtower.js';
+import { buildSessionRequest, fundingOf, validateSessionDraft } from './session-definition.js';
+import {
+  adjustAllocation,
+  allocationOf,
+  describeMismatch,
+  fetchAppSessionState,
+  fetchSessionAllocations,
+  toRPCAllocations
+} from './app-session-state.js';
+import { QuorumCollector } from './quorum.js';
+import { LedgerHistory, TX_TYPES, toCSV } from './ledger-history.js';
+import { ActivityLog, LOG_LEVELS, matchesLogFilters } from './activity-log.js';
+import { CoSigner, RelayTransport, isRelayPubkey, loadRelayKey, sigsInParticipantOrder } from './cosign.js';
+import {
+  CHANNEL_STATUS_LABELS,
+  ChallengeCountdown,
+  formatRemaining,
+  readChallengeExpiry,
+  submitChallenge
+} from './channel-challenge.js';
+import {
+  BackupError,
+  checkStateSignatures,
+  createBackup,
+  decodeBackup,
+  deserializeChannel,
+  deserializeState,
+  encodeBackup,
+  serializeChannel
+} from './channel-backup.js';
+import { delegate, html, prepend, render } from './dom.js';
+import { Store } from './store.js';
 
 class YellowPaymentApp {
   constructor(environment = 'testnet', elementIdPrefix = '') {
@@ -29,35 +63,89 @@ class YellowPaymentApp {
     this.prefix = elementIdPrefix;
     this.config = getConfig(environment);
 
-    this.ws = null;
-    this.messageSigner = null;
-    this.userAddress = null;
+    // Structured, persisted log behind log()
+    this.activityLog = new ActivityLog({ environment });
+
+    // What the views render from (see bindViews). The STORE_KEYS fields below
+    // read and write it, so assigning one of them is enough to re-render.
+    this.store = new Store({
+      connection: { state: 'closed' }, // ClearnodeClient state, plus 'closed'
+      authenticated: false,
+      userAddress: null,
+      balances: [], // LedgerBalances.list() snapshot
+      channels: [], // from the clearnode
+      onChainChannels: new Map(),
+      serverChannels: new Map(),
+      appSessions: [],
+      sessionAllocations: new Map(), // sessionId -> { version, allocations }, see loadSessionAllocations
+      onChainBalances: new Map(), // chainId -> balance
+      cosignStatus: null, // { connected, peers } once a partner is set
+      pendingWithdrawal: null,
+      pendingChannelFund: null,
+      pendingChannelId: null,
+      pendingChannelData: null
+    });
+
+    // Partner keys, session keys and signed states live in the encrypted vault
+    this.vault = getSharedVault();
+    this.channelsUnsaved = false; // changed while the vault was locked
+    this.vaultLockedWarned = false;
+    // Every signed channel state, kept as dispute evidence
+    this.stateHistory = new StateHistory(this.vault);
+
+    this.client = new ClearnodeClient({
+      wsUrl: this.config.wsUrl,
+      sessionExpiryHours: this.config.sessionExpiryHours,
+      reconnect: this.config.reconnect,
+      storageNamespace: this.environment,
+      signatureMode: this.config.signatureMode,
+      storage: this.vault.asStorage()
+    });
+    this.bindClientEvents();
+    this.bindVaultEvents();
+
+    // Answers stale on-chain challenges with our newest signed state; one
+    // per connected wallet, see startWatchtower
+    this.watchtower = null;
+
+    // Running challenge periods: channelId -> ChallengeCountdown
+    this.challenges = new Map();
+
+    // Co-signing with the channel partner's app over the relay
+    this.coSigner = null;
+    this.cosignRequests = new Map(); // request id -> request awaiting review
+
+    this.historyPage = 0; // transaction history page on screen
+    this.historyOffsets = [0]; // server offset each history page starts at
+
+    this.sessionListing = 0; // bumped per sessions listing, see loadSessionAllocations
+
     this.sessionId = null;
-    this.balance = 0;
-    this.ledgerBalance = 0;
-    this.isAuthenticated = false;
-    this.pendingAuthResolve = null;
-    this.pendingRequests = new Map();
-    this.authParams = null;
-    this.sessionKeyPrivate = null;
-    this.sessionKeyAddress = null;
-    this.channels = [];
-    this.pendingChannelFund = null;
+    // Unified ledger balance per asset
+    this.balances = new LedgerBalances(this.client.registry);
     this.publicClient = null;
     this.walletClient = null;
     this.nitroliteService = null;
-    this.onChainChannels = new Map();
-    this.serverChannels = new Map();
 
-    // App Sessions state
-    this.appSessions = [];
-
-    // On-chain balances by chainId
-    this.onChainBalances = new Map();
+    // Registry mismatches already logged, so reconnects don't repeat them
+    this.registryWarnings = new Set();
 
     this.initUI();
   }
 
+  // Protocol state lives in the ClearnodeClient
+  get isAuthenticated() {
+    return this.client.isAuthenticated;
+  }
+
+  get messageSigner() {
+    return this.client.messageSigner;
+  }
+
+  get sessionKeyAddress() {
+    return this.client.sessionKeyAddress;
+  }
+
   // Get prefixed element ID
   getElement(id) {
     return document.getElementById(this.prefix + id);
@@ -71,12 +159,20 @@ class YellowPaymentApp {
       walletStatus: this.getElement('walletStatus'),
       walletStatusText: this.getElement('walletStatusText'),
       userAddress: this.getElement('userAddress'),
+      securityAlert: this.getElement('securityAlert'),
       balance: this.getElement('balance'),
       connectBtn: this.getElement('connectBtn'),
+      allowanceAmount: this.getElement('allowanceAmount'),
+      sessionScope: this.getElement('sessionScope'),
+      allowanceUsage: this.getElement('allowanceUsage'),
       createSessionBtn: this.getElement('createSessionBtn'),
       partnerAddress: this.getElement('partnerAddress'),
       initialAmount: this.getElement('initialAmount'),
       activityLog: this.getElement('activityLog'),
+      logLevel: this.getElement('logLevel'),
+      logOperation: this.getElement('logOperation'),
+      logExportBtn: this.getElement('logExportBtn'),
+      logClearBtn: this.getElement('logClearBtn'),
       // Channel management
       chainSelect: this.getElement('chainSelect'),
       channelAmount: this.getElement('channelAmount'),
@@ -85,12 +181,40 @@ class YellowPaymentApp {
       checkCustodyBtn: this.getElement('checkCustodyBtn'),
       withdrawToWalletBtn: this.getElement('withdrawToWalletBtn'),
       channelsList: this.getElement('channelsList'),
+      // Co-signing
+      relayPubkey: this.getElement('relayPubkey'),
+      partnerRelayPubkey: this.getElement('partnerRelayPubkey'),
+      cosignConnectBtn: this.getElement('cosignConnectBtn'),
+      cosignStatus: this.getElement('cosignStatus'),
+      cosignRequests: this.getElement('cosignRequests'),
+      // Channel backup
+      backupPassphrase: this.getElement('backupPassphrase'),
+      exportBackupBtn: this.getElement('exportBackupBtn'),
+      importBackupBtn: this.getElement('importBackupBtn'),
+      backupFile: this.getElement('backupFile'),
       // App Sessions
-      sessionRecipient: this.getElement('sessionRecipient'),
-      sessionAmount: this.getElement('sessionAmount'),
+      sessionEditor: this.getElement('sessionEditor'),
+      sessionAssets: this.getElement('sessionAssets'),
+      sessionQuorum: this.getElement('sessionQuorum'),
+      sessionChallenge: this.getElement('sessionChallenge'),
+      addSessionParticipantBtn: this.getElement('addSessionParticipantBtn'),
+      sessionValidation: this.getElement('sessionValidation'),
       createAppSessionBtn: this.getElement('createAppSessionBtn'),
       refreshAppSessionsBtn: this.getElement('refreshAppSessionsBtn'),
       appSessionsList: this.getElement('appSessionsList'),
+      quorumProposals: this.getElement('quorumProposals'),
+      // Transaction history
+      historyAsset: this.getElement('historyAsset'),
+      historyType: this.getElement('historyType'),
+      historyCounterparty: this.getElement('historyCounterparty'),
+      historyFrom: this.getElement('historyFrom'),
+      historyTo: this.getElement('historyTo'),
+      historyApplyBtn: this.getElement('historyApplyBtn'),
+      historyExportBtn: this.getElement('historyExportBtn'),
+      historyPrevBtn: this.getElement('historyPrevBtn'),
+      historyNextBtn: this.getElement('historyNextBtn'),
+      historyPageLabel: this.getElement('historyPageLabel'),
+      historyList: this.getElement('historyList'),
       // Deposit (mainnet only)
       depositChainSelect: this.getElement('depositChainSelect'),
       depositAmount: this.getElement('depositAmount'),
@@ -190,10 +314,30 @@ class YellowPaymentApp {
       await this.fetchChannelsFromChain();
     });
     this.elements.checkCustodyBtn?.addEventListener('click', () => this.checkCustodyBalance());
+    this.elements.cosignConnectBtn?.addEventListener('click', () => this.connectCoSigner());
+    this.elements.exportBackupBtn?.addEventListener('click', () => this.exportChannelBackup());
+    this.elements.importBackupBtn?.addEventListener('click', () => this.elements.backupFile?.click());
+    this.elements.backupFile?.addEventListener('change', async (e) => {
+      const [file] = e.target.files;
+      e.target.value = ''; // allow picking the same file again
+      if (file) await this.importChannelBackup(file);
+    });
     this.elements.withdrawToWalletBtn?.addEventListener('click', () => this.withdrawToWallet());
 
     // App Sessions event listeners
     this.elements.createAppSessionBtn?.addEventListener('click', () => this.createAppSession());
+    this.elements.addSessionParticipantBtn?.addEventListener('click', () => this.addSessionParticipant());
+    this.elements.historyApplyBtn?.addEventListener('click', () => this.loadHistory(0));
+    this.elements.historyPrevBtn?.addEventListener('click', () => this.loadHistory(this.historyPage - 1));
+    this.elements.historyNextBtn?.addEventListener('click', () => this.loadHistory(this.historyPage + 1));
+    this.elements.historyExportBtn?.addEventListener('click', () => this.exportHistory());
+    if (this.elements.historyType) {
+      render(this.elements.historyType, html`<option value="">All types</option>${TX_TYPES.map(type => html`<option value="${type}">${type.replace(/_/g, ' ')}</option>`)}`);
+    }
+    this.elements.sessionAssets?.addEventListener('change', () => this.renderSessionEditor());
+    this.elements.sessionQuorum?.addEventListener('input', () => this.showSessionValidation());
+    this.elements.sessionChallenge?.addEventListener('input', () => this.showSessionValidation());
+    this.bindSessionEditor();
     this.elements.refreshAppSessionsBtn?.addEventListener('click', () => this.getAppSessions());
 
     // Deposit event listener (mainnet only)
@@ -246,48 +390,186 @@ class YellowPaymentApp {
       if (e.target === this.elements.paymentModal) this.hidePaymentPopup();
     });
 
-    // Render any loaded channels
-    this.renderChannelsList();
+    // Activity log
+    if (this.elements.logLevel) {
+      render(this.elements.logLevel, html`<option value="">All levels</option>${LOG_LEVELS.map(level => html`<option value="${level}">${level}</option>`)}`);
+    }
+    this.elements.logLevel?.addEventListener('change', () => this.renderActivityLog());
+    this.elements.logOperation?.addEventListener('change', () => this.renderActivityLog());
+    this.elements.logExportBtn?.addEventListener('click', () => this.exportActivityLog());
+    this.elements.logClearBtn?.addEventListener('click', () => {
+      if (confirm('Clear the activity log? Export it first if you need it for a bug report.')) this.activityLog.clear();
+    });
+    this.activityLog.on('entry', (entry) => this.showLogEntry(entry));
+    this.activityLog.on('cleared', () => this.renderActivityLog());
+    this.renderActivityLog();
+
+    this.bindActions();
+    this.bindViews();
 
     // Initialize WebSocket connection
     this.connectWebSocket();
   }
 
-  log(message, type = 'info') {
-    const timestamp = new Date().toLocaleTimeString();
-    const envEmoji = this.config.emoji;
-    const entry = document.createElement('div');
-    entry.className = 'log-entry';
-    entry.innerHTML = `<span style="color: #888">[${timestamp}]</span> ${envEmoji} ${message}`;
-    this.elements.activityLog?.prepend(entry);
+  // Controls rendered from data (channel, session, co-sign and quorum lists,
+  // the channel modal) name their method in data-action; one listener on the
+  // tab dispatches them
+  bindActions() {
+    const root = this.getElement('content');
+    delegate(root, {
+      withdrawFromOnChainLedger: ({ chainId, token, amount }) => this.withdrawFromOnChainLedger(Number(chainId), token, amount),
+      withdrawFromCustody: ({ chainId, token, amount }) => this.withdrawFromCustody(Number(chainId), token, amount),
+      promptPaySession: ({ sessionId }, button) =>
+        this.promptPaySession(sessionId, button.closest('.session-card')?.querySelector('[name="payee"]')?.value),
+      promptSessionFunds: ({ sessionId, intent }) => this.promptSessionFunds(sessionId, intent),
+      closeAppSession: ({ sessionId }) => this.closeAppSession(sessionId),
+      handleQuorumAction: ({ quorumAction, id }) => this.handleQuorumAction(quorumAction, id),
+      approveCosign: ({ requestId }) => this.approveCosign(requestId),
+      rejectCosign: ({ requestId }) => this.rejectCosign(requestId),
+      recoverChannelFromUI: () => this.recoverChannelFromUI(),
+      showChannelPopup: ({ channelId }) => this.showChannelPopup(channelId),
+      showPaymentPopup: ({ channelId }) => this.showPaymentPopup(channelId),
+      payFromChannelPopup: ({ channelId }) => {
+        this.hideChannelPopup();
+        this.showPaymentPopup(channelId);
+      },
+      checkpointToChain: ({ channelId }) => this.checkpointToChain(channelId),
+      addPartnerKeyToChannel: ({ channelId }) => this.addPartnerKeyToChannel(channelId),
+      addPartnerKeyFromModal: ({ channelId }) => this.addPartnerKeyFromModal(channelId),
+      closeChannel: ({ channelId }) => this.closeChannel(channelId),
+      removeChannelFromList: ({ channelId }) => this.removeChannelFromList(channelId),
+      challengeChannel: ({ channelId }) => this.challengeChannel(channelId),
+      finalizeChallenge: ({ channelId }) => this.finalizeChallenge(channelId)
+    });
+    delegate(root, {
+      renderStateHistory: ({ channelId }, input) => this.renderStateHistory(channelId, input.value)
+    }, 'input');
+  }
+
+  // ============ VIEWS ============
+  // Each subscription re-renders one part of the tab when what its selector
+  // picks from the store changes. Handlers only change state; a new panel
+  // subscribes here instead of being called from every handler.
+
+  bindViews() {
+    const { store } = this;
+    store.subscribe(state => state.connection, connection => this.renderConnection(connection));
+    store.subscribe(state => [state.authenticated, state.pendingWithdrawal, state.pendingChannelFund], () => this.updateControls(), { immediate: true });
+    store.subscribe(state => state.userAddress, () => this.renderSessionEditor());
+    store.subscribe(state => state.balances, () => this.updateBalanceDisplay());
+    store.subscribe(state => state.cosignStatus, status => this.renderCosignStatus(status));
+    // Payment buttons also depend on whether the partner can sign
+    store.subscribe(state => [state.onChainChannels, state.channels, state.cosignStatus], () => this.renderChannelsList(), { immediate: true });
+    store.subscribe(state => [state.appSessions, state.sessionAllocations], () => this.renderAppSessionsList());
+    store.subscribe(state => state.onChainBalances, () => this.renderOnChainBalances());
+  }
+
+  renderConnection({ state, delayMs }) {
+    const text = {
+      connecting: 'Connecting...',
+      open: `Connected to ${this.config.displayName}`,
+      closed: 'Disconnected',
+      backoff: `Reconnecting in ${(delayMs / 1000).toFixed(1)}s...`,
+      offline: 'Offline'
+    }[state];
+    if (this.elements.wsStatusText && text) this.elements.wsStatusText.textContent = text;
+    this.elements.wsStatus?.classList.toggle('connected', state === 'open');
+    this.elements.wsStatus?.classList.toggle('disconnected', state !== 'open');
+  }
+
+  // Everything past the connect button needs an authenticated session. Only
+  // one channel is created at a time, for a deposit or for a withdrawal.
+  updateControls() {
+    const { authenticated, pendingWithdrawal, pendingChannelFund } = this.store.state;
+    const creatingChannel = Boolean(pendingWithdrawal || pendingChannelFund);
+
+    const controls = [
+      'createSessionBtn', 'refreshChannelsBtn', 'cosignConnectBtn', 'exportBackupBtn', 'importBackupBtn',
+      'checkCustodyBtn', 'createAppSessionBtn', 'addSessionParticipantBtn', 'historyApplyBtn', 'historyExportBtn',
+      'refreshAppSessionsBtn', 'depositBtn', 'refreshOnChainBtn', 'depositAndCreateBtn', 'createOnChainChannelBtn',
+      // SDK buttons
+      'sdkGetOpenChannels', 'sdkGetAccountBalance', 'sdkGetChannelBalance', 'sdkGetChannelData', 'sdkGetTokenAllowance',
+      'sdkGetTokenBalance', 'sdkDeposit', 'sdkWithdrawal', 'sdkApproveTokens', 'sdkCloseChannel'
+    ];
+    for (const key of controls) {
+      if (this.elements[key]) this.elements[key].disabled = !authenticated;
+    }
+    for (const key of ['createChannelBtn', 'withdrawToWalletBtn']) {
+      if (this.elements[key]) this.elements[key].disabled = !authenticated || creatingChannel;
+    }
+
+    if (authenticated && this.elements.connectBtn) {
+      this.elements.connectBtn.textContent = 'Connected';
+      this.elements.connectBtn.disabled = true;
+    }
+  }
+
+  // `context`: { operation, txHash, channelId, sessionId }. Methods doing one
+  // operation log through operationLog() instead of passing it every time.
+  log(message, type = 'info', context = {}) {
+    this.activityLog.add(message, type, context);
     console.log(`[${this.environment.toUpperCase()}][${type.toUpperCase()}]`, message);
   }
 
-  // Mainnet safety confirmation
-  async confirmMainnetAction(action, amount) {
+  // log() tagged with an operation and, optionally, the channel or session
+  operationLog(operation, links = {}) {
+    return (message, type = 'info', context = {}) => this.log(message, type, { operation, ...links, ...context });
+  }
+
+  // Mainnet safety confirmation. `units` is in base units of the configured asset.
+  async confirmMainnetAction(action, units, chainId = null) {
     if (this.environment !== 'mainnet') return true;
 
-    const amountNum = parseFloat(amount) || 0;
-    // Show up to 6 decimals but trim trailing zeros
-    const amountStr = amountNum.toFixed(6).replace(/\.?0+$/, '');
-    let message = `⚠️ MAINNET OPERATION ⚠️\n\nYou are about to use REAL MONEY.\nAction: ${action}\nAmount: ${amountStr} USDC\n\nAre you sure you want to continue?`;
+    const amountStr = this.formatAsset(units, chainId);
+    let message = `⚠️ MAINNET OPERATION ⚠️\n\nYou are about to use REAL MONEY.\nAction: ${action}\nAmount: ${amountStr}\n\nAre you sure you want to continue?`;
 
     // Double confirmation for large amounts
-    if (amountNum > 100) {
-      message = `🚨 LARGE MAINNET OPERATION 🚨\n\nYou are about to move ${amountStr} USDC (>$100).\nAction: ${action}\n\nThis is a significant amount. Are you ABSOLUTELY sure?`;
+    if (BigInt(units) > parseAmount('100', this.assetDecimals(chainId))) {
+      message = `🚨 LARGE MAINNET OPERATION 🚨\n\nYou are about to move ${amountStr} (>$100).\nAction: ${action}\n\nThis is a significant amount. Are you ABSOLUTELY sure?`;
     }
 
     return confirm(message);
   }
 
+  // ============ AMOUNTS ============
+  // Amounts of the configured asset are bigints in base units everywhere.
+  // These are the only conversions from what users type and to what they read.
+
+  // Decimals of the configured asset, on a specific chain if given
+  assetDecimals(chainId = null) {
+    const asset = this.client.registry.getAsset(this.config.asset, chainId);
+    return asset?.decimals ?? this.balances.decimalsFor(this.config.asset);
+  }
+
+  // "12.50 USDC"
+  formatAsset(units, chainId = null) {
+    return `${formatAmount(units, this.assetDecimals(chainId))} ${this.balances.symbolFor(this.config.asset)}`;
+  }
+
+  // Positive amount from an input value, or null (after logging why) if the
+  // text isn't a decimal the asset can represent exactly
+  readAmount(value, what = 'amount', chainId = null) {
+    try {
+      const units = parseAmount(value || '0', this.assetDecimals(chainId));
+      if (units > 0n) return units;
+    } catch (error) {
+      if (!(error instanceof AmountError)) throw error;
+      this.log(`Invalid ${what}: ${error.message}`, 'error');
+      return null;
+    }
+    this.log(`Please enter a valid ${what}`, 'error');
+    return null;
+  }
+
   // Fetch channels from on-chain events (replaces localStorage)
   async fetchChannelsFromChain() {
+    const log = this.operationLog('channels');
     if (!this.userAddress) {
       console.log(`[${this.environment}] No user address, skipping channel fetch`);
       return;
     }
 
-    this.log('Fetching channels from chain...');
+    log('Fetching channels from chain...');
 
     // Keep track of existing stored data to preserve off-chain state
     const existingData = new Map(this.onChainChannels);
@@ -313,7 +595,7 @@ class YellowPaymentApp {
 
         // Get open channels using SDK
         const channelIds = await nitroliteService.getOpenChannels(this.userAddress);
-        this.log(`Found ${channelIds.length} channel(s) on ${chainConfig.name}`);
+        log(`Found ${channelIds.length} channel(s) on ${chainConfig.name}`);
         console.log(`SDK getOpenChannels (${chainConfig.name}):`, channelIds);
 
         // For each channel, get details and balance
@@ -346,7 +628,7 @@ class YellowPaymentApp {
                 chainConfig,
                 channel: channelData.channel,
                 status: channelData.status,
-                depositedAmount: Number(balance),
+                depositedAmount: BigInt(balance),
                 tokenAddress: chainConfig.token,
                 partnerAddress: existing?.partnerAddress || partnerAddress,
                 // Store on-chain state version for comparison
@@ -370,142 +652,235 @@ class YellowPaymentApp {
       }
     }
 
-    this.log(`Loaded ${this.onChainChannels.size} active channel(s) from chain`);
+    log(`Loaded ${this.onChainChannels.size} active channel(s) from chain`);
     this.saveChannelsToStorage(); // Save merged state
-    this.renderChannelsList();
   }
 
-  // No-op for backward compatibility (removed localStorage persistence)
   saveChannelsToStorage() {
-    // Save off-chain state to localStorage for persistence across page refreshes
+    // Channels are changed in place and always saved afterwards, so this is
+    // where the channel views hear about it
+    this.store.touch('onChainChannels');
+
+    // Save off-chain state to the vault for persistence across page refreshes
     // This includes the latest signed state, partner keys, and allocations
+    if (!this.userAddress) return;
+    if (!this.vault.isUnlocked) {
+      // Kept in memory and written on the next unlock
+      this.channelsUnsaved = true;
+      if (!this.vaultLockedWarned) {
+        this.log('Vault is locked - channel state will not be saved until it is unlocked', 'warn');
+        this.vaultLockedWarned = true;
+      }
+      return;
+    }
+
     try {
+      // Partner keys are included; the vault encrypts them at rest
       const channelsData = {};
       this.onChainChannels.forEach((data, channelId) => {
-        channelsData[channelId] = {
-          chainId: data.chainId,
-          depositedAmount: data.depositedAmount?.toString(),
-          partnerAddress: data.partnerAddress,
-          partnerPrivateKey: data.partnerPrivateKey, // Note: storing private key in localStorage is not secure for production
-          tokenAddress: data.tokenAddress,
-          status: data.status,
-          recovered: data.recovered,
-          // Save current state with BigInt converted to string
-          currentState: data.currentState ? {
-            version: data.currentState.version?.toString(),
-            allocations: data.currentState.allocations?.map(a => ({
-              destination: a.destination,
-              token: a.token,
-              amount: a.amount?.toString()
-            }))
-          } : null,
-          // Save latest signed state
-          latestSignedState: data.latestSignedState ? {
-            intent: data.latestSignedState.intent,
-            version: data.latestSignedState.version?.toString(),
-            data: data.latestSignedState.data,
-            allocations: data.latestSignedState.allocations?.map(a => ({
-              destination: a.destination,
-              token: a.token,
-              amount: a.amount?.toString()
-            })),
-            sigs: data.latestSignedState.sigs
-          } : null,
-          // Save channel structure for signing
-          channel: data.channel ? {
-            participants: data.channel.participants,
-            adjudicator: data.channel.adjudicator,
-            challenge: data.channel.challenge?.toString(),
-            nonce: data.channel.nonce?.toString()
-          } : null
-        };
+        channelsData[channelId] = serializeChannel(data);
       });
 
       const storageKey = `yellow_channels_${this.environment}_${this.userAddress}`;
-      localStorage.setItem(storageKey, JSON.stringify(channelsData));
+      this.vault.set(storageKey, JSON.stringify(channelsData));
+      this.channelsUnsaved = false;
     } catch (error) {
       console.error('Failed to save channels to storage:', error);
     }
   }
 
+  // Called again on unlock when the vault was locked at connect time
   loadChannelsFromStorage() {
     if (!this.userAddress) return;
+    if (!this.vault.isUnlocked) {
+      this.log('Vault is locked - unlock it to restore saved channel state');
+      return;
+    }
 
     try {
       const storageKey = `yellow_channels_${this.environment}_${this.userAddress}`;
-      const stored = localStorage.getItem(storageKey);
+      const stored = this.vault.get(storageKey);
       if (!stored) return;
 
       const channelsData = JSON.parse(stored);
 
       for (const [channelId, data] of Object.entries(channelsData)) {
         // Restore with BigInt conversions
-        const chainConfig = this.config.chains[data.chainId];
+        const restoredData = deserializeChannel(data, this.config.chains[data.chainId]);
 
-        const restoredData = {
-          chainId: data.chainId,
-          chainConfig,
-          depositedAmount: data.depositedAmount ? BigInt(data.depositedAmount) : 0n,
-          partnerAddress: data.partnerAddress,
-          partnerPrivateKey: data.partnerPrivateKey,
-          tokenAddress: data.tokenAddress,
-          status: data.status,
-          recovered: data.recovered,
-          currentState: data.currentState ? {
-            version: BigInt(data.currentState.version || '0'),
-            allocations: data.currentState.allocations?.map(a => ({
-              destination: a.destination,
-              token: a.token,
-              amount: BigInt(a.amount || '0')
-            }))
-          } : null,
-          latestSignedState: data.latestSignedState ? {
-            intent: data.latestSignedState.intent,
-            version: BigInt(data.latestSignedState.version || '0'),
-            data: data.latestSignedState.data,
-            allocations: data.latestSignedState.allocations?.map(a => ({
-              destination: a.destination,
-              token: a.token,
-              amount: BigInt(a.amount || '0')
-            })),
-            sigs: data.latestSignedState.sigs
-          } : null,
-          channel: data.channel ? {
-            participants: data.channel.participants,
-            adjudicator: data.channel.adjudicator,
-            challenge: BigInt(data.channel.challenge || '0'),
-            nonce: BigInt(data.channel.nonce || '0')
-          } : null
-        };
+        // Channels saved before the history existed start it with their last state
+        if (restoredData.latestSignedState) {
+          this.stateHistory.record(channelId, restoredData.latestSignedState, { note: 'Last saved state' });
+        }
 
-        this.onChainChannels.set(channelId, restoredData);
+        this.restoreChannel(channelId, restoredData);
       }
 
       if (this.onChainChannels.size > 0) {
-        this.log(`Restored ${this.onChainChannels.size} channel(s) from local storage`);
-        this.renderChannelsList();
+        this.log(`Restored ${this.onChainChannels.size} channel(s) from the vault`);
+        this.store.touch('onChainChannels');
       }
     } catch (error) {
       console.error('Failed to load channels from storage:', error);
     }
   }
 
+  // Add a channel read from the vault or a backup. One already fetched from
+  // chain keeps its on-chain fields and only gets the off-chain state filled
+  // in, preferring whichever state is newer.
+  restoreChannel(channelId, restoredData) {
+    const existing = this.onChainChannels.get(channelId);
+    if (!existing) {
+      this.onChainChannels.set(channelId, restoredData);
+      return;
+    }
+
+    existing.partnerAddress ||= restoredData.partnerAddress;
+    existing.partnerPrivateKey ||= restoredData.partnerPrivateKey;
+    existing.channel ||= restoredData.channel;
+    if (restoredData.latestSignedState?.version > (existing.latestSignedState?.version ?? -1n)) {
+      existing.latestSignedState = restoredData.latestSignedState;
+    }
+    if (restoredData.currentState?.version > (existing.currentState?.version ?? -1n)) {
+      existing.currentState = restoredData.currentState;
+    }
+  }
+
+  // ============ CHANNEL BACKUP ============
+
+  // Download every channel with its signed-state history as a JSON file,
+  // encrypted when a backup passphrase is entered (required with partner keys)
+  async exportChannelBackup() {
+    const log = this.operationLog('backup');
+    if (!this.userAddress) {
+      log('Connect a wallet first', 'error');
+      return;
+    }
+    if (this.onChainChannels.size === 0) {
+      log('No channels to back up', 'error');
+      return;
+    }
+
+    const passphrase = this.elements.backupPassphrase?.value || '';
+    try {
+      const backup = createBackup({
+        environment: this.environment,
+        userAddress: this.userAddress,
+        channels: this.onChainChannels,
+        history: this.stateHistory
+      });
+      const text = await encodeBackup(backup, passphrase);
+
+      const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `yellow-channels-${this.environment}-${this.userAddress.slice(0, 8)}-${Date.now()}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      log(`Exported ${backup.channels.length} channel(s) to a backup file${passphrase ? ' (encrypted)' : ''}`);
+    } catch (error) {
+      if (!(error instanceof BackupError)) console.error('Backup export error:', error);
+      log(`Backup export failed: ${error.message}`, 'error');
+    }
+  }
+
+  // Restore channels from a backup file. Each channel id is recomputed from
+  // its channel struct and chain, and every signed state must be signed by
+  // the channel's participants, so edited or corrupted entries are skipped.
+  async importChannelBackup(file) {
+    const log = this.operationLog('backup');
+    if (!this.userAddress) {
+      log('Connect a wallet first', 'error');
+      return;
+    }
+
+    let backup;
+    try {
+      backup = await decodeBackup(await file.text(), this.elements.backupPassphrase?.value || '');
+    } catch (error) {
+      if (!(error instanceof BackupError)) console.error('Backup read error:', error);
+      log(`Backup import failed: ${error.message}`, 'error');
+      return;
+    }
+
+    if (backup.environment && backup.environment !== this.environment) {
+      log(`Backup was made on ${backup.environment}; only channels on ${this.environment} chains can be restored`, 'warn');
+    }
+
+    let restored = 0;
+    for (const entry of backup.channels) {
+      const problem = await this.checkBackupChannel(entry);
+      if (problem) {
+        log(`Skipping channel ${String(entry.channelId).slice(0, 10)}...: ${problem}`, 'error');
+        continue;
+      }
+
+      const history = [];
+      for (const item of entry.history || []) {
+        const historyProblem = await checkStateSignatures(entry.channelId, entry.channel.participants, deserializeState(item));
+        if (historyProblem) {
+          log(`Dropping v${item.version} from the history of ${entry.channelId.slice(0, 10)}...: ${historyProblem}`, 'warn');
+        } else {
+          history.push(item);
+        }
+      }
+
+      const restoredData = deserializeChannel(entry, this.config.chains[entry.chainId]);
+      this.restoreChannel(entry.channelId, restoredData);
+      this.stateHistory.importEntries(entry.channelId, history);
+      if (restoredData.latestSignedState) {
+        this.stateHistory.record(entry.channelId, restoredData.latestSignedState, { note: 'Imported from backup' });
+      }
+      restored++;
+    }
+
+    log(`Restored ${restored} of ${backup.channels.length} channel(s) from backup`);
+    if (restored > 0) {
+      this.saveChannelsToStorage();
+    }
+  }
+
+  // Why a backup entry can't be restored, or null if it can
+  async checkBackupChannel(entry) {
+    if (!entry.channel) return 'no channel structure';
+    if (!this.config.chains[entry.chainId]) return `chain ${entry.chainId} is not configured`;
+
+    let expectedId;
+    try {
+      expectedId = getChannelId(deserializeChannel(entry).channel, entry.chainId);
+    } catch (error) {
+      return `invalid channel structure (${error.message})`;
+    }
+    if (expectedId.toLowerCase() !== String(entry.channelId).toLowerCase()) {
+      return `channel id does not match its channel struct (expected ${expectedId.slice(0, 10)}...)`;
+    }
+
+    const isParticipant = entry.channel.participants?.some(p => p.toLowerCase() === this.userAddress.toLowerCase());
+    if (!isParticipant) return 'connected wallet is not a participant';
+
+    if (!entry.latestSignedState) return null;
+    const problem = await checkStateSignatures(entry.channelId, entry.channel.participants, deserializeState(entry.latestSignedState));
+    return problem && `latest signed state: ${problem}`;
+  }
+
   // Manually recover an existing on-chain channel
   async recoverChannel(channelId, chainId) {
+    const log = this.operationLog('channels', { channelId });
     const chainConfig = this.config.chains[chainId];
     if (!chainConfig) {
-      this.log(`Chain ${chainId} not supported`, 'error');
+      log(`Chain ${chainId} not supported`, 'error');
       return false;
     }
 
     // Check if already tracked
     if (this.onChainChannels.has(channelId)) {
-      this.log('Channel already tracked');
+      log('Channel already tracked');
       return true;
     }
 
     try {
-      this.log(`Querying channel on ${chainConfig.name}...`);
+      log(`Querying channel on ${chainConfig.name}...`);
 
       // Create public client to query on-chain state
       const publicClient = createPublicClient({
@@ -532,11 +907,11 @@ class YellowPaymentApp {
         args: [channelId, [chainConfig.token]]
       });
 
-      const balance = balances && balances[0] ? Number(balances[0]) : 0;
-      this.log(`Channel balance: ${(balance / 1_000_000).toFixed(6)} USDC`);
+      const balance = balances && balances[0] ? BigInt(balances[0]) : 0n;
+      log(`Channel balance: ${this.formatAsset(balance, chainId)}`);
 
-      if (balance === 0) {
-        this.log('Channel has no balance - may be closed or not exist', 'warn');
+      if (balance === 0n) {
+        log('Channel has no balance - may be closed or not exist', 'warn');
       }
 
       // Add to tracked channels
@@ -550,109 +925,201 @@ class YellowPaymentApp {
       });
 
       this.saveChannelsToStorage();
-      this.renderChannelsList();
-      this.log(`Recovered channel ${channelId.slice(0, 10)}... on ${chainConfig.name}`);
+      log(`Recovered channel ${channelId.slice(0, 10)}... on ${chainConfig.name}`);
       return true;
 
     } catch (error) {
       console.error('Failed to recover channel:', error);
-      this.log(`Failed to recover channel: ${error.message}`, 'error');
+      log(`Failed to recover channel: ${error.message}`, 'error');
       return false;
     }
   }
 
-  connectWebSocket() {
-    this.log('Connecting to Yellow Network...');
+  // Channel state was waiting for the vault, or just became unreadable
+  bindVaultEvents() {
+    const log = this.operationLog('vault');
+    this.vault.on('unlocked', () => {
+      this.vaultLockedWarned = false;
+      this.client.persistSession(); // minted while the vault was locked
+      if (!this.userAddress) return;
+      this.loadChannelsFromStorage();
+      if (this.channelsUnsaved) this.saveChannelsToStorage();
+      this.showRelayKey();
+    });
+
+    this.vault.on('locked', ({ reason }) => {
+      if (this.userAddress) log(`Vault locked: ${reason}`);
+    });
+  }
 
-    this.ws = new WebSocket(this.config.wsUrl);
+  // Wire ClearnodeClient events to the UI. Called once from the constructor;
+  // the client keeps these listeners across reconnects.
+  bindClientEvents() {
+    const log = this.operationLog('connection');
+    this.client.on('state', (state, { delayMs }) => this.store.set({ connection: { state, delayMs } }));
 
-    this.ws.onopen = async () => {
-      this.elements.wsStatus?.classList.add('connected');
-      this.elements.wsStatus?.classList.remove('disconnected');
-      if (this.elements.wsStatusText) {
-        this.elements.wsStatusText.textContent = `Connected to ${this.config.displayName}`;
-      }
-      this.log('Connected to Yellow Network!');
+    this.client.on('connecting', () => {
+      log('Connecting to Yellow Network...');
+    });
+
+    this.client.on('open', async () => {
+      log('Connected to Yellow Network!');
 
       // Auto re-authenticate if wallet was previously connected
       if (this.userAddress && !this.isAuthenticated) {
-        this.log('Re-authenticating...');
+        log('Re-authenticating...');
         if (this.elements.connectBtn) this.elements.connectBtn.textContent = 'Authenticating...';
         try {
           await this.authenticate();
-          this.log('Re-authenticated successfully!');
-          this.enableButtons();
+          log('Re-authenticated successfully!');
           await this.getBalances();
           await this.getChannels();
           await this.getAppSessions();
+          await this.loadHistory(0);
         } catch (error) {
-          this.log(`Re-authentication failed: ${error.message}`, 'error');
+          log(`Re-authentication failed: ${error.message}`, 'error');
           if (this.elements.connectBtn) {
             this.elements.connectBtn.textContent = 'Reconnect';
             this.elements.connectBtn.disabled = false;
           }
         }
       }
-    };
+    });
 
-    this.ws.onclose = () => {
-      this.elements.wsStatus?.classList.remove('connected');
-      this.elements.wsStatus?.classList.add('disconnected');
-      if (this.elements.wsStatusText) {
-        this.elements.wsStatusText.textContent = 'Disconnected';
-      }
-      this.isAuthenticated = false;
-      this.log('Disconnected from Yellow Network');
+    this.client.on('close', () => {
+      this.store.set({ connection: { state: 'closed' }, authenticated: false });
+      log('Disconnected from Yellow Network');
 
       if (this.userAddress && this.elements.connectBtn) {
         this.elements.connectBtn.textContent = 'Reconnecting...';
         this.elements.connectBtn.disabled = true;
       }
+    });
 
-      // Attempt to reconnect after 3 seconds
-      setTimeout(() => this.connectWebSocket(), 3000);
-    };
+    this.client.on('backoff', ({ attempt, maxAttempts, delayMs }) => {
+      const seconds = (delayMs / 1000).toFixed(1);
+      log(`Reconnecting in ${seconds}s (attempt ${attempt}/${maxAttempts})`);
+    });
 
-    this.ws.onerror = (error) => {
-      this.log(`Connection error: ${error.message || 'Unknown error'}`, 'error');
-    };
+    this.client.on('offline', ({ reason }) => {
+      log(`Connection offline: ${reason}`, 'error');
+
+      if (this.elements.connectBtn) {
+        this.elements.connectBtn.textContent = 'Reconnect';
+        this.elements.connectBtn.disabled = false;
+      }
+    });
+
+    this.client.on('error', (error) => {
+      log(`Connection error: ${error.message || 'Unknown error'}`, 'error');
+    });
+
+    this.client.on('message', (parsed) => {
+      console.log(`[${this.environment}] Parsed JSON:`, parsed);
+    });
+
+    this.client.on('auth_challenge', () => {
+      log('Received auth challenge, verifying...');
+    });
+
+    this.client.on('authenticated', () => {
+      this.store.set({ authenticated: true });
+      log('Authentication successful!');
+      this.setupQuorum();
+    });
+
+    this.client.on('config', (config) => {
+      log(`Broker address: ${config.broker_address} - verifying response signatures (${this.config.signatureMode})`);
+    });
+
+    this.client.on('signature_error', ({ reason, method }) => {
+      const message = `🚨 Rejected clearnode frame${method ? ` [${method}]` : ''}: ${reason}`;
+      log(message, 'error');
+      if (this.elements.securityAlert) {
+        this.elements.securityAlert.textContent = message;
+        this.elements.securityAlert.classList.add('visible');
+      }
+    });
+
+    this.client.on('allowance_usage', () => this.renderAllowanceUsage());
+
+    this.client.on('registry', (registry) => this.applyRegistry(registry));
+
+    this.client.on('jwt_rejected', ({ error }) => {
+      log(`Saved JWT rejected (${error.message}), asking wallet to sign...`, 'warn');
+    });
+
+    this.client.on('session_renewing', () => {
+      log('Session key about to expire - renewing (wallet signature required)...', 'warn');
+    });
+
+    this.client.on('session_renewed', ({ expiresAt }) => {
+      log(`Session key renewed, valid until ${new Date(expiresAt * 1000).toLocaleString()}`);
+    });
 
-    this.ws.onmessage = (event) => {
-      this.handleMessage(event.data);
+    this.client.on('rpc_error', (data) => this.handleRpcError(data));
+
+    this.client.on('request', (method, params) => {
+      log(`Server request [${method}]: ${JSON.stringify(params).slice(0, 100)}`);
+    });
+
+    // Awaited requests are handled by their callers; these cover server
+    // pushes and the channel flows that still answer asynchronously
+    const responseHandlers = {
+      create_channel: (data) => this.handleCreateChannelResponse(data),
+      close_channel: (data) => this.handleCloseChannelResponse(data),
+      resize_channel: (data) => this.handleResizeChannelResponse(data),
+      bu: (data) => this.handleBalanceUpdate(data),
+      channels: (data) => this.handleChannelsBroadcast(data)
     };
+    for (const [method, handler] of Object.entries(responseHandlers)) {
+      this.client.on(method, handler);
+    }
   }
 
-  enableButtons() {
-    if (this.elements.connectBtn) {
-      this.elements.connectBtn.textContent = 'Connected';
-      this.elements.connectBtn.disabled = true;
+  connectWebSocket() {
+    this.client.connect();
+  }
+
+  // ============ NETWORK REGISTRY ============
+
+  applyRegistry(registry) {
+    for (const warning of registry.crossCheck(this.config.chains, this.config.asset)) {
+      if (this.registryWarnings.has(warning)) continue;
+      this.registryWarnings.add(warning);
+      this.log(`⚠️ ${warning}`, 'warn');
+    }
+
+    // Asset decimals/symbols may have just arrived
+    this.store.set({ balances: this.balances.list() });
+
+    const options = registry.chainOptions(this.config.chains);
+    for (const key of ['chainSelect', 'depositChainSelect', 'depositCreateChainSelect', 'onChainChannelChainSelect']) {
+      this.fillChainSelect(this.elements[key], options);
     }
-    if (this.elements.createSessionBtn) this.elements.createSessionBtn.disabled = false;
-    if (this.elements.createChannelBtn) this.elements.createChannelBtn.disabled = false;
-    if (this.elements.refreshChannelsBtn) this.elements.refreshChannelsBtn.disabled = false;
-    if (this.elements.checkCustodyBtn) this.elements.checkCustodyBtn.disabled = false;
-    if (this.elements.withdrawToWalletBtn) this.elements.withdrawToWalletBtn.disabled = false;
-    if (this.elements.createAppSessionBtn) this.elements.createAppSessionBtn.disabled = false;
-    if (this.elements.refreshAppSessionsBtn) this.elements.refreshAppSessionsBtn.disabled = false;
-    if (this.elements.depositBtn) this.elements.depositBtn.disabled = false;
-    if (this.elements.refreshOnChainBtn) this.elements.refreshOnChainBtn.disabled = false;
-    if (this.elements.depositAndCreateBtn) this.elements.depositAndCreateBtn.disabled = false;
-    if (this.elements.createOnChainChannelBtn) this.elements.createOnChainChannelBtn.disabled = false;
-    // SDK buttons
-    if (this.elements.sdkGetOpenChannels) this.elements.sdkGetOpenChannels.disabled = false;
-    if (this.elements.sdkGetAccountBalance) this.elements.sdkGetAccountBalance.disabled = false;
-    if (this.elements.sdkGetChannelBalance) this.elements.sdkGetChannelBalance.disabled = false;
-    if (this.elements.sdkGetChannelData) this.elements.sdkGetChannelData.disabled = false;
-    if (this.elements.sdkGetTokenAllowance) this.elements.sdkGetTokenAllowance.disabled = false;
-    if (this.elements.sdkGetTokenBalance) this.elements.sdkGetTokenBalance.disabled = false;
-    if (this.elements.sdkDeposit) this.elements.sdkDeposit.disabled = false;
-    if (this.elements.sdkWithdrawal) this.elements.sdkWithdrawal.disabled = false;
-    if (this.elements.sdkApproveTokens) this.elements.sdkApproveTokens.disabled = false;
-    if (this.elements.sdkCloseChannel) this.elements.sdkCloseChannel.disabled = false;
   }
 
+  fillChainSelect(select, options) {
+    if (!select) return;
+    const previous = select.value;
+
+    select.replaceChildren(...options.map(({ chainId, label, disabled }) => {
+      const option = document.createElement('option');
+      option.value = String(chainId);
+      option.textContent = label;
+      option.disabled = disabled;
+      return option;
+    }));
+
+    const keep = options.find(o => String(o.chainId) === previous && !o.disabled);
+    const fallback = options.find(o => !o.disabled);
+    select.value = String((keep || fallback)?.chainId ?? '');
+  }
+
+
   // SDK Functions handler
   async sdkCall(method) {
+    const log = this.operationLog('sdk');
     const resultEl = this.elements.sdkResult;
     if (resultEl) resultEl.textContent = 'Calling...';
 
@@ -686,7 +1153,7 @@ class YellowPaymentApp {
           const token = this.elements.sdkGetAccountBalanceToken?.value.trim();
           if (!token) throw new Error('Token address required');
           result = await nitroliteService.getAccountBalance(this.userAddress, token);
-          result = { balance: result.toString(), formatted: `${Number(result) / 1_000_000} USDC` };
+          result = { balance: result.toString(), formatted: this.formatAsset(result) };
           break;
         }
 
@@ -696,7 +1163,7 @@ class YellowPaymentApp {
           if (!channelId) throw new Error('Channel ID required');
           if (!token) throw new Error('Token address required');
           result = await nitroliteService.getChannelBalance(channelId, token);
-          result = { balance: result.toString(), formatted: `${Number(result) / 1_000_000} USDC` };
+          result = { balance: result.toString(), formatted: this.formatAsset(result) };
           break;
         }
 
@@ -715,7 +1182,7 @@ class YellowPaymentApp {
           const token = this.elements.sdkGetTokenAllowanceToken?.value.trim();
           if (!token) throw new Error('Token address required');
           result = await nitroliteService.getTokenAllowance(token);
-          result = { allowance: result.toString(), formatted: `${Number(result) / 1_000_000} USDC` };
+          result = { allowance: result.toString(), formatted: this.formatAsset(result) };
           break;
         }
 
@@ -723,7 +1190,7 @@ class YellowPaymentApp {
           const token = this.elements.sdkGetTokenBalanceToken?.value.trim();
           if (!token) throw new Error('Token address required');
           result = await nitroliteService.getTokenBalance(token);
-          result = { balance: result.toString(), formatted: `${Number(result) / 1_000_000} USDC` };
+          result = { balance: result.toString(), formatted: this.formatAsset(result) };
           break;
         }
 
@@ -775,7 +1242,7 @@ class YellowPaymentApp {
         resultEl.textContent = JSON.stringify(result, null, 2);
         resultEl.style.color = '#4caf50';
       }
-      this.log(`SDK ${method}: Success`);
+      log(`SDK ${method}: Success`);
 
     } catch (error) {
       console.error(`SDK ${method} error:`, error);
@@ -783,270 +1250,126 @@ class YellowPaymentApp {
         resultEl.textContent = `Error: ${error.message}`;
         resultEl.style.color = '#f44336';
       }
-      this.log(`SDK ${method}: ${error.message}`, 'error');
+      log(`SDK ${method}: ${error.message}`, 'error');
     }
   }
 
-  handleMessage(data) {
-    console.log(`[${this.environment}] Raw WebSocket message:`, data);
-
-    let parsed;
-    try {
-      parsed = typeof data === 'string' ? JSON.parse(data) : data;
-    } catch (e) {
-      this.log(`Non-JSON message: ${data.toString().slice(0, 100)}`);
-      return;
-    }
-
-    console.log(`[${this.environment}] Parsed JSON:`, parsed);
-
-    if (parsed.res) {
-      const [requestId, method, responseData, timestamp] = parsed.res;
-      console.log(`[${this.environment}] Response - Method: ${method}, RequestId: ${requestId}`);
-
-      if (method === 'error') {
-        const errorMsg = responseData?.error || JSON.stringify(responseData);
-        this.log(`Error: ${errorMsg}`, 'error');
-
-        // Handle "channel already exists" error
-        if (errorMsg.includes('an open channel with broker already exists:') && this.pendingWithdrawal) {
-          const match = errorMsg.match(/already exists: (0x[a-fA-F0-9]+)/);
-          if (match) {
-            const existingChannelId = match[1];
-            this.log(`Using existing channel: ${existingChannelId.slice(0, 10)}...`);
-            const { amount } = this.pendingWithdrawal;
-            this.pendingWithdrawal = null;
-            this.requestWithdrawalResize(existingChannelId, amount);
-          }
-        }
-        return;
-      }
-
-      switch (method) {
-        case 'auth_challenge':
-          this.handleAuthChallenge(responseData, requestId);
-          break;
-
-        case 'auth_verify':
-          this.log('Authentication successful!');
-          this.isAuthenticated = true;
-          if (this.authTimeoutId) {
-            clearTimeout(this.authTimeoutId);
-            this.authTimeoutId = null;
-          }
-          if (this.pendingAuthResolve) {
-            this.pendingAuthResolve();
-            this.pendingAuthResolve = null;
-          }
-          break;
-
-        case 'get_config':
-          this.log(`Config received: ${JSON.stringify(responseData).slice(0, 200)}`);
-          break;
-
-        case 'get_ledger_balances':
-          this.handleBalanceResponse(responseData);
-          break;
-
-        case 'create_app_session':
-          this.handleCreateAppSessionResponse(responseData);
-          break;
-
-        case 'get_app_sessions':
-          this.handleGetAppSessionsResponse(responseData);
-          break;
-
-        case 'submit_app_state':
-          this.handleSubmitAppStateResponse(responseData);
-          break;
-
-        case 'close_app_session':
-          this.handleCloseAppSessionResponse(responseData);
-          break;
-
-        case 'transfer':
-          this.handleTransferResponse(responseData);
-          break;
-
-        case 'create_channel':
-          this.handleCreateChannelResponse(responseData);
-          break;
-
-        case 'get_channels':
-          this.handleGetChannelsResponse(responseData);
-          break;
-
-        case 'close_channel':
-          this.handleCloseChannelResponse(responseData);
-          break;
-
-        case 'resize_channel':
-          this.handleResizeChannelResponse(responseData);
-          break;
-
-        case 'bu':
-          this.handleBalanceUpdate(responseData);
-          break;
-
-        case 'channels':
-          this.handleChannelsBroadcast(responseData);
-          break;
+  handleRpcError(responseData) {
+    const errorMsg = responseData?.error || JSON.stringify(responseData);
+    this.log(`Error: ${errorMsg}`, 'error');
 
-        default:
-          this.log(`Response [${method}]: ${JSON.stringify(responseData).slice(0, 100)}`);
+    // Handle "channel already exists" error
+    if (errorMsg.includes('an open channel with broker already exists:') && this.pendingWithdrawal) {
+      const match = errorMsg.match(/already exists: (0x[a-fA-F0-9]+)/);
+      if (match) {
+        const existingChannelId = match[1];
+        this.log(`Using existing channel: ${existingChannelId.slice(0, 10)}...`);
+        const { amount } = this.pendingWithdrawal;
+        this.pendingWithdrawal = null;
+        this.requestWithdrawalResize(existingChannelId, amount);
       }
-    } else if (parsed.req) {
-      const [requestId, method, params, timestamp] = parsed.req;
-      this.log(`Server request [${method}]: ${JSON.stringify(params).slice(0, 100)}`);
-    } else {
-      this.log(`Message: ${JSON.stringify(parsed).slice(0, 100)}`);
     }
   }
 
-  async handleAuthChallenge(responseData, requestId) {
-    try {
-      this.log('Received auth challenge, verifying...');
-      console.log('Auth challenge data:', responseData);
-
-      let challengeMessage;
-      if (responseData?.challenge_message) {
-        challengeMessage = responseData.challenge_message;
-      } else if (Array.isArray(responseData) && responseData[0]?.challenge_message) {
-        challengeMessage = responseData[0].challenge_message;
-      } else {
-        challengeMessage = JSON.stringify(responseData);
-      }
-
-      console.log('Challenge message:', challengeMessage);
-
-      const typedData = {
-        types: {
-          EIP712Domain: [
-            { name: 'name', type: 'string' }
-          ],
-          ...EIP712AuthTypes
-        },
-        primaryType: 'Policy',
-        domain: {
-          name: this.authParams.application
-        },
-        message: {
-          challenge: challengeMessage,
-          scope: this.authParams.scope || '',
-          wallet: this.authParams.address,
-          session_key: this.authParams.session_key,
-          expires_at: this.authParams.expires_at,
-          allowances: this.authParams.allowances || []
-        }
-      };
-
-      console.log('EIP-712 typed data:', JSON.stringify(typedData, null, 2));
-
-      let signature;
-
-      if (this.walletConnectionType === 'privatekey' && this.privateKeyAccount) {
-        // Sign with private key using viem's signTypedData
-        signature = await this.privateKeyAccount.signTypedData({
-          domain: typedData.domain,
-          types: typedData.types,
-          primaryType: typedData.primaryType,
-          message: typedData.message
-        });
-        this.log('Signed with private key (local)');
-      } else if (this.walletConnectionType === 'walletconnect' && this.walletConnectProvider) {
-        // Sign via WalletConnect
-        signature = await this.walletConnectProvider.request({
-          method: 'eth_signTypedData_v4',
-          params: [this.userAddress, JSON.stringify(typedData)]
-        });
-        this.log('Signed via WalletConnect');
-      } else {
-        // Sign via MetaMask / browser wallet
-        signature = await window.ethereum.request({
-          method: 'eth_signTypedData_v4',
-          params: [this.userAddress, JSON.stringify(typedData)]
-        });
-        this.log('Signed via browser wallet');
-      }
-
-      console.log('EIP-712 signature:', signature);
-
-      const verifyRequestId = generateRequestId();
-      const timestamp = getCurrentTimestamp();
-      const verifyMessage = {
-        req: [verifyRequestId, 'auth_verify', { challenge: challengeMessage }, timestamp],
-        sig: [signature]
-      };
+  // Signs the auth Policy with whichever wallet the user connected
+  async signAuthTypedData(typedData) {
+    const log = this.operationLog('wallet');
+    console.log('EIP-712 typed data:', JSON.stringify(typedData, null, 2));
 
-      console.log('Sending auth_verify:', JSON.stringify(verifyMessage));
-      this.ws.send(JSON.stringify(verifyMessage));
+    let signature;
 
-    } catch (error) {
-      this.log(`Auth verification failed: ${error.message}`, 'error');
-      console.error('Auth error:', error);
+    if (this.walletConnectionType === 'privatekey' && this.privateKeyAccount) {
+      // Sign with private key using viem's signTypedData
+      signature = await this.privateKeyAccount.signTypedData({
+        domain: typedData.domain,
+        types: typedData.types,
+        primaryType: typedData.primaryType,
+        message: typedData.message
+      });
+      log('Signed with private key (local)');
+    } else if (this.walletConnectionType === 'walletconnect' && this.walletConnectProvider) {
+      // Sign via WalletConnect
+      signature = await this.walletConnectProvider.request({
+        method: 'eth_signTypedData_v4',
+        params: [this.userAddress, JSON.stringify(typedData)]
+      });
+      log('Signed via WalletConnect');
+    } else {
+      // Sign via MetaMask / browser wallet
+      signature = await window.ethereum.request({
+        method: 'eth_signTypedData_v4',
+        params: [this.userAddress, JSON.stringify(typedData)]
+      });
+      log('Signed via browser wallet');
     }
+
+    console.log('EIP-712 signature:', signature);
+    return signature;
   }
 
   handleBalanceResponse(data) {
+    const log = this.operationLog('balance');
     console.log('Balance response:', data);
     if (data && typeof data === 'object') {
-      const balances = data.ledger_balances || [];
+      const balances = Array.isArray(data) ? data : data.ledger_balances || [];
+      this.balances.replace(balances);
       if (balances.length > 0) {
-        let totalBalance = 0;
-        balances.forEach(b => {
-          const amount = parseInt(b.amount || '0', 10);
-          totalBalance += amount;
-          this.log(`Balance: ${(amount / 1_000_000).toFixed(2)} ${b.asset}`);
-        });
-        this.ledgerBalance = totalBalance;
-        this.balance = totalBalance;
-        this.updateBalanceDisplay();
+        balances.forEach(b => log(`Balance: ${this.balances.format(b.asset)}`));
       } else {
-        this.log('No balance found. Deposit funds to get started.');
-        this.ledgerBalance = 0;
+        log('No balance found. Deposit funds to get started.');
       }
+      this.store.set({ balances: this.balances.list() });
     }
   }
 
   handleBalanceUpdate(data) {
+    const log = this.operationLog('balance');
     console.log('Balance update notification:', data);
     if (data && typeof data === 'object') {
       const updates = data.balance_updates || [];
       if (updates.length > 0) {
-        let totalBalance = 0;
-        updates.forEach(b => {
-          const amount = parseInt(b.amount || '0', 10);
-          totalBalance += amount;
-          this.log(`Balance updated: ${(amount / 1_000_000).toFixed(2)} ${b.asset}`);
-        });
-        this.ledgerBalance = totalBalance;
-        this.balance = totalBalance;
-        this.updateBalanceDisplay();
+        this.balances.update(updates);
+        updates.forEach(b => log(`Balance updated: ${this.balances.format(b.asset)}`));
+        this.store.set({ balances: this.balances.list() });
+        // Whatever changed the balance is a new ledger transaction
+        this.refreshHistory();
       }
     }
   }
 
   handleTransferResponse(data) {
+    const log = this.operationLog('transfer');
     console.log('Transfer response:', data);
     if (data?.transactions && data.transactions.length > 0) {
       const tx = data.transactions[0];
-      const amount = (parseInt(tx.amount) / 1_000_000).toFixed(2);
-      this.log(`Transfer successful! ${amount} ${tx.asset} to ${tx.to_account.slice(0, 6)}...${tx.to_account.slice(-4)} (TX #${tx.id})`);
+      const amount = this.balances.format(tx.asset, this.balances.parseLedgerAmount(tx.asset, tx.amount));
+      log(`Transfer successful! ${amount} to ${tx.to_account.slice(0, 6)}...${tx.to_account.slice(-4)} (TX #${tx.id})`);
       this.getBalances();
+      this.refreshHistory();
     } else if (data?.success || data?.tx_id) {
-      this.log(`Transfer successful! TX: ${data.tx_id || 'completed'}`);
+      log(`Transfer successful! TX: ${data.tx_id || 'completed'}`);
       this.getBalances();
     } else {
-      this.log(`Transfer response: ${JSON.stringify(data)}`);
+      log(`Transfer response: ${JSON.stringify(data)}`);
     }
   }
 
   async connectWallet() {
+    const log = this.operationLog('wallet');
+    // Wallet is already known - the socket just needs to come back; the
+    // 'open' handler re-authenticates
+    if (this.userAddress && this.client.state === 'offline') {
+      this.client.connect();
+      return;
+    }
+
     const walletType = this.elements.walletType?.value || 'metamask';
     this.walletConnectionType = walletType;
+    // Whatever was watched belongs to the wallet connected before, if any
+    this.stopWatchtower();
 
     try {
-      this.log(`Connecting via ${walletType}...`);
+      log(`Connecting via ${walletType}...`);
 
       if (walletType === 'privatekey') {
         await this.connectWithPrivateKey();
@@ -1067,23 +1390,25 @@ class YellowPaymentApp {
         this.elements.connectBtn.textContent = 'Authenticating...';
       }
 
-      this.log(`Wallet connected: ${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)}`);
+      log(`Wallet connected: ${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)}`);
 
-      // Load saved channel state from localStorage (includes off-chain state)
+      // Load saved channel state from the vault (includes off-chain state)
       this.loadChannelsFromStorage();
+      this.showRelayKey();
 
       await this.authenticate();
 
-      this.enableButtons();
-
       await this.getBalances();
       await this.getChannels();
       await this.getAppSessions();
+      await this.loadHistory(0);
       await this.refreshOnChainBalances();
       await this.fetchChannelsFromChain();
 
+      this.startWatchtower();
+
     } catch (error) {
-      this.log(`Failed to connect wallet: ${error.message}`, 'error');
+      log(`Failed to connect wallet: ${error.message}`, 'error');
       if (this.elements.connectBtn) {
         this.elements.connectBtn.textContent = 'Connect Wallet';
       }
@@ -1091,6 +1416,7 @@ class YellowPaymentApp {
   }
 
   async connectWithMetaMask() {
+    const log = this.operationLog('wallet');
     if (!window.ethereum) {
       throw new Error('Please install MetaMask!');
     }
@@ -1118,17 +1444,19 @@ class YellowPaymentApp {
     }
 
     window.ethereum.on('accountsChanged', (accounts) => {
+      this.stopWatchtower();
       if (accounts.length === 0) {
-        this.log('Wallet disconnected');
+        log('Wallet disconnected');
         location.reload();
       } else {
-        this.log('Account changed - please reconnect');
+        log('Account changed - please reconnect');
         location.reload();
       }
     });
   }
 
   async connectWithPrivateKey() {
+    const log = this.operationLog('wallet');
     const pkInput = this.elements.pkInput?.value.trim();
     if (!pkInput) {
       throw new Error('Please enter a private key');
@@ -1159,13 +1487,14 @@ class YellowPaymentApp {
         });
       }
 
-      this.log('Connected with private key (local signing)');
+      log('Connected with private key (local signing)');
     } catch (e) {
       throw new Error('Invalid private key format');
     }
   }
 
   async connectWithWalletConnect() {
+    const log = this.operationLog('wallet');
     // WalletConnect requires a project ID from WalletConnect Cloud
     // For now, show instructions
     const projectId = prompt(
@@ -1180,7 +1509,7 @@ class YellowPaymentApp {
 
     // Dynamic import of WalletConnect
     try {
-      this.log('Initializing WalletConnect...');
+      log('Initializing WalletConnect...');
 
       // Note: This requires @walletconnect/ethereum-provider to be installed
       // npm install @walletconnect/ethereum-provider
@@ -1226,11 +1555,12 @@ class YellowPaymentApp {
       }
 
       provider.on('disconnect', () => {
-        this.log('WalletConnect disconnected');
+        this.stopWatchtower();
+        log('WalletConnect disconnected');
         location.reload();
       });
 
-      this.log('Connected via WalletConnect');
+      log('Connected via WalletConnect');
     } catch (e) {
       if (e.message?.includes('Cannot find module')) {
         throw new Error(
@@ -1251,10 +1581,11 @@ class YellowPaymentApp {
 
   // Helper: Check and switch chain if needed
   async ensureChain(chainId, chainConfig) {
+    const log = this.operationLog('wallet');
     if (this.walletConnectionType === 'privatekey') {
       // Private key connections can't switch chains via UI
       // The wallet client is already configured for the correct chain
-      this.log(`Using ${chainConfig.name} (private key mode)`);
+      log(`Using ${chainConfig.name} (private key mode)`);
       return true;
     }
 
@@ -1266,7 +1597,7 @@ class YellowPaymentApp {
     try {
       const currentChainId = await provider.request({ method: 'eth_chainId' });
       if (parseInt(currentChainId, 16) !== chainId) {
-        this.log(`Switching to ${chainConfig.name}...`);
+        log(`Switching to ${chainConfig.name}...`);
         await provider.request({
           method: 'wallet_switchEthereumChain',
           params: [{ chainId: `0x${chainId.toString(16)}` }]
@@ -1274,7 +1605,7 @@ class YellowPaymentApp {
       }
       return true;
     } catch (error) {
-      this.log(`Failed to switch chain: ${error.message}`, 'error');
+      log(`Failed to switch chain: ${error.message}`, 'error');
       return false;
     }
   }
@@ -1302,100 +1633,94 @@ class YellowPaymentApp {
     }
   }
 
-  async authenticate() {
-    return new Promise(async (resolve, reject) => {
-      try {
-        this.log('Authenticating with Clearnode...');
-        this.pendingAuthResolve = resolve;
-
-        this.sessionKeyPrivate = generatePrivateKey();
-        const sessionAccount = privateKeyToAccount(this.sessionKeyPrivate);
-        this.sessionKeyAddress = sessionAccount.address;
-
-        this.messageSigner = createECDSAMessageSigner(this.sessionKeyPrivate);
-
-        this.log(`Session key generated: ${this.sessionKeyAddress.slice(0, 6)}...${this.sessionKeyAddress.slice(-4)}`);
-
-        // Environment-specific session expiry
-        const expiryHours = this.config.sessionExpiryHours;
-        const expiresAt = Math.floor(Date.now() / 1000) + (expiryHours * 60 * 60);
+  // Session key policy from the connect form. Blank allowance = unrestricted key.
+  readSessionPolicy() {
+    const allowance = this.elements.allowanceAmount?.value.trim();
+    const scope = this.elements.sessionScope?.value.trim() || '';
+    let allowances = [];
+    if (allowance) {
+      // Validated here so a bad value fails before the wallet is asked to sign
+      const units = parseAmount(allowance, this.assetDecimals());
+      if (units > 0n) allowances = [{ asset: this.config.asset, amount: formatAmount(units, this.assetDecimals(), { minFraction: 0 }) }];
+    }
+    return { scope, allowances };
+  }
 
-        this.log(`Session expiry: ${expiryHours} hour(s)`);
+  renderAllowanceUsage() {
+    if (!this.elements.allowanceUsage) return;
+    const rows = this.client.spending.summary();
+    this.elements.allowanceUsage.textContent = rows.length === 0
+      ? 'Session key: unlimited spending'
+      : rows.map(r => `Allowance: ${r.used} / ${r.limit} ${r.asset} used (${r.remaining} left)`).join(' · ');
+  }
 
-        const checksummedAddress = getAddress(this.userAddress);
-        const checksummedSessionKey = getAddress(this.sessionKeyAddress);
-        this.authParams = {
-          address: checksummedAddress,
-          session_key: checksummedSessionKey,
-          application: 'clearnode',
-          allowances: [],
-          expires_at: expiresAt,
-          scope: ''
-        };
+  async authenticate() {
+    const log = this.operationLog('auth');
+    log('Authenticating with Clearnode...');
 
-        const authMessage = await createAuthRequestMessage({
-          ...this.authParams,
-          expires_at: BigInt(expiresAt)
-        });
-        console.log('Auth request message:', authMessage);
+    const policy = this.readSessionPolicy();
+    this.client.setSessionPolicy(policy);
+    if (policy.allowances.length > 0) {
+      log(`Session allowance: ${policy.allowances.map(a => `${a.amount} ${a.asset}`).join(', ')}`);
+    }
 
-        this.ws.send(authMessage);
+    await this.client.authenticate(this.userAddress, (typedData) => this.signAuthTypedData(typedData));
 
-        this.authTimeoutId = setTimeout(() => {
-          if (!this.isAuthenticated) {
-            this.pendingAuthResolve = null;
-            reject(new Error('Authentication timeout'));
-          }
-        }, 60000);
-      } catch (error) {
-        reject(error);
-      }
-    });
+    const { session_key, expires_at } = this.client.authParams;
+    const expiry = new Date(expires_at * 1000).toLocaleString();
+    const source = this.client.sessionKeyReused ? 'Reusing stored session key' : 'Session key';
+    log(`${source}: ${session_key.slice(0, 6)}...${session_key.slice(-4)} (valid until ${expiry})`);
+    if (!this.vault.isUnlocked) {
+      log('Vault is locked - this session key is kept in memory only; unlock the vault to keep it', 'warn');
+    }
+    if (this.client.lastAuthMethod === 'jwt') {
+      log('Re-authenticated with saved JWT - no wallet signature needed');
+    }
+    this.renderAllowanceUsage();
   }
 
   async getBalances() {
+    const log = this.operationLog('balance');
     try {
       const balanceMessage = await createGetLedgerBalancesMessage(
         this.messageSigner,
         this.userAddress
       );
       console.log('Balance request:', balanceMessage);
-      this.ws.send(balanceMessage);
+      const response = await this.client.request(balanceMessage);
+      this.handleBalanceResponse(response);
     } catch (error) {
-      this.log(`Failed to get balances: ${error.message}`, 'error');
+      log(`Failed to get balances: ${error.message}`, 'error');
     }
   }
 
   // ============ DEPOSIT USDC (Mainnet) ============
 
   async depositUSDC() {
+    const log = this.operationLog('deposit');
     if (!this.isAuthenticated) {
-      this.log('Please authenticate first', 'error');
+      log('Please authenticate first', 'error');
       return;
     }
 
     const chainId = parseInt(this.elements.depositChainSelect?.value || '1');
-    const amount = parseFloat(this.elements.depositAmount?.value || '0');
-
-    if (isNaN(amount) || amount <= 0) {
-      this.log('Please enter a valid deposit amount', 'error');
-      return;
-    }
+    const amountInUnits = this.readAmount(this.elements.depositAmount?.value, 'deposit amount', chainId);
+    if (amountInUnits === null) return;
 
     // Mainnet confirmation
-    if (!await this.confirmMainnetAction('Deposit USDC', amount)) {
-      this.log('Deposit cancelled by user');
+    if (!await this.confirmMainnetAction('Deposit USDC', amountInUnits, chainId)) {
+      log('Deposit cancelled by user');
       return;
     }
 
     const chainConfig = this.config.chains[chainId];
     if (!chainConfig) {
-      this.log('Invalid chain selected', 'error');
+      log('Invalid chain selected', 'error');
       return;
     }
 
     try {
-      this.log(`Starting deposit: ${amount} USDC on ${chainConfig.name}`);
+      log(`Starting deposit: ${this.formatAsset(amountInUnits, chainId)} on ${chainConfig.name}`);
 
       // Switch network if needed (uses appropriate provider for wallet type)
       await this.ensureChain(chainId, chainConfig);
@@ -1407,8 +1732,6 @@ class YellowPaymentApp {
         transport: http(chainConfig.rpcUrl)
       });
 
-      const amountInUnits = parseUnits(amount.toString(), 6); // USDC has 6 decimals
-
       // Check wallet USDC balance
       const walletBalance = await publicClient.readContract({
         address: chainConfig.token,
@@ -1417,10 +1740,10 @@ class YellowPaymentApp {
         args: [this.userAddress]
       });
 
-      this.log(`Wallet USDC balance: ${formatUnits(walletBalance, 6)}`);
+      log(`Wallet balance: ${this.formatAsset(walletBalance, chainId)}`);
 
       if (walletBalance < amountInUnits) {
-        this.log(`Insufficient USDC in wallet. Have: ${formatUnits(walletBalance, 6)}, Need: ${amount}`, 'error');
+        log(`Insufficient USDC in wallet. Have: ${this.formatAsset(walletBalance, chainId)}, Need: ${this.formatAsset(amountInUnits, chainId)}`, 'error');
         return;
       }
 
@@ -1432,11 +1755,11 @@ class YellowPaymentApp {
         args: [this.userAddress, chainConfig.custody]
       });
 
-      this.log(`Current allowance: ${formatUnits(allowance, 6)}`);
+      log(`Current allowance: ${this.formatAsset(allowance, chainId)}`);
 
       // Approve if needed
       if (allowance < amountInUnits) {
-        this.log('Requesting USDC approval...');
+        log('Requesting USDC approval...');
 
         const approveTxHash = await walletClient.writeContract({
           address: chainConfig.token,
@@ -1445,13 +1768,13 @@ class YellowPaymentApp {
           args: [chainConfig.custody, amountInUnits]
         });
 
-        this.log(`Approval tx: ${approveTxHash.slice(0, 10)}...`);
+        log(`Approval tx: ${approveTxHash.slice(0, 10)}...`, 'info', { txHash: approveTxHash });
         await publicClient.waitForTransactionReceipt({ hash: approveTxHash });
-        this.log('Approval confirmed!');
+        log('Approval confirmed!');
       }
 
       // Deposit to custody
-      this.log('Depositing to custody contract...');
+      log('Depositing to custody contract...');
 
       const nitroliteService = new NitroliteService(
         publicClient,
@@ -1461,17 +1784,17 @@ class YellowPaymentApp {
       );
 
       const depositTxHash = await nitroliteService.deposit(chainConfig.token, amountInUnits);
-      this.log(`Deposit tx: ${depositTxHash.slice(0, 10)}...`);
+      log(`Deposit tx: ${depositTxHash.slice(0, 10)}...`, 'info', { txHash: depositTxHash });
 
       await publicClient.waitForTransactionReceipt({ hash: depositTxHash });
-      this.log('Deposit confirmed! Funds will appear in your Yellow balance shortly.');
+      log('Deposit confirmed! Funds will appear in your Yellow balance shortly.');
 
       // Refresh balance after a short delay
       setTimeout(() => this.getBalances(), 3000);
 
     } catch (error) {
       const errorMsg = error.cause?.message || error.shortMessage || error.message;
-      this.log(`Deposit failed: ${errorMsg}`, 'error');
+      log(`Deposit failed: ${errorMsg}`, 'error');
       console.error('Deposit error:', error);
     }
   }
@@ -1479,12 +1802,13 @@ class YellowPaymentApp {
   // ============ ON-CHAIN BALANCE ============
 
   async refreshOnChainBalances() {
+    const log = this.operationLog('custody');
     if (!this.userAddress) {
-      this.log('Please connect wallet first', 'error');
+      log('Please connect wallet first', 'error');
       return;
     }
 
-    this.log('Fetching on-chain custody balances...');
+    log('Fetching on-chain custody balances...');
     this.onChainBalances.clear();
 
     const chainIds = Object.keys(this.config.chains).map(id => parseInt(id));
@@ -1510,14 +1834,14 @@ class YellowPaymentApp {
         this.onChainBalances.set(chainId, balance);
 
         if (balance > 0n) {
-          this.log(`${chainConfig.name}: ${(Number(balance) / 1_000_000).toFixed(6)} USDC`);
+          log(`${chainConfig.name}: ${this.formatAsset(balance, chainId)}`);
         }
       } catch (error) {
         console.error(`Failed to fetch balance for chain ${chainId}:`, error);
       }
     }
 
-    this.renderOnChainBalances();
+    this.store.touch('onChainBalances');
   }
 
   renderOnChainBalances() {
@@ -1525,7 +1849,7 @@ class YellowPaymentApp {
     if (!container) return;
 
     let hasBalance = false;
-    let html = '';
+    const rows = [];
 
     // Use different display for mainnet (simplified) vs testnet (with inline actions)
     const isMainnet = this.environment === 'mainnet';
@@ -1534,85 +1858,84 @@ class YellowPaymentApp {
       const chainConfig = this.config.chains[chainId];
       if (!chainConfig) continue;
 
-      const balanceFormatted = (Number(balance) / 1_000_000).toFixed(6);
+      const balanceFormatted = formatAmount(balance, this.assetDecimals(chainId));
 
       if (balance > 0n) {
         hasBalance = true;
         if (isMainnet) {
           // Simplified mainnet display - just show balances
-          html += `
-            <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem 0; border-bottom: 1px solid rgba(255,255,255,0.1);">
+          rows.push(html`
+            <div class="custody-row">
               <div>
-                <span style="color: #fff;">${chainConfig.name}</span>
-                <span style="color: #888; font-size: 0.8rem; margin-left: 0.5rem;">USDC</span>
+                <span class="custody-chain">${chainConfig.name}</span>
+                <span class="custody-asset">USDC</span>
               </div>
-              <span style="color: #4caf50; font-weight: bold;">${balanceFormatted}</span>
+              <span class="custody-amount">${balanceFormatted}</span>
             </div>
-          `;
+          `);
         } else {
           // Testnet display with withdraw button
-          html += `
-            <div style="background: rgba(76,175,80,0.15); padding: 0.75rem; border-radius: 8px; margin-bottom: 0.5rem; border: 1px solid rgba(76,175,80,0.4);">
-              <div style="display: flex; justify-content: space-between; align-items: center;">
+          rows.push(html`
+            <div class="custody-balance">
+              <div class="row-between">
                 <div>
-                  <strong style="color: #4caf50;">${balanceFormatted} USDC</strong>
-                  <span style="color: #888; font-size: 0.85rem;"> on ${chainConfig.name}</span>
+                  <strong class="text-success">${balanceFormatted} USDC</strong>
+                  <span class="muted text-lg"> on ${chainConfig.name}</span>
                 </div>
-                <button onclick="window.${this.prefix.replace('-', '')}app.withdrawFromOnChainLedger(${chainId}, '${chainConfig.token}', '${balance}')"
-                  style="background: #4caf50; color: white; padding: 0.4rem 0.8rem; border: none; border-radius: 4px; cursor: pointer; font-size: 0.8rem;">
+                <button data-action="withdrawFromOnChainLedger" data-chain-id="${chainId}" data-token="${chainConfig.token}" data-amount="${balance}"
+                  class="btn-compact btn-success text-md">
                   Withdraw
                 </button>
               </div>
             </div>
-          `;
+          `);
         }
       } else {
         if (isMainnet) {
-          html += `
-            <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem 0; border-bottom: 1px solid rgba(255,255,255,0.1);">
+          rows.push(html`
+            <div class="custody-row empty">
               <div>
-                <span style="color: #888;">${chainConfig.name}</span>
-                <span style="color: #666; font-size: 0.8rem; margin-left: 0.5rem;">USDC</span>
+                <span class="custody-chain">${chainConfig.name}</span>
+                <span class="custody-asset">USDC</span>
               </div>
-              <span style="color: #666;">0.00</span>
+              <span class="custody-amount">0.00</span>
             </div>
-          `;
+          `);
         } else {
-          html += `
-            <div style="padding: 0.25rem 0; color: #666; font-size: 0.85rem;">
+          rows.push(html`
+            <div class="custody-none">
               ${chainConfig.name}: 0.00 USDC
             </div>
-          `;
+          `);
         }
       }
     }
 
     if (this.onChainBalances.size === 0) {
-      html = '<p style="color: #888; font-size: 0.9rem;">Click Refresh to load balances.</p>';
-    } else if (!hasBalance) {
-      if (isMainnet) {
-        // Show the list even if all balances are 0
-        html = html || '<p style="color: #888; font-size: 0.9rem;">No custody balance.</p>';
-      } else {
-        html = '<p style="color: #888; font-size: 0.9rem;">No on-chain custody balance found.</p>' + html;
-      }
+      render(container, html`<p class="empty-note text-xl">Click Refresh to load balances.</p>`);
+    } else if (!hasBalance && !isMainnet) {
+      render(container, html`<p class="empty-note text-xl">No on-chain custody balance found.</p>${rows}`);
+    } else if (rows.length === 0) {
+      // Mainnet shows the list even if all balances are 0
+      render(container, html`<p class="empty-note text-xl">No custody balance.</p>`);
+    } else {
+      render(container, html`${rows}`);
     }
-
-    container.innerHTML = html;
   }
 
   async withdrawFromOnChainLedger(chainId, tokenAddress, amount) {
+    const log = this.operationLog('withdraw');
     const chainConfig = this.config.chains[chainId];
-    const amountFormatted = (Number(amount) / 1_000_000).toFixed(6);
+    const units = BigInt(amount);
 
     // Mainnet confirmation
-    if (!await this.confirmMainnetAction('Withdraw from On-Chain Custody', parseFloat(amountFormatted))) {
-      this.log('Withdrawal cancelled by user');
+    if (!await this.confirmMainnetAction('Withdraw from On-Chain Custody', units, chainId)) {
+      log('Withdrawal cancelled by user');
       return;
     }
 
     try {
-      this.log(`Withdrawing ${amountFormatted} USDC from ${chainConfig.name} custody...`);
+      log(`Withdrawing ${this.formatAsset(units, chainId)} from ${chainConfig.name} custody...`);
 
       // Switch chain if needed (uses appropriate provider for wallet type)
       await this.ensureChain(chainId, chainConfig);
@@ -1631,14 +1954,14 @@ class YellowPaymentApp {
         this.userAddress
       );
 
-      const txHash = await nitroliteService.withdraw(tokenAddress, BigInt(amount));
-      this.log(`Withdraw tx: ${txHash.slice(0, 10)}...`);
+      const txHash = await nitroliteService.withdraw(tokenAddress, units);
+      log(`Withdraw tx: ${txHash.slice(0, 10)}...`, 'info', { txHash });
 
       const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
       if (receipt.status === 'success') {
-        this.log('Withdrawal complete! USDC sent to your wallet.');
+        log('Withdrawal complete! USDC sent to your wallet.');
       } else {
-        this.log('Withdrawal failed', 'error');
+        log('Withdrawal failed', 'error');
       }
 
       // Refresh on-chain balances
@@ -1646,7 +1969,7 @@ class YellowPaymentApp {
 
     } catch (error) {
       const errorMsg = error.cause?.message || error.shortMessage || error.message;
-      this.log(`Withdraw failed: ${errorMsg}`, 'error');
+      log(`Withdraw failed: ${errorMsg}`, 'error');
       console.error('Withdraw error:', error);
     }
   }
@@ -1654,28 +1977,25 @@ class YellowPaymentApp {
   // ============ DIRECT DEPOSIT TO CUSTODY ============
 
   async depositAndCreateChannel() {
+    const log = this.operationLog('deposit');
     const chainId = parseInt(this.elements.depositCreateChainSelect?.value || '0');
-    const amount = parseFloat(this.elements.depositCreateAmount?.value || '0');
-
-    if (isNaN(amount) || amount <= 0) {
-      this.log('Please enter a valid amount', 'error');
-      return;
-    }
+    const amountInUnits = this.readAmount(this.elements.depositCreateAmount?.value, 'amount', chainId);
+    if (amountInUnits === null) return;
 
     const chainConfig = this.config.chains[chainId];
     if (!chainConfig?.chain || !chainConfig?.custody) {
-      this.log('Invalid chain selected or chain not supported', 'error');
+      log('Invalid chain selected or chain not supported', 'error');
       return;
     }
 
     // Mainnet confirmation
-    if (!await this.confirmMainnetAction('Deposit to Custody', amount)) {
-      this.log('Operation cancelled by user');
+    if (!await this.confirmMainnetAction('Deposit to Custody', amountInUnits, chainId)) {
+      log('Operation cancelled by user');
       return;
     }
 
     try {
-      this.log(`Depositing ${amount} USDC to custody on ${chainConfig.name}...`);
+      log(`Depositing ${this.formatAsset(amountInUnits, chainId)} to custody on ${chainConfig.name}...`);
 
       // Switch chain if needed (uses appropriate provider for wallet type)
       await this.ensureChain(chainId, chainConfig);
@@ -1687,8 +2007,6 @@ class YellowPaymentApp {
         transport: http(chainConfig.rpcUrl)
       });
 
-      const amountInUnits = parseUnits(amount.toString(), 6); // USDC has 6 decimals
-
       // Check wallet USDC balance
       const walletBalance = await publicClient.readContract({
         address: chainConfig.token,
@@ -1698,7 +2016,7 @@ class YellowPaymentApp {
       });
 
       if (walletBalance < amountInUnits) {
-        this.log(`Insufficient USDC in wallet. Have: ${formatUnits(walletBalance, 6)}, Need: ${amount}`, 'error');
+        log(`Insufficient USDC in wallet. Have: ${this.formatAsset(walletBalance, chainId)}, Need: ${this.formatAsset(amountInUnits, chainId)}`, 'error');
         return;
       }
 
@@ -1711,7 +2029,7 @@ class YellowPaymentApp {
       });
 
       if (allowance < amountInUnits) {
-        this.log('Requesting USDC approval...');
+        log('Requesting USDC approval...');
 
         const approveTxHash = await walletClient.writeContract({
           address: chainConfig.token,
@@ -1720,9 +2038,9 @@ class YellowPaymentApp {
           args: [chainConfig.custody, amountInUnits]
         });
 
-        this.log(`Approval tx: ${approveTxHash.slice(0, 10)}...`);
+        log(`Approval tx: ${approveTxHash.slice(0, 10)}...`, 'info', { txHash: approveTxHash });
         await publicClient.waitForTransactionReceipt({ hash: approveTxHash });
-        this.log('Approval confirmed!');
+        log('Approval confirmed!');
       }
 
       const nitroliteService = new NitroliteService(
@@ -1732,20 +2050,20 @@ class YellowPaymentApp {
         this.userAddress
       );
 
-      this.log('Depositing to custody contract...');
+      log('Depositing to custody contract...');
       const depositTxHash = await nitroliteService.deposit(chainConfig.token, amountInUnits);
-      this.log(`Deposit tx: ${depositTxHash.slice(0, 10)}...`);
+      log(`Deposit tx: ${depositTxHash.slice(0, 10)}...`, 'info', { txHash: depositTxHash });
 
       await publicClient.waitForTransactionReceipt({ hash: depositTxHash });
-      this.log('Deposit confirmed! Funds are now in on-chain custody.');
-      this.log('Note: Use "Refresh On-Chain Balance" to see your balance, and "Withdraw" to retrieve funds.');
+      log('Deposit confirmed! Funds are now in on-chain custody.');
+      log('Note: Use "Refresh On-Chain Balance" to see your balance, and "Withdraw" to retrieve funds.');
 
       // Refresh balances
       await this.refreshOnChainBalances();
 
     } catch (error) {
       const errorMsg = error.cause?.message || error.shortMessage || error.message;
-      this.log(`Deposit failed: ${errorMsg}`, 'error');
+      log(`Deposit failed: ${errorMsg}`, 'error');
       console.error('Deposit error:', error);
     }
   }
@@ -1753,68 +2071,73 @@ class YellowPaymentApp {
   // ============ ON-CHAIN CHANNEL CREATION ============
 
   async createOnChainChannel() {
+    const log = this.operationLog('channel_create');
     const chainId = parseInt(this.elements.onChainChannelChainSelect?.value || '0');
-    const partnerPrivateKey = this.elements.onChainChannelPartnerKey?.value.trim();
-    const amount = parseFloat(this.elements.onChainChannelAmount?.value || '0');
+    const partnerInput = this.elements.onChainChannelPartnerKey?.value.trim();
 
-    if (!partnerPrivateKey) {
-      this.log('Please enter a valid partner private key', 'error');
+    if (!partnerInput) {
+      log('Please enter the partner address (co-signing) or private key', 'error');
       return;
     }
 
-    // Add 0x prefix if not present
-    const normalizedKey = partnerPrivateKey.replace(/^0x/, '');
-    const fullKey = `0x${normalizedKey}`;
-
-    // Derive partner address from private key
-    let partnerAccount;
-    try {
-      partnerAccount = privateKeyToAccount(fullKey);
-    } catch (e) {
-      this.log('Invalid private key format', 'error');
-      return;
+    // An address means the partner co-signs from their own app; a private
+    // key means we sign for them locally (test setups)
+    let partnerAccount = null;
+    let fullKey = null;
+    let partnerAddress;
+    if (/^0x[0-9a-fA-F]{40}$/.test(partnerInput)) {
+      if (!this.coSigner?.isConnected) {
+        log('Connect to your partner for co-signing first', 'error');
+        return;
+      }
+      partnerAddress = partnerInput;
+    } else {
+      // Add 0x prefix if not present
+      fullKey = `0x${partnerInput.replace(/^0x/, '')}`;
+      try {
+        partnerAccount = privateKeyToAccount(fullKey);
+      } catch (e) {
+        log('Invalid private key format', 'error');
+        return;
+      }
+      partnerAddress = partnerAccount.address;
     }
 
-    const partnerAddress = partnerAccount.address;
-
     if (partnerAddress.toLowerCase() === this.userAddress.toLowerCase()) {
-      this.log('Partner address cannot be the same as your address', 'error');
+      log('Partner address cannot be the same as your address', 'error');
       return;
     }
 
-    if (isNaN(amount) || amount <= 0) {
-      this.log('Please enter a valid amount', 'error');
-      return;
-    }
+    const amountInUnits = this.readAmount(this.elements.onChainChannelAmount?.value, 'amount', chainId);
+    if (amountInUnits === null) return;
 
     const chainConfig = this.config.chains[chainId];
     if (!chainConfig?.chain || !chainConfig?.custody || !chainConfig?.adjudicator) {
-      this.log('Invalid chain selected or chain not fully configured', 'error');
+      log('Invalid chain selected or chain not fully configured', 'error');
       return;
     }
 
     // Refresh on-chain balance before checking (fixes race condition)
-    this.log('Checking on-chain custody balance...');
+    log('Checking on-chain custody balance...');
     await this.refreshOnChainBalances();
 
     // Check on-chain custody balance
     const onChainBalance = this.onChainBalances.get(chainId) || 0n;
-    const amountInUnits = parseUnits(amount.toString(), 6);
 
     if (onChainBalance < amountInUnits) {
-      this.log(`Insufficient on-chain custody balance. Have: ${(Number(onChainBalance) / 1_000_000).toFixed(2)} USDC, Need: ${amount}`, 'error');
-      this.log('Deposit funds to custody first using the "Deposit to Custody" button above.', 'error');
+      log(`Insufficient on-chain custody balance. Have: ${this.formatAsset(onChainBalance, chainId)}, Need: ${this.formatAsset(amountInUnits, chainId)}`, 'error');
+      log('Deposit funds to custody first using the "Deposit to Custody" button above.', 'error');
       return;
     }
 
     // Mainnet confirmation
-    if (!await this.confirmMainnetAction('Create On-Chain Channel', amount)) {
-      this.log('Operation cancelled by user');
+    if (!await this.confirmMainnetAction('Create On-Chain Channel', amountInUnits, chainId)) {
+      log('Operation cancelled by user');
       return;
     }
 
     try {
-      this.log(`Creating on-chain channel with partner ${partnerAddress.slice(0, 6)}...${partnerAddress.slice(-4)} on ${chainConfig.name}`);
+      log(`Creating on-chain channel with partner ${partnerAddress.slice(0, 6)}...${partnerAddress.slice(-4)} on ${chainConfig.name}`);
 
       // Switch chain if needed (uses appropriate provider for wallet type)
       await this.ensureChain(chainId, chainConfig);
@@ -1852,13 +2175,13 @@ class YellowPaymentApp {
 
       // Calculate channel ID
       const channelIdHash = getChannelId(channel, chainId);
-      this.log(`Channel ID: ${channelIdHash.slice(0, 10)}...`);
+      log(`Channel ID: ${channelIdHash.slice(0, 10)}...`, 'info', { channelId: channelIdHash });
 
       // Get packed state for signing
       const packedState = getPackedState(channelIdHash, initialState);
 
       // Step 1: Get user signature
-      this.log('Step 1/3: Requesting your signature...');
+      log('Step 1/3: Requesting your signature...');
 
       // Create wallet client (uses appropriate signer for wallet type)
       const walletClient = this.createWalletClientForChain(chainConfig);
@@ -1869,32 +2192,36 @@ class YellowPaymentApp {
         userSignature = await this.privateKeyAccount.signMessage({
           message: { raw: packedState }
         });
-        this.log('Your signature obtained (private key)!');
+        log('Your signature obtained (private key)!');
       } else {
         // Sign via wallet (MetaMask or WalletConnect)
         userSignature = await walletClient.signMessage({
           account: checksummedUser,
           message: { raw: packedState }
         });
-        this.log('Your signature obtained!');
+        log('Your signature obtained!');
       }
 
-      // Step 2: Sign with partner's private key programmatically
-      this.log('Step 2/3: Signing with partner private key...');
+      // Step 2: Partner signature, from their app or their key
+      log(`Step 2/3: ${partnerAccount ? 'Signing with partner private key' : 'Waiting for partner to co-sign'}...`);
 
-      const partnerSignature = await partnerAccount.signMessage({
-        message: { raw: packedState }
-      });
+      const partnerSignature = await this.partnerSignatureFor(
+        channelIdHash,
+        { channel, chainId, partnerAddress: checksummedPartner, partnerPrivateKey: fullKey },
+        { ...initialState, sigs: [userSignature] },
+        `Open channel funded with ${this.formatAsset(amountInUnits, chainId)}`
+      );
 
-      this.log('Partner signature obtained!');
+      log('Partner signature obtained!');
 
       // Step 3: Submit the channel creation
-      this.log('Step 3/3: Submitting channel creation transaction...');
+      log('Step 3/3: Submitting channel creation transaction...');
 
       const signedState = {
         ...initialState,
         sigs: [userSignature, partnerSignature]
       };
+      this.stateHistory.record(channelIdHash, signedState, { initiator: 'user', note: partnerAccount ? 'Channel opened with partner key' : 'Channel opened, co-signed by partner' });
 
       const publicClient = createPublicClient({
         chain: chainConfig.chain,
@@ -1910,12 +2237,12 @@ class YellowPaymentApp {
 
       // Debug: Verify custody balance directly from contract
       const actualCustodyBalance = await nitroliteService.getAccountBalance(checksummedUser, chainConfig.token);
-      this.log(`Debug: Verified custody balance: ${(Number(actualCustodyBalance) / 1_000_000).toFixed(6)} USDC`);
-      this.log(`Debug: Attempting to lock: ${(Number(amountInUnits) / 1_000_000).toFixed(6)} USDC`);
-      this.log(`Debug: Balance check PASSED`);
+      log(`Debug: Verified custody balance: ${this.formatAsset(actualCustodyBalance, chainId)}`);
+      log(`Debug: Attempting to lock: ${this.formatAsset(amountInUnits, chainId)}`);
+      log(`Debug: Balance check PASSED`);
 
       if (actualCustodyBalance < amountInUnits) {
-        this.log(`Insufficient custody balance. Have: ${(Number(actualCustodyBalance) / 1_000_000).toFixed(6)}, Need: ${amount}`, 'error');
+        log(`Insufficient custody balance. Have: ${this.formatAsset(actualCustodyBalance, chainId)}, Need: ${this.formatAsset(amountInUnits, chainId)}`, 'error');
         return;
       }
 
@@ -2010,13 +2337,13 @@ class YellowPaymentApp {
       console.log('=== END DEBUG ===');
 
       const txHash = await nitroliteService.createChannel(channel, signedState);
-      this.log(`Transaction submitted: ${txHash.slice(0, 10)}...`);
+      log(`Transaction submitted: ${txHash.slice(0, 10)}...`, 'info', { txHash });
 
-      this.log('Waiting for confirmation...');
+      log('Waiting for confirmation...');
       const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
 
       if (receipt.status === 'success') {
-        this.log('Channel created on-chain successfully!');
+        log('Channel created on-chain successfully!');
 
         // Store channel info including state for payments
         this.onChainChannels.set(channelIdHash, {
@@ -2025,10 +2352,10 @@ class YellowPaymentApp {
           chainId,
           chainConfig,
           tokenAddress: chainConfig.token,
-          depositedAmount: Number(amountInUnits),
+          depositedAmount: amountInUnits,
           partnerAddress: checksummedPartner,
-          // Store for payments - WARNING: storing private key in memory/localStorage
-          partnerPrivateKey: partnerKey,
+          // Only set for locally signed channels - persisted only through the encrypted vault
+          partnerPrivateKey: fullKey,
           // Current state tracking
           currentState: {
             version: 0n,
@@ -2036,17 +2363,17 @@ class YellowPaymentApp {
               { destination: checksummedUser, token: chainConfig.token, amount: amountInUnits },
               { destination: checksummedPartner, token: chainConfig.token, amount: 0n }
             ]
-          }
+          },
+          latestSignedState: signedState
         });
 
         // Clear input
         if (this.elements.onChainChannelPartnerKey) this.elements.onChainChannelPartnerKey.value = '';
 
         this.saveChannelsToStorage();
-        this.renderChannelsList();
         await this.refreshOnChainBalances();
       } else {
-        this.log('Transaction failed', 'error');
+        log('Transaction failed', 'error');
       }
 
     } catch (error) {
@@ -2073,7 +2400,7 @@ class YellowPaymentApp {
             try {
               const available = BigInt('0x' + errorData.slice(10, 74));
               const required = BigInt('0x' + errorData.slice(74, 138));
-              errorMsg += ` - Available: ${(Number(available) / 1_000_000).toFixed(6)}, Required: ${(Number(required) / 1_000_000).toFixed(6)}`;
+              errorMsg += ` - Available: ${this.formatAsset(available, chainId)}, Required: ${this.formatAsset(required, chainId)}`;
             } catch (e) {}
           }
         } else {
@@ -2087,85 +2414,155 @@ class YellowPaymentApp {
         errorMsg = error.message;
       }
 
-      this.log(`Operation failed: ${errorMsg}`, 'error');
+      log(`Operation failed: ${errorMsg}`, 'error');
     }
   }
 
   // ============ APP SESSIONS ============
 
-  async createAppSession() {
-    const recipientAddress = this.elements.sessionRecipient?.value.trim();
-    const amount = parseFloat(this.elements.sessionAmount?.value || '0');
+  // ---- Session editor ----
+  // Rows are kept in this.sessionRows as typed ({ address, weight, amounts:
+  // { asset: text } }) and only parsed when validating, so a half-typed
+  // amount is never lost on re-render. Row 0 is always us.
 
-    if (!recipientAddress || !recipientAddress.startsWith('0x')) {
-      this.log('Please enter a valid recipient address', 'error');
-      return;
-    }
+  bindSessionEditor() {
+    const container = this.elements.sessionEditor;
+    if (!container) return;
 
-    if (recipientAddress.toLowerCase() === this.userAddress.toLowerCase()) {
-      this.log('Cannot create session with yourself', 'error');
-      return;
-    }
+    this.sessionRows = [
+      { address: '', weight: '100', amounts: { [this.config.asset]: '1' } },
+      { address: '', weight: '0', amounts: {} }
+    ];
+
+    container.addEventListener('input', (event) => {
+      const { row, field, asset } = event.target.dataset;
+      const entry = this.sessionRows[Number(row)];
+      if (!entry || !field) return;
+      if (field === 'amount') entry.amounts[asset] = event.target.value;
+      else entry[field] = event.target.value;
+      this.showSessionValidation();
+    });
+    container.addEventListener('click', (event) => {
+      const row = event.target.closest('[data-remove-row]')?.dataset.removeRow;
+      if (row === undefined) return;
+      this.sessionRows.splice(Number(row), 1);
+      this.renderSessionEditor();
+    });
 
-    if (isNaN(amount) || amount <= 0) {
-      this.log('Please enter a valid amount', 'error');
-      return;
-    }
+    this.renderSessionEditor();
+  }
 
-    const amountInMicrounits = Math.floor(amount * 1_000_000);
-    if (amountInMicrounits > this.ledgerBalance) {
-      // Check if user has on-chain balance they could use instead
-      let totalOnChain = 0n;
-      for (const balance of this.onChainBalances.values()) {
-        totalOnChain += balance;
-      }
+  sessionAssets() {
+    const assets = (this.elements.sessionAssets?.value || '')
+      .split(',')
+      .map(asset => asset.trim().toLowerCase())
+      .filter(Boolean);
+    return assets.length > 0 ? [...new Set(assets)] : [this.config.asset];
+  }
 
-      if (totalOnChain > 0n) {
-        this.log(`⚠️ Off-chain balance is ${(this.ledgerBalance / 1_000_000).toFixed(2)} USDC, but you have ${(Number(totalOnChain) / 1_000_000).toFixed(2)} USDC on-chain.`, 'error');
-        this.log('The off-chain payment session requires off-chain balance.', 'error');
-        this.log('Options: 1) Use "Create On-Chain Channel" in On-Chain Balance section, or 2) Withdraw on-chain funds to wallet and re-deposit via proper method.', 'error');
-      } else {
-        this.log(`Insufficient balance. Available: ${(this.ledgerBalance / 1_000_000).toFixed(2)} USDC`, 'error');
-      }
+  addSessionParticipant() {
+    this.sessionRows.push({ address: '', weight: '0', amounts: {} });
+    this.renderSessionEditor();
+  }
+
+  renderSessionEditor() {
+    const container = this.elements.sessionEditor;
+    if (!container || !this.sessionRows) return;
+
+    if (this.userAddress) this.sessionRows[0].address = getAddress(this.userAddress);
+    const assets = this.sessionAssets();
+
+    render(container, html`
+      <div class="session-editor-grid">
+        <span class="muted">Participant</span>
+        <span class="muted">Weight</span>
+        ${assets.map(asset => html`<span class="muted">${this.balances.symbolFor(asset)}</span>`)}
+        <span></span>
+        ${this.sessionRows.map((row, i) => html`
+          <input type="text" data-row="${i}" data-field="address" value="${row.address}" placeholder="0x..."
+            ${i === 0 && 'readonly'} class="mono">
+          <input type="number" data-row="${i}" data-field="weight" value="${row.weight}" min="0" step="1">
+          ${assets.map(asset => html`
+            <input type="number" data-row="${i}" data-field="amount" data-asset="${asset}" value="${row.amounts[asset] || ''}"
+              placeholder="0" min="0" step="any">
+          `)}
+          ${i === 0 ? html`<span></span>` : html`
+            <button data-remove-row="${i}" title="Remove participant" class="session-editor-remove">✕</button>
+          `}
+        `)}
+      </div>
+    `);
+    // One column per asset; set through the CSSOM, which a strict CSP allows
+    container.firstElementChild.style.gridTemplateColumns = `3fr 1fr ${assets.map(() => '1fr').join(' ')} auto`;
+    this.showSessionValidation();
+  }
+
+  // Editor contents -> { draft, problems }; amounts that don't parse are
+  // reported alongside what validateSessionDraft finds
+  readSessionDraft() {
+    const assets = this.sessionAssets();
+    const problems = [];
+    const participants = this.sessionRows.map((row, i) => ({
+      address: row.address.trim(),
+      weight: Number(row.weight === '' ? NaN : row.weight),
+      allocations: assets.flatMap((asset) => {
+        const text = (row.amounts[asset] || '').trim();
+        if (!text) return [];
+        try {
+          return [{ asset, amount: parseAmount(text, this.balances.decimalsFor(asset)) }];
+        } catch (error) {
+          if (!(error instanceof AmountError)) throw error;
+          problems.push(`participant ${i + 1}: ${this.balances.symbolFor(asset)} amount ${error.message}`);
+          return [];
+        }
+      })
+    }));
+
+    const draft = {
+      application: 'payment',
+      participants,
+      quorum: Number(this.elements.sessionQuorum?.value || NaN),
+      challenge: Number(this.elements.sessionChallenge?.value || 0)
+    };
+    return { draft, problems: [...problems, ...validateSessionDraft(draft, this.sessionDraftOptions())] };
+  }
+
+  sessionDraftOptions() {
+    return {
+      creator: this.userAddress,
+      available: (asset) => this.balances.get(asset),
+      formatAmount: (asset, amount) => this.balances.format(asset, amount)
+    };
+  }
+
+  showSessionValidation() {
+    const element = this.elements.sessionValidation;
+    if (!element || !this.userAddress) return;
+    const { problems } = this.readSessionDraft();
+    render(element, html`${problems.map(problem => html`<div>• ${problem}</div>`)}`);
+  }
+
+  async createAppSession() {
+    const log = this.operationLog('session_create');
+    const { draft, problems } = this.readSessionDraft();
+    if (problems.length > 0) {
+      problems.forEach(problem => log(`Session not valid: ${problem}`, 'error'));
       return;
     }
 
+    const { definition, allocations } = buildSessionRequest(draft, this.sessionDraftOptions());
+    const funding = fundingOf(draft.participants.find(p => p.address.toLowerCase() === this.userAddress.toLowerCase()));
+    const ownAmount = funding.get(this.config.asset) ?? 0n;
+
     // Mainnet confirmation
-    if (!await this.confirmMainnetAction('Create Payment Session', amount)) {
-      this.log('Session creation cancelled by user');
+    if (!await this.confirmMainnetAction('Create Payment Session', ownAmount)) {
+      log('Session creation cancelled by user');
       return;
     }
 
     try {
-      this.log(`Creating payment session with ${recipientAddress.slice(0, 6)}...${recipientAddress.slice(-4)}`);
-
-      const checksummedRecipient = getAddress(recipientAddress);
-      const checksummedUser = getAddress(this.userAddress);
-
-      // App definition with NitroRPC/0.4 protocol
-      const definition = {
-        application: 'payment',
-        protocol: 'NitroRPC/0.4',
-        participants: [checksummedUser, checksummedRecipient],
-        weights: [100, 0], // User A has full control over state updates
-        quorum: 100,
-        challenge: 0,
-        nonce: Date.now()
-      };
-
-      // Initial allocations - all funds with user A, 0 with recipient
-      const allocations = [
-        {
-          participant: checksummedUser,
-          asset: this.config.asset,
-          amount: amountInMicrounits.toString()
-        },
-        {
-          participant: checksummedRecipient,
-          asset: this.config.asset,
-          amount: '0'
-        }
-      ];
+      const others = definition.participants.length - 1;
+      log(`Creating payment session with ${others} other participant(s), weights [${definition.weights.join(', ')}], quorum ${definition.quorum}`);
 
       const message = await createAppSessionMessage(
         this.messageSigner,
@@ -2173,41 +2570,52 @@ class YellowPaymentApp {
       );
 
       console.log('Create app session message:', message);
-      this.ws.send(message);
-
-      this.log('App session request sent...');
+      log('App session request sent...');
+
+      // Each asset we put in counts against the session key's allowance
+      const send = [...funding]
+        .filter(([, amount]) => amount > 0n)
+        .reduceRight(
+          (next, [asset, amount]) => () => this.client.spend({ asset, amount, operation: 'App session deposit' }, next),
+          () => this.client.request(message)
+        );
+      const response = await send();
+      this.handleCreateAppSessionResponse(response);
 
     } catch (error) {
-      this.log(`Failed to create app session: ${error.message}`, 'error');
+      log(`Failed to create app session: ${error.message}`, 'error');
       console.error('Create app session error:', error);
     }
   }
 
   handleCreateAppSessionResponse(data) {
+    const log = this.operationLog('session_create', { sessionId: data?.app_session_id });
     console.log('Create app session response:', data);
 
     if (data?.app_session_id) {
       const sessionId = data.app_session_id;
-      this.log(`Payment session created: ${sessionId.slice(0, 10)}...`);
+      log(`Payment session created: ${sessionId.slice(0, 10)}...`);
 
-      // Clear inputs
-      if (this.elements.sessionRecipient) this.elements.sessionRecipient.value = '';
+      // Start the editor over with just us
+      this.sessionRows = [{ address: '', weight: '100', amounts: {} }, { address: '', weight: '0', amounts: {} }];
+      this.renderSessionEditor();
 
       // Refresh sessions list
       this.getAppSessions();
       this.getBalances();
     } else {
-      this.log(`App session response: ${JSON.stringify(data)}`);
+      log(`App session response: ${JSON.stringify(data)}`);
     }
   }
 
   async getAppSessions() {
+    const log = this.operationLog('sessions');
     if (!this.isAuthenticated) {
       return;
     }
 
     try {
-      this.log('Fetching app sessions...');
+      log('Fetching app sessions...');
 
       const message = createGetAppSessionsMessageV2(
         this.userAddress,
@@ -2215,19 +2623,49 @@ class YellowPaymentApp {
       );
 
       console.log('Get app sessions message:', message);
-      this.ws.send(message);
+      const response = await this.client.request(message);
+      this.handleGetAppSessionsResponse(response);
 
     } catch (error) {
-      this.log(`Failed to get app sessions: ${error.message}`, 'error');
+      log(`Failed to get app sessions: ${error.message}`, 'error');
     }
   }
 
   handleGetAppSessionsResponse(data) {
+    const log = this.operationLog('sessions');
     console.log('Get app sessions response:', data);
 
     this.appSessions = data?.app_sessions || [];
-    this.log(`Found ${this.appSessions.length} active session(s)`);
-    this.renderAppSessionsList();
+    log(`Found ${this.appSessions.length} active session(s)`);
+    this.loadSessionAllocations();
+  }
+
+  // Who holds what in each open session, so the list knows who can pay.
+  // Allocations only change with the session version, so a listing fetches
+  // just the sessions that are new or have moved on; a session that fails to
+  // load gets no Pay. A newer listing supersedes one still loading.
+  async loadSessionAllocations() {
+    const listing = ++this.sessionListing;
+    const parseAmount = (asset, amount) => this.balances.parseLedgerAmount(asset, amount);
+    const open = this.appSessions.filter(s => s.status === 'open');
+    const cached = this.sessionAllocations;
+    const isCurrent = (session) => cached.get(session.app_session_id)?.version === session.version;
+
+    this.sessionAllocations = new Map(open.filter(isCurrent).map(s => [s.app_session_id, cached.get(s.app_session_id)]));
+    for (const session of open.filter(s => !isCurrent(s))) {
+      const sessionId = session.app_session_id;
+      try {
+        const allocations = await fetchSessionAllocations(this.client, session, parseAmount);
+        if (listing !== this.sessionListing) return;
+        this.sessionAllocations = new Map(this.sessionAllocations).set(sessionId, { version: session.version, allocations });
+      } catch (error) {
+        if (listing !== this.sessionListing) return;
+        this.log(`Could not load allocations of session ${sessionId.slice(0, 10)}...: ${error.message}`, 'warn', {
+          operation: 'sessions',
+          sessionId
+        });
+      }
+    }
   }
 
   renderAppSessionsList() {
@@ -2235,113 +2673,121 @@ class YellowPaymentApp {
     if (!container) return;
 
     if (this.appSessions.length === 0) {
-      container.innerHTML = '<p style="color: #888;">No active sessions. Create one above.</p>';
+      render(container, html`<p class="empty-note">No active sessions. Create one above.</p>`);
       return;
     }
 
-    let html = '';
-    this.appSessions.forEach(session => {
-      const sessionIdShort = session.app_session_id?.slice(0, 10) + '...' || 'N/A';
+    render(container, html`${this.appSessions.map(session => {
+      const sessionId = session.app_session_id;
+      const sessionIdShort = sessionId ? `${sessionId.slice(0, 10)}...` : 'N/A';
       const status = session.status || 'unknown';
 
-      // Determine counterparty and allocations
-      const participants = session.participants || [];
-      const isUserFirst = participants[0]?.toLowerCase() === this.userAddress.toLowerCase();
-      const counterparty = isUserFirst ? participants[1] : participants[0];
-      const counterpartyShort = counterparty ? `${counterparty.slice(0, 6)}...${counterparty.slice(-4)}` : 'Unknown';
-
-      // Get allocations if available
-      let myAllocation = '0';
-      let theirAllocation = '0';
+      const short = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+      const others = (session.participants || []).filter(p => p.toLowerCase() !== this.userAddress.toLowerCase());
+      // Unknown until loadSessionAllocations has fetched this session
+      const allocations = this.sessionAllocations.get(sessionId)?.allocations;
+      const myBalance = allocations ? allocationOf({ allocations }, this.userAddress, this.config.asset) : 0n;
 
-      // Note: allocations might come from session data or need separate call
-      // For now, show session info and allow actions
-
-      html += `
+      return html`
         <div class="session-card">
           <div class="session-header">
             <span class="session-id">${sessionIdShort}</span>
-            <span style="color: ${status === 'open' ? '#4caf50' : '#888'};">${status}</span>
+            <span class="${status === 'open' ? 'text-success' : 'muted'}">${status}</span>
           </div>
           <div class="counterparty">
-            ${isUserFirst ? 'To:' : 'From:'} ${counterpartyShort}
+            With: ${others.length > 0 ? others.map(short).join(', ') : 'nobody else'}
+            ${allocations && html` · You hold ${this.formatAsset(myBalance)}`}
           </div>
-          ${status === 'open' ? `
+          ${status === 'open' && html`
             <div class="session-actions">
-              ${isUserFirst ? `
-                <button class="btn-pay" onclick="window.${this.prefix.replace('-', '')}app.promptPaySession('${session.app_session_id}', '${counterparty}')">
+              ${myBalance > 0n && others.length > 0 && html`
+                <select name="payee" title="Pay to">
+                  ${others.map(p => html`<option value="${p}">${short(p)}</option>`)}
+                </select>
+                <button class="btn-pay" data-action="promptPaySession" data-session-id="${sessionId}">
                   Pay
                 </button>
-              ` : ''}
-              <button class="btn-close" onclick="window.${this.prefix.replace('-', '')}app.closeAppSession('${session.app_session_id}')">
+              `}
+              <button class="btn-pay" data-action="promptSessionFunds" data-session-id="${sessionId}" data-intent="deposit">
+                Top Up
+              </button>
+              <button class="btn-pay" data-action="promptSessionFunds" data-session-id="${sessionId}" data-intent="withdraw">
+                Withdraw
+              </button>
+              <button class="btn-close" data-action="closeAppSession" data-session-id="${sessionId}">
                 Close Session
               </button>
             </div>
-          ` : ''}
+          `}
         </div>
       `;
-    });
-
-    container.innerHTML = html;
+    })}`);
   }
 
-  promptPaySession(sessionId, counterparty) {
-    const amountStr = prompt(`Enter amount to pay to ${counterparty.slice(0, 6)}...${counterparty.slice(-4)} (USDC):`);
+  promptPaySession(sessionId, payee) {
+    if (!payee) return;
+    const amountStr = prompt(`Enter amount to pay to ${payee.slice(0, 6)}...${payee.slice(-4)} (USDC):`);
     if (amountStr) {
-      const amount = parseFloat(amountStr);
-      if (!isNaN(amount) && amount > 0) {
-        this.payOnSession(sessionId, amount);
-      } else {
-        this.log('Invalid amount', 'error');
+      const amount = this.readAmount(amountStr);
+      if (amount !== null) {
+        this.payOnSession(sessionId, payee, amount);
       }
     }
   }
 
-  async payOnSession(sessionId, payAmount) {
-    const amountInMicrounits = Math.floor(payAmount * 1_000_000);
-
+  // Pay another participant of the session out of our allocation.
+  // `amountInMicrounits` is a bigint in base units of the configured asset
+  async payOnSession(sessionId, payee, amountInMicrounits) {
+    const log = this.operationLog('session_update', { sessionId });
     // Mainnet confirmation
-    if (!await this.confirmMainnetAction('Pay on Session', payAmount)) {
-      this.log('Payment cancelled by user');
+    if (!await this.confirmMainnetAction('Pay on Session', amountInMicrounits)) {
+      log('Payment cancelled by user');
       return;
     }
 
     try {
-      this.log(`Paying ${payAmount} USDC on session ${sessionId.slice(0, 10)}...`);
+      log(`Paying ${this.formatAsset(amountInMicrounits)} on session ${sessionId.slice(0, 10)}...`);
 
       // Find the session
       const session = this.appSessions.find(s => s.app_session_id === sessionId);
       if (!session) {
-        this.log('Session not found', 'error');
+        log('Session not found', 'error');
+        return;
+      }
+
+      const isOther = (p) => p.toLowerCase() === payee.toLowerCase() && p.toLowerCase() !== this.userAddress.toLowerCase();
+      const counterparty = (session.participants || []).find(isOther);
+      if (!counterparty) {
+        log(`${payee} is not another participant of this session`, 'error');
+        return;
+      }
+
+      // Start from the clearnode's allocations and version, not our copy
+      const state = await this.authoritativeSessionState(session);
+      if (!state) {
+        log('Payment cancelled');
         return;
       }
 
-      const participants = session.participants || [];
-      const isUserFirst = participants[0]?.toLowerCase() === this.userAddress.toLowerCase();
-      const counterparty = isUserFirst ? participants[1] : participants[0];
+      const myAllocation = allocationOf(state, this.userAddress, this.config.asset);
+      if (amountInMicrounits > myAllocation) {
+        log(`Insufficient session balance. You have ${this.formatAsset(myAllocation)}`, 'error');
+        return;
+      }
 
-      // For NitroRPC/0.4, we need to provide intent, version, and allocations
-      // The payment moves funds from user to counterparty
-      const newVersion = (session.version || 0) + 1;
+      // The payment moves funds from user to counterparty; other participants
+      // and assets keep what they have
+      const allocations = adjustAllocation(
+        adjustAllocation(state.allocations, this.userAddress, this.config.asset, -amountInMicrounits),
+        counterparty, this.config.asset, amountInMicrounits
+      );
 
-      // Build new allocations - this is a simplified version
-      // In a real app, you'd track current allocations and update them
+      // For NitroRPC/0.4, we need to provide intent, version, and allocations
       const params = {
         app_session_id: sessionId,
         intent: 'operate',
-        version: newVersion,
-        allocations: [
-          {
-            participant: getAddress(this.userAddress),
-            asset: this.config.asset,
-            amount: '0' // Simplified: give all remaining to counterparty
-          },
-          {
-            participant: getAddress(counterparty),
-            asset: this.config.asset,
-            amount: amountInMicrounits.toString()
-          }
-        ]
+        version: state.version + 1,
+        allocations: toRPCAllocations(allocations)
       };
 
       const message = await createSubmitAppStateMessage(
@@ -2350,53 +2796,244 @@ class YellowPaymentApp {
       );
 
       console.log('Submit app state message:', message);
-      this.ws.send(message);
 
-      this.log('Payment request sent...');
+      const response = await this.submitWithQuorum(state, message, `Pay ${this.formatAsset(amountInMicrounits)} to ${counterparty.slice(0, 6)}...${counterparty.slice(-4)}`);
+      if (response) this.handleSubmitAppStateResponse(response);
 
     } catch (error) {
-      this.log(`Failed to pay on session: ${error.message}`, 'error');
+      log(`Failed to pay on session: ${error.message}`, 'error');
       console.error('Pay on session error:', error);
     }
   }
 
+  // ---- Quorum signatures ----
+
+  setupQuorum() {
+    const log = this.operationLog('quorum');
+    if (this.quorum) return;
+    this.quorum = new QuorumCollector({ client: this.client, userAddress: this.userAddress });
+    this.onQuorumSubmitted = new Map(); // proposal id -> callback from submitWithQuorum
+
+    this.quorum.on('proposal', (proposal) => {
+      if (!['collecting', 'submitting', 'submitted'].includes(proposal.status)) this.onQuorumSubmitted.delete(proposal.id);
+      this.renderQuorumProposals();
+    });
+    this.quorum.on('request', (request) => {
+      log(`${request.from.slice(0, 6)}...${request.from.slice(-4)} asks you to co-sign ${request.method} on session ${request.sessionId.slice(0, 10)}...`, 'warn');
+      this.renderQuorumProposals();
+    });
+    this.quorum.on('submitted', (proposal, response) => {
+      log(`Quorum reached (${this.quorum.signedWeight(proposal)}/${proposal.quorum}), ${proposal.method} submitted`);
+      this.onQuorumSubmitted.get(proposal.id)?.();
+      this.onQuorumSubmitted.delete(proposal.id);
+      if (proposal.method === 'close_app_session') this.handleCloseAppSessionResponse(response);
+      else this.handleSubmitAppStateResponse(response);
+    });
+    this.quorum.on('failed', (proposal, error) => log(`${proposal.method} with quorum failed: ${error.message}`, 'error'));
+    this.quorum.on('expired', (proposal) => log(`Proposal "${proposal.description}" expired before reaching quorum`, 'warn'));
+  }
+
+  // Send now if our own weight meets the quorum, otherwise start collecting
+  // co-signatures; the response then arrives through the 'submitted' event
+  // and this resolves to null. `onSubmitted` runs once the clearnode has
+  // accepted the request, whichever way it went.
+  async submitWithQuorum(state, message, description, onSubmitted = null) {
+    const index = state.participants.findIndex(p => p.toLowerCase() === this.userAddress.toLowerCase());
+    const ownWeight = index === -1 ? 0 : state.weights[index];
+    if (ownWeight >= state.quorum) {
+      this.log('Request sent...');
+      const response = await this.client.request(message);
+      onSubmitted?.();
+      return response;
+    }
+
+    const proposal = await this.quorum.propose({ sessionId: state.sessionId, message, session: state, description });
+    if (onSubmitted) this.onQuorumSubmitted.set(proposal.id, onSubmitted);
+    this.log(`Your weight ${ownWeight} is below quorum ${state.quorum} - asked the other participants to co-sign`);
+    this.renderQuorumProposals();
+    return null;
+  }
+
+  async handleQuorumAction(action, id) {
+    const log = this.operationLog('quorum');
+    try {
+      if (action === 'approve') {
+        await this.quorum.approve(id);
+        log('Co-signature sent');
+      } else if (action === 'decline') {
+        await this.quorum.decline(id, 'declined by participant');
+        log('Signature request declined');
+      } else if (action === 'cancel') {
+        this.quorum.cancel(id);
+      }
+    } catch (error) {
+      log(`Quorum action failed: ${error.message}`, 'error');
+    }
+    this.renderQuorumProposals();
+  }
+
+  renderQuorumProposals() {
+    const container = this.elements.quorumProposals;
+    if (!container || !this.quorum) return;
+
+    const short = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+    const button = (action, id, label, variant) => html`
+      <button data-action="handleQuorumAction" data-quorum-action="${action}" data-id="${id}"
+        class="btn-compact btn-${variant} text-sm">${label}</button>
+    `;
+
+    const requests = [...this.quorum.requests.values()].map((request) => {
+      const allocations = (request.params.allocations || []).map(a =>
+        `${short(a.participant)}: ${this.balances.format(a.asset, this.balances.parseLedgerAmount(a.asset, a.amount))}`
+      ).join(', ');
+      return html`
+        <div class="quorum-card request">
+          <div><strong>${short(request.from)}</strong> asks you to sign ${request.method}${request.params.version ? ` v${request.params.version}` : ''}</div>
+          <div class="light">${request.description}</div>
+          <div class="soft text-sm">${allocations}</div>
+          <div class="muted text-xs">Expires ${new Date(request.expiresAt).toLocaleTimeString()}</div>
+          <div class="card-actions">
+            ${button('approve', request.id, 'Sign', 'success')}
+            ${button('decline', request.id, 'Decline', 'danger')}
+          </div>
+        </div>
+      `;
+    });
+
+    const statusClasses = { collecting: 'text-warning', submitting: 'text-warning', submitted: 'text-success' };
+    const proposals = [...this.quorum.proposals.values()].reverse().slice(0, 10).map((proposal) => {
+      const signed = proposal.participants.map((p, i) => {
+        const key = p.toLowerCase();
+        const mark = proposal.signatures.has(key) ? '✓' : proposal.declined.has(key) ? '✕' : '…';
+        return `${mark} ${short(p)} (${proposal.weights[i]})`;
+      }).join(' · ');
+      return html`
+        <div class="quorum-card">
+          <div>${proposal.description || proposal.method}
+            <span class="${statusClasses[proposal.status] || 'text-error'}">[${proposal.status}]</span></div>
+          <div class="soft text-sm">Signed weight ${this.quorum.signedWeight(proposal)} / ${proposal.quorum}: ${signed}</div>
+          ${proposal.status === 'collecting' && html`
+            <div class="muted text-xs">Expires ${new Date(proposal.expiresAt).toLocaleTimeString()}</div>
+            <div class="card-actions">${button('cancel', proposal.id, 'Cancel', 'subtle')}</div>
+          `}
+          ${proposal.error && html`<div class="text-error text-sm">${proposal.error}</div>`}
+        </div>
+      `;
+    });
+
+    render(container, html`${requests}${proposals}`);
+  }
+
+  promptSessionFunds(sessionId, intent) {
+    const amountStr = prompt(intent === 'deposit'
+      ? `Amount to add to the session from your ledger balance (${this.balances.format(this.config.asset)} available):`
+      : 'Amount to take out of the session back to your ledger balance:');
+    if (amountStr) {
+      const amount = this.readAmount(amountStr);
+      if (amount !== null) {
+        this.changeSessionFunds(sessionId, intent, amount);
+      }
+    }
+  }
+
+  // Top up (`deposit`) or partially withdraw (`withdraw`) our own allocation
+  // on a running session; everyone else's allocations stay as they are
+  async changeSessionFunds(sessionId, intent, amountInMicrounits) {
+    const log = this.operationLog('session_update', { sessionId });
+    const isDeposit = intent === 'deposit';
+    const session = this.appSessions.find(s => s.app_session_id === sessionId);
+    if (!session) {
+      log('Session not found', 'error');
+      return;
+    }
+
+    if (isDeposit && !this.balances.covers(this.config.asset, amountInMicrounits)) {
+      log(`Insufficient ledger balance. Available: ${this.balances.format(this.config.asset)}`, 'error');
+      return;
+    }
+
+    if (!await this.confirmMainnetAction(isDeposit ? 'Top Up Session' : 'Withdraw from Session', amountInMicrounits)) {
+      log('Cancelled by user');
+      return;
+    }
+
+    try {
+      const state = await this.authoritativeSessionState(session);
+      if (!state) {
+        log('Cancelled');
+        return;
+      }
+
+      const myAllocation = allocationOf(state, this.userAddress, this.config.asset);
+      if (!isDeposit && amountInMicrounits > myAllocation) {
+        log(`You only have ${this.formatAsset(myAllocation)} in this session`, 'error');
+        return;
+      }
+
+      const delta = isDeposit ? amountInMicrounits : -amountInMicrounits;
+      const message = await createSubmitAppStateMessage(this.messageSigner, {
+        app_session_id: sessionId,
+        intent,
+        version: state.version + 1,
+        allocations: toRPCAllocations(adjustAllocation(state.allocations, this.userAddress, this.config.asset, delta))
+      });
+
+      const description = `${isDeposit ? 'Top up' : 'Withdraw'} ${this.formatAsset(amountInMicrounits)}`;
+      log(`${description} on session ${sessionId.slice(0, 10)}...`);
+
+      // Money leaving the ledger counts against the session key's allowance,
+      // from when the clearnode accepts it - later if co-signatures are needed
+      const spending = { asset: this.config.asset, amount: amountInMicrounits, operation: 'Session top-up' };
+      if (isDeposit) this.client.spending.assertCanSpend(spending.asset, spending.amount, spending.operation);
+      const response = await this.submitWithQuorum(state, message, description, isDeposit ? () => this.client.recordSpend(spending) : null);
+      if (response) this.handleSubmitAppStateResponse(response);
+    } catch (error) {
+      log(`Failed to ${isDeposit ? 'top up' : 'withdraw from'} session: ${error.message}`, 'error');
+      console.error('Session funds error:', error);
+    }
+  }
+
   handleSubmitAppStateResponse(data) {
+    const log = this.operationLog('session_update', { sessionId: data?.app_session_id });
     console.log('Submit app state response:', data);
 
     if (data?.app_session_id) {
-      this.log('Payment successful!');
+      log(`Session updated (v${data.version ?? '?'})`);
       this.getAppSessions();
       this.getBalances();
     } else {
-      this.log(`App state response: ${JSON.stringify(data)}`);
+      log(`App state response: ${JSON.stringify(data)}`);
     }
   }
 
   async closeAppSession(sessionId) {
+    const log = this.operationLog('session_close', { sessionId });
     // Mainnet confirmation
-    if (!await this.confirmMainnetAction('Close Payment Session', 0)) {
-      this.log('Session close cancelled by user');
+    if (!await this.confirmMainnetAction('Close Payment Session', 0n)) {
+      log('Session close cancelled by user');
       return;
     }
 
     try {
-      this.log(`Closing session ${sessionId.slice(0, 10)}...`);
+      log(`Closing session ${sessionId.slice(0, 10)}...`);
 
       const session = this.appSessions.find(s => s.app_session_id === sessionId);
       if (!session) {
-        this.log('Session not found', 'error');
+        log('Session not found', 'error');
         return;
       }
 
-      const participants = session.participants || [];
+      // Final allocations are the session's current ones on the clearnode
+      const state = await this.authoritativeSessionState(session);
+      if (!state) {
+        log('Session close cancelled');
+        return;
+      }
 
-      // Final allocations - close with current state
-      // In a real app, you'd have the current allocation state
-      const allocations = participants.map(p => ({
-        participant: getAddress(p),
-        asset: this.config.asset,
-        amount: '0' // Will be determined by current state on server
-      }));
+      const allocations = toRPCAllocations(state.allocations);
+      for (const { participant, asset, amount } of state.allocations) {
+        log(`Final: ${participant.slice(0, 6)}...${participant.slice(-4)} gets ${this.balances.format(asset, amount)}`);
+      }
 
       const message = await createCloseAppSessionMessage(
         this.messageSigner,
@@ -2407,64 +3044,273 @@ class YellowPaymentApp {
       );
 
       console.log('Close app session message:', message);
-      this.ws.send(message);
 
-      this.log('Close session request sent...');
+      const response = await this.submitWithQuorum(state, message, 'Close session with the current allocations');
+      if (response) this.handleCloseAppSessionResponse(response);
 
     } catch (error) {
-      this.log(`Failed to close session: ${error.message}`, 'error');
+      log(`Failed to close session: ${error.message}`, 'error');
       console.error('Close session error:', error);
     }
   }
 
-  handleCloseAppSessionResponse(data) {
-    console.log('Close app session response:', data);
-
-    if (data?.app_session_id) {
-      this.log('Session closed! Funds returned to ledger balance.');
-      this.getAppSessions();
-      this.getBalances();
-    } else {
-      this.log(`Close session response: ${JSON.stringify(data)}`);
+  // The clearnode's current version and allocations for a session. A
+  // difference from the version we last listed means someone else moved it
+  // on; that is shown and confirmed before we sign anything on top of it.
+  // Resolves to null if the user declines.
+  async authoritativeSessionState(session) {
+    const state = await fetchAppSessionState(this.client, {
+      sessionId: session.app_session_id,
+      userAddress: this.userAddress,
+      parseAmount: (asset, amount) => this.balances.parseLedgerAmount(asset, amount)
+    });
+
+    const problems = describeMismatch({ version: session.version }, state, (asset, amount) => this.balances.format(asset, amount));
+    if (problems.length === 0) return state;
+
+    problems.forEach(problem => this.log(`Session ${session.app_session_id.slice(0, 10)}... changed on the clearnode - ${problem}`, 'warn'));
+    const proceed = confirm(`This session changed since it was listed:\n\n${problems.join('\n')}\n\nContinue from the clearnode's current state?`);
+    if (proceed) session.version = state.version;
+    return proceed ? state : null;
+  }
+
+  handleCloseAppSessionResponse(data) {
+    const log = this.operationLog('session_close', { sessionId: data?.app_session_id });
+    console.log('Close app session response:', data);
+
+    if (data?.app_session_id) {
+      log('Session closed! Funds returned to ledger balance.');
+      this.getAppSessions();
+      this.getBalances();
+    } else {
+      log(`Close session response: ${JSON.stringify(data)}`);
+    }
+  }
+
+  // ============ ACTIVITY LOG ============
+
+  logFilters() {
+    return {
+      level: this.elements.logLevel?.value || '',
+      operation: this.elements.logOperation?.value || ''
+    };
+  }
+
+  // Keeps the current choice; new operations appear as they are logged
+  updateLogOperations() {
+    const select = this.elements.logOperation;
+    if (!select) return;
+    const selected = select.value;
+    select.replaceChildren(new Option('All operations', ''));
+    for (const operation of this.activityLog.operations()) select.add(new Option(operation.replace(/_/g, ' '), operation));
+    select.value = selected;
+  }
+
+  logEntryElement(entry) {
+    const element = document.createElement('div');
+    element.className = `log-entry log-${entry.level}`;
+
+    const time = new Date(entry.time);
+    const stamp = document.createElement('span');
+    stamp.style.color = '#888';
+    stamp.textContent = `[${time.toDateString() === new Date().toDateString() ? time.toLocaleTimeString() : time.toLocaleString()}]`;
+    const operation = document.createElement('span');
+    operation.className = 'log-operation';
+    operation.textContent = entry.operation.replace(/_/g, ' ');
+    element.append(stamp, ` ${this.config.emoji} `, operation, ` ${entry.message}`);
+
+    for (const [label, value] of [['tx', entry.txHash], ['channel', entry.channelId], ['session', entry.sessionId]]) {
+      if (!value) continue;
+      const link = document.createElement('span');
+      link.className = 'log-link';
+      link.title = value;
+      link.textContent = `${label} ${value.slice(0, 10)}...`;
+      element.append(' ', link);
+    }
+    return element;
+  }
+
+  renderActivityLog() {
+    this.updateLogOperations();
+    const container = this.elements.activityLog;
+    if (!container) return;
+
+    const entries = this.activityLog.list(this.logFilters());
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'log-entry log-empty';
+      empty.textContent = this.activityLog.entries.length > 0
+        ? 'No entries match the filters'
+        : `${this.config.emoji} ${this.environment} mode - no activity yet`;
+      container.replaceChildren(empty);
+      return;
+    }
+    container.replaceChildren(...entries.map(entry => this.logEntryElement(entry)));
+  }
+
+  showLogEntry(entry) {
+    const container = this.elements?.activityLog;
+    if (!container) return;
+    const operations = this.elements.logOperation?.options;
+    if (operations && ![...operations].some(option => option.value === entry.operation)) this.updateLogOperations();
+    if (!matchesLogFilters(entry, this.logFilters())) return;
+
+    container.querySelector('.log-empty')?.remove();
+    container.prepend(this.logEntryElement(entry));
+    while (container.children.length > this.activityLog.maxEntries) container.lastChild.remove();
+  }
+
+  exportActivityLog() {
+    const url = URL.createObjectURL(new Blob([this.activityLog.toJSON(this.logFilters())], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `yellow-activity-${this.environment}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // ============ TRANSACTION HISTORY ============
+
+  historyFilters() {
+    return {
+      asset: this.elements.historyAsset?.value || '',
+      type: this.elements.historyType?.value || '',
+      counterparty: this.elements.historyCounterparty?.value || '',
+      from: this.elements.historyFrom?.value || '',
+      to: this.elements.historyTo?.value || ''
+    };
+  }
+
+  ledgerHistory() {
+    return new LedgerHistory({
+      client: this.client,
+      accountId: this.userAddress,
+      parseAmount: (asset, amount) => this.balances.parseLedgerAmount(asset, amount)
+    });
+  }
+
+  // Assets seen in balances, for the asset filter; keeps the current choice
+  updateHistoryAssets() {
+    const select = this.elements.historyAsset;
+    if (!select) return;
+    const current = select.value;
+    const assets = new Set([this.config.asset, ...this.balances.list().map(row => row.asset)]);
+    if (current) assets.add(current);
+    render(select, html`<option value="">All assets</option>${[...assets].map(asset => html`<option value="${asset}">${this.balances.symbolFor(asset)}</option>`)}`);
+    select.value = current;
+  }
+
+  async loadHistory(page = 0) {
+    const log = this.operationLog('history');
+    if (!this.elements.historyList || !this.isAuthenticated || page < 0) return;
+    // Filters may have changed, so page offsets are found afresh from page 1
+    if (page === 0) this.historyOffsets = [0];
+    const offset = this.historyOffsets[page];
+    if (offset === undefined) return;
+
+    this.updateHistoryAssets();
+    try {
+      const { transactions, hasMore, nextOffset } = await this.ledgerHistory().fetchPage(offset, this.historyFilters());
+      this.historyPage = page;
+      this.historyOffsets.length = page + 1;
+      if (hasMore) this.historyOffsets.push(nextOffset);
+      this.renderHistory(transactions);
+      if (this.elements.historyPrevBtn) this.elements.historyPrevBtn.disabled = page === 0;
+      if (this.elements.historyNextBtn) this.elements.historyNextBtn.disabled = !hasMore;
+      if (this.elements.historyPageLabel) this.elements.historyPageLabel.textContent = `Page ${page + 1}`;
+    } catch (error) {
+      log(`Failed to load transaction history: ${error.message}`, 'error');
+    }
+  }
+
+  // Only the first page shows new transactions; don't move anyone off another page
+  refreshHistory() {
+    if (!this.historyPage) this.loadHistory(0);
+  }
+
+  renderHistory(transactions) {
+    const container = this.elements.historyList;
+    if (transactions.length === 0) {
+      render(container, html`<p class="empty-note">No transactions match.</p>`);
+      return;
+    }
+
+    render(container, html`${transactions.map((tx) => {
+      const incoming = tx.direction === 'in';
+      const who = tx.counterpartyTag || `${tx.counterparty.slice(0, 6)}...${tx.counterparty.slice(-4)}`;
+      return html`
+        <div class="history-row">
+          <div>
+            <div>${tx.type.replace(/_/g, ' ')} ${incoming ? 'from' : 'to'} <span class="mono" title="${tx.counterparty}">${who}</span></div>
+            <div class="muted text-xs">#${tx.id} · ${tx.createdAt.toLocaleString()}</div>
+          </div>
+          <div class="history-amount ${incoming ? 'text-success' : 'text-error'}">
+            ${incoming ? '+' : '−'}${this.balances.format(tx.asset, tx.amount)}
+          </div>
+        </div>
+      `;
+    })}`);
+  }
+
+  // All pages matching the current filters, as CSV
+  async exportHistory() {
+    const log = this.operationLog('history');
+    try {
+      log('Exporting transaction history...');
+      const transactions = await this.ledgerHistory().fetchAll(this.historyFilters());
+      const csv = toCSV(transactions, (asset, amount) => formatAmount(amount, this.balances.decimalsFor(asset), { minFraction: 0 }));
+
+      const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `yellow-ledger-${this.environment}-${this.userAddress.slice(0, 8)}-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      log(`Exported ${transactions.length} transaction(s)`);
+    } catch (error) {
+      log(`Export failed: ${error.message}`, 'error');
     }
   }
 
   // ============ LEGACY TRANSFER (Quick Send) ============
 
   async createSession() {
+    const log = this.operationLog('session_create');
     const partnerAddress = this.elements.partnerAddress?.value.trim();
-    const initialAmount = parseFloat(this.elements.initialAmount?.value || '0');
 
     if (!partnerAddress || !partnerAddress.startsWith('0x')) {
-      this.log('Please enter a valid partner address', 'error');
+      log('Please enter a valid partner address', 'error');
       return;
     }
 
-    if (isNaN(initialAmount) || initialAmount <= 0) {
-      this.log('Please enter a valid initial amount', 'error');
-      return;
-    }
+    const transferUnits = this.readAmount(this.elements.initialAmount?.value, 'initial amount');
+    if (transferUnits === null) return;
 
     if (!this.isAuthenticated) {
-      this.log('Please wait for authentication to complete', 'error');
+      log('Please wait for authentication to complete', 'error');
       return;
     }
 
-    if (this.ledgerBalance <= 0) {
-      this.log('No balance available. Please deposit funds first.', 'error');
+    if (this.balances.get(this.config.asset) === 0n) {
+      log('No balance available. Please deposit funds first.', 'error');
+      return;
+    }
+    if (!this.balances.covers(this.config.asset, transferUnits)) {
+      log(`Insufficient balance. Available: ${this.balances.format(this.config.asset)}`, 'error');
       return;
     }
 
     // Mainnet confirmation
-    if (!await this.confirmMainnetAction('Send Transfer', initialAmount)) {
-      this.log('Transfer cancelled by user');
+    if (!await this.confirmMainnetAction('Send Transfer', transferUnits)) {
+      log('Transfer cancelled by user');
       return;
     }
 
     try {
-      this.log('Creating transfer...');
+      log('Creating transfer...');
 
-      const amountInMicrounits = Math.floor(initialAmount * 1_000_000).toString();
+      const amountInMicrounits = transferUnits.toString();
 
       const transferParams = {
         destination: partnerAddress,
@@ -2480,52 +3326,58 @@ class YellowPaymentApp {
       );
 
       console.log('Transfer message:', transferMessage);
-      this.ws.send(transferMessage);
+      log(`Transfer request sent: ${this.formatAsset(transferUnits)} to ${partnerAddress.slice(0, 6)}...${partnerAddress.slice(-4)}`);
 
-      this.log(`Transfer request sent: ${initialAmount} to ${partnerAddress.slice(0, 6)}...${partnerAddress.slice(-4)}`);
+      const response = await this.client.spend(
+        { asset: this.config.asset, amount: transferUnits, operation: 'Transfer' },
+        () => this.client.request(transferMessage)
+      );
+      this.handleTransferResponse(response);
 
     } catch (error) {
-      this.log(`Failed to create transfer: ${error.message}`, 'error');
+      log(`Failed to create transfer: ${error.message}`, 'error');
     }
   }
 
   updateBalanceDisplay() {
-    const displayAmount = (this.balance / 1_000_000).toFixed(2);
-    if (this.elements.balance) {
-      this.elements.balance.textContent = `${displayAmount} USDC`;
-    }
+    // What the session editor lets us allocate depends on these
+    this.showSessionValidation();
+    if (!this.elements.balance) return;
+    // The configured asset always shows, other assets only when non-zero
+    const rows = this.balances.list(this.config.asset);
+    if (!rows.some(row => row.asset === this.config.asset)) {
+      rows.unshift({ asset: this.config.asset });
+    }
+    this.elements.balance.textContent = rows.map(row => this.balances.format(row.asset)).join(' · ');
   }
 
   // ============ Channel Management ============
 
   async createChannel() {
+    const log = this.operationLog('channel_create');
     const chainId = parseInt(this.elements.chainSelect?.value || '0');
-    const amount = parseFloat(this.elements.channelAmount?.value || '0');
 
     if (!this.isAuthenticated) {
-      this.log('Please authenticate first', 'error');
+      log('Please authenticate first', 'error');
       return;
     }
 
-    if (isNaN(amount) || amount <= 0) {
-      this.log('Please enter a valid amount', 'error');
-      return;
-    }
+    const amountInMicrounits = this.readAmount(this.elements.channelAmount?.value);
+    if (amountInMicrounits === null) return;
 
-    const amountInMicrounits = Math.floor(amount * 1_000_000);
-    if (amountInMicrounits > this.ledgerBalance) {
-      this.log('Insufficient balance', 'error');
+    if (!this.balances.covers(this.config.asset, amountInMicrounits)) {
+      log(`Insufficient balance. Available: ${this.balances.format(this.config.asset)}`, 'error');
       return;
     }
 
     const chainConfig = this.config.chains[chainId];
     if (!chainConfig) {
-      this.log('Invalid chain selected', 'error');
+      log('Invalid chain selected', 'error');
       return;
     }
 
     try {
-      this.log(`Creating channel on ${chainConfig.name} with ${amount} USDC...`);
+      log(`Creating channel on ${chainConfig.name} with ${this.formatAsset(amountInMicrounits)}...`);
 
       this.pendingChannelFund = {
         amount: amountInMicrounits,
@@ -2541,22 +3393,23 @@ class YellowPaymentApp {
       );
 
       console.log('Create channel message:', channelMessage);
-      this.ws.send(channelMessage);
+      this.client.send(channelMessage);
 
     } catch (error) {
-      this.log(`Failed to create channel: ${error.message}`, 'error');
+      log(`Failed to create channel: ${error.message}`, 'error');
       this.pendingChannelFund = null;
     }
   }
 
   async resizeChannel(channelId, allocateAmount) {
+    const log = this.operationLog('channel_resize', { channelId });
     if (!this.isAuthenticated) {
-      this.log('Please authenticate first', 'error');
+      log('Please authenticate first', 'error');
       return;
     }
 
     try {
-      this.log(`Allocating ${(allocateAmount / 1_000_000).toFixed(2)} USDC to channel...`);
+      log(`Allocating ${this.formatAsset(allocateAmount)} to channel...`);
 
       const resizeMessage = await createResizeChannelMessage(
         this.messageSigner,
@@ -2568,28 +3421,28 @@ class YellowPaymentApp {
       );
 
       console.log('Resize channel message:', resizeMessage);
-      this.ws.send(resizeMessage);
+      await this.client.spend(
+        { asset: this.config.asset, amount: BigInt(allocateAmount), operation: 'Channel resize' },
+        () => this.client.send(resizeMessage)
+      );
 
     } catch (error) {
-      this.log(`Failed to resize channel: ${error.message}`, 'error');
+      log(`Failed to resize channel: ${error.message}`, 'error');
     }
   }
 
   async withdrawToWallet() {
+    const log = this.operationLog('withdraw');
     if (!this.isAuthenticated) {
-      this.log('Please authenticate first', 'error');
+      log('Please authenticate first', 'error');
       return;
     }
 
-    const amount = parseFloat(this.elements.channelAmount?.value || '0');
-    if (!amount || amount <= 0) {
-      this.log('Please enter a valid amount', 'error');
-      return;
-    }
+    const amountInMicrounits = this.readAmount(this.elements.channelAmount?.value);
+    if (amountInMicrounits === null) return;
 
-    const amountInMicrounits = Math.floor(amount * 1_000_000);
-    if (amountInMicrounits > this.ledgerBalance) {
-      this.log(`Insufficient balance. Available: ${(this.ledgerBalance / 1_000_000).toFixed(2)} USDC`, 'error');
+    if (!this.balances.covers(this.config.asset, amountInMicrounits)) {
+      log(`Insufficient balance. Available: ${this.balances.format(this.config.asset)}`, 'error');
       return;
     }
 
@@ -2597,19 +3450,19 @@ class YellowPaymentApp {
     const chainConfig = this.config.chains[chainId];
 
     if (!chainConfig) {
-      this.log('Invalid chain selected', 'error');
+      log('Invalid chain selected', 'error');
       return;
     }
 
     // Mainnet confirmation
-    if (!await this.confirmMainnetAction('Withdraw to Wallet', amount)) {
-      this.log('Withdrawal cancelled by user');
+    if (!await this.confirmMainnetAction('Withdraw to Wallet', amountInMicrounits)) {
+      log('Withdrawal cancelled by user');
       return;
     }
 
     try {
-      this.log(`Starting withdrawal: ${amount} USDC to ${chainConfig.name}`);
-      this.log('Step 1/4: Creating off-chain channel...');
+      log(`Starting withdrawal: ${this.formatAsset(amountInMicrounits)} to ${chainConfig.name}`);
+      log('Step 1/4: Creating off-chain channel...');
 
       this.pendingWithdrawal = {
         step: 'create_channel',
@@ -2626,10 +3479,10 @@ class YellowPaymentApp {
         }
       );
 
-      this.ws.send(channelMessage);
+      this.client.send(channelMessage);
 
     } catch (error) {
-      this.log(`Withdrawal failed: ${error.message}`, 'error');
+      log(`Withdrawal failed: ${error.message}`, 'error');
       console.error('Withdrawal error:', error);
       this.pendingWithdrawal = null;
     }
@@ -2646,7 +3499,8 @@ class YellowPaymentApp {
 
       const channelsMessage = createGetChannelsMessageV2(this.userAddress);
       console.log('Get channels message:', channelsMessage);
-      this.ws.send(channelsMessage);
+      const response = await this.client.request(channelsMessage);
+      this.handleGetChannelsResponse(response);
 
     } catch (error) {
       this.log(`Failed to get channels: ${error.message}`, 'error');
@@ -2654,8 +3508,9 @@ class YellowPaymentApp {
   }
 
   async checkCustodyBalance() {
+    const log = this.operationLog('custody');
     if (!this.isAuthenticated) {
-      this.log('Please authenticate first', 'error');
+      log('Please authenticate first', 'error');
       return;
     }
 
@@ -2663,11 +3518,11 @@ class YellowPaymentApp {
       const chainId = parseInt(this.elements.chainSelect?.value || '0');
       const chainConfig = this.config.chains[chainId];
       if (!chainConfig) {
-        this.log('Invalid chain selected', 'error');
+        log('Invalid chain selected', 'error');
         return;
       }
 
-      this.log(`Checking custody balance on ${chainConfig.name}...`);
+      log(`Checking custody balance on ${chainConfig.name}...`);
 
       // For private key connections, we don't need to check chain
       // For wallet connections, we just use the public client
@@ -2684,47 +3539,48 @@ class YellowPaymentApp {
       );
 
       const balance = await nitroliteService.getAccountBalance(this.userAddress, chainConfig.token);
-      const balanceFormatted = (Number(balance) / 1_000_000).toFixed(6);
+      const balanceFormatted = formatAmount(balance, this.assetDecimals(chainId));
 
-      this.log(`Custody balance: ${balanceFormatted} USDC`);
+      log(`Custody balance: ${balanceFormatted} USDC`);
 
       if (balance > 0n) {
-        this.log('You have funds in custody! Click withdraw to get them.');
+        log('You have funds in custody! Click withdraw to get them.');
         const container = this.elements.channelsList;
         if (container) {
-          container.innerHTML = `
-            <div style="background: rgba(76,175,80,0.2); padding: 1rem; border-radius: 8px; margin-bottom: 0.5rem; border: 1px solid rgba(76,175,80,0.5);">
-              <p style="color: #4caf50; margin-bottom: 0.5rem;"><strong>Custody Balance: ${balanceFormatted} USDC</strong></p>
-              <p style="font-size: 0.8rem; color: #aaa; margin-bottom: 0.5rem;">on ${chainConfig.name}</p>
-              <button onclick="window.${this.prefix.replace('-', '')}app.withdrawFromCustody(${chainId}, '${chainConfig.token}', '${balance}')"
-                style="background: #4caf50; color: white; padding: 0.5rem 1rem; border: none; border-radius: 4px; cursor: pointer; width: 100%;">
+          prepend(container, html`
+            <div class="custody-found">
+              <p class="text-success mb-sm"><strong>Custody Balance: ${balanceFormatted} USDC</strong></p>
+              <p class="soft text-md mb-sm">on ${chainConfig.name}</p>
+              <button data-action="withdrawFromCustody" data-chain-id="${chainId}" data-token="${chainConfig.token}" data-amount="${balance}"
+                class="btn-block btn-success">
                 Withdraw to Wallet
               </button>
             </div>
-          ` + container.innerHTML;
+          `);
         }
       } else {
-        this.log('No funds in custody on this chain.');
+        log('No funds in custody on this chain.');
       }
 
     } catch (error) {
       const errorMsg = error.cause?.message || error.shortMessage || error.message;
-      this.log(`Failed to check custody: ${errorMsg}`, 'error');
+      log(`Failed to check custody: ${errorMsg}`, 'error');
       console.error('Check custody error:', error);
     }
   }
 
   async withdrawFromCustody(chainId, tokenAddress, amount) {
+    const log = this.operationLog('withdraw');
     // Mainnet confirmation
-    const amountFormatted = (Number(amount) / 1_000_000).toFixed(6);
-    if (!await this.confirmMainnetAction('Withdraw from Custody', parseFloat(amountFormatted))) {
-      this.log('Withdrawal cancelled by user');
+    const units = BigInt(amount);
+    if (!await this.confirmMainnetAction('Withdraw from Custody', units, chainId)) {
+      log('Withdrawal cancelled by user');
       return;
     }
 
     try {
       const chainConfig = this.config.chains[chainId];
-      this.log(`Withdrawing ${amountFormatted} USDC from custody...`);
+      log(`Withdrawing ${this.formatAsset(units, chainId)} from custody...`);
 
       // Switch chain if needed (uses appropriate provider for wallet type)
       await this.ensureChain(chainId, chainConfig);
@@ -2743,39 +3599,40 @@ class YellowPaymentApp {
         this.userAddress
       );
 
-      const txHash = await nitroliteService.withdraw(tokenAddress, BigInt(amount));
-      this.log(`Withdraw tx: ${txHash.slice(0, 10)}...`);
+      const txHash = await nitroliteService.withdraw(tokenAddress, units);
+      log(`Withdraw tx: ${txHash.slice(0, 10)}...`, 'info', { txHash });
 
       const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
       if (receipt.status === 'success') {
-        this.log('Withdrawal complete! Tokens sent to your wallet.');
+        log('Withdrawal complete! Tokens sent to your wallet.');
       } else {
-        this.log('Withdrawal failed', 'error');
+        log('Withdrawal failed', 'error');
       }
 
       this.checkCustodyBalance();
 
     } catch (error) {
       const errorMsg = error.cause?.message || error.shortMessage || error.message;
-      this.log(`Withdraw failed: ${errorMsg}`, 'error');
+      log(`Withdraw failed: ${errorMsg}`, 'error');
       console.error('Withdraw error:', error);
     }
   }
 
   async closeChannel(channelId) {
+    const log = this.operationLog('channel_close', { channelId });
     if (!this.isAuthenticated) {
-      this.log('Please authenticate first', 'error');
+      log('Please authenticate first', 'error');
       return;
     }
 
     // Mainnet confirmation
-    if (!await this.confirmMainnetAction('Close Channel', 0)) {
-      this.log('Channel close cancelled by user');
+    if (!await this.confirmMainnetAction('Close Channel', 0n)) {
+      log('Channel close cancelled by user');
       return;
     }
 
     try {
-      this.log(`Closing channel ${channelId.slice(0, 10)}...`);
+      log(`Closing channel ${channelId.slice(0, 10)}...`);
 
       const closeMessage = await createCloseChannelMessage(
         this.messageSigner,
@@ -2784,33 +3641,34 @@ class YellowPaymentApp {
       );
 
       console.log('Close channel message:', closeMessage);
-      this.ws.send(closeMessage);
+      this.client.send(closeMessage);
 
     } catch (error) {
-      this.log(`Failed to close channel: ${error.message}`, 'error');
+      log(`Failed to close channel: ${error.message}`, 'error');
     }
   }
 
   async handleCreateChannelResponse(data) {
+    const log = this.operationLog('channel_create', { channelId: data?.channel_id });
     console.log('Create channel response:', data);
     if (data?.channel_id) {
       const channelIdShort = data.channel_id.slice(0, 10);
-      this.log(`Channel created off-chain: ${channelIdShort}...`);
+      log(`Channel created off-chain: ${channelIdShort}...`);
 
       this.pendingChannelId = data.channel_id;
       this.pendingChannelData = data;
 
       if (this.pendingWithdrawal && this.pendingWithdrawal.step === 'create_channel') {
         if (!data?.channel_id || !data?.channel || !data?.state || !data?.server_signature) {
-          this.log('Channel creation failed - missing data', 'error');
+          log('Channel creation failed - missing data', 'error');
           this.pendingWithdrawal = null;
           return;
         }
 
         const { amount, chainId, chainConfig } = this.pendingWithdrawal;
 
-        this.log('Step 2/4: Submitting channel on-chain (with 0 allocations)...');
-        this.log('Server requires channel to exist on-chain before we can allocate funds');
+        log('Step 2/4: Submitting channel on-chain (with 0 allocations)...');
+        log('Server requires channel to exist on-chain before we can allocate funds');
 
         this.pendingWithdrawal.step = 'submit_on_chain';
         this.pendingWithdrawal.channelId = data.channel_id;
@@ -2819,30 +3677,31 @@ class YellowPaymentApp {
         await this.submitChannelOnChainForWithdrawal(data, chainId, chainConfig);
         return;
       } else if (this.pendingChannelFund) {
-        this.log('Channel created for funding...');
+        log('Channel created for funding...');
       }
 
       if (data.channel && data.state && data.server_signature) {
-        this.log('Submitting channel to blockchain...');
+        log('Submitting channel to blockchain...');
         await this.submitChannelOnChain(data);
       } else {
-        this.log('Channel created but missing on-chain data. Refresh channels.');
+        log('Channel created but missing on-chain data. Refresh channels.');
         this.getChannels();
       }
     } else {
-      this.log(`Channel response: ${JSON.stringify(data)}`);
+      log(`Channel response: ${JSON.stringify(data)}`);
       this.pendingChannelFund = null;
       this.pendingWithdrawal = null;
     }
   }
 
   async submitChannelOnChain(channelData) {
+    const log = this.operationLog('channel_create');
     try {
       const chainId = parseInt(this.elements.chainSelect?.value || '0');
       const chainConfig = this.config.chains[chainId];
 
       if (!chainConfig?.custody) {
-        this.log('No custody address configured for this chain', 'error');
+        log('No custody address configured for this chain', 'error');
         return;
       }
 
@@ -2883,11 +3742,11 @@ class YellowPaymentApp {
       };
 
       const channelIdCalculated = getChannelId(channel, chainId);
-      this.log(`Channel ID: ${channelIdCalculated.slice(0, 10)}...`);
+      log(`Channel ID: ${channelIdCalculated.slice(0, 10)}...`);
 
       const packedState = getPackedState(channelIdCalculated, unsignedState);
 
-      this.log('Requesting wallet signature for state...');
+      log('Requesting wallet signature for state...');
       const userSignature = await this.walletClient.signMessage({
         account: this.userAddress,
         message: { raw: packedState }
@@ -2897,18 +3756,19 @@ class YellowPaymentApp {
         ...unsignedState,
         sigs: [userSignature, channelData.server_signature]
       };
+      this.stateHistory.record(channelIdCalculated, signedState, { initiator: 'clearnode', note: 'Channel opened' });
 
-      this.log('Creating channel on-chain (requires wallet approval)...');
+      log('Creating channel on-chain (requires wallet approval)...');
       console.log('On-chain channel data:', { channel, signedState, channelIdCalculated });
 
       const txHash = await nitroliteService.createChannel(channel, signedState);
-      this.log(`On-chain tx submitted: ${txHash.slice(0, 10)}...`);
+      log(`On-chain tx submitted: ${txHash.slice(0, 10)}...`, 'info', { txHash });
 
-      this.log('Waiting for confirmation...');
+      log('Waiting for confirmation...');
       const receipt = await this.publicClient.waitForTransactionReceipt({ hash: txHash });
 
       if (receipt.status === 'success') {
-        this.log('Channel created on-chain!');
+        log('Channel created on-chain!');
 
         this.onChainChannels.set(channelData.channel_id, {
           channel,
@@ -2919,31 +3779,30 @@ class YellowPaymentApp {
         });
 
         this.saveChannelsToStorage();
-        this.renderChannelsList();
 
         if (this.pendingWithdrawal && this.pendingWithdrawal.step === 'submit_on_chain') {
           const { amount, channelId } = this.pendingWithdrawal;
           this.pendingWithdrawal.step = 'allocate_funds';
-          this.log(`Step 2/4: Channel on-chain, allocating ${(amount / 1_000_000).toFixed(2)} USDC...`);
+          log(`Step 2/4: Channel on-chain, allocating ${this.formatAsset(amount)}...`);
           await this.allocateFundsToChannel(channelId, amount);
         } else if (this.pendingChannelFund) {
           const { amount } = this.pendingChannelFund;
           this.pendingChannelFund = null;
-          this.log(`Requesting resize to allocate ${(amount / 1_000_000).toFixed(2)} USDC...`);
+          log(`Requesting resize to allocate ${this.formatAsset(amount)}...`);
           await this.resizeChannel(channelData.channel_id, amount);
         } else {
           this.getChannels();
         }
       } else {
-        this.log('On-chain transaction failed', 'error');
+        log('On-chain transaction failed', 'error');
         this.pendingWithdrawal = null;
       }
     } catch (error) {
       const errorDetails = error.cause?.message || error.cause?.shortMessage || error.shortMessage || error.message;
       const errorReason = error.cause?.reason || error.reason || '';
-      this.log(`On-chain submission failed: ${errorDetails}`, 'error');
+      log(`On-chain submission failed: ${errorDetails}`, 'error');
       if (errorReason) {
-        this.log(`Reason: ${errorReason}`, 'error');
+        log(`Reason: ${errorReason}`, 'error');
       }
       console.error('On-chain error:', error);
       this.pendingChannelFund = null;
@@ -2951,6 +3810,7 @@ class YellowPaymentApp {
   }
 
   async submitChannelOnChainForWithdrawal(channelData, chainId, chainConfig) {
+    const log = this.operationLog('channel_resize');
     try {
       // Switch chain if needed (uses appropriate provider for wallet type)
       await this.ensureChain(chainId, chainConfig);
@@ -2977,7 +3837,7 @@ class YellowPaymentApp {
       };
 
       const channelIdHash = getChannelId(channel, chainId);
-      this.log(`Channel ID: ${channelIdHash.slice(0, 10)}...`);
+      log(`Channel ID: ${channelIdHash.slice(0, 10)}...`, 'info', { channelId: channelIdHash });
 
       const initialState = {
         intent: channelData.state.intent,
@@ -2992,7 +3852,7 @@ class YellowPaymentApp {
       };
 
       const packedState = getPackedState(channelIdHash, initialState);
-      this.log('Requesting wallet signature...');
+      log('Requesting wallet signature...');
       const userSignature = await walletClient.signMessage({
         account: this.userAddress,
         message: { raw: packedState }
@@ -3002,16 +3862,17 @@ class YellowPaymentApp {
         ...initialState,
         sigs: [userSignature, channelData.server_signature]
       };
+      this.stateHistory.record(channelIdHash, signedState, { initiator: 'clearnode', note: 'Channel opened' });
 
-      this.log('Creating channel on-chain (requires gas)...');
+      log('Creating channel on-chain (requires gas)...');
       const txHash = await nitroliteService.createChannel(channel, signedState);
-      this.log(`Transaction submitted: ${txHash.slice(0, 10)}...`);
+      log(`Transaction submitted: ${txHash.slice(0, 10)}...`, 'info', { txHash });
 
-      this.log('Waiting for confirmation...');
+      log('Waiting for confirmation...');
       const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
 
       if (receipt.status === 'success') {
-        this.log('Channel created on-chain!');
+        log('Channel created on-chain!');
 
         this.onChainChannels.set(channelData.channel_id, {
           channel,
@@ -3022,9 +3883,9 @@ class YellowPaymentApp {
         });
 
         this.saveChannelsToStorage();
-        this.log('Step 3/4: Moving funds from ledger to on-chain custody...');
+        log('Step 3/4: Moving funds from ledger to on-chain custody...');
         const { amount } = this.pendingWithdrawal;
-        this.log(`Moving ${(amount / 1_000_000).toFixed(2)} USDC to custody contract`);
+        log(`Moving ${this.formatAsset(amount)} to custody contract`);
 
         const resizeMessage = await createResizeChannelMessage(
           this.messageSigner,
@@ -3037,16 +3898,19 @@ class YellowPaymentApp {
 
         this.pendingWithdrawal.step = 'allocate_to_channel';
 
-        this.ws.send(resizeMessage);
+        await this.client.spend(
+          { asset: this.config.asset, amount: BigInt(amount), operation: 'Withdrawal resize' },
+          () => this.client.send(resizeMessage)
+        );
 
       } else {
-        this.log('On-chain transaction failed', 'error');
+        log('On-chain transaction failed', 'error');
         this.pendingWithdrawal = null;
       }
 
     } catch (error) {
       const errorMsg = error.cause?.message || error.shortMessage || error.message;
-      this.log(`On-chain submission failed: ${errorMsg}`, 'error');
+      log(`On-chain submission failed: ${errorMsg}`, 'error');
       console.error('On-chain error:', error);
       this.pendingWithdrawal = null;
     }
@@ -3055,7 +3919,6 @@ class YellowPaymentApp {
   handleGetChannelsResponse(data) {
     console.log('Get channels response:', data);
     this.channels = data?.channels || [];
-    this.renderChannelsList();
   }
 
   handleChannelsBroadcast(data) {
@@ -3068,19 +3931,20 @@ class YellowPaymentApp {
         console.log(`Stored server channel: ${ch.channel_id.slice(0, 10)}...`);
       }
     });
+    this.store.touch('serverChannels');
 
     if (channels.length > 0) {
       this.channels = channels;
-      this.renderChannelsList();
     }
   }
 
   async handleResizeChannelResponse(data) {
+    const log = this.operationLog('channel_resize', { channelId: data?.channel_id });
     console.log('Resize channel response:', data);
 
     if (this.pendingWithdrawal && this.pendingWithdrawal.step === 'allocate_to_channel') {
       if (!data?.channel_id) {
-        this.log('Resize failed', 'error');
+        log('Resize failed', 'error');
         console.error('Resize response:', data);
         this.pendingWithdrawal = null;
         return;
@@ -3092,10 +3956,10 @@ class YellowPaymentApp {
         a.destination.toLowerCase() === this.userAddress.toLowerCase()
       );
       if (userAllocation) {
-        this.log(`Funds moved to custody: ${(parseInt(userAllocation.amount) / 1_000_000).toFixed(2)} USDC`);
+        log(`Funds moved to custody: ${this.formatAsset(BigInt(userAllocation.amount))}`);
       }
 
-      this.log('Step 4/4: Closing channel to withdraw to wallet...');
+      log('Step 4/4: Closing channel to withdraw to wallet...');
 
       try {
         const closeMessage = await createCloseChannelMessage(
@@ -3106,38 +3970,39 @@ class YellowPaymentApp {
 
         this.pendingWithdrawal.step = 'close_channel';
 
-        this.ws.send(closeMessage);
+        this.client.send(closeMessage);
 
       } catch (error) {
-        this.log(`Close failed: ${error.message}`, 'error');
+        log(`Close failed: ${error.message}`, 'error');
         this.pendingWithdrawal = null;
       }
       return;
     }
 
     if (data?.channel_id || data?.success) {
-      this.log('Channel funded! Funds allocated to channel.');
-      this.log('Close the channel to withdraw funds on-chain.');
+      log('Channel funded! Funds allocated to channel.');
+      log('Close the channel to withdraw funds on-chain.');
       this.getChannels();
       this.getBalances();
     } else {
-      this.log(`Resize response: ${JSON.stringify(data)}`);
+      log(`Resize response: ${JSON.stringify(data)}`);
     }
   }
 
   async handleCloseChannelResponse(data) {
+    const log = this.operationLog('channel_close', { channelId: data?.channel_id });
     console.log('Close channel response:', data);
 
     if (this.pendingWithdrawal && this.pendingWithdrawal.step === 'close_channel') {
       if (!data?.state || !data?.server_signature) {
-        this.log('Close response missing signed state', 'error');
+        log('Close response missing signed state', 'error');
         this.pendingWithdrawal = null;
         return;
       }
 
       const { channelData, chainId, chainConfig } = this.pendingWithdrawal;
 
-      this.log('Submitting close transaction on-chain...');
+      log('Submitting close transaction on-chain...');
       await this.submitCloseOnChainSimple(channelData, data, chainId, chainConfig);
 
       this.pendingWithdrawal = null;
@@ -3145,18 +4010,19 @@ class YellowPaymentApp {
     }
 
     if (data?.channel_id && data?.state && data?.server_signature) {
-      this.log('Received final state, closing channel on-chain...');
+      log('Received final state, closing channel on-chain...');
       await this.submitCloseChannelOnChain(data);
     } else if (data?.success || data?.channel_id) {
-      this.log('Channel closed! Funds returned to off-chain balance.');
+      log('Channel closed! Funds returned to off-chain balance.');
       this.getChannels();
       this.getBalances();
     } else {
-      this.log(`Close channel response: ${JSON.stringify(data)}`);
+      log(`Close channel response: ${JSON.stringify(data)}`);
     }
   }
 
   async submitCloseChannelOnChain(closeData) {
+    const log = this.operationLog('channel_close', { channelId: closeData.channel_id });
     try {
       const channelId = closeData.channel_id;
       let onChainData = this.onChainChannels.get(channelId);
@@ -3164,18 +4030,18 @@ class YellowPaymentApp {
       if (!onChainData) {
         const serverChannel = this.serverChannels.get(channelId);
         if (serverChannel) {
-          this.log('Reconstructing channel from server data...');
+          log('Reconstructing channel from server data...');
 
           const brokerAddress = closeData.state?.allocations?.[1]?.destination;
           if (!brokerAddress) {
-            this.log('Cannot determine broker address from close response', 'error');
+            log('Cannot determine broker address from close response', 'error');
             return;
           }
 
           const chainId = serverChannel.chain_id;
           const chainConfig = this.config.chains[chainId];
           if (!chainConfig) {
-            this.log(`Unsupported chain: ${chainId}`, 'error');
+            log(`Unsupported chain: ${chainId}`, 'error');
             return;
           }
 
@@ -3187,7 +4053,7 @@ class YellowPaymentApp {
           };
 
           const calculatedChannelId = getChannelId(channel, chainId);
-          this.log(`Calculated channel ID: ${calculatedChannelId.slice(0, 10)}...`);
+          log(`Calculated channel ID: ${calculatedChannelId.slice(0, 10)}...`);
 
           onChainData = {
             channel,
@@ -3196,7 +4062,7 @@ class YellowPaymentApp {
             chainConfig
           };
         } else {
-          this.log('Channel not found in registry or server data. It may have been closed already.');
+          log('Channel not found in registry or server data. It may have been closed already.');
           this.getChannels();
           this.getBalances();
           return;
@@ -3236,7 +4102,7 @@ class YellowPaymentApp {
 
       const packedState = getPackedState(channelIdHash, finalState);
 
-      this.log('Requesting wallet signature for close...');
+      log('Requesting wallet signature for close...');
       const userSignature = await this.walletClient.signMessage({
         account: this.userAddress,
         message: { raw: packedState }
@@ -3246,18 +4112,19 @@ class YellowPaymentApp {
         ...finalState,
         sigs: [userSignature, closeData.server_signature]
       };
+      this.stateHistory.record(channelIdHash, signedFinalState, { initiator: 'clearnode', note: 'Final state for close' });
 
-      this.log('Closing channel on-chain (requires wallet approval)...');
+      log('Closing channel on-chain (requires wallet approval)...');
       console.log('Close channel on-chain data:', { channelIdHash, signedFinalState });
 
       const txHash = await nitroliteService.close(channelIdHash, signedFinalState, []);
-      this.log(`Close tx submitted: ${txHash.slice(0, 10)}...`);
+      log(`Close tx submitted: ${txHash.slice(0, 10)}...`, 'info', { txHash });
 
-      this.log('Waiting for confirmation...');
+      log('Waiting for confirmation...');
       const receipt = await this.publicClient.waitForTransactionReceipt({ hash: txHash });
 
       if (receipt.status === 'success') {
-        this.log('Channel closed on-chain! Funds released to custody.');
+        log('Channel closed on-chain! Funds released to custody.');
 
         const depositedAmount = onChainData.depositedAmount || 0;
         const tokenAddress = onChainData.tokenAddress || closeData.state.allocations[0]?.token;
@@ -3265,27 +4132,27 @@ class YellowPaymentApp {
         if (depositedAmount > 0 && tokenAddress) {
           const withdrawAmount = BigInt(depositedAmount);
 
-          this.log(`Withdrawing ${Number(withdrawAmount) / 1_000_000} USDC from custody...`);
+          log(`Withdrawing ${this.formatAsset(withdrawAmount, chainId)} from custody...`);
 
           try {
             const withdrawTxHash = await nitroliteService.withdraw(tokenAddress, withdrawAmount);
-            this.log(`Withdraw tx submitted: ${withdrawTxHash.slice(0, 10)}...`);
+            log(`Withdraw tx submitted: ${withdrawTxHash.slice(0, 10)}...`, 'info', { txHash: withdrawTxHash });
 
             const withdrawReceipt = await this.publicClient.waitForTransactionReceipt({ hash: withdrawTxHash });
 
             if (withdrawReceipt.status === 'success') {
-              this.log('Withdrawal complete! Tokens sent to your wallet.');
-              this.log(`Check ${chainConfig.name} for your USDC.`);
+              log('Withdrawal complete! Tokens sent to your wallet.');
+              log(`Check ${chainConfig.name} for your USDC.`);
             } else {
-              this.log('Withdraw transaction failed', 'error');
+              log('Withdraw transaction failed', 'error');
             }
           } catch (withdrawError) {
             const withdrawErrorMsg = withdrawError.cause?.message || withdrawError.shortMessage || withdrawError.message;
-            this.log(`Withdraw failed: ${withdrawErrorMsg}`, 'error');
+            log(`Withdraw failed: ${withdrawErrorMsg}`, 'error');
             console.error('Withdraw error:', withdrawError);
           }
         } else {
-          this.log('No funds to withdraw (no deposit recorded).');
+          log('No funds to withdraw (no deposit recorded).');
         }
 
         this.onChainChannels.delete(channelId);
@@ -3293,16 +4160,17 @@ class YellowPaymentApp {
         this.getChannels();
         this.getBalances();
       } else {
-        this.log('On-chain close transaction failed', 'error');
+        log('On-chain close transaction failed', 'error');
       }
     } catch (error) {
       const errorDetails = error.cause?.message || error.cause?.shortMessage || error.shortMessage || error.message;
-      this.log(`On-chain close failed: ${errorDetails}`, 'error');
+      log(`On-chain close failed: ${errorDetails}`, 'error');
       console.error('Close channel on-chain error:', error);
     }
   }
 
   async submitCloseOnChainSimple(channelData, closeData, chainId, chainConfig) {
+    const log = this.operationLog('channel_close', { channelId: closeData.channel_id });
     try {
       // Switch chain if needed (uses appropriate provider for wallet type)
       await this.ensureChain(chainId, chainConfig);
@@ -3343,7 +4211,7 @@ class YellowPaymentApp {
       };
 
       const packedState = getPackedState(channelIdHash, finalState);
-      this.log('Requesting wallet signature...');
+      log('Requesting wallet signature...');
       const userSignature = await walletClient.signMessage({
         account: this.userAddress,
         message: { raw: packedState }
@@ -3353,62 +4221,62 @@ class YellowPaymentApp {
         ...finalState,
         sigs: [userSignature, closeData.server_signature]
       };
+      this.stateHistory.record(channelIdHash, signedFinalState, { initiator: 'clearnode', note: 'Final state for close' });
 
-      this.log('Submitting close transaction (requires gas)...');
+      log('Submitting close transaction (requires gas)...');
       const txHash = await nitroliteService.close(channelIdHash, signedFinalState, []);
-      this.log(`Transaction submitted: ${txHash.slice(0, 10)}...`);
+      log(`Transaction submitted: ${txHash.slice(0, 10)}...`, 'info', { txHash });
 
-      this.log('Waiting for confirmation...');
+      log('Waiting for confirmation...');
       const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
 
       if (receipt.status === 'success') {
-        this.log('Withdrawal complete!');
-        this.log(`Check your wallet on ${chainConfig.name} for the USDC tokens.`);
+        log('Withdrawal complete!');
+        log(`Check your wallet on ${chainConfig.name} for the USDC tokens.`);
 
         await this.getBalances();
         await this.getChannels();
       } else {
-        this.log('Transaction failed', 'error');
+        log('Transaction failed', 'error');
       }
 
     } catch (error) {
       const errorMsg = error.cause?.message || error.shortMessage || error.message;
-      this.log(`On-chain close failed: ${errorMsg}`, 'error');
+      log(`On-chain close failed: ${errorMsg}`, 'error');
       console.error('Close on-chain error:', error);
     }
   }
 
-  // Make a payment within a state channel (supports bidirectional payments)
+  // Make a payment within a state channel (supports bidirectional payments).
+  // `amount` is in base units; without it the channel's inline input is read.
   async payInChannel(channelId, direction = 'user-to-partner', amount = null) {
+    const log = this.operationLog('channel_payment', { channelId });
     const channelData = this.onChainChannels.get(channelId);
     if (!channelData) {
-      this.log('Channel not found', 'error');
+      log('Channel not found', 'error');
       return;
     }
 
-    if (!channelData.partnerPrivateKey || !channelData.currentState || !channelData.channel) {
-      this.log('Channel does not have required data for payments', 'error');
+    if (!this.canGetPartnerSignature(channelData) || !channelData.currentState || !channelData.channel) {
+      log('Channel needs a connected co-signing partner (or partner key) and its state for payments', 'error');
       return;
     }
 
+    const { chainId } = channelData;
+
     // Get amount from param or input (for backward compatibility)
-    let payAmount = amount;
-    if (payAmount === null) {
+    let amountInUnits = amount;
+    if (amountInUnits === null) {
       const inputId = `${this.prefix}payAmount-${channelId.slice(0, 10)}`;
       const input = document.getElementById(inputId);
-      payAmount = parseFloat(input?.value?.trim() || '0');
-    }
-
-    if (isNaN(payAmount) || payAmount <= 0) {
-      this.log('Please enter a valid amount', 'error');
-      return;
+      amountInUnits = this.readAmount(input?.value, 'amount', chainId);
+      if (amountInUnits === null) return;
     }
 
-    const amountInUnits = BigInt(Math.floor(payAmount * 1_000_000));
-
     // Get current allocations
-    const currentUserAlloc = channelData.currentState.allocations[0].amount;
-    const currentPartnerAlloc = channelData.currentState.allocations[1].amount;
+    const { mine, theirs } = this.allocationIndexes(channelData);
+    const currentUserAlloc = channelData.currentState.allocations[mine].amount;
+    const currentPartnerAlloc = channelData.currentState.allocations[theirs].amount;
 
     // Calculate new allocations based on direction
     let newUserAlloc, newPartnerAlloc;
@@ -3416,7 +4284,7 @@ class YellowPaymentApp {
     if (direction === 'user-to-partner') {
       // User pays partner
       if (amountInUnits > currentUserAlloc) {
-        this.log(`Insufficient balance. You have ${(Number(currentUserAlloc) / 1_000_000).toFixed(6)} USDC`, 'error');
+        log(`Insufficient balance. You have ${this.formatAsset(currentUserAlloc, chainId)}`, 'error');
         return;
       }
       newUserAlloc = currentUserAlloc - amountInUnits;
@@ -3424,7 +4292,7 @@ class YellowPaymentApp {
     } else {
       // Partner pays user
       if (amountInUnits > currentPartnerAlloc) {
-        this.log(`Insufficient partner balance. Partner has ${(Number(currentPartnerAlloc) / 1_000_000).toFixed(6)} USDC`, 'error');
+        log(`Insufficient partner balance. Partner has ${this.formatAsset(currentPartnerAlloc, chainId)}`, 'error');
         return;
       }
       newUserAlloc = currentUserAlloc + amountInUnits;
@@ -3433,33 +4301,25 @@ class YellowPaymentApp {
 
     // Mainnet confirmation
     const directionLabel = direction === 'user-to-partner' ? 'Pay Partner' : 'Receive from Partner';
-    if (!await this.confirmMainnetAction(directionLabel, payAmount)) {
+    if (!await this.confirmMainnetAction(directionLabel, amountInUnits, chainId)) {
       return;
     }
 
     try {
-      this.log(`Processing ${directionLabel}: ${payAmount} USDC...`);
+      log(`Processing ${directionLabel}: ${this.formatAsset(amountInUnits, chainId)}...`);
 
       const { chainConfig } = channelData;
       const newVersion = channelData.currentState.version + 1n;
 
       // Create new state with OPERATE intent
+      const allocations = channelData.currentState.allocations.map(a => ({ ...a }));
+      allocations[mine].amount = newUserAlloc;
+      allocations[theirs].amount = newPartnerAlloc;
       const newState = {
         intent: 0, // OPERATE
         version: newVersion,
         data: '0x',
-        allocations: [
-          {
-            destination: channelData.currentState.allocations[0].destination,
-            token: channelData.currentState.allocations[0].token,
-            amount: newUserAlloc
-          },
-          {
-            destination: channelData.currentState.allocations[1].destination,
-            token: channelData.currentState.allocations[1].token,
-            amount: newPartnerAlloc
-          }
-        ],
+        allocations,
         sigs: []
       };
 
@@ -3480,41 +4340,50 @@ class YellowPaymentApp {
           message: { raw: packedState }
         });
       }
-      this.log('Your signature obtained');
+      log('Your signature obtained');
 
-      // Sign with partner's key
-      const partnerAccount = privateKeyToAccount(channelData.partnerPrivateKey);
-      const partnerSignature = await partnerAccount.signMessage({
-        message: { raw: packedState }
-      });
-      this.log('Partner signature obtained');
+      // Partner signs in their own app (or locally with a stored key)
+      const partnerSignature = await this.partnerSignatureFor(
+        channelId,
+        channelData,
+        { ...newState, sigs: [userSignature] },
+        // Worded for the partner reviewing it
+        `${direction === 'user-to-partner' ? 'Payment to you' : 'Payment from you'}: ${this.formatAsset(amountInUnits, chainId)}`
+      );
+      log('Partner signature obtained');
 
-      // Create signed state with both signatures
+      // Create signed state with both signatures, in participant order
       const signedState = {
         ...newState,
-        sigs: [userSignature, partnerSignature]
+        sigs: sigsInParticipantOrder(channelData.channel.participants, {
+          [this.userAddress]: userSignature,
+          [channelData.partnerAddress]: partnerSignature
+        })
       };
 
-      // Update channel data with new state
+      // Update channel data with new state; the history keeps the ones before it
       channelData.currentState = {
         version: newVersion,
         allocations: newState.allocations
       };
       channelData.latestSignedState = signedState;
+      this.stateHistory.record(channelId, signedState, {
+        initiator: direction === 'user-to-partner' ? 'user' : 'partner',
+        note: `${directionLabel}: ${this.formatAsset(amountInUnits, chainId)}`
+      });
 
       // Save and re-render
       this.saveChannelsToStorage();
-      this.renderChannelsList();
 
       const directionArrow = direction === 'user-to-partner' ? '→' : '←';
-      this.log(`Payment successful! ${payAmount} USDC ${directionArrow}`);
-      this.log(`New state version: ${newVersion}`);
-      this.log(`Your balance: ${(Number(newUserAlloc) / 1_000_000).toFixed(6)} USDC`);
-      this.log(`Partner balance: ${(Number(newPartnerAlloc) / 1_000_000).toFixed(6)} USDC`);
+      log(`Payment successful! ${this.formatAsset(amountInUnits, chainId)} ${directionArrow}`);
+      log(`New state version: ${newVersion}`);
+      log(`Your balance: ${this.formatAsset(newUserAlloc, chainId)}`);
+      log(`Partner balance: ${this.formatAsset(newPartnerAlloc, chainId)}`);
 
     } catch (error) {
       console.error('Payment error:', error);
-      this.log(`Payment failed: ${error.message}`, 'error');
+      log(`Payment failed: ${error.message}`, 'error');
     }
   }
 
@@ -3526,8 +4395,8 @@ class YellowPaymentApp {
       return;
     }
 
-    if (!channelData.partnerPrivateKey) {
-      this.log('Partner private key required for payments', 'error');
+    if (!this.canGetPartnerSignature(channelData)) {
+      this.log('Connect to your partner for co-signing (or add their key) to make payments', 'error');
       return;
     }
 
@@ -3539,14 +4408,15 @@ class YellowPaymentApp {
       this.elements.paymentChannelId.textContent = channelId.slice(0, 10) + '...' + channelId.slice(-6);
     }
 
-    const userBalance = channelData.currentState?.allocations?.[0]?.amount || 0n;
-    const partnerBalance = channelData.currentState?.allocations?.[1]?.amount || 0n;
+    const { mine, theirs } = this.allocationIndexes(channelData);
+    const userBalance = channelData.currentState?.allocations?.[mine]?.amount || 0n;
+    const partnerBalance = channelData.currentState?.allocations?.[theirs]?.amount || 0n;
 
     if (this.elements.paymentUserBalance) {
-      this.elements.paymentUserBalance.textContent = (Number(userBalance) / 1_000_000).toFixed(6) + ' USDC';
+      this.elements.paymentUserBalance.textContent = this.formatAsset(userBalance, channelData.chainId);
     }
     if (this.elements.paymentPartnerBalance) {
-      this.elements.paymentPartnerBalance.textContent = (Number(partnerBalance) / 1_000_000).toFixed(6) + ' USDC';
+      this.elements.paymentPartnerBalance.textContent = this.formatAsset(partnerBalance, channelData.chainId);
     }
 
     // Display state versions (on-chain and off-chain)
@@ -3554,7 +4424,7 @@ class YellowPaymentApp {
     const onChainVersion = channelData.onChainStateVersion?.toString() || '0';
     if (this.elements.paymentStateVersion) {
       if (offChainVersion !== onChainVersion) {
-        this.elements.paymentStateVersion.innerHTML = `On-chain: v${onChainVersion} <span style="color: #9c27b0; margin-left: 0.5rem;">Off-chain: v${offChainVersion}</span>`;
+        render(this.elements.paymentStateVersion, html`On-chain: v${onChainVersion} <span class="text-accent ml-sm">Off-chain: v${offChainVersion}</span>`);
       } else {
         this.elements.paymentStateVersion.textContent = `v${onChainVersion}`;
       }
@@ -3588,13 +4458,9 @@ class YellowPaymentApp {
     if (!channelId) return;
 
     const direction = this.elements.paymentDirection?.value || 'user-to-partner';
-    const amountStr = this.elements.paymentAmount?.value || '';
-    const amount = parseFloat(amountStr);
-
-    if (isNaN(amount) || amount <= 0) {
-      this.log('Please enter a valid amount', 'error');
-      return;
-    }
+    const chainId = this.onChainChannels.get(channelId)?.chainId;
+    const amount = this.readAmount(this.elements.paymentAmount?.value, 'amount', chainId);
+    if (amount === null) return;
 
     await this.payInChannel(channelId, direction, amount);
 
@@ -3604,7 +4470,7 @@ class YellowPaymentApp {
       const offChainVersion = channelData.currentState?.version?.toString() || '0';
       const onChainVersion = channelData.onChainStateVersion?.toString() || '0';
       if (offChainVersion !== onChainVersion) {
-        this.elements.paymentStateVersion.innerHTML = `On-chain: v${onChainVersion} <span style="color: #9c27b0; margin-left: 0.5rem;">Off-chain: v${offChainVersion}</span>`;
+        render(this.elements.paymentStateVersion, html`On-chain: v${onChainVersion} <span class="text-accent ml-sm">Off-chain: v${offChainVersion}</span>`);
       } else {
         this.elements.paymentStateVersion.textContent = `v${onChainVersion}`;
       }
@@ -3612,54 +4478,109 @@ class YellowPaymentApp {
 
     // Update balances display
     if (channelData) {
-      const userBalance = channelData.currentState?.allocations?.[0]?.amount || 0n;
-      const partnerBalance = channelData.currentState?.allocations?.[1]?.amount || 0n;
+      const { mine, theirs } = this.allocationIndexes(channelData);
+      const userBalance = channelData.currentState?.allocations?.[mine]?.amount || 0n;
+      const partnerBalance = channelData.currentState?.allocations?.[theirs]?.amount || 0n;
       if (this.elements.paymentUserBalance) {
-        this.elements.paymentUserBalance.textContent = (Number(userBalance) / 1_000_000).toFixed(6) + ' USDC';
+        this.elements.paymentUserBalance.textContent = this.formatAsset(userBalance, channelData.chainId);
       }
       if (this.elements.paymentPartnerBalance) {
-        this.elements.paymentPartnerBalance.textContent = (Number(partnerBalance) / 1_000_000).toFixed(6) + ' USDC';
+        this.elements.paymentPartnerBalance.textContent = this.formatAsset(partnerBalance, channelData.chainId);
       }
     }
   }
 
+  // Newest state both parties signed: the channel's own or one from history
+  newestSignedState(channelId) {
+    const latest = this.onChainChannels.get(channelId)?.latestSignedState;
+    const own = latest?.sigs?.length >= 2 ? latest : null;
+    const fromHistory = this.stateHistory.latest(channelId);
+    if (fromHistory && (!own || BigInt(fromHistory.version) > own.version)) {
+      return this.stateHistory.toSignedState(fromHistory);
+    }
+    return own;
+  }
+
+  // A fresh watchtower for the connected wallet's channels. Its scan state
+  // (blocks seen, channels swept, challenges handled) is per wallet, so an
+  // earlier one is stopped rather than reused.
+  startWatchtower() {
+    this.stopWatchtower();
+    this.watchtower = new Watchtower({
+      ...this.config.watchtower,
+      channels: () => [...this.onChainChannels].map(([channelId, data]) => ({
+        channelId,
+        chainId: data.chainId,
+        chainConfig: data.chainConfig || this.config.chains[data.chainId]
+      })),
+      latestState: (channelId) => this.newestSignedState(channelId),
+      respond: (channelId, state) => this.respondToChallenge(channelId, state)
+    });
+    this.watchtower.on('log', (message, type, context) => this.log(message, type, { operation: 'watchtower', ...context }));
+    // Also picks up challenges from before a reload, ours or the other side's
+    this.watchtower.on('challenged', ({ channelId, expiresAt }) => this.trackChallenge(channelId, expiresAt));
+    this.watchtower.start();
+  }
+
+  stopWatchtower() {
+    this.watchtower?.stop();
+    this.watchtower = null;
+  }
+
+  // Watchtower response: checkpoint a newer state over a challenged one.
+  // No confirmation prompt - waiting on one could let the period run out.
+  async respondToChallenge(channelId, state) {
+    const log = this.operationLog('challenge', { channelId });
+    const channelData = this.onChainChannels.get(channelId);
+    const { nitroliteService, publicClient } = await this.custodyFor(channelData);
+
+    const txHash = await nitroliteService.checkpoint(channelId, state);
+    log(`Challenge response submitted: ${txHash.slice(0, 10)}...`, 'info', { txHash });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
+    if (receipt.status !== 'success') throw new Error('Checkpoint transaction reverted');
+
+    channelData.onChainStateVersion = state.version;
+    this.saveChannelsToStorage();
+  }
+
   // Checkpoint current state to blockchain
   async checkpointToChain(channelIdParam = null) {
     const channelId = channelIdParam || this.currentPaymentChannelId;
+    const log = this.operationLog('checkpoint', { channelId });
     if (!channelId) {
-      this.log('No channel selected', 'error');
+      log('No channel selected', 'error');
       return;
     }
 
     const channelData = this.onChainChannels.get(channelId);
     if (!channelData) {
-      this.log('Channel not found', 'error');
+      log('Channel not found', 'error');
       return;
     }
 
     if (!channelData.latestSignedState) {
-      this.log('No signed state to checkpoint. Make a payment first.', 'error');
+      log('No signed state to checkpoint. Make a payment first.', 'error');
       return;
     }
 
     if (!channelData.latestSignedState.sigs || channelData.latestSignedState.sigs.length < 2) {
-      this.log('State must have both signatures to checkpoint', 'error');
+      log('State must have both signatures to checkpoint', 'error');
       return;
     }
 
     const stateVersion = channelData.latestSignedState.version?.toString() || '0';
 
     // Mainnet confirmation
-    if (!await this.confirmMainnetAction(`Checkpoint State v${stateVersion}`, 0)) {
+    if (!await this.confirmMainnetAction(`Checkpoint State v${stateVersion}`, 0n)) {
       return;
     }
 
     try {
-      this.log(`Checkpointing state v${stateVersion} to chain...`);
+      log(`Checkpointing state v${stateVersion} to chain...`);
 
       const chainConfig = channelData.chainConfig || this.config.chains[channelData.chainId];
       if (!chainConfig) {
-        this.log('Chain config not found', 'error');
+        log('Chain config not found', 'error');
         return;
       }
 
@@ -3690,34 +4611,447 @@ class YellowPaymentApp {
         sigs: channelData.latestSignedState.sigs
       };
 
-      this.log('Submitting checkpoint transaction...');
+      log('Submitting checkpoint transaction...');
 
       // Call checkpoint
       const txHash = await nitroliteService.checkpoint(channelId, stateToCheckpoint);
 
-      this.log(`Checkpoint submitted! Tx: ${txHash.slice(0, 10)}...`);
-      this.log('Waiting for confirmation...');
+      log(`Checkpoint submitted! Tx: ${txHash.slice(0, 10)}...`, 'info', { txHash });
+      log('Waiting for confirmation...');
 
       // Wait for transaction confirmation
       const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
 
       if (receipt.status === 'success') {
-        this.log(`State v${stateVersion} checkpointed on-chain!`, 'success');
-        this.log(`Block: ${receipt.blockNumber}`);
+        log(`State v${stateVersion} checkpointed on-chain!`, 'success');
+        log(`Block: ${receipt.blockNumber}`);
 
         // Open explorer link
         if (chainConfig.explorerUrl) {
           const explorerLink = `${chainConfig.explorerUrl}/tx/${txHash}`;
-          this.log(`Explorer: ${explorerLink}`);
+          log(`Explorer: ${explorerLink}`);
         }
       } else {
-        this.log('Checkpoint transaction failed', 'error');
+        log('Checkpoint transaction failed', 'error');
       }
 
     } catch (error) {
       console.error('Checkpoint error:', error);
       const errorMsg = error.cause?.shortMessage || error.shortMessage || error.message;
-      this.log(`Checkpoint failed: ${errorMsg}`, 'error');
+      log(`Checkpoint failed: ${errorMsg}`, 'error');
+    }
+  }
+
+  // ============ CO-SIGNING ============
+
+  // Our relay key lives in the vault, so it is only shown once unlocked
+  showRelayKey() {
+    if (!this.elements.relayPubkey || !this.userAddress || !this.vault.isUnlocked) return;
+    this.elements.relayPubkey.value = loadRelayKey(this.vault, this.userAddress).publicKey;
+  }
+
+  // Join the relay room shared with the partner whose relay key is entered
+  connectCoSigner() {
+    const log = this.operationLog('cosign');
+    if (!this.vault.isUnlocked) {
+      log('Unlock the vault first - your relay key is stored there', 'error');
+      return;
+    }
+
+    const peerPubkey = this.elements.partnerRelayPubkey?.value.trim();
+    if (!isRelayPubkey(peerPubkey)) {
+      log('Enter the partner relay key (0x04 + 128 hex chars)', 'error');
+      return;
+    }
+
+    const { privateKey, publicKey } = loadRelayKey(this.vault, this.userAddress);
+    if (peerPubkey.toLowerCase() === publicKey.toLowerCase()) {
+      log('That is your own relay key', 'error');
+      return;
+    }
+
+    this.coSigner?.transport.close();
+    const transport = new RelayTransport({ relayUrl: this.config.relayUrl, privateKey, peerPubkey });
+    this.coSigner = new CoSigner({ transport, userAddress: this.userAddress });
+
+    transport.on('status', ({ connected, peers }) => this.store.set({ cosignStatus: { connected, peers } }));
+    this.coSigner.on('log', (message, type) => log(message, type));
+    this.coSigner.on('request', (request) => {
+      this.cosignRequests.set(request.id, request);
+      this.renderCosignRequests();
+      log(`Partner asks you to co-sign v${request.state.version} of ${request.channelId.slice(0, 10)}...`, 'warn');
+    });
+
+    transport.connect();
+    log(`Connecting to relay ${this.config.relayUrl}...`);
+  }
+
+  renderCosignStatus(status) {
+    const element = this.elements.cosignStatus;
+    if (!element || !status) return;
+    const { connected, peers } = status;
+    element.textContent = !connected
+      ? 'Relay disconnected, reconnecting...'
+      : peers > 0 ? 'Partner connected' : 'Waiting for partner to connect...';
+    element.style.color = connected && peers > 0 ? '#4caf50' : '#888';
+  }
+
+  canGetPartnerSignature(channelData) {
+    return Boolean(channelData.partnerPrivateKey || this.coSigner?.isConnected);
+  }
+
+  // Partner signature over `state` (which carries our own signature). With a
+  // stored partner key we sign locally, otherwise the partner's app is asked.
+  async partnerSignatureFor(channelId, channelData, state, note) {
+    if (channelData.partnerPrivateKey) {
+      const partnerAccount = privateKeyToAccount(channelData.partnerPrivateKey);
+      return partnerAccount.signMessage({ message: { raw: getPackedState(channelId, state) } });
+    }
+    if (!this.coSigner?.isConnected) {
+      throw new Error('Partner is not connected for co-signing');
+    }
+    return this.coSigner.requestSignature({
+      channelId,
+      chainId: channelData.chainId,
+      channel: channelData.channel,
+      state,
+      partnerAddress: channelData.partnerAddress,
+      note
+    });
+  }
+
+  // Allocation order follows the participants, and we are not always first
+  allocationIndexes(channelData) {
+    const allocations = channelData.currentState?.allocations || [];
+    const found = allocations.findIndex(a => a.destination?.toLowerCase() === this.userAddress?.toLowerCase());
+    const mine = found === -1 ? 0 : found;
+    return { mine, theirs: mine === 0 ? 1 : 0 };
+  }
+
+  // What the app checks before we sign a partner's state; null if fine
+  reviewCosignRequest(request) {
+    const { state } = request;
+    const channelData = this.onChainChannels.get(request.channelId);
+
+    if (!channelData) return this.reviewNewChannel(request);
+
+    if (channelData.partnerAddress?.toLowerCase() !== request.proposer.toLowerCase()) {
+      return 'proposer is not this channel\'s partner';
+    }
+    // Partners only ever ask each other to co-sign payments on an open
+    // channel; a resize or final state must not pass for one
+    if (state.intent !== 0) return `${intentName(state.intent)} states are not co-signed here, only payments (OPERATE)`;
+    if (state.data !== '0x') return 'payment state carries app data';
+    const current = channelData.currentState;
+    if (!current) return 'no current state for this channel';
+    if (state.version !== current.version + 1n) {
+      return `expected version ${current.version + 1n}, got ${state.version}`;
+    }
+    if (state.allocations?.length !== current.allocations.length) return 'allocation count changed';
+
+    const total = (allocations) => allocations.reduce((sum, a) => sum + a.amount, 0n);
+    if (total(state.allocations) !== total(current.allocations)) return 'allocations do not add up to the channel total';
+    if (state.allocations.some((a, i) => a.amount < 0n || a.destination.toLowerCase() !== current.allocations[i].destination.toLowerCase())) {
+      return 'allocation destinations changed';
+    }
+    return null;
+  }
+
+  // A channel we have never seen: only its opening state, between us and the
+  // proposer, with the adjudicator and token this app uses on that chain
+  reviewNewChannel({ chainId, channel, state, proposer }) {
+    if (state.intent !== 1 || state.version !== 0n) {
+      return 'unknown channel - only a new channel (INITIALIZE, v0) can be co-signed';
+    }
+    const chainConfig = this.config.chains[chainId];
+    if (!chainConfig?.adjudicator) return `chain ${chainId} is not configured for channels`;
+
+    const same = (a, b) => a?.toLowerCase() === b?.toLowerCase();
+    const { participants } = channel;
+    if (participants.length !== 2) return 'a channel needs exactly two participants';
+    if (!participants.some(p => same(p, this.userAddress))) return 'you are not a participant of this channel';
+    if (!participants.some(p => same(p, proposer)) || same(proposer, this.userAddress)) {
+      return 'proposer is not the other participant';
+    }
+    if (!same(channel.adjudicator, chainConfig.adjudicator)) return 'channel uses an unknown adjudicator';
+
+    const allocations = state.allocations || [];
+    if (allocations.length !== participants.length) return 'allocation count does not match the participants';
+    if (allocations.some((a, i) => !same(a.destination, participants[i]))) {
+      return 'allocations are not in participant order';
+    }
+    if (allocations.some(a => !same(a.token, chainConfig.token))) return `allocations are not in ${this.config.asset}`;
+    if (allocations.some(a => a.amount < 0n)) return 'negative allocation';
+    return null;
+  }
+
+  renderCosignRequests() {
+    const container = this.elements.cosignRequests;
+    if (!container) return;
+
+    render(container, html`${[...this.cosignRequests.values()].map((request) => {
+      const problem = this.reviewCosignRequest(request);
+      const mine = request.state.allocations.find(a => a.destination.toLowerCase() === this.userAddress.toLowerCase());
+      const before = this.onChainChannels.get(request.channelId)?.currentState?.allocations
+        .find(a => a.destination.toLowerCase() === this.userAddress.toLowerCase());
+      const change = mine && before
+        ? `Your balance: ${this.formatAsset(before.amount, request.chainId)} → ${this.formatAsset(mine.amount, request.chainId)}`
+        : `Your allocation: ${this.formatAsset(mine?.amount || 0n, request.chainId)}`;
+      // Nothing to compare a new channel with, so show all of it
+      const proposal = !this.onChainChannels.has(request.channelId) && html`
+        <div class="light text-md">
+          New channel on ${this.config.chains[request.chainId]?.name || `chain ${request.chainId}`},
+          challenge period ${request.channel.challenge}s
+          ${request.state.allocations.map(a => html`
+            <div class="mono">${a.destination} (${a.token.slice(0, 10)}...): ${this.formatAsset(a.amount, request.chainId)}</div>
+          `)}
+        </div>
+      `;
+
+      return html`
+        <div class="cosign-card ${problem && 'has-problem'}">
+          <div class="mono text-sm">${request.channelId.slice(0, 10)}... v${request.state.version} ${intentName(request.state.intent)}</div>
+          <div class="light">${request.note || 'No description'}</div>
+          <div class="light">${change}</div>
+          ${proposal}
+          ${problem && html`<div class="text-error">Cannot sign: ${problem}</div>`}
+          <div class="card-actions">
+            <button data-action="approveCosign" data-request-id="${request.id}" ${problem && 'disabled'}
+              class="btn-compact btn-success">Sign</button>
+            <button data-action="rejectCosign" data-request-id="${request.id}"
+              class="btn-compact btn-danger">Reject</button>
+          </div>
+        </div>
+      `;
+    })}`);
+  }
+
+  // Sign the partner's state and keep it as our latest for the channel
+  async approveCosign(requestId) {
+    const log = this.operationLog('cosign');
+    const request = this.cosignRequests.get(requestId);
+    if (!request) return;
+
+    const problem = this.reviewCosignRequest(request);
+    if (problem) {
+      log(`Cannot co-sign: ${problem}`, 'error');
+      return;
+    }
+
+    // Signing an opening state commits us to a channel we did not create
+    if (!this.onChainChannels.has(request.channelId)) {
+      const lines = request.state.allocations.map(a => `${a.destination}: ${this.formatAsset(a.amount, request.chainId)}`);
+      if (!confirm(`Co-sign a new channel with ${request.proposer} on chain ${request.chainId}?\n\n${lines.join('\n')}`)) {
+        log('Co-signing cancelled');
+        return;
+      }
+    }
+
+    try {
+      const chainConfig = this.config.chains[request.chainId];
+      const walletClient = this.createWalletClientForChain(chainConfig);
+      const signature = await this.signRaw(walletClient, getPackedState(request.channelId, request.state));
+      this.coSigner.approve(request, signature);
+
+      const signedState = {
+        ...request.state,
+        sigs: sigsInParticipantOrder(request.channel.participants, {
+          [request.proposer]: request.state.sigs[0],
+          [this.userAddress]: signature
+        })
+      };
+      const currentState = { version: signedState.version, allocations: signedState.allocations };
+
+      const channelData = this.onChainChannels.get(request.channelId);
+      if (channelData) {
+        channelData.currentState = currentState;
+        channelData.latestSignedState = signedState;
+      } else {
+        this.onChainChannels.set(request.channelId, {
+          channel: request.channel,
+          channelId: request.channelId,
+          chainId: request.chainId,
+          chainConfig,
+          tokenAddress: signedState.allocations[0].token,
+          depositedAmount: 0n,
+          partnerAddress: request.proposer,
+          partnerPrivateKey: null,
+          currentState,
+          latestSignedState: signedState
+        });
+      }
+
+      this.stateHistory.record(request.channelId, signedState, { initiator: 'partner', note: request.note });
+      this.cosignRequests.delete(requestId);
+      this.saveChannelsToStorage();
+      this.renderCosignRequests();
+      log(`Co-signed v${signedState.version} of ${request.channelId.slice(0, 10)}...`, 'success');
+    } catch (error) {
+      console.error('Co-sign error:', error);
+      log(`Co-signing failed: ${error.shortMessage || error.message}`, 'error');
+    }
+  }
+
+  rejectCosign(requestId) {
+    const log = this.operationLog('cosign');
+    const request = this.cosignRequests.get(requestId);
+    if (!request) return;
+
+    try {
+      this.coSigner.reject(request, 'declined by partner');
+    } catch (error) {
+      log(`Could not send the rejection: ${error.message}`, 'warn');
+    }
+    this.cosignRequests.delete(requestId);
+    this.renderCosignRequests();
+    log(`Rejected co-sign request for ${request.channelId.slice(0, 10)}...`);
+  }
+
+  // ============ CHALLENGE ============
+
+  // Switch to the channel's chain and build the clients for custody calls
+  async custodyFor(channelData) {
+    const chainConfig = channelData?.chainConfig || this.config.chains[channelData?.chainId];
+    if (!chainConfig) throw new Error('Chain config not found');
+
+    await this.ensureChain(channelData.chainId, chainConfig);
+
+    const walletClient = this.createWalletClientForChain(chainConfig);
+    const publicClient = createPublicClient({
+      chain: chainConfig.chain,
+      transport: http(chainConfig.rpcUrl)
+    });
+    const nitroliteService = new NitroliteService(
+      publicClient,
+      { custody: chainConfig.custody },
+      walletClient,
+      this.userAddress
+    );
+    return { nitroliteService, publicClient, walletClient, chainConfig };
+  }
+
+  signRaw(walletClient, raw) {
+    if (this.walletConnectionType === 'privatekey' && this.privateKeyAccount) {
+      return this.privateKeyAccount.signMessage({ message: { raw } });
+    }
+    return walletClient.signMessage({ account: this.userAddress, message: { raw } });
+  }
+
+  // Unilateral challenge with our newest signed state, for when the partner
+  // or broker stops responding. Unless they checkpoint something newer, the
+  // channel can be closed on this state once the challenge period is over.
+  async challengeChannel(channelId) {
+    const log = this.operationLog('challenge', { channelId });
+    const channelData = this.onChainChannels.get(channelId);
+    if (!channelData) {
+      log('Channel not found', 'error');
+      return;
+    }
+
+    const state = this.newestSignedState(channelId);
+    if (!state) {
+      log('No state signed by both parties to challenge with', 'error');
+      return;
+    }
+
+    if (!await this.confirmMainnetAction(`Challenge with State v${state.version}`, 0n)) {
+      return;
+    }
+
+    try {
+      log(`Challenging channel ${channelId.slice(0, 10)}... with state v${state.version}...`);
+      const { nitroliteService, publicClient, walletClient } = await this.custodyFor(channelData);
+
+      const txHash = await submitChallenge(nitroliteService, {
+        channelId,
+        state,
+        signRaw: (raw) => this.signRaw(walletClient, raw)
+      });
+      log(`Challenge submitted: ${txHash.slice(0, 10)}...`, 'info', { txHash });
+
+      const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
+      if (receipt.status !== 'success') {
+        log('Challenge transaction failed', 'error');
+        return;
+      }
+
+      const expiresAt = await readChallengeExpiry(nitroliteService, channelId);
+      channelData.status = ChannelStatus.DISPUTE;
+      channelData.onChainStateVersion = state.version;
+      this.saveChannelsToStorage();
+      this.trackChallenge(channelId, expiresAt);
+      log(`Channel challenged. It can be finalized after ${new Date(expiresAt * 1000).toLocaleString()}`);
+
+      if (this.selectedChannelId === channelId) this.showChannelPopup(channelId);
+    } catch (error) {
+      console.error('Challenge error:', error);
+      const errorMsg = error.cause?.shortMessage || error.shortMessage || error.message;
+      log(`Challenge failed: ${errorMsg}`, 'error');
+    }
+  }
+
+  // Count down a channel's challenge period; the modal shows it while open
+  trackChallenge(channelId, expiresAt) {
+    const log = this.operationLog('challenge', { channelId });
+    if (!expiresAt || this.challenges.get(channelId)?.expiresAt === expiresAt) return;
+    this.challenges.get(channelId)?.stop();
+
+    const elementId = `${this.prefix}challengeCountdown-${channelId.slice(0, 10)}`;
+    this.challenges.set(channelId, new ChallengeCountdown(expiresAt, {
+      onTick: (secondsLeft) => {
+        const element = document.getElementById(elementId);
+        if (element) element.textContent = formatRemaining(secondsLeft);
+      },
+      onExpire: () => {
+        log(`Challenge period for ${channelId.slice(0, 10)}... is over - the channel can be finalized`);
+        if (this.selectedChannelId === channelId) this.showChannelPopup(channelId);
+      }
+    }));
+  }
+
+  // Close a challenged channel after its period, on the state the contract holds
+  async finalizeChallenge(channelId) {
+    const log = this.operationLog('challenge', { channelId });
+    const channelData = this.onChainChannels.get(channelId);
+    if (!channelData) {
+      log('Channel not found', 'error');
+      return;
+    }
+
+    const countdown = this.challenges.get(channelId);
+    if (countdown && !countdown.isExpired) {
+      log(`Challenge period still running (${formatRemaining(countdown.secondsLeft)} left)`, 'error');
+      return;
+    }
+
+    if (!await this.confirmMainnetAction('Finalize Close', 0n)) {
+      return;
+    }
+
+    try {
+      log(`Finalizing close of ${channelId.slice(0, 10)}...`);
+      const { nitroliteService, publicClient } = await this.custodyFor(channelData);
+
+      const { lastValidState } = await nitroliteService.getChannelData(channelId);
+      const txHash = await nitroliteService.close(channelId, lastValidState, []);
+      log(`Close tx submitted: ${txHash.slice(0, 10)}...`, 'info', { txHash });
+
+      const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
+      if (receipt.status !== 'success') {
+        log('Finalize transaction failed', 'error');
+        return;
+      }
+
+      log(`Channel closed on state v${lastValidState.version}. Funds released to custody.`);
+      this.challenges.delete(channelId);
+      this.onChainChannels.delete(channelId);
+      this.saveChannelsToStorage();
+      this.hideChannelPopup();
+      await this.refreshOnChainBalances();
+    } catch (error) {
+      console.error('Finalize error:', error);
+      const errorMsg = error.cause?.shortMessage || error.shortMessage || error.message;
+      log(`Finalize failed: ${errorMsg}`, 'error');
     }
   }
 
@@ -3725,7 +5059,7 @@ class YellowPaymentApp {
     const container = this.elements.channelsList;
     if (!container) return;
 
-    let html = '';
+    const parts = [];
 
     // Use simplified UI for mainnet (clickable items opening popup)
     // Use detailed UI for testnet (inline controls)
@@ -3738,61 +5072,61 @@ class YellowPaymentApp {
           const chainConfig = data.chainConfig || this.config.chains[data.chainId];
           const chainName = chainConfig?.name || `Chain ${data.chainId}`;
           const channelIdShort = channelId.slice(0, 10) + '...' + channelId.slice(-6);
-          const balance = (Number(data.depositedAmount || 0) / 1_000_000).toFixed(6);
+          const balance = formatAmount(BigInt(data.depositedAmount || 0), this.assetDecimals(data.chainId));
 
-          html += `
-            <div class="channel-item" onclick="window.${this.prefix.replace('-', '')}app.showChannelPopup('${channelId}')">
+          parts.push(html`
+            <div class="channel-item" data-action="showChannelPopup" data-channel-id="${channelId}">
               <div class="channel-item-header">
                 <span class="channel-item-chain">${chainName}</span>
                 <span class="channel-item-balance">${balance} USDC</span>
               </div>
               <div class="channel-item-id">${channelIdShort}</div>
             </div>
-          `;
+          `);
         });
       }
 
       if (this.onChainChannels.size === 0) {
-        html += '<p style="color: #888;">No channels found. Create one above.</p>';
+        parts.push(html`<p class="empty-note">No channels found. Create one above.</p>`);
       }
     } else {
       // Detailed testnet UI with inline controls
 
       // Recovery UI section
-      html += `
-        <div style="background: rgba(100,100,100,0.2); padding: 0.75rem; border-radius: 8px; margin-bottom: 1rem; border: 1px dashed rgba(255,255,255,0.2);">
-          <p style="color: #aaa; font-size: 0.8rem; margin-bottom: 0.5rem;">Recover existing channel:</p>
+      parts.push(html`
+        <div class="recover-box">
+          <p class="soft text-md mb-sm">Recover existing channel:</p>
           <input type="text" id="${this.prefix}recoverChannelId" placeholder="Channel ID (0x...)"
-            style="width: 100%; padding: 0.5rem; margin-bottom: 0.5rem; border-radius: 4px; border: 1px solid #444; background: rgba(0,0,0,0.3); color: #fff; font-size: 0.8rem; font-family: monospace;">
-          <select id="${this.prefix}recoverChainSelect" style="width: 100%; padding: 0.5rem; margin-bottom: 0.5rem; border-radius: 4px; border: 1px solid #444; background: rgba(0,0,0,0.3); color: #fff; font-size: 0.8rem;">
+            class="field-compact mono">
+          <select id="${this.prefix}recoverChainSelect" class="field-compact">
             ${Object.entries(this.config.chains).map(([chainId, config]) =>
-              `<option value="${chainId}">${config.name}</option>`
-            ).join('')}
+              html`<option value="${chainId}">${config.name}</option>`
+            )}
           </select>
-          <button onclick="window.${this.prefix.replace('-', '')}app.recoverChannelFromUI()"
-            style="background: #9c27b0; color: white; padding: 0.5rem 1rem; border: none; border-radius: 4px; cursor: pointer; font-size: 0.8rem; width: 100%;">
+          <button data-action="recoverChannelFromUI" class="btn-block btn-accent text-md">
             Recover Channel
           </button>
         </div>
-      `;
+      `);
 
       if (this.onChainChannels.size > 0) {
-        html += '<p style="color: #ffd700; font-size: 0.85rem; margin-bottom: 0.5rem;">On-Chain Channels:</p>';
+        parts.push(html`<p class="text-gold text-lg mb-sm">On-Chain Channels:</p>`);
         this.onChainChannels.forEach((data, channelId) => {
           const chainName = data.chainConfig?.name || this.config.chains[data.chainId]?.name || `Chain ${data.chainId}`;
           const channelIdShort = channelId.slice(0, 10) + '...' + channelId.slice(-6);
           const partner = data.partnerAddress ? `${data.partnerAddress.slice(0, 6)}...${data.partnerAddress.slice(-4)}` : 'Unknown';
-          const recoveredBadge = data.recovered ? '<span style="background: #9c27b0; padding: 2px 6px; border-radius: 4px; font-size: 0.7rem; margin-left: 4px;">Recovered</span>' : '';
+          const recoveredBadge = data.recovered ? html`<span class="badge-recovered">Recovered</span>` : '';
 
           // Get current allocations
-          const myAllocation = data.currentState?.allocations?.[0]?.amount || BigInt(data.depositedAmount || 0);
-          const partnerAllocation = data.currentState?.allocations?.[1]?.amount || 0n;
-          const myAmount = (Number(myAllocation) / 1_000_000).toFixed(6);
-          const partnerAmount = (Number(partnerAllocation) / 1_000_000).toFixed(6);
+          const { mine, theirs } = this.allocationIndexes(data);
+          const myAllocation = data.currentState?.allocations?.[mine]?.amount || BigInt(data.depositedAmount || 0);
+          const partnerAllocation = data.currentState?.allocations?.[theirs]?.amount || 0n;
+          const myAmount = formatAmount(myAllocation, this.assetDecimals(data.chainId));
+          const partnerAmount = formatAmount(partnerAllocation, this.assetDecimals(data.chainId));
           const stateVersion = data.currentState?.version?.toString() || '0';
 
           // Check if payment is possible (has partner key and state)
-          const canPay = data.partnerPrivateKey && data.currentState && data.channel;
+          const canPay = this.canGetPartnerSignature(data) && data.currentState && data.channel;
 
           // Check if there's a signed state that can be checkpointed
           const canCheckpoint = data.latestSignedState && data.latestSignedState.sigs && data.latestSignedState.sigs.length >= 2;
@@ -3800,114 +5134,114 @@ class YellowPaymentApp {
           const onChainVersion = data.onChainStateVersion?.toString() || '0';
           const hasOffChainUpdates = canCheckpoint && (BigInt(signedVersion) > BigInt(onChainVersion));
 
-          html += `
-            <div style="background: rgba(255,215,0,0.1); padding: 0.75rem; border-radius: 8px; margin-bottom: 0.5rem; border: 1px solid rgba(255,215,0,0.3);">
-              <div style="margin-bottom: 0.5rem;">
+          parts.push(html`
+            <div class="channel-card">
+              <div class="mb-sm">
                 <strong>${chainName}</strong>${recoveredBadge}<br>
-                <span style="color: #888; font-size: 0.7rem;">On-chain: v${onChainVersion}</span>
-                ${hasOffChainUpdates ? `<span style="color: #9c27b0; font-size: 0.7rem; margin-left: 0.5rem;">Off-chain: v${signedVersion}</span>` : ''}<br>
-                <span style="color: #888; font-size: 0.75rem; word-break: break-all;">${channelIdShort}</span>
+                <span class="muted text-xs">On-chain: v${onChainVersion}</span>
+                ${hasOffChainUpdates ? html`<span class="text-accent text-xs ml-sm">Off-chain: v${signedVersion}</span>` : ''}<br>
+                <span class="muted text-sm break-all">${channelIdShort}</span>
               </div>
 
               <!-- Allocations display -->
-              <div style="display: flex; gap: 1rem; margin-bottom: 0.75rem; padding: 0.5rem; background: rgba(0,0,0,0.2); border-radius: 4px;">
-                <div style="flex: 1; text-align: center;">
-                  <div style="color: #4caf50; font-size: 0.9rem; font-weight: bold;">${myAmount}</div>
-                  <div style="color: #888; font-size: 0.7rem;">Your USDC</div>
+              <div class="channel-allocations">
+                <div class="channel-allocation">
+                  <div class="text-success text-xl bold">${myAmount}</div>
+                  <div class="muted text-xs">Your USDC</div>
                 </div>
-                <div style="flex: 1; text-align: center;">
-                  <div style="color: #ff9800; font-size: 0.9rem; font-weight: bold;">${partnerAmount}</div>
-                  <div style="color: #888; font-size: 0.7rem;">Partner: ${partner}</div>
+                <div class="channel-allocation">
+                  <div class="text-warning text-xl bold">${partnerAmount}</div>
+                  <div class="muted text-xs">Partner: ${partner}</div>
                 </div>
               </div>
 
-              ${hasOffChainUpdates ? `
+              ${hasOffChainUpdates ? html`
               <!-- Checkpoint to chain button -->
-              <div style="margin-bottom: 0.5rem; padding: 0.5rem; background: rgba(156,39,176,0.1); border: 1px solid rgba(156,39,176,0.3); border-radius: 4px;">
-                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.3rem;">
-                  <span style="color: #9c27b0; font-size: 0.75rem;">Sync v${signedVersion} to chain (currently v${onChainVersion})</span>
+              <div class="checkpoint-box">
+                <div class="mb-xs">
+                  <span class="text-accent text-sm">Sync v${signedVersion} to chain (currently v${onChainVersion})</span>
                 </div>
-                <button onclick="window.${this.prefix.replace('-', '')}app.checkpointToChain('${channelId}')"
-                  style="background: #9c27b0; color: white; padding: 0.4rem 0.75rem; border: none; border-radius: 4px; cursor: pointer; font-size: 0.8rem; width: 100%;">
+                <button data-action="checkpointToChain" data-channel-id="${channelId}"
+                  class="btn-block btn-accent text-md">
                   Checkpoint to Chain
                 </button>
               </div>
               ` : ''}
 
-              ${canPay ? `
+              ${canPay ? html`
               <!-- Make Payment button -->
-              <div style="margin-bottom: 0.5rem;">
-                <button onclick="window.${this.prefix.replace('-', '')}app.showPaymentPopup('${channelId}')"
-                  style="background: #4caf50; color: white; padding: 0.5rem 1rem; border: none; border-radius: 4px; cursor: pointer; font-size: 0.9rem; width: 100%;">
+              <div class="mb-sm">
+                <button data-action="showPaymentPopup" data-channel-id="${channelId}"
+                  class="btn-block btn-success text-xl">
                   Make Payment
                 </button>
               </div>
-              ` : `
+              ` : html`
               <!-- Add partner key to enable payments -->
-              <div style="margin-bottom: 0.5rem;">
-                <p style="color: #888; font-size: 0.75rem; margin-bottom: 0.3rem; font-style: italic;">
-                  ${data.recovered ? 'Add partner key to enable payments:' : 'Partner key missing. Add to enable payments:'}
+              <div class="mb-sm">
+                <p class="muted text-sm mb-xs italic">
+                  ${data.recovered ? 'Connect co-signing, or add partner key to enable payments:' : 'Partner not connected. Connect co-signing, or add their key:'}
                 </p>
                 <input type="text" id="${this.prefix}partnerKey-${channelId.slice(0, 10)}"
                   placeholder="Partner private key (0x...)"
-                  style="width: 100%; padding: 0.5rem; border-radius: 4px; border: 1px solid #444; background: rgba(0,0,0,0.3); color: #fff; font-size: 0.8rem; font-family: monospace; margin-bottom: 0.5rem; box-sizing: border-box;">
-                <button onclick="window.${this.prefix.replace('-', '')}app.addPartnerKeyToChannel('${channelId}')"
-                  style="background: #9c27b0; color: white; padding: 0.5rem 1rem; border: none; border-radius: 4px; cursor: pointer; font-size: 0.8rem; width: 100%;">
+                  class="field-compact mono">
+                <button data-action="addPartnerKeyToChannel" data-channel-id="${channelId}"
+                  class="btn-block btn-accent text-md">
                   Add Partner Key
                 </button>
               </div>
               `}
 
               <!-- Close button -->
-              <button onclick="window.${this.prefix.replace('-', '')}app.closeChannel('${channelId}')"
-                style="background: #f44336; color: white; padding: 0.5rem 1rem; border: none; border-radius: 4px; cursor: pointer; font-size: 0.85rem; width: 100%;">
+              <button data-action="closeChannel" data-channel-id="${channelId}"
+                class="btn-block btn-danger text-lg">
                 Close & Withdraw
               </button>
-              <button onclick="window.${this.prefix.replace('-', '')}app.removeChannelFromList('${channelId}')"
-                style="background: transparent; color: #888; padding: 0.3rem; border: none; cursor: pointer; font-size: 0.7rem; width: 100%; margin-top: 0.3rem;">
+              <button data-action="removeChannelFromList" data-channel-id="${channelId}"
+                class="btn-remove">
                 Remove from list
               </button>
             </div>
-          `;
+          `);
         });
       }
 
       if (this.channels.length > 0) {
-        html += '<p style="color: #aaa; font-size: 0.85rem; margin-bottom: 0.5rem; margin-top: 0.5rem;">Off-Chain Channels:</p>';
-        html += this.channels.map(ch => {
+        parts.push(html`<p class="soft text-lg mb-sm mt-sm">Off-Chain Channels:</p>`);
+        parts.push(...this.channels.map(ch => {
           const chainConfig = this.config.chains[ch.chain_id];
           const chainName = chainConfig?.name || `Chain ${ch.chain_id}`;
-          const amount = ch.amount ? (parseInt(ch.amount) / 1_000_000).toFixed(2) : '0.00';
+          const amount = formatAmount(BigInt(ch.amount || 0), this.assetDecimals(ch.chain_id));
           const status = ch.status || 'unknown';
           const channelIdShort = ch.channel_id ? ch.channel_id.slice(0, 10) + '...' : 'N/A';
 
-          return `
-            <div style="background: rgba(0,0,0,0.2); padding: 0.75rem; border-radius: 8px; margin-bottom: 0.5rem;">
-              <div style="display: flex; justify-content: space-between; align-items: center;">
+          return html`
+            <div class="offchain-card">
+              <div class="row-between">
                 <div>
                   <strong>${chainName}</strong><br>
-                  <span style="color: #888; font-size: 0.8rem;">${channelIdShort}</span><br>
-                  <span style="color: #4caf50;">${amount} USDC</span>
-                  <span style="color: #888;"> (${status})</span>
+                  <span class="muted text-md">${channelIdShort}</span><br>
+                  <span class="text-success">${amount} USDC</span>
+                  <span class="muted"> (${status})</span>
                 </div>
-                ${status === 'open' ? `
-                  <button onclick="window.${this.prefix.replace('-', '')}app.closeChannel('${ch.channel_id}')"
-                    style="background: #f44336; color: white; padding: 0.5rem 1rem; border: none; border-radius: 4px; cursor: pointer; font-size: 0.85rem;">
+                ${status === 'open' ? html`
+                  <button data-action="closeChannel" data-channel-id="${ch.channel_id}"
+                    class="btn-block btn-danger text-lg">
                     Close & Withdraw
                   </button>
                 ` : ''}
               </div>
             </div>
           `;
-        }).join('');
+        }));
       }
 
       if (this.onChainChannels.size === 0 && this.channels.length === 0) {
-        html += '<p style="color: #888; margin-top: 0.5rem;">No channels found. Create one to withdraw funds on-chain.</p>';
+        parts.push(html`<p class="empty-note mt-sm">No channels found. Create one to withdraw funds on-chain.</p>`);
       }
     }
 
-    container.innerHTML = html;
+    render(container, html`${parts}`);
   }
 
   // Remove channel from local tracking (doesn't close on-chain)
@@ -3919,7 +5253,6 @@ class YellowPaymentApp {
 
     this.onChainChannels.delete(channelId);
     this.saveChannelsToStorage();
-    this.renderChannelsList();
     this.log(`Removed channel ${channelId.slice(0, 10)}... from list. You can re-recover it to refresh data.`);
   }
 
@@ -3942,20 +5275,22 @@ class YellowPaymentApp {
 
     const chainConfig = channelData.chainConfig || this.config.chains[channelData.chainId];
     const chainName = chainConfig?.name || `Chain ${channelData.chainId}`;
-    const balance = (Number(channelData.depositedAmount || 0) / 1_000_000).toFixed(6);
+    const decimals = this.assetDecimals(channelData.chainId);
+    const balance = formatAmount(BigInt(channelData.depositedAmount || 0), decimals);
     const partner = channelData.partnerAddress
       ? `${channelData.partnerAddress.slice(0, 10)}...${channelData.partnerAddress.slice(-8)}`
       : 'Unknown';
     const stateVersion = channelData.currentState?.version?.toString() || '0';
 
     // Get allocations
-    const myAllocation = channelData.currentState?.allocations?.[0]?.amount || BigInt(channelData.depositedAmount || 0);
-    const partnerAllocation = channelData.currentState?.allocations?.[1]?.amount || 0n;
-    const myAmount = (Number(myAllocation) / 1_000_000).toFixed(6);
-    const partnerAmount = (Number(partnerAllocation) / 1_000_000).toFixed(6);
+    const { mine, theirs } = this.allocationIndexes(channelData);
+    const myAllocation = channelData.currentState?.allocations?.[mine]?.amount || BigInt(channelData.depositedAmount || 0);
+    const partnerAllocation = channelData.currentState?.allocations?.[theirs]?.amount || 0n;
+    const myAmount = formatAmount(myAllocation, decimals);
+    const partnerAmount = formatAmount(partnerAllocation, decimals);
 
-    // Check if payment is possible (has partner key and state)
-    const canPay = channelData.partnerPrivateKey && channelData.currentState && channelData.channel;
+    // Check if payment is possible (partner can sign, and we have the state)
+    const canPay = this.canGetPartnerSignature(channelData) && channelData.currentState && channelData.channel;
 
     // Check if there's a signed state that can be checkpointed
     const canCheckpoint = channelData.latestSignedState && channelData.latestSignedState.sigs && channelData.latestSignedState.sigs.length >= 2;
@@ -3963,7 +5298,38 @@ class YellowPaymentApp {
     const onChainVersion = channelData.onChainStateVersion?.toString() || '0';
     const hasOffChainUpdates = canCheckpoint && (BigInt(signedVersion) > BigInt(onChainVersion));
 
-    content.innerHTML = `
+    // Challenge: start one, count one down, or finalize an expired one
+    const challenge = this.challenges.get(channelId);
+    const canChallenge = !challenge && this.newestSignedState(channelId) !== null;
+    let challengeHtml = '';
+    if (challenge?.isExpired) {
+      challengeHtml = html`
+      <div class="notice-box danger">
+        <p class="text-error text-md mb-sm">Challenge period is over. Close the channel on the challenged state:</p>
+        <button data-action="finalizeChallenge" data-channel-id="${channelId}"
+          class="btn-block btn-danger text-lg">
+          Finalize Close
+        </button>
+      </div>`;
+    } else if (challenge) {
+      challengeHtml = html`
+      <div class="notice-box warning">
+        <p class="text-warning text-md">
+          Challenged - finalize possible in
+          <strong id="${this.prefix}challengeCountdown-${channelId.slice(0, 10)}">${formatRemaining(challenge.secondsLeft)}</strong>
+        </p>
+      </div>`;
+    } else if (canChallenge) {
+      challengeHtml = html`
+      <div class="mt-md">
+        <button data-action="challengeChannel" data-channel-id="${channelId}"
+          class="btn-block btn-outline-danger text-lg">
+          Challenge (counterparty unresponsive)
+        </button>
+      </div>`;
+    }
+
+    render(content, html`
       <div class="modal-field">
         <div class="modal-field-label">Channel ID</div>
         <div class="modal-field-value">${channelId}</div>
@@ -3974,15 +5340,15 @@ class YellowPaymentApp {
       </div>
       <div class="modal-field">
         <div class="modal-field-label">Total Balance</div>
-        <div class="modal-field-value" style="color: #4caf50;">${balance} USDC</div>
+        <div class="modal-field-value text-success">${balance} USDC</div>
       </div>
       <div class="modal-field">
         <div class="modal-field-label">Your Allocation</div>
-        <div class="modal-field-value" style="color: #4caf50;">${myAmount} USDC</div>
+        <div class="modal-field-value text-success">${myAmount} USDC</div>
       </div>
       <div class="modal-field">
         <div class="modal-field-label">Partner Allocation</div>
-        <div class="modal-field-value" style="color: #ff9800;">${partnerAmount} USDC</div>
+        <div class="modal-field-value text-warning">${partnerAmount} USDC</div>
       </div>
       <div class="modal-field">
         <div class="modal-field-label">Partner Address</div>
@@ -3992,46 +5358,87 @@ class YellowPaymentApp {
         <div class="modal-field-label">State Version</div>
         <div class="modal-field-value">
           On-chain: v${onChainVersion}
-          ${hasOffChainUpdates ? `<span style="color: #9c27b0; margin-left: 0.5rem;">Off-chain: v${signedVersion}</span>` : ''}
+          ${hasOffChainUpdates ? html`<span class="text-accent ml-sm">Off-chain: v${signedVersion}</span>` : ''}
         </div>
       </div>
       <div class="modal-field">
         <div class="modal-field-label">Status</div>
-        <div class="modal-field-value">${channelData.status || 'Open'}</div>
+        <div class="modal-field-value">${CHANNEL_STATUS_LABELS[channelData.status] || channelData.status || 'Open'}</div>
       </div>
-      ${hasOffChainUpdates ? `
-      <div style="margin-top: 1rem; padding: 0.75rem; background: rgba(156,39,176,0.1); border: 1px solid rgba(156,39,176,0.3); border-radius: 4px;">
-        <p style="color: #9c27b0; font-size: 0.8rem; margin-bottom: 0.5rem;">Sync v${signedVersion} to chain (currently v${onChainVersion})</p>
-        <button onclick="window.${this.prefix.replace('-', '')}app.checkpointToChain('${channelId}')"
-          style="background: #9c27b0; color: white; padding: 0.5rem 1rem; border: none; border-radius: 4px; cursor: pointer; font-size: 0.85rem; width: 100%;">
+      ${hasOffChainUpdates ? html`
+      <div class="notice-box accent">
+        <p class="text-accent text-md mb-sm">Sync v${signedVersion} to chain (currently v${onChainVersion})</p>
+        <button data-action="checkpointToChain" data-channel-id="${channelId}"
+          class="btn-block btn-accent text-lg">
           Checkpoint to Chain
         </button>
       </div>
       ` : ''}
-      ${canPay ? `
-      <div style="margin-top: 1rem;">
-        <button onclick="window.${this.prefix.replace('-', '')}app.hideChannelPopup(); window.${this.prefix.replace('-', '')}app.showPaymentPopup('${channelId}')"
-          style="background: #4caf50; color: white; padding: 0.75rem 1rem; border: none; border-radius: 4px; cursor: pointer; font-size: 0.9rem; width: 100%;">
+      ${canPay ? html`
+      <div class="mt-md">
+        <button data-action="payFromChannelPopup" data-channel-id="${channelId}"
+          class="btn-block btn-success text-xl">
           Make Payment
         </button>
       </div>
-      ` : `
-      <div style="margin-top: 1rem; padding: 0.75rem; background: rgba(255,152,0,0.1); border: 1px solid rgba(255,152,0,0.3); border-radius: 4px;">
-        <p style="color: #ff9800; font-size: 0.8rem; margin-bottom: 0.5rem;">Partner key required for payments:</p>
+      ` : html`
+      <div class="notice-box warning">
+        <p class="text-warning text-md mb-sm">Connect to your partner under Co-signing to make payments, or add their key (test channels):</p>
         <input type="password" id="${this.prefix}modal-partnerKey-${channelId.slice(0, 10)}"
           placeholder="Partner private key (0x...)"
-          style="width: 100%; padding: 0.5rem; border-radius: 4px; border: 1px solid #444; background: rgba(0,0,0,0.3); color: #fff; font-size: 0.8rem; font-family: monospace; margin-bottom: 0.5rem; box-sizing: border-box;">
-        <button onclick="window.${this.prefix.replace('-', '')}app.addPartnerKeyFromModal('${channelId}')"
-          style="background: #9c27b0; color: white; padding: 0.5rem 1rem; border: none; border-radius: 4px; cursor: pointer; font-size: 0.8rem; width: 100%;">
+          class="field-compact mono">
+        <button data-action="addPartnerKeyFromModal" data-channel-id="${channelId}"
+          class="btn-block btn-accent text-md">
           Add Partner Key
         </button>
       </div>
       `}
-    `;
+      ${challengeHtml}
+      <div class="modal-field mt-md">
+        <div class="modal-field-label">Signed State History (${this.stateHistory.list(channelId).length})</div>
+        <input type="text" id="${this.prefix}stateHistorySearch" placeholder="Search version, intent, note, address, amount or signature"
+          data-action="renderStateHistory" data-channel-id="${channelId}"
+          class="field-compact mt-xxs">
+        <div id="${this.prefix}stateHistoryList" class="state-history-list"></div>
+      </div>
+    `);
 
+    this.renderStateHistory(channelId);
     modal.classList.remove('hidden');
   }
 
+  // Fill the channel modal's history list, newest first
+  renderStateHistory(channelId, query = '') {
+    const list = document.getElementById(`${this.prefix}stateHistoryList`);
+    if (!list) return;
+
+    const channelData = this.onChainChannels.get(channelId);
+    const chainId = channelData?.chainId ?? null;
+    const entries = this.stateHistory.search(channelId, query).slice().reverse();
+
+    if (entries.length === 0) {
+      render(list, html`<p class="empty-note text-md">${query ? 'No matching states' : 'No signed states recorded yet'}</p>`);
+      return;
+    }
+
+    const short = (hex) => `${hex.slice(0, 10)}...${hex.slice(-6)}`;
+    render(list, html`${entries.map(entry => html`
+      <div class="state-history-entry">
+        <div class="row-between">
+          <strong>v${entry.version} ${intentName(entry.intent)}</strong>
+          <span class="muted">${new Date(entry.timestamp).toLocaleString()}</span>
+        </div>
+        <div class="soft">by ${entry.initiator || 'unknown'}${entry.note && ` - ${entry.note}`}</div>
+        ${entry.allocations.map(a => html`
+          <div class="mono">${short(a.destination)}: ${this.formatAsset(BigInt(a.amount), chainId)}</div>
+        `)}
+        <div class="mono muted">
+          ${entry.sigs.length ? entry.sigs.map((sig, i) => html`${i > 0 && ' · '}<span title="${sig}">${short(sig)}</span>`) : 'unsigned'}
+        </div>
+      </div>
+    `)}`);
+  }
+
   // Hide channel details popup
   hideChannelPopup() {
     const modal = this.elements.channelModal;
@@ -4059,6 +5466,7 @@ class YellowPaymentApp {
 
   // UI handler for recover channel
   async recoverChannelFromUI() {
+    const log = this.operationLog('channels');
     const channelIdInput = document.getElementById(`${this.prefix}recoverChannelId`);
     const chainSelect = document.getElementById(`${this.prefix}recoverChainSelect`);
 
@@ -4066,12 +5474,12 @@ class YellowPaymentApp {
     const chainId = parseInt(chainSelect?.value || '0');
 
     if (!channelId) {
-      this.log('Please enter a channel ID', 'error');
+      log('Please enter a channel ID', 'error');
       return;
     }
 
     if (!channelId.startsWith('0x') || channelId.length !== 66) {
-      this.log('Invalid channel ID format (should be 0x + 64 hex chars)', 'error');
+      log('Invalid channel ID format (should be 0x + 64 hex chars)', 'error');
       return;
     }
 
@@ -4083,22 +5491,23 @@ class YellowPaymentApp {
 
   // Add partner private key to an existing channel to enable payments
   async addPartnerKeyToChannel(channelId) {
+    const log = this.operationLog('channels', { channelId });
     const input = document.getElementById(`${this.prefix}partnerKey-${channelId.slice(0, 10)}`);
     const partnerKey = input?.value.trim();
 
     if (!partnerKey) {
-      this.log('Please enter the partner private key', 'error');
+      log('Please enter the partner private key', 'error');
       return;
     }
 
     if (!partnerKey.startsWith('0x') || partnerKey.length !== 66) {
-      this.log('Invalid private key format (should be 0x + 64 hex chars)', 'error');
+      log('Invalid private key format (should be 0x + 64 hex chars)', 'error');
       return;
     }
 
     const channelData = this.onChainChannels.get(channelId);
     if (!channelData) {
-      this.log('Channel not found', 'error');
+      log('Channel not found', 'error');
       return;
     }
 
@@ -4107,7 +5516,7 @@ class YellowPaymentApp {
       const { privateKeyToAccount } = await import('viem/accounts');
       const partnerAccount = privateKeyToAccount(partnerKey);
 
-      this.log(`Partner key added for address: ${partnerAccount.address}`);
+      log(`Partner key added for address: ${partnerAccount.address}`);
 
       // Update channel data with the partner key and address
       channelData.partnerPrivateKey = partnerKey;
@@ -4143,16 +5552,15 @@ class YellowPaymentApp {
 
       // Save to storage
       this.saveChannelsToStorage();
-      this.renderChannelsList();
 
-      this.log('Partner key added successfully! You can now make payments.', 'success');
+      log('Partner key added successfully! You can now make payments.', 'success');
 
       // Clear input
       if (input) input.value = '';
 
     } catch (error) {
       console.error('Failed to add partner key:', error);
-      this.log(`Failed to add partner key: ${error.message}`, 'error');
+      log(`Failed to add partner key: ${error.message}`, 'error');
     }
   }
 
@@ -4211,7 +5619,6 @@ class YellowPaymentApp {
       }
 
       this.saveChannelsToStorage();
-      this.renderChannelsList();
 
       this.log('Partner key added successfully! You can now make payments.', 'success');
 
@@ -4225,8 +5632,83 @@ class YellowPaymentApp {
   }
 }
 
+// App fields kept in the store. Reading one reads the store and assigning
+// one notifies the views that select it.
+const STORE_KEYS = [
+  'userAddress', 'channels', 'onChainChannels', 'serverChannels', 'appSessions', 'sessionAllocations', 'onChainBalances',
+  'pendingWithdrawal', 'pendingChannelFund', 'pendingChannelId', 'pendingChannelData'
+];
+for (const key of STORE_KEYS) {
+  Object.defineProperty(YellowPaymentApp.prototype, key, {
+    get() {
+      return this.store.get(key);
+    },
+    set(value) {
+      this.store.set({ [key]: value });
+    }
+  });
+}
+
+// ============ VAULT CONTROLS ============
+
+// The vault is shared by every tab, so its bar is wired once for the page
+function bindVaultControls(vault) {
+  const bar = document.getElementById('vaultBar');
+  const status = document.getElementById('vaultStatus');
+  const passphrase = document.getElementById('vaultPassphrase');
+  const unlockBtn = document.getElementById('vaultUnlockBtn');
+  const lockBtn = document.getElementById('vaultLockBtn');
+  if (!bar) return;
+
+  const render = (message) => {
+    bar.classList.toggle('unlocked', vault.isUnlocked);
+    status.textContent = message || (vault.isUnlocked ? '🔓 Vault unlocked' : '🔒 Vault locked');
+    passphrase.style.display = vault.isUnlocked ? 'none' : '';
+    unlockBtn.style.display = vault.isUnlocked ? 'none' : '';
+    lockBtn.style.display = vault.isUnlocked ? '' : 'none';
+  };
+
+  if (!vault.isSupported) {
+    render('⚠️ Vault unavailable (needs IndexedDB and WebCrypto) - nothing is saved locally');
+    passphrase.disabled = true;
+    unlockBtn.disabled = true;
+    return;
+  }
+
+  const unlock = async () => {
+    unlockBtn.disabled = true;
+    try {
+      const isNew = !(await vault.isInitialized());
+      const { migrated } = await vault.unlock(passphrase.value);
+      passphrase.value = '';
+      render(`🔓 Vault ${isNew ? 'created' : 'unlocked'}${migrated ? ` - moved ${migrated} item(s) out of localStorage` : ''}`);
+    } catch (error) {
+      render(`🔒 ${error.message}`);
+    } finally {
+      unlockBtn.disabled = false;
+    }
+  };
+
+  unlockBtn.addEventListener('click', unlock);
+  passphrase.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') unlock();
+  });
+  lockBtn.addEventListener('click', () => vault.lock());
+
+  vault.on('locked', ({ reason }) => render(`🔒 ${reason}`));
+  vault.on('error', (error) => console.error('Vault error:', error));
+
+  // Any interaction postpones the idle auto-lock
+  for (const event of ['pointerdown', 'keydown']) {
+    document.addEventListener(event, () => vault.touch(), { passive: true });
+  }
+
+  render();
+}
+
 // Initialize both testnet and mainnet app instances
 function initializeApps() {
+  bindVaultControls(getSharedVault());
   window.testnetapp = new YellowPaymentApp('testnet', 'testnet-');
   window.mainnetapp = new YellowPaymentApp('mainnet', 'mainnet-');
 }
@@ -0,0 +1,225 @@
+// Channel serialization and portable backup files.
+//
+// serializeChannel/deserializeChannel are the JSON form of an entry in
+// YellowPaymentApp.onChainChannels (bigints as strings), used both for the
+// vault copy and for backups. A backup adds the signed-state history and
+// can be encrypted with its own passphrase (PBKDF2-SHA256 + AES-GCM), so
+// the file is safe to keep outside the browser. Partner private keys never
+// go into an unencrypted file.
+
+import { getPackedState } from '@erc7824/nitrolite';
+import { recoverMessageAddress } from 'viem';
+
+export const BACKUP_FORMAT = 'yellow-channel-backup';
+export const BACKUP_VERSION = 1;
+
+const KDF_ITERATIONS = 600000;
+
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+// ============ CHANNEL SERIALIZATION ============
+
+// Signed states on their own are also what goes over the co-signing wire
+export const serializeState = (state) => state ? {
+  intent: state.intent,
+  version: state.version?.toString(),
+  data: state.data,
+  allocations: state.allocations?.map(a => ({
+    destination: a.destination,
+    token: a.token,
+    amount: a.amount?.toString()
+  })),
+  sigs: state.sigs
+} : null;
+
+export const deserializeState = (state) => state ? {
+  intent: state.intent,
+  version: BigInt(state.version || '0'),
+  data: state.data,
+  allocations: state.allocations?.map(a => ({
+    destination: a.destination,
+    token: a.token,
+    amount: BigInt(a.amount || '0')
+  })),
+  sigs: state.sigs
+} : null;
+
+export function serializeChannel(data) {
+  const currentState = serializeState(data.currentState);
+  return {
+    chainId: data.chainId,
+    depositedAmount: data.depositedAmount?.toString(),
+    partnerAddress: data.partnerAddress,
+    partnerPrivateKey: data.partnerPrivateKey,
+    tokenAddress: data.tokenAddress,
+    status: data.status,
+    recovered: data.recovered,
+    // Only version and allocations are tracked for the current state
+    currentState: currentState && { version: currentState.version, allocations: currentState.allocations },
+    latestSignedState: serializeState(data.latestSignedState),
+    // Channel structure, needed for signing and for the channel id
+    channel: data.channel ? {
+      participants: data.channel.participants,
+      adjudicator: data.channel.adjudicator,
+      challenge: data.channel.challenge?.toString(),
+      nonce: data.channel.nonce?.toString()
+    } : null
+  };
+}
+
+// `chainConfig` is not serialized; pass the local one for data.chainId
+export function deserializeChannel(data, chainConfig) {
+  const currentState = deserializeState(data.currentState);
+  return {
+    chainId: data.chainId,
+    chainConfig,
+    depositedAmount: data.depositedAmount ? BigInt(data.depositedAmount) : 0n,
+    partnerAddress: data.partnerAddress,
+    partnerPrivateKey: data.partnerPrivateKey,
+    tokenAddress: data.tokenAddress,
+    status: data.status,
+    recovered: data.recovered,
+    currentState: currentState && { version: currentState.version, allocations: currentState.allocations },
+    latestSignedState: deserializeState(data.latestSignedState),
+    channel: data.channel ? {
+      participants: data.channel.participants,
+      adjudicator: data.channel.adjudicator,
+      challenge: BigInt(data.channel.challenge || '0'),
+      nonce: BigInt(data.channel.nonce || '0')
+    } : null
+  };
+}
+
+// Why a signed state can't be trusted for a channel, or null. Each signature
+// must recover, over the packed state, to a different participant.
+export async function checkStateSignatures(channelId, participants, state) {
+  const sigs = state?.sigs || [];
+  if (sigs.length === 0) return 'state is not signed';
+
+  let raw;
+  try {
+    raw = getPackedState(channelId, state);
+  } catch (error) {
+    return `state cannot be encoded (${error.message})`;
+  }
+  const signers = new Set();
+  for (const [i, signature] of sigs.entries()) {
+    let signer;
+    try {
+      signer = (await recoverMessageAddress({ message: { raw }, signature })).toLowerCase();
+    } catch {
+      return `signature ${i + 1} is malformed`;
+    }
+    if (!participants.some(p => p.toLowerCase() === signer)) return `signature ${i + 1} is not from a participant`;
+    if (signers.has(signer)) return `signature ${i + 1} repeats a signer`;
+    signers.add(signer);
+  }
+  return null;
+}
+
+// ============ BACKUP FILES ============
+
+// channels: Map of channelId -> channel data; history: a StateHistory
+export function createBackup({ environment, userAddress, channels, history }) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    environment,
+    userAddress,
+    channels: [...channels].map(([channelId, data]) => ({
+      channelId,
+      chainName: data.chainConfig?.name,
+      ...serializeChannel(data),
+      history: history ? history.list(channelId) : []
+    }))
+  };
+}
+
+// Backup object -> file contents, encrypted when a passphrase is given.
+// Throws BackupError for a backup with partner keys and no passphrase.
+export async function encodeBackup(backup, passphrase = '') {
+  if (!passphrase) {
+    if (backup.channels.some(channel => channel.partnerPrivateKey)) {
+      throw new BackupError('These channels include partner private keys - enter a backup passphrase to encrypt the file');
+    }
+    return JSON.stringify(backup, null, 2);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(backup)));
+
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    encrypted: {
+      kdf: 'PBKDF2-SHA256',
+      iterations: KDF_ITERATIONS,
+      salt: toBase64(salt),
+      iv: toBase64(iv),
+      data: toBase64(new Uint8Array(data))
+    }
+  }, null, 2);
+}
+
+// File contents -> backup object. Throws BackupError for anything that is
+// not a backup this version can read, or a missing/wrong passphrase.
+export async function decodeBackup(text, passphrase = '') {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new BackupError('Not a JSON file');
+  }
+  if (file?.format !== BACKUP_FORMAT) throw new BackupError('Not a channel backup file');
+  if (file.version > BACKUP_VERSION) {
+    throw new BackupError(`Backup version ${file.version} is newer than this app supports (${BACKUP_VERSION})`);
+  }
+
+  let backup = file;
+  if (file.encrypted) {
+    if (!passphrase) throw new BackupError('Backup is encrypted - enter its passphrase');
+    const { iterations, salt, iv, data } = file.encrypted;
+    try {
+      const key = await deriveKey(passphrase, fromBase64(salt), iterations);
+      const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+      backup = JSON.parse(new TextDecoder().decode(plain));
+    } catch {
+      throw new BackupError('Wrong backup passphrase');
+    }
+  }
+
+  if (!Array.isArray(backup.channels)) throw new BackupError('Backup has no channel list');
+  return backup;
+}
+
+// ============ HELPERS ============
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Byte by byte: spreading a large array into fromCharCode overflows the stack
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
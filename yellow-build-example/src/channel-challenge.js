@@ -0,0 +1,71 @@
+import { ChannelStatus, getPackedChallengeState } from '@erc7824/nitrolite';
+
+// Unilateral challenge of a channel on the custody contract, shared by both
+// apps: submit a fully signed state, wait out the challenge period, then
+// finalize with close(). The contract settles on the challenged state unless
+// the other side checkpoints a newer one before the period ends.
+
+// Custody ChannelStatus -> label for the UI
+export const CHANNEL_STATUS_LABELS = {
+  [ChannelStatus.VOID]: 'Void',
+  [ChannelStatus.INITIAL]: 'Initial',
+  [ChannelStatus.ACTIVE]: 'Active',
+  [ChannelStatus.DISPUTE]: 'Challenged',
+  [ChannelStatus.FINAL]: 'Closed'
+};
+
+// `signRaw(hex)` signs the packed challenge message with the challenger's
+// wallet (EIP-191, as for state signatures). Resolves to the tx hash.
+export async function submitChallenge(nitroliteService, { channelId, state, signRaw }) {
+  const challengerSig = await signRaw(getPackedChallengeState(channelId, state));
+  return nitroliteService.challenge(channelId, state, [], challengerSig);
+}
+
+// Challenge deadline in unix seconds, or null if the channel isn't in dispute
+export async function readChallengeExpiry(nitroliteService, channelId) {
+  const data = await nitroliteService.getChannelData(channelId);
+  return data.status === ChannelStatus.DISPUTE ? Number(data.challengeExpiry) : null;
+}
+
+// "1h 02m 05s"
+export function formatRemaining(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return h > 0 ? `${h}h ${pad(m)}m ${pad(s % 60)}s` : `${m}m ${pad(s % 60)}s`;
+}
+
+// Ticks once a second until `expiresAt` (unix seconds): onTick(secondsLeft)
+// each second, onExpire() once at the end
+export class ChallengeCountdown {
+  constructor(expiresAt, { onTick = () => {}, onExpire = () => {} } = {}) {
+    this.expiresAt = expiresAt;
+    this.onTick = onTick;
+    this.onExpire = onExpire;
+    this.timer = setInterval(() => this.tick(), 1000);
+    this.tick();
+  }
+
+  get secondsLeft() {
+    return this.expiresAt - Date.now() / 1000;
+  }
+
+  get isExpired() {
+    return this.secondsLeft <= 0;
+  }
+
+  tick() {
+    if (this.isExpired) {
+      this.stop();
+      this.onExpire();
+      return;
+    }
+    this.onTick(this.secondsLeft);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
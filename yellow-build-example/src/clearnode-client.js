@@ -0,0 +1,803 @@
+import {
+  createAuthRequestMessage,
+  createAuthVerifyMessageWithJWT,
+  createGetAssetsMessageV2,
+  createGetConfigMessageV2,
+  createECDSAMessageSigner,
+  EIP712AuthTypes,
+  generateRequestId,
+  getCurrentTimestamp,
+  NitroliteRPC
+} from '@erc7824/nitrolite';
+import { getAddress } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { AllowanceTracker } from './allowances.js';
+import { verifyFrameSignature } from './response-signatures.js';
+import { NetworkRegistry } from './network-registry.js';
+
+// Protocol layer for a single Clearnode connection. Owns the WebSocket, the
+// auth handshake and the session key, and dispatches every RPC frame as an
+// event. It never touches the DOM, so it works in any front-end or in Node.
+//
+// Events:
+//   state (state, detail)           - any connection state change, see below
+//   connecting, open, close, error  - socket lifecycle
+//   backoff ({ attempt, delayMs })  - a reconnect is scheduled
+//   offline ({ reason })            - gave up reconnecting, or disconnect()
+//   message (parsed)                - every decoded frame
+//   <method> (data, requestId)      - every `res` frame, keyed by method name
+//   rpc_error (data, requestId)     - 'error' frames no call() is waiting on
+//   request (method, params, id)    - `req` frames pushed by the server
+//   authenticated (data, { via })   - auth_verify succeeded ('jwt' or 'signature')
+//   jwt_rejected ({ error })        - stored JWT refused, falling back to signing
+//   session_renewing/session_renewed - session key rotated before expiry
+//   allowance_usage (summary)       - spend() or recordSpend() counted usage against an allowance
+//   config (data)                   - get_config fetched on open; sets brokerAddress
+//   signature_error ({ reason, method, requestId }) - frame dropped by verification
+//   registry (registry)             - networks or assets changed, see network-registry.js
+
+// Rejection reason for call()/request(): the clearnode answered with an
+// error frame, the call timed out, or the connection dropped first.
+export class ClearnodeRPCError extends Error {
+  constructor(message, { method, requestId, data } = {}) {
+    super(message);
+    this.name = 'ClearnodeRPCError';
+    this.method = method;
+    this.requestId = requestId;
+    this.data = data;
+  }
+}
+
+// EIP-712 Policy the wallet signs to authorise a session key. Anyone holding
+// the signature and these fields can check which wallet the key acts for.
+export function authTypedData(challengeMessage, authParams) {
+  return {
+    types: {
+      EIP712Domain: [
+        { name: 'name', type: 'string' }
+      ],
+      ...EIP712AuthTypes
+    },
+    primaryType: 'Policy',
+    domain: {
+      name: authParams.application
+    },
+    message: {
+      challenge: challengeMessage,
+      scope: authParams.scope || '',
+      wallet: authParams.address,
+      session_key: authParams.session_key,
+      expires_at: authParams.expires_at,
+      allowances: authParams.allowances || []
+    }
+  };
+}
+
+// Longest delay setTimeout takes without firing straight away
+const MAX_TIMER_MS = 0x7fffffff;
+
+// Connection states: idle -> connecting -> open, and on an unexpected close
+// backoff -> connecting -> ... until maxAttempts is hit, then offline.
+export const DEFAULT_RECONNECT = {
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  multiplier: 2,
+  jitter: 0.3, // +/- fraction of the computed delay
+  maxAttempts: Infinity
+};
+
+export class ClearnodeClient {
+  constructor({
+    wsUrl,
+    application = 'clearnode',
+    scope = '',
+    allowances = [],
+    sessionExpiryHours = 24,
+    renewBeforeExpirySec = 300,
+    storage = globalThis.localStorage ?? null,
+    storageNamespace = 'default',
+    authTimeoutMs = 60000,
+    requestTimeoutMs = 30000,
+    reconnect = {},
+    WebSocketImpl = globalThis.WebSocket,
+    // 'verify' drops frames signed by anyone but the broker, 'strict' also
+    // drops unsigned frames, 'off' trusts everything
+    signatureMode = 'verify',
+    brokerAddress = null
+  } = {}) {
+    if (!wsUrl) throw new Error('ClearnodeClient requires a wsUrl');
+    if (!WebSocketImpl) throw new Error('No WebSocket implementation available');
+
+    this.wsUrl = wsUrl;
+    this.application = application;
+    this.setSessionPolicy({ scope, allowances });
+    this.sessionExpiryHours = sessionExpiryHours;
+    this.renewBeforeExpirySec = renewBeforeExpirySec;
+    this.storage = storage;
+    this.storageNamespace = storageNamespace;
+    this.authTimeoutMs = authTimeoutMs;
+    this.requestTimeoutMs = requestTimeoutMs;
+    this.reconnectPolicy = { ...DEFAULT_RECONNECT, ...reconnect };
+    this.WebSocketImpl = WebSocketImpl;
+    this.signatureMode = signatureMode;
+    this.pinnedBrokerAddress = brokerAddress ? getAddress(brokerAddress) : null;
+
+    this.ws = null;
+    this.state = 'idle';
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.listeners = new Map();
+    this.pendingRequests = new Map();
+
+    this.brokerAddress = this.pinnedBrokerAddress;
+    this.brokerConfig = null;
+    this.brokerReady = Promise.resolve();
+    this.configRequestId = null;
+    this.inbound = Promise.resolve();
+
+    this.userAddress = null;
+    this.signTypedData = null;
+    this.authParams = null;
+    this.sessionKeyPrivate = null;
+    this.sessionKeyAddress = null;
+    this.sessionKeyReused = false;
+    this.jwtToken = null;
+    this.authProof = null; // { challenge, signature } the wallet signed for this key
+    this.lastAuthMethod = null;
+    this.messageSigner = null;
+    this.isAuthenticated = false;
+    this.pendingAuth = null;
+    this.renewalTimer = null;
+    this.registry = new NetworkRegistry();
+    this.spending = new AllowanceTracker({
+      storage,
+      storageNamespace,
+      decimalsFor: (symbol) => this.registry.getAsset(symbol)?.decimals ?? 6
+    });
+  }
+
+  // ============ EVENTS ============
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, ...args) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+    for (const handler of [...handlers]) {
+      try {
+        const result = handler(...args);
+        // Async handlers must not turn into unhandled rejections
+        if (result && typeof result.catch === 'function') {
+          result.catch((error) => console.error(`ClearnodeClient ${event} handler error:`, error));
+        }
+      } catch (error) {
+        console.error(`ClearnodeClient ${event} handler error:`, error);
+      }
+    }
+  }
+
+  // ============ CONNECTION ============
+
+  get isOpen() {
+    return this.ws?.readyState === 1;
+  }
+
+  setState(state, detail = {}) {
+    this.state = state;
+    this.emit('state', state, detail);
+    this.emit(state, detail);
+  }
+
+  // Open the socket. Also the way to resume after the client went offline:
+  // the attempt counter starts over.
+  connect() {
+    if (this.state === 'open' || this.state === 'connecting') return;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.state === 'offline' || this.state === 'idle') this.reconnectAttempt = 0;
+    this.openSocket();
+  }
+
+  openSocket() {
+    this.setState('connecting', { url: this.wsUrl, attempt: this.reconnectAttempt });
+
+    const ws = new this.WebSocketImpl(this.wsUrl);
+    this.ws = ws;
+
+    ws.onopen = () => {
+      this.reconnectAttempt = 0;
+      // get_config also seeds the registry, so it is fetched even with
+      // verification off; only then do frames not wait for it
+      const configLoaded = this.loadBrokerConfig();
+      this.brokerReady = this.signatureMode === 'off' ? Promise.resolve() : configLoaded;
+      this.setState('open');
+    };
+
+    ws.onclose = (event) => {
+      // A socket replaced by connect() or closed by disconnect() is already handled
+      if (this.ws !== ws) return;
+      this.ws = null;
+
+      this.isAuthenticated = false;
+      this.failPendingAuth(new Error('Connection closed during authentication'));
+      this.failPendingRequests('Connection closed before a response arrived');
+      this.emit('close', event);
+
+      this.scheduleReconnect();
+    };
+
+    ws.onerror = (error) => {
+      this.emit('error', error);
+    };
+
+    ws.onmessage = (event) => {
+      this.handleMessage(event.data);
+    };
+  }
+
+  scheduleReconnect() {
+    const { initialDelayMs, maxDelayMs, multiplier, jitter, maxAttempts } = this.reconnectPolicy;
+
+    if (this.reconnectAttempt >= maxAttempts) {
+      this.setState('offline', { reason: `Gave up after ${maxAttempts} reconnect attempts` });
+      return;
+    }
+
+    this.reconnectAttempt += 1;
+    const baseDelay = Math.min(maxDelayMs, initialDelayMs * multiplier ** (this.reconnectAttempt - 1));
+    const delayMs = Math.round(baseDelay * (1 + jitter * (Math.random() * 2 - 1)));
+
+    this.setState('backoff', { attempt: this.reconnectAttempt, maxAttempts, delayMs });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket();
+    }, delayMs);
+  }
+
+  // Close the socket and stop reconnecting until connect() is called again
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.renewalTimer);
+    this.reconnectTimer = null;
+
+    const ws = this.ws;
+    this.ws = null;
+    this.isAuthenticated = false;
+    this.failPendingAuth(new Error('Disconnected'));
+    this.failPendingRequests('Disconnected');
+
+    if (ws) {
+      ws.close();
+      this.emit('close');
+    }
+    this.setState('offline', { reason: 'Disconnected by client' });
+  }
+
+  send(message) {
+    if (!this.isOpen) {
+      throw new Error('Not connected to Clearnode');
+    }
+    this.ws.send(typeof message === 'string'
+      ? message
+      : JSON.stringify(message, (_, value) => (typeof value === 'bigint' ? value.toString() : value)));
+  }
+
+  // ============ RPC CALLS ============
+
+  // Build, sign (with the session key once authenticated) and send a request,
+  // resolving with the response data for its requestId.
+  async call(method, params = {}, options = {}) {
+    const message = NitroliteRPC.createRequest({ method, params });
+    if (this.messageSigner && options.signed !== false) {
+      await NitroliteRPC.signRequestMessage(message, this.messageSigner);
+    }
+    return this.request(message, options);
+  }
+
+  // Send an already-built request (e.g. from the SDK's createXxxMessage
+  // helpers) and wait for the response carrying the same requestId.
+  request(message, { timeoutMs = this.requestTimeoutMs } = {}) {
+    return new Promise((resolve, reject) => {
+      const frame = typeof message === 'string' ? JSON.parse(message) : message;
+      const [requestId, method] = frame.req || [];
+      if (requestId === undefined) {
+        reject(new Error('request() expects a message with a req payload'));
+        return;
+      }
+
+      const timeoutId = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new ClearnodeRPCError(`${method} timed out after ${timeoutMs}ms`, { method, requestId }));
+      }, timeoutMs);
+      this.pendingRequests.set(requestId, { method, resolve, reject, timeoutId });
+
+      try {
+        this.send(message);
+      } catch (error) {
+        clearTimeout(timeoutId);
+        this.pendingRequests.delete(requestId);
+        reject(error);
+      }
+    });
+  }
+
+  // Run action() only if `amount` (bigint, smallest unit) of `asset` fits in
+  // the session key's remaining allowance, then count it as used. Throws
+  // AllowanceExceededError without calling action() otherwise.
+  async spend({ asset, amount, operation }, action) {
+    this.spending.assertCanSpend(asset, amount, operation);
+    const result = await action();
+    this.recordSpend({ asset, amount });
+    return result;
+  }
+
+  // Count usage for an operation that passed assertCanSpend() earlier but
+  // reached the clearnode later, e.g. once other participants co-signed
+  recordSpend({ asset, amount }) {
+    if (!this.spending.isRestricted) return;
+    this.spending.record(asset, amount);
+    this.emit('allowance_usage', this.spending.summary());
+  }
+
+  failPendingRequests(reason) {
+    for (const [requestId, pending] of this.pendingRequests) {
+      clearTimeout(pending.timeoutId);
+      pending.reject(new ClearnodeRPCError(reason, { method: pending.method, requestId }));
+    }
+    this.pendingRequests.clear();
+  }
+
+  handleMessage(data) {
+    let parsed;
+    try {
+      parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    } catch (e) {
+      this.emit('error', new Error(`Non-JSON message: ${String(data).slice(0, 100)}`));
+      return;
+    }
+
+    // The get_config answer is what the queue below is waiting for, so it
+    // must not queue behind it
+    if (this.configRequestId !== null && parsed.res?.[0] === this.configRequestId) {
+      const knownBroker = this.pinnedBrokerAddress || this.brokerAddress;
+      if (knownBroker) {
+        this.processFrame(data, parsed, knownBroker).catch((error) => this.emit('error', error));
+      } else {
+        this.dispatchFrame(parsed); // trust on first use
+      }
+      return;
+    }
+
+    // Verification is async; chain frames so they are dispatched in order
+    this.inbound = this.inbound
+      .then(async () => {
+        await this.brokerReady;
+        return this.processFrame(data, parsed, this.brokerAddress);
+      })
+      .catch((error) => this.emit('error', error));
+  }
+
+  // ============ RESPONSE SIGNATURES ============
+
+  // Fetch get_config on every open. The first broker address seen is trusted
+  // unless one was pinned; after that the config frame itself must be signed
+  // by the known broker. Never rejects: failures only leave frames unverified.
+  async loadBrokerConfig() {
+    const message = createGetConfigMessageV2();
+    this.configRequestId = JSON.parse(message).req[0];
+    try {
+      const config = await this.request(message, { timeoutMs: 10000 });
+      const reported = config?.broker_address ? getAddress(config.broker_address) : null;
+
+      if (this.pinnedBrokerAddress && reported !== this.pinnedBrokerAddress) {
+        this.emit('signature_error', {
+          reason: `Clearnode reports broker ${reported}, expected ${this.pinnedBrokerAddress}`,
+          method: 'get_config'
+        });
+      } else if (reported) {
+        this.brokerAddress = reported;
+      }
+      this.brokerConfig = config;
+      this.emit('config', config);
+    } catch (error) {
+      this.emit('error', new Error(`Could not load broker address: ${error.message}`));
+    } finally {
+      this.configRequestId = null;
+    }
+  }
+
+  // Assets are pushed after auth; this asks for them explicitly, optionally
+  // for one chain only. The result also lands in this.registry.
+  loadAssets(chainId) {
+    return this.request(createGetAssetsMessageV2(chainId));
+  }
+
+  async processFrame(raw, parsed, expectedSigner) {
+    if (this.signatureMode !== 'off') {
+      const [requestId, method] = parsed.res || parsed.req || [];
+      let reason = null;
+
+      if (!expectedSigner) {
+        if (this.signatureMode === 'strict') reason = 'Broker address unknown, cannot verify frame';
+      } else {
+        const result = await verifyFrameSignature(raw, parsed, expectedSigner);
+        if (result === 'invalid') {
+          reason = `Signature does not match broker ${expectedSigner}`;
+        } else if (result === 'unsigned' && this.signatureMode === 'strict') {
+          reason = 'Unsigned frame';
+        }
+      }
+
+      if (reason) {
+        this.rejectFrame({ reason, method, requestId });
+        return;
+      }
+    }
+
+    this.dispatchFrame(parsed);
+  }
+
+  rejectFrame({ reason, method, requestId }) {
+    const error = new ClearnodeRPCError(`Rejected ${method || 'frame'}: ${reason}`, { method, requestId });
+
+    const pending = this.pendingRequests.get(requestId);
+    if (pending) {
+      clearTimeout(pending.timeoutId);
+      this.pendingRequests.delete(requestId);
+      pending.reject(error);
+    } else if (this.pendingAuth?.requestIds.has(requestId)) {
+      this.failPendingAuth(error);
+    }
+
+    this.emit('signature_error', { reason, method, requestId });
+  }
+
+  dispatchFrame(parsed) {
+    this.emit('message', parsed);
+
+    if (parsed.res) {
+      const [requestId, method, responseData] = parsed.res;
+
+      const pending = this.pendingRequests.get(requestId);
+      if (pending) {
+        clearTimeout(pending.timeoutId);
+        this.pendingRequests.delete(requestId);
+      }
+
+      if (method === 'error') {
+        const errorMsg = responseData?.error || JSON.stringify(responseData);
+        if (pending) {
+          pending.reject(new ClearnodeRPCError(errorMsg, { method: pending.method, requestId, data: responseData }));
+        } else if (this.pendingAuth?.requestIds.has(requestId)) {
+          this.rejectAuthStep(new ClearnodeRPCError(errorMsg, { method: 'auth', requestId, data: responseData }));
+        } else {
+          this.emit('rpc_error', responseData, requestId);
+        }
+        return;
+      }
+
+      if (method === 'auth_challenge') {
+        this.handleAuthChallenge(responseData);
+      } else if (method === 'auth_verify') {
+        if (responseData?.success === false) {
+          this.rejectAuthStep(new ClearnodeRPCError('auth_verify was not successful', { method, requestId, data: responseData }));
+          return;
+        }
+        this.completeAuth(responseData);
+      } else if (method === 'get_config') {
+        this.registry.applyConfig(responseData);
+        this.emit('registry', this.registry);
+      } else if (method === 'assets' || method === 'get_assets') {
+        this.registry.applyAssets(responseData);
+        this.emit('registry', this.registry);
+      }
+
+      this.emit(method, responseData, requestId);
+      pending?.resolve(responseData);
+    } else if (parsed.req) {
+      const [requestId, method, params] = parsed.req;
+      this.emit('request', method, params, requestId);
+    }
+  }
+
+  // ============ AUTHENTICATION ============
+
+  // signTypedData(typedData) must return the wallet's EIP-712 signature over
+  // the auth Policy. It is the only piece that needs a wallet.
+  //
+  // A session key stored for this address is reused while it has more than
+  // renewBeforeExpirySec left; pass { forceNew: true } to always mint one.
+  // When the clearnode issued a JWT for that key, it is tried first so no
+  // wallet signature is needed.
+  authenticate(userAddress, signTypedData, { forceNew = false } = {}) {
+    return new Promise(async (resolve, reject) => {
+      try {
+        this.failPendingAuth(new Error('Superseded by a new authentication'));
+
+        this.userAddress = getAddress(userAddress);
+        this.signTypedData = signTypedData;
+
+        const session = forceNew
+          ? this.createSession()
+          : this.loadStoredSession(this.userAddress) || this.currentSession() || this.createSession();
+
+        const timeoutId = setTimeout(() => {
+          this.failPendingAuth(new Error('Authentication timeout'));
+        }, this.authTimeoutMs);
+        this.pendingAuth = { resolve, reject, timeoutId, session, requestIds: new Set(), via: null };
+
+        if (session.jwtToken) {
+          await this.sendJwtVerify(session);
+        } else {
+          await this.sendAuthRequest(session);
+        }
+      } catch (error) {
+        this.failPendingAuth(error);
+        reject(error);
+      }
+    });
+  }
+
+  async sendAuthRequest(session) {
+    const authMessage = await createAuthRequestMessage({
+      ...session.authParams,
+      expires_at: BigInt(session.authParams.expires_at)
+    });
+    this.pendingAuth.via = 'signature';
+    this.pendingAuth.requestIds.add(JSON.parse(authMessage).req[0]);
+    this.send(authMessage);
+  }
+
+  async sendJwtVerify(session) {
+    const jwtMessage = await createAuthVerifyMessageWithJWT(session.jwtToken);
+    this.pendingAuth.via = 'jwt';
+    this.pendingAuth.requestIds.add(JSON.parse(jwtMessage).req[0]);
+    this.send(jwtMessage);
+  }
+
+  rejectAuthStep(error) {
+    if (this.pendingAuth?.via === 'jwt') {
+      this.fallbackFromJwt(error);
+    } else {
+      this.failPendingAuth(error);
+    }
+  }
+
+  // The clearnode refused the JWT (expired, revoked, node restarted): drop it
+  // and run the challenge flow with the same session key instead
+  async fallbackFromJwt(error) {
+    const { session } = this.pendingAuth;
+    session.jwtToken = null;
+    this.jwtToken = null;
+    this.emit('jwt_rejected', { error });
+    try {
+      await this.sendAuthRequest(session);
+    } catch (sendError) {
+      this.failPendingAuth(sendError);
+    }
+  }
+
+  // The in-memory key from an earlier auth on this client, if still usable.
+  // Covers reconnects when no storage is configured (e.g. Node scripts).
+  currentSession() {
+    if (!this.authParams || !this.sessionKeyPrivate) return null;
+    if (getAddress(this.authParams.address) !== this.userAddress) return null;
+    if (!this.policyMatches(this.authParams)) return null;
+    if (this.authParams.expires_at - Math.floor(Date.now() / 1000) <= this.renewBeforeExpirySec) return null;
+    return {
+      privateKey: this.sessionKeyPrivate,
+      authParams: this.authParams,
+      jwtToken: this.jwtToken,
+      authProof: this.authProof,
+      reused: true
+    };
+  }
+
+  // Scope and per-asset allowances ({ asset, amount } with decimal amounts)
+  // for the next session key. A stored key minted under a different policy
+  // is not reused.
+  setSessionPolicy({ scope = this.scope, allowances = this.allowances } = {}) {
+    this.scope = scope;
+    this.allowances = allowances.map(({ asset, amount }) => ({ asset, amount: String(amount) }));
+  }
+
+  policyMatches(authParams) {
+    return authParams.application === this.application
+      && (authParams.scope || '') === (this.scope || '')
+      && JSON.stringify(authParams.allowances || []) === JSON.stringify(this.allowances);
+  }
+
+  createSession() {
+    const privateKey = generatePrivateKey();
+    const sessionKeyAddress = privateKeyToAccount(privateKey).address;
+    const expiresAt = Math.floor(Date.now() / 1000) + (this.sessionExpiryHours * 60 * 60);
+
+    return {
+      privateKey,
+      reused: false,
+      authParams: {
+        address: this.userAddress,
+        session_key: getAddress(sessionKeyAddress),
+        application: this.application,
+        allowances: this.allowances,
+        expires_at: expiresAt,
+        scope: this.scope
+      }
+    };
+  }
+
+  // Proof that the wallet authorised the current session key, for peers that
+  // receive our session-key signatures (see authTypedData). Null when this
+  // key was restored from a login that did not keep it.
+  delegation() {
+    if (!this.authParams || !this.authProof) return null;
+    return { ...this.authParams, ...this.authProof };
+  }
+
+  async handleAuthChallenge(responseData) {
+    try {
+      if (!this.pendingAuth || !this.signTypedData) {
+        throw new Error('Received auth challenge without a pending authentication');
+      }
+      const { session } = this.pendingAuth;
+
+      // Challenge can come as {challenge_message: "..."} or wrapped in an array
+      let challengeMessage;
+      if (responseData?.challenge_message) {
+        challengeMessage = responseData.challenge_message;
+      } else if (Array.isArray(responseData) && responseData[0]?.challenge_message) {
+        challengeMessage = responseData[0].challenge_message;
+      } else {
+        challengeMessage = JSON.stringify(responseData);
+      }
+
+      const signature = await this.signTypedData(authTypedData(challengeMessage, session.authParams));
+      session.authProof = { challenge: challengeMessage, signature };
+
+      // auth_verify carries the wallet's EIP-712 signature, not a session key signature
+      const verifyRequestId = generateRequestId();
+      const verifyMessage = {
+        req: [verifyRequestId, 'auth_verify', { challenge: challengeMessage }, getCurrentTimestamp()],
+        sig: [signature]
+      };
+      this.pendingAuth?.requestIds.add(verifyRequestId);
+      this.send(verifyMessage);
+    } catch (error) {
+      this.failPendingAuth(error);
+    }
+  }
+
+  completeAuth(responseData) {
+    const session = this.pendingAuth?.session;
+    const via = this.pendingAuth?.via || 'signature';
+    if (session) {
+      this.sessionKeyPrivate = session.privateKey;
+      this.sessionKeyAddress = session.authParams.session_key;
+      this.authParams = session.authParams;
+      this.authProof = session.authProof || null;
+      this.sessionKeyReused = session.reused;
+      this.messageSigner = createECDSAMessageSigner(session.privateKey);
+      this.spending.load(this.sessionKeyAddress, this.authParams.allowances);
+      // A JWT login may not hand out a new token; keep the one that worked
+      this.jwtToken = responseData?.jwt_token || session.jwtToken || null;
+      this.saveStoredSession();
+      this.scheduleRenewal();
+    }
+
+    this.lastAuthMethod = via;
+    this.isAuthenticated = true;
+    if (this.pendingAuth) {
+      clearTimeout(this.pendingAuth.timeoutId);
+      this.pendingAuth.resolve(responseData);
+      this.pendingAuth = null;
+    }
+    this.emit('authenticated', responseData, { via });
+  }
+
+  failPendingAuth(error) {
+    if (!this.pendingAuth) return;
+    const { session, timeoutId, reject } = this.pendingAuth;
+    this.pendingAuth = null;
+    clearTimeout(timeoutId);
+
+    // A stored key the clearnode no longer accepts must not be retried forever
+    if (session.reused && error instanceof ClearnodeRPCError) {
+      this.clearStoredSession(this.userAddress);
+    }
+    reject(error);
+  }
+
+  // ============ SESSION KEY PERSISTENCE ============
+
+  sessionStorageKey(address) {
+    return `yellow_session_key_${this.storageNamespace}_${getAddress(address)}`;
+  }
+
+  loadStoredSession(address) {
+    if (!this.storage) return null;
+    try {
+      const raw = this.storage.getItem(this.sessionStorageKey(address));
+      if (!raw) return null;
+      const stored = JSON.parse(raw);
+      const { authParams } = stored;
+
+      const secondsLeft = authParams.expires_at - Math.floor(Date.now() / 1000);
+      const matchesConfig = this.policyMatches(authParams)
+        && getAddress(authParams.address) === getAddress(address);
+
+      if (!matchesConfig || secondsLeft <= this.renewBeforeExpirySec) {
+        this.clearStoredSession(address);
+        return null;
+      }
+      return {
+        privateKey: stored.privateKey,
+        authParams,
+        jwtToken: stored.jwtToken || null,
+        authProof: stored.authProof || null,
+        reused: true
+      };
+    } catch (error) {
+      console.error('Failed to load stored session key:', error);
+      return null;
+    }
+  }
+
+  saveStoredSession() {
+    if (!this.storage || !this.userAddress) return;
+    this.storage.setItem(this.sessionStorageKey(this.userAddress), JSON.stringify({
+      privateKey: this.sessionKeyPrivate,
+      authParams: this.authParams,
+      jwtToken: this.jwtToken,
+      authProof: this.authProof,
+      savedAt: Date.now()
+    }));
+  }
+
+  // Write the live session key and its allowance usage to storage, for when
+  // storage could not take them at connect (a locked vault)
+  persistSession() {
+    if (!this.isAuthenticated) return;
+    this.saveStoredSession();
+    this.spending.save();
+  }
+
+  clearStoredSession(address) {
+    if (!this.storage || !address) return;
+    this.storage.removeItem(this.sessionStorageKey(address));
+  }
+
+  // Mint a fresh key shortly before the current one expires so open
+  // connections never run on an expired session
+  scheduleRenewal() {
+    clearTimeout(this.renewalTimer);
+    const renewAtMs = (this.authParams.expires_at - this.renewBeforeExpirySec) * 1000;
+    const delayMs = Math.max(renewAtMs - Date.now(), 0);
+    // setTimeout overflows past ~24.8 days, so a longer wait is done in steps
+    if (delayMs > MAX_TIMER_MS) {
+      this.renewalTimer = setTimeout(() => this.scheduleRenewal(), MAX_TIMER_MS);
+      return;
+    }
+    this.renewalTimer = setTimeout(() => this.renewSession(), delayMs);
+  }
+
+  async renewSession() {
+    this.clearStoredSession(this.userAddress);
+    if (!this.isOpen || !this.userAddress || !this.signTypedData) return;
+
+    this.emit('session_renewing', { expiresAt: this.authParams.expires_at });
+    try {
+      await this.authenticate(this.userAddress, this.signTypedData, { forceNew: true });
+      this.emit('session_renewed', { expiresAt: this.authParams.expires_at });
+    } catch (error) {
+      this.emit('error', new Error(`Session key renewal failed: ${error.message}`));
+    }
+  }
+}
@@ -1,5 +1,9 @@
 import { sepolia, baseSepolia, mainnet, base } from 'viem/chains';
 
+// Vite fills in import.meta.env for the app; the CLI (cli/) runs this module
+// in Node, where the same VITE_* variables come from the process environment
+const env = import.meta.env ?? globalThis.process?.env ?? {};
+
 // ============ TESTNET CONFIGURATION ============
 export const TESTNET_CONFIG = {
   name: 'testnet',
@@ -50,6 +54,26 @@ export const TESTNET_CONFIG = {
   // Session key expiry: 24 hours for testnet
   sessionExpiryHours: 24,
 
+  // WebSocket reconnect policy (exponential backoff with jitter)
+  reconnect: {
+    initialDelayMs: 1000,
+    maxDelayMs: 30000,
+    maxAttempts: 20
+  },
+
+  // Reject responses not signed by the broker; unsigned ones are accepted
+  signatureMode: 'verify',
+
+  // Relay for co-signing channel states with the counterparty (relay/)
+  relayUrl: env.VITE_RELAY_URL || 'ws://localhost:4000',
+
+  // Custody polling for challenges on tracked channels
+  watchtower: {
+    pollIntervalMs: 60000,
+    lookbackBlocks: 5000,
+    maxBlockRange: 2000
+  },
+
   // UI colors
   primaryColor: '#4a90d9',
   warningBanner: false
@@ -71,7 +95,7 @@ export const MAINNET_CONFIG = {
       custody: '0x6F71a38d919ad713D0AfE0eB712b95064Fc2616f',
       adjudicator: '0x14980dF216722f14c42CA7357b06dEa7eB408b10',
       chain: mainnet,
-      rpcUrl: import.meta.env.VITE_ETHEREUM_MAINNET_RPC_URL,
+      rpcUrl: env.VITE_ETHEREUM_MAINNET_RPC_URL,
       explorerUrl: 'https://etherscan.io'
     },
     // Base Mainnet
@@ -81,7 +105,7 @@ export const MAINNET_CONFIG = {
       custody: '0x490fb189DdE3a01B00be9BA5F41e3447FbC838b6',
       adjudicator: '0x7de4A0736Cf5740fD3Ca2F2e9cc85c9AC223eF0C',
       chain: base,
-      rpcUrl: import.meta.env.VITE_BASE_MAINNET_RPC_URL,
+      rpcUrl: env.VITE_BASE_MAINNET_RPC_URL,
       explorerUrl: 'https://basescan.org'
     }
   },
@@ -89,6 +113,25 @@ export const MAINNET_CONFIG = {
   // Session key expiry: 1 hour for mainnet (more secure)
   sessionExpiryHours: 1,
 
+  // Give up sooner on mainnet so a dead clearnode is surfaced quickly
+  reconnect: {
+    initialDelayMs: 1000,
+    maxDelayMs: 30000,
+    maxAttempts: 10
+  },
+
+  // Real funds: also drop unsigned responses
+  signatureMode: 'strict',
+
+  relayUrl: env.VITE_RELAY_URL || 'ws://localhost:4000',
+
+  // Poll more often: a missed challenge settles on a stale state
+  watchtower: {
+    pollIntervalMs: 30000,
+    lookbackBlocks: 5000,
+    maxBlockRange: 2000
+  },
+
   // UI colors
   primaryColor: '#4caf50',
   warningBanner: true
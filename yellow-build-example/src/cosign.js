@@ -0,0 +1,311 @@
+import { getChannelId, getPackedState } from '@erc7824/nitrolite';
+import { hexToBytes, keccak256, recoverMessageAddress } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { deserializeState, serializeState } from './channel-backup.js';
+
+// Two-party co-signing of channel states.
+//
+// The proposer signs a new state and sends it to the counterparty's app; the
+// counterparty reviews it, signs and sends the signature back. Neither side
+// ever holds the other's key. Messages go over a transport:
+//
+//   send(message)          -> delivers a JSON-able object to the peer
+//   on('message', fn)      -> fn(message) for each object from the peer
+//   on('status', fn)       -> fn({ connected, peers })
+//   close()
+//
+// RelayTransport uses the relay service (relay/README.md): both sides derive
+// the same room from an ECDH of their relay keys. BroadcastTransport links
+// two tabs of one browser, for trying the flow locally.
+//
+// CoSigner events: request (request), log (message, type)
+
+const REQUEST = 'cosign_request';
+const RESPONSE = 'cosign_response';
+const REJECT = 'cosign_reject';
+
+export class CoSignError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CoSignError';
+  }
+}
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Signatures keyed by signer address -> sigs array in participant order,
+// which is what the adjudicator checks them against
+export function sigsInParticipantOrder(participants, signatures) {
+  return participants.map((participant) => {
+    const entry = Object.entries(signatures).find(([address]) => sameAddress(address, participant));
+    if (!entry) throw new CoSignError(`Missing signature from ${participant}`);
+    return entry[1];
+  });
+}
+
+// Minimal event emitter shared by the transports and the co-signer
+class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, ...args) {
+    for (const handler of this.listeners.get(event) || []) {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`${this.constructor.name} ${event} handler failed:`, error);
+      }
+    }
+  }
+}
+
+// ============ RELAY KEYS ============
+
+// The relay key only identifies this app to the peer; it signs nothing that
+// moves funds. Kept in the vault so the shared room survives a reload.
+export function loadRelayKey(vault, userAddress) {
+  const storageKey = `yellow_relay_key_${userAddress.toLowerCase()}`;
+  let privateKey = vault.get(storageKey);
+  if (!privateKey) {
+    privateKey = generatePrivateKey();
+    vault.set(storageKey, privateKey);
+  }
+  return { privateKey, publicKey: privateKeyToAccount(privateKey).publicKey };
+}
+
+export const isRelayPubkey = (value) => /^0x04[0-9a-fA-F]{128}$/.test(value || '');
+
+// keccak256 of the ECDH secret, the same on both sides
+export function relayRoom(privateKey, peerPubkey) {
+  const shared = secp256k1.getSharedSecret(hexToBytes(privateKey), hexToBytes(peerPubkey));
+  return keccak256(shared).slice(2);
+}
+
+// ============ TRANSPORTS ============
+
+export class RelayTransport extends Emitter {
+  constructor({ relayUrl, privateKey, peerPubkey, reconnectDelayMs = 3000 }) {
+    super();
+    this.url = `${relayUrl.replace(/\/$/, '')}/socket/${relayRoom(privateKey, peerPubkey)}`;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.ws = null;
+    this.peers = 0;
+    this.closed = false;
+  }
+
+  get isConnected() {
+    return this.ws?.readyState === WebSocket.OPEN && this.peers > 0;
+  }
+
+  connect() {
+    this.closed = false;
+    this.ws = new WebSocket(this.url);
+
+    this.ws.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+
+      // The relay's own room notifications
+      if (['connected', 'peer_joined', 'peer_left'].includes(message.type)) {
+        this.peers = message.peers;
+        this.emit('status', { connected: true, peers: this.peers });
+        return;
+      }
+      this.emit('message', message);
+    };
+
+    this.ws.onclose = () => {
+      this.peers = 0;
+      this.emit('status', { connected: false, peers: 0 });
+      if (!this.closed) setTimeout(() => !this.closed && this.connect(), this.reconnectDelayMs);
+    };
+  }
+
+  send(message) {
+    if (!this.isConnected) throw new CoSignError('Partner is not connected to the relay');
+    this.ws.send(JSON.stringify(message));
+  }
+
+  close() {
+    this.closed = true;
+    this.ws?.close();
+  }
+}
+
+export class BroadcastTransport extends Emitter {
+  constructor(name = 'yellow-cosign') {
+    super();
+    this.name = name;
+    this.channel = null;
+  }
+
+  // No presence on a BroadcastChannel; assume the other tab is there
+  get isConnected() {
+    return this.channel !== null;
+  }
+
+  connect() {
+    this.channel = new BroadcastChannel(this.name);
+    this.channel.onmessage = (event) => this.emit('message', event.data);
+    this.emit('status', { connected: true, peers: 1 });
+  }
+
+  send(message) {
+    if (!this.channel) throw new CoSignError('Not connected');
+    this.channel.postMessage(message);
+  }
+
+  close() {
+    this.channel?.close();
+    this.channel = null;
+    this.emit('status', { connected: false, peers: 0 });
+  }
+}
+
+// ============ PROTOCOL ============
+
+export class CoSigner extends Emitter {
+  constructor({ transport, userAddress, timeoutMs = 120000 }) {
+    super();
+    this.transport = transport;
+    this.userAddress = userAddress;
+    this.timeoutMs = timeoutMs;
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+    // Anything from the peer is untrusted; a bad message is logged, never thrown
+    transport.on('message', (message) => this.handleMessage(message).catch((error) => {
+      this.emit('log', `Dropped co-sign message: ${error.message}`, 'error');
+    }));
+  }
+
+  get isConnected() {
+    return this.transport.isConnected;
+  }
+
+  // Proposer side. `state.sigs` holds our own signature; resolves with the
+  // partner's once they approve, after checking it is really theirs.
+  async requestSignature({ channelId, chainId, channel, state, partnerAddress, note = '' }) {
+    const id = crypto.randomUUID();
+    const response = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new CoSignError('Partner did not respond in time'));
+      }, this.timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+    });
+
+    this.transport.send({
+      type: REQUEST,
+      id,
+      channelId,
+      chainId,
+      channel: {
+        participants: channel.participants,
+        adjudicator: channel.adjudicator,
+        challenge: channel.challenge.toString(),
+        nonce: channel.nonce.toString()
+      },
+      state: serializeState(state),
+      proposer: this.userAddress,
+      note
+    });
+
+    const signature = await response;
+    const signer = await recoverMessageAddress({ message: { raw: getPackedState(channelId, state) }, signature });
+    if (!sameAddress(signer, partnerAddress)) {
+      throw new CoSignError(`Returned signature is from ${signer}, not the channel partner`);
+    }
+    return signature;
+  }
+
+  // Responder side: answer a request emitted as 'request'
+  approve(request, signature) {
+    this.transport.send({ type: RESPONSE, id: request.id, signature });
+  }
+
+  reject(request, reason) {
+    this.transport.send({ type: REJECT, id: request.id, reason });
+  }
+
+  async handleMessage(message) {
+    if (message?.type === REQUEST) {
+      await this.receiveRequest(message);
+      return;
+    }
+
+    const waiting = this.pending.get(message?.id);
+    if (!waiting || (message.type !== RESPONSE && message.type !== REJECT)) return;
+    this.pending.delete(message.id);
+    clearTimeout(waiting.timer);
+
+    if (message.type === RESPONSE) waiting.resolve(message.signature);
+    else waiting.reject(new CoSignError(`Partner rejected the state: ${message.reason || 'no reason given'}`));
+  }
+
+  // Checks that need nothing from the app: the channel id matches the
+  // struct, we are a participant, and the proposer really signed the state
+  async receiveRequest(message) {
+    let request = { id: message.id };
+    let problem = null;
+    try {
+      request = {
+        id: message.id,
+        channelId: message.channelId,
+        chainId: message.chainId,
+        channel: {
+          participants: message.channel?.participants || [],
+          adjudicator: message.channel?.adjudicator,
+          challenge: BigInt(message.channel?.challenge || '0'),
+          nonce: BigInt(message.channel?.nonce || '0')
+        },
+        state: deserializeState(message.state),
+        proposer: message.proposer,
+        note: message.note || ''
+      };
+
+      const proposerIsPartner = request.channel.participants.some(p => sameAddress(p, request.proposer));
+      if (getChannelId(request.channel, request.chainId).toLowerCase() !== String(request.channelId).toLowerCase()) {
+        problem = 'channel id does not match the channel';
+      } else if (!request.channel.participants.some(p => sameAddress(p, this.userAddress))) {
+        problem = 'we are not a participant of this channel';
+      } else if (!proposerIsPartner || sameAddress(request.proposer, this.userAddress)) {
+        problem = 'proposer is not the other participant';
+      } else {
+        const signer = await recoverMessageAddress({
+          message: { raw: getPackedState(request.channelId, request.state) },
+          signature: request.state.sigs?.[0]
+        });
+        if (!sameAddress(signer, request.proposer)) problem = 'state is not signed by the proposer';
+      }
+    } catch (error) {
+      problem = `malformed request (${error.message})`;
+    }
+
+    if (problem) {
+      this.emit('log', `Rejected co-sign request: ${problem}`, 'error');
+      this.sendRejection(request, problem);
+      return;
+    }
+    this.emit('request', request);
+  }
+
+  // Telling the proposer is best effort: they may have left the relay
+  sendRejection(request, reason) {
+    try {
+      this.reject(request, reason);
+    } catch (error) {
+      this.emit('log', `Could not send the rejection: ${error.message}`, 'warn');
+    }
+  }
+}
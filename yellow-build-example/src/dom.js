@@ -0,0 +1,62 @@
+// Safe rendering for the apps' HTML templates.
+//
+// html`...` escapes every interpolated value unless it is itself an html``
+// result (or an array of them), so addresses, ids and error messages from
+// the clearnode or a chain can never become markup. render() only accepts
+// html`` results, which keeps plain strings out of innerHTML.
+//
+// Rendered controls don't get inline handlers (they would need a CSP with
+// 'unsafe-inline'). They carry data-action="name" plus data-* arguments,
+// and delegate() on a container that stays in the page calls
+// handlers[name](element.dataset, element, event).
+
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// null, undefined and false render as nothing, so `${cond && html`...`}` works
+function toMarkup(value) {
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(toMarkup).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((markup, string, i) => markup + string + (i < values.length ? toMarkup(values[i]) : ''), ''));
+}
+
+function markupOf(content) {
+  if (!(content instanceof SafeHtml)) throw new TypeError('render() only takes html`` templates');
+  return content.markup;
+}
+
+export function render(element, content) {
+  if (element) element.innerHTML = markupOf(content);
+}
+
+// Adds `content` before the element's current children
+export function prepend(element, content) {
+  element?.insertAdjacentHTML('afterbegin', markupOf(content));
+}
+
+// `eventType` is 'click' for buttons; 'input' or 'change' for fields, whose
+// handlers read element.value
+export function delegate(root, handlers, eventType = 'click') {
+  root?.addEventListener(eventType, (event) => {
+    const element = event.target.closest('[data-action]');
+    if (!element || !root.contains(element)) return;
+    const handler = handlers[element.dataset.action];
+    if (handler) handler(element.dataset, element, event);
+  });
+}
@@ -0,0 +1,83 @@
+import { AmountError, formatAmount } from './amounts.js';
+
+// Unified ledger balances, one entry per asset. Amounts are bigints in the
+// asset's smallest unit; decimals and symbol come from the network registry
+// (the clearnode's assets list) and default to 6 / the asset id until that
+// has arrived.
+
+const DEFAULT_DECIMALS = 6;
+
+// Integer base units, allowing the ".0" a decimal serializer may append
+const BASE_UNITS = /^-?\d+(?:\.0*)?$/;
+
+export class LedgerBalances {
+  constructor(registry = null) {
+    this.registry = registry;
+    this.amounts = new Map(); // asset -> bigint
+  }
+
+  decimalsFor(asset) {
+    return this.registry?.getAsset(asset)?.decimals ?? DEFAULT_DECIMALS;
+  }
+
+  symbolFor(asset) {
+    return (this.registry?.getAsset(asset)?.symbol || asset).toUpperCase();
+  }
+
+  // The clearnode sends every ledger amount (balances, entries, transactions,
+  // session allocations) in base units, as the apps send theirs. "10" and
+  // "10.0" are the same amount; a fraction of a base unit is an AmountError.
+  parseLedgerAmount(asset, amount) {
+    const text = String(amount ?? '0').trim();
+    if (!BASE_UNITS.test(text)) {
+      throw new AmountError(`"${amount}" ${asset} is not a whole number of base units`);
+    }
+    return BigInt(text.split('.')[0]);
+  }
+
+  set(asset, amount) {
+    this.amounts.set(asset, this.parseLedgerAmount(asset, amount));
+  }
+
+  // get_ledger_balances: the full list, anything missing is now zero
+  replace(balances = []) {
+    this.amounts.clear();
+    for (const { asset, amount } of balances) this.set(asset, amount);
+  }
+
+  // bu notification: new totals for the listed assets only
+  update(balances = []) {
+    for (const { asset, amount } of balances) this.set(asset, amount);
+  }
+
+  clear() {
+    this.amounts.clear();
+  }
+
+  get(asset) {
+    return this.amounts.get(asset) ?? 0n;
+  }
+
+  covers(asset, amount) {
+    return this.get(asset) >= BigInt(amount);
+  }
+
+  // "12.50 USDC" - an explicit amount is formatted with the asset's decimals
+  format(asset, amount = this.get(asset)) {
+    return `${formatAmount(amount, this.decimalsFor(asset))} ${this.symbolFor(asset)}`;
+  }
+
+  // Non-zero balances with their metadata, the given asset first.
+  // Metadata is looked up on read so it follows later registry updates.
+  list(primaryAsset = null) {
+    return [...this.amounts]
+      .filter(([, amount]) => amount !== 0n)
+      .map(([asset, amount]) => ({
+        asset,
+        amount,
+        symbol: this.symbolFor(asset),
+        decimals: this.decimalsFor(asset)
+      }))
+      .sort((a, b) => (b.asset === primaryAsset) - (a.asset === primaryAsset));
+  }
+}
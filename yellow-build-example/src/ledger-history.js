@@ -0,0 +1,148 @@
+import { createGetLedgerTransactionsMessageV2 } from '@erc7824/nitrolite';
+
+// Ledger transaction history from the clearnode (get_ledger_transactions).
+//
+// Asset and type are filtered by the clearnode; counterparty and date range
+// are not supported there, so fetchPage reads server pages until it has a
+// full page of matches. Pages are newest first and start at a server offset
+// (the previous page's nextOffset). Transactions are normalized to:
+//
+//   { id, type, direction ('in' | 'out'), counterparty, counterpartyTag,
+//     from, fromTag, to, toTag, asset, amount (bigint), createdAt (Date) }
+
+export const TX_TYPES = ['transfer', 'deposit', 'withdrawal', 'app_deposit', 'app_withdrawal', 'escrow_lock', 'escrow_unlock'];
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+export class LedgerHistory {
+  // `parseAmount(asset, amount)`: ledger amount -> bigint base units
+  constructor({ client, accountId, parseAmount, pageSize = DEFAULT_PAGE_SIZE }) {
+    this.client = client;
+    this.accountId = accountId;
+    this.parseAmount = parseAmount;
+    this.pageSize = pageSize;
+  }
+
+  // filters: { asset, type, counterparty, from, to } - all optional; from/to
+  // are 'YYYY-MM-DD' and inclusive. Resolves to { transactions, hasMore,
+  // nextOffset }. One match past the page is looked for, so hasMore is only
+  // true when there really is another page.
+  async fetchPage(offset = 0, filters = {}) {
+    const { start } = dateRange(filters);
+    const matches = []; // [transaction, server offset after it]
+    let cursor = offset;
+
+    scan: for (;;) {
+      const raw = await this.fetchServerPage(cursor, filters);
+      for (const [i, item] of raw.entries()) {
+        const tx = this.normalize(item);
+        // Newest first: past the start of the range nothing else can match
+        if (start !== null && tx.createdAt.getTime() < start) break scan;
+        if (matchesFilters(tx, filters)) matches.push([tx, cursor + i + 1]);
+        if (matches.length > this.pageSize) break scan;
+      }
+      if (raw.length < this.pageSize) break;
+      cursor += raw.length;
+    }
+
+    const page = matches.slice(0, this.pageSize);
+    return {
+      transactions: page.map(([tx]) => tx),
+      hasMore: matches.length > this.pageSize,
+      nextOffset: page.length > 0 ? page[page.length - 1][1] : cursor
+    };
+  }
+
+  // Every matching transaction, for export. Pages until the ledger runs out:
+  // a partial export would pass for a complete one.
+  async fetchAll(filters = {}) {
+    const all = [];
+    let offset = 0;
+    for (;;) {
+      const { transactions, hasMore, nextOffset } = await this.fetchPage(offset, filters);
+      all.push(...transactions);
+      if (!hasMore) return all;
+      offset = nextOffset;
+    }
+  }
+
+  // Raw transactions from `offset`, filtered by asset and type only
+  async fetchServerPage(offset, filters) {
+    const message = createGetLedgerTransactionsMessageV2(this.accountId, {
+      asset: filters.asset || undefined,
+      tx_type: filters.type || undefined,
+      offset,
+      limit: this.pageSize,
+      sort: 'desc'
+    });
+    const response = await this.client.request(message);
+    return response?.ledger_transactions || [];
+  }
+
+  normalize(tx) {
+    const outgoing = tx.from_account?.toLowerCase() === this.accountId.toLowerCase();
+    return {
+      id: tx.id,
+      type: tx.tx_type,
+      direction: outgoing ? 'out' : 'in',
+      counterparty: outgoing ? tx.to_account : tx.from_account,
+      counterpartyTag: (outgoing ? tx.to_account_tag : tx.from_account_tag) || '',
+      from: tx.from_account,
+      fromTag: tx.from_account_tag || '',
+      to: tx.to_account,
+      toTag: tx.to_account_tag || '',
+      asset: tx.asset,
+      amount: this.parseAmount(tx.asset, tx.amount),
+      createdAt: new Date(tx.created_at)
+    };
+  }
+}
+
+// Inclusive day range as epoch milliseconds, null where open
+function dateRange({ from, to }) {
+  const start = from ? new Date(`${from}T00:00:00`).getTime() : null;
+  const end = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+  return { start, end };
+}
+
+// Client-side filters; counterparty matches address or tag, case-insensitive
+export function matchesFilters(tx, filters = {}) {
+  const { start, end } = dateRange(filters);
+  const time = tx.createdAt.getTime();
+  if (start !== null && time < start) return false;
+  if (end !== null && time > end) return false;
+
+  const counterparty = (filters.counterparty || '').trim().toLowerCase();
+  if (counterparty && !`${tx.counterparty} ${tx.counterpartyTag}`.toLowerCase().includes(counterparty)) return false;
+
+  if (filters.asset && tx.asset !== filters.asset) return false;
+  if (filters.type && tx.type !== filters.type) return false;
+  return true;
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value, { text = false } = {}) {
+  let field = String(value ?? '');
+  if (text && FORMULA_START.test(field)) field = `'${field}`;
+  return /[",\n\r]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+// `formatAmount(asset, amount)` -> plain decimal string (no symbol)
+export function toCSV(transactions, formatAmount) {
+  const header = ['id', 'date', 'type', 'direction', 'asset', 'amount', 'counterparty', 'counterparty_tag', 'from', 'to'];
+  const rows = transactions.map(tx => [
+    csvField(tx.id),
+    csvField(tx.createdAt.toISOString()),
+    csvField(tx.type),
+    csvField(tx.direction),
+    csvField(tx.asset, { text: true }),
+    csvField(formatAmount(tx.asset, tx.amount)),
+    csvField(tx.counterparty, { text: true }),
+    csvField(tx.counterpartyTag, { text: true }),
+    csvField(tx.from, { text: true }),
+    csvField(tx.to, { text: true })
+  ].join(','));
+  return [header.join(','), ...rows].join('\n');
+}
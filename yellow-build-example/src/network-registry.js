@@ -0,0 +1,122 @@
+import { getAddress } from 'viem';
+
+// Runtime view of what the connected clearnode supports, built from the
+// get_config response (networks + contract addresses) and the assets
+// notification / get_assets response (tokens per chain).
+//
+// The static chain config still supplies what the clearnode can't (RPC URLs,
+// viem chain objects, explorers). On a contract address mismatch the static
+// value is kept and a warning raised rather than silently following the node.
+
+const sameAddress = (a, b) => {
+  try {
+    return getAddress(a) === getAddress(b);
+  } catch {
+    return false;
+  }
+};
+
+export class NetworkRegistry {
+  constructor() {
+    this.networks = new Map(); // chainId -> { chainId, name, custody, adjudicator }
+    this.assets = []; // [{ token, chainId, symbol, decimals }]
+  }
+
+  get isLoaded() {
+    return this.networks.size > 0;
+  }
+
+  applyConfig(config) {
+    this.networks.clear();
+    for (const network of config?.networks || []) {
+      const chainId = Number(network.chain_id ?? network.chainId);
+      this.networks.set(chainId, {
+        chainId,
+        name: network.name || `Chain ${chainId}`,
+        custody: network.custody_address ?? network.custodyAddress ?? network.custody ?? null,
+        adjudicator: network.adjudicator_address ?? network.adjudicatorAddress ?? network.adjudicator ?? null
+      });
+    }
+  }
+
+  applyAssets(data) {
+    const list = Array.isArray(data) ? data : data?.assets || [];
+    this.assets = list.map(asset => ({
+      token: asset.token,
+      chainId: Number(asset.chain_id ?? asset.chainId),
+      symbol: asset.symbol,
+      decimals: Number(asset.decimals)
+    }));
+  }
+
+  getNetwork(chainId) {
+    return this.networks.get(Number(chainId)) || null;
+  }
+
+  // Asset by symbol, optionally narrowed to a chain
+  getAsset(symbol, chainId = null) {
+    return this.assets.find(a =>
+      a.symbol === symbol && (chainId === null || a.chainId === Number(chainId))
+    ) || null;
+  }
+
+  // Compare with a static `chains` map (chainId -> { name, token, custody,
+  // adjudicator }) and the asset symbol the app trades. Returns warning strings.
+  crossCheck(staticChains, assetSymbol) {
+    const warnings = [];
+    if (!this.isLoaded) return warnings;
+
+    for (const [id, chain] of Object.entries(staticChains)) {
+      const chainId = Number(id);
+      const network = this.networks.get(chainId);
+      if (!network) {
+        warnings.push(`${chain.name} (${chainId}) is configured locally but not served by the clearnode`);
+        continue;
+      }
+      if (network.custody && chain.custody && !sameAddress(network.custody, chain.custody)) {
+        warnings.push(`${chain.name}: custody ${network.custody} from clearnode differs from config ${chain.custody}`);
+      }
+      if (network.adjudicator && chain.adjudicator && !sameAddress(network.adjudicator, chain.adjudicator)) {
+        warnings.push(`${chain.name}: adjudicator ${network.adjudicator} from clearnode differs from config ${chain.adjudicator}`);
+      }
+
+      if (this.assets.length > 0 && chain.token) {
+        const asset = this.getAsset(assetSymbol, chainId);
+        if (!asset) {
+          warnings.push(`${chain.name}: clearnode lists no ${assetSymbol} token`);
+        } else if (!sameAddress(asset.token, chain.token)) {
+          warnings.push(`${chain.name}: ${assetSymbol} token ${asset.token} from clearnode differs from config ${chain.token}`);
+        }
+      }
+    }
+
+    for (const network of this.networks.values()) {
+      if (!staticChains[network.chainId]) {
+        warnings.push(`Clearnode supports ${network.name} (${network.chainId}), which is not in the local config`);
+      }
+    }
+
+    return warnings;
+  }
+
+  // Options for a chain <select>: every network the clearnode serves, usable
+  // only if the static config can reach it. Falls back to the static chains
+  // before get_config has arrived.
+  chainOptions(staticChains) {
+    if (!this.isLoaded) {
+      return Object.entries(staticChains).map(([id, chain]) => ({
+        chainId: Number(id),
+        label: chain.name,
+        disabled: false
+      }));
+    }
+    return [...this.networks.values()].map(network => {
+      const local = staticChains[network.chainId];
+      return {
+        chainId: network.chainId,
+        label: local ? local.name : `${network.name} (not configured)`,
+        disabled: !local
+      };
+    });
+  }
+}
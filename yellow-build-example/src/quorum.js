@@ -0,0 +1,299 @@
+import { createApplicationMessage } from '@erc7824/nitrolite';
+import { keccak256, recoverAddress, recoverTypedDataAddress, toHex } from 'viem';
+import { authTypedData } from './clearnode-client.js';
+
+// Quorum signatures for app session updates.
+//
+// With weights like [40, 40, 20] and quorum 60, one participant's signature
+// is not enough for submit_app_state or close_app_session: the clearnode
+// wants the request carrying signatures whose weights add up to the quorum.
+// Every participant signs the same `req` payload with their session key, so
+// the proposer sends that payload to the others as an app message (the
+// clearnode's `message` method, delivered to the session's participants),
+// collects what comes back and submits once the quorum is reached.
+//
+// Messages, all with `quorum` set to one of:
+//   sign_request { id, sessionId, payload, signature, from, delegation, description, expiresAt }
+//   signature    { id, from, delegation, signature }
+//   decline      { id, from, delegation, reason, proof }
+//
+// Everything is signed with session keys, so each message carries the
+// sender's `delegation`: their auth Policy fields plus the wallet's EIP-712
+// signature over them (ClearnodeClient.delegation()). A message counts only
+// if that signature recovers to `from` and its session key signed the
+// content - the payload for sign_request and signature, and
+// ['quorum_decline', id, reason] as `proof` for decline. Anything else is
+// dropped, so one participant cannot sign or decline in another's name.
+//
+// Events:
+//   proposal (proposal)   - a proposal was created or changed status/signatures
+//   request (request)     - another participant asks us to sign
+//   submitted (proposal, response), failed (proposal, error), expired (proposal)
+
+export const DEFAULT_PROPOSAL_TTL_MS = 10 * 60 * 1000;
+
+const SIGNABLE_METHODS = ['submit_app_state', 'close_app_session'];
+
+export class QuorumError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuorumError';
+  }
+}
+
+const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Signer of a session-key signature, made as nitrolite's ECDSA message signer does
+const payloadSigner = (payload, signature) =>
+  recoverAddress({ hash: keccak256(toHex(JSON.stringify(payload))), signature });
+
+export class QuorumCollector {
+  constructor({ client, userAddress, ttlMs = DEFAULT_PROPOSAL_TTL_MS }) {
+    this.client = client;
+    this.userAddress = userAddress;
+    this.ttlMs = ttlMs;
+    this.proposals = new Map(); // id -> proposal we started
+    this.requests = new Map(); // id -> request from someone else, awaiting us
+    this.sessionKeys = new Map(); // 'wallet:session key' -> expires_at, once verified
+    this.listeners = new Map();
+
+    client.on('message', (parsed) => {
+      const [, method, params] = parsed.req || parsed.res || [];
+      if (method !== 'message' || !params?.quorum) return;
+      this.handleMessage(params).catch((error) => {
+        console.warn(`Dropped quorum ${params.quorum} from ${params.from}: ${error.message}`);
+      });
+    });
+  }
+
+  // ============ EVENTS ============
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, ...args) {
+    for (const handler of this.listeners.get(event) || []) {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`QuorumCollector ${event} handler failed:`, error);
+      }
+    }
+  }
+
+  // ============ PROPOSING ============
+
+  // `message` is the request as built by createSubmitAppStateMessage or
+  // createCloseAppSessionMessage (JSON string or object, signed by us).
+  // `session` is { participants, weights, quorum } as the clearnode has it.
+  // Submits straight away if our own weight is enough.
+  async propose({ sessionId, message, session, description = '' }) {
+    const frame = typeof message === 'string' ? JSON.parse(message) : message;
+    const [requestId, method] = frame.req;
+    if (!SIGNABLE_METHODS.includes(method)) throw new QuorumError(`${method} does not need a quorum`);
+    const delegation = this.ownDelegation();
+
+    const proposal = {
+      id: `${sessionId}:${requestId}`,
+      sessionId,
+      method,
+      payload: frame.req,
+      description,
+      participants: session.participants,
+      weights: session.weights,
+      quorum: session.quorum,
+      signatures: new Map([[this.userAddress.toLowerCase(), frame.sig[0]]]),
+      declined: new Map(),
+      expiresAt: Date.now() + this.ttlMs,
+      status: 'collecting'
+    };
+    this.proposals.set(proposal.id, proposal);
+    proposal.timer = setTimeout(() => this.expire(proposal), this.ttlMs);
+
+    if (this.hasQuorum(proposal)) return this.submit(proposal);
+
+    this.emit('proposal', proposal);
+    await this.sendAppMessage(sessionId, {
+      quorum: 'sign_request',
+      id: proposal.id,
+      sessionId,
+      payload: proposal.payload,
+      signature: frame.sig[0],
+      from: this.userAddress,
+      delegation,
+      description,
+      expiresAt: proposal.expiresAt
+    });
+    return proposal;
+  }
+
+  weightOf(proposal, address) {
+    const index = proposal.participants.findIndex(p => same(p, address));
+    return index === -1 ? 0 : proposal.weights[index];
+  }
+
+  signedWeight(proposal) {
+    return [...proposal.signatures.keys()].reduce((sum, address) => sum + this.weightOf(proposal, address), 0);
+  }
+
+  hasQuorum(proposal) {
+    return this.signedWeight(proposal) >= proposal.quorum;
+  }
+
+  // Weight still reachable from participants who have not declined
+  canReachQuorum(proposal) {
+    const possible = proposal.participants
+      .filter(p => !proposal.declined.has(p.toLowerCase()))
+      .reduce((sum, p) => sum + this.weightOf(proposal, p), 0);
+    return possible >= proposal.quorum;
+  }
+
+  // Signatures in participant order, as the clearnode pairs them with weights
+  async submit(proposal) {
+    clearTimeout(proposal.timer);
+    proposal.status = 'submitting';
+    this.emit('proposal', proposal);
+
+    const sig = proposal.participants
+      .map(p => proposal.signatures.get(p.toLowerCase()))
+      .filter(Boolean);
+    try {
+      const response = await this.client.request({ req: proposal.payload, sig });
+      proposal.status = 'submitted';
+      this.emit('proposal', proposal);
+      this.emit('submitted', proposal, response);
+      return proposal;
+    } catch (error) {
+      proposal.status = 'failed';
+      proposal.error = error.message;
+      this.emit('proposal', proposal);
+      this.emit('failed', proposal, error);
+      throw error;
+    }
+  }
+
+  expire(proposal) {
+    if (proposal.status !== 'collecting') return;
+    proposal.status = 'expired';
+    this.emit('proposal', proposal);
+    this.emit('expired', proposal);
+  }
+
+  cancel(id) {
+    const proposal = this.proposals.get(id);
+    if (!proposal || proposal.status !== 'collecting') return;
+    clearTimeout(proposal.timer);
+    proposal.status = 'cancelled';
+    this.emit('proposal', proposal);
+  }
+
+  // ============ SIGNING FOR OTHERS ============
+
+  async approve(id) {
+    const request = this.requests.get(id);
+    if (!request) throw new QuorumError('No such signature request');
+    if (Date.now() > request.expiresAt) throw new QuorumError('Signature request has expired');
+
+    const delegation = this.ownDelegation();
+    const signature = await this.client.messageSigner(request.payload);
+    this.requests.delete(id);
+    await this.sendAppMessage(request.sessionId, { quorum: 'signature', id, from: this.userAddress, delegation, signature });
+  }
+
+  async decline(id, reason = 'declined') {
+    const request = this.requests.get(id);
+    if (!request) return;
+    const delegation = this.ownDelegation();
+    const proof = await this.client.messageSigner(['quorum_decline', id, reason]);
+    this.requests.delete(id);
+    await this.sendAppMessage(request.sessionId, { quorum: 'decline', id, from: this.userAddress, delegation, reason, proof });
+  }
+
+  ownDelegation() {
+    const delegation = this.client.delegation();
+    if (!delegation) throw new QuorumError('This session key has no wallet authorisation on record - sign in again');
+    return delegation;
+  }
+
+  // ============ VERIFYING ============
+
+  // Session key that `delegation` shows `from` authorised; throws otherwise
+  async sessionKeyOf(from, delegation) {
+    const { challenge, signature, ...authParams } = delegation || {};
+    if (!authParams.session_key || !same(authParams.address, from)) {
+      throw new QuorumError('no delegation for the sender');
+    }
+
+    const cacheKey = `${from}:${authParams.session_key}`.toLowerCase();
+    if (!this.sessionKeys.has(cacheKey)) {
+      const signer = await recoverTypedDataAddress({ ...authTypedData(challenge, authParams), signature });
+      if (!same(signer, from)) throw new QuorumError('delegation is not signed by the sender');
+      this.sessionKeys.set(cacheKey, Number(authParams.expires_at));
+    }
+    if (this.sessionKeys.get(cacheKey) * 1000 <= Date.now()) throw new QuorumError('session key has expired');
+    return authParams.session_key;
+  }
+
+  async assertSignedBy(from, delegation, payload, signature) {
+    const sessionKey = await this.sessionKeyOf(from, delegation);
+    if (!same(await payloadSigner(payload, signature), sessionKey)) {
+      throw new QuorumError('signature is not from the sender\'s session key');
+    }
+  }
+
+  // ============ INCOMING ============
+
+  async handleMessage(params) {
+    if (same(params.from, this.userAddress)) return; // our own, echoed back
+
+    if (params.quorum === 'sign_request') {
+      const [, method, body] = params.payload || [];
+      if (!SIGNABLE_METHODS.includes(method) || body?.app_session_id !== params.sessionId) return;
+      await this.assertSignedBy(params.from, params.delegation, params.payload, params.signature);
+      const request = {
+        id: params.id,
+        sessionId: params.sessionId,
+        method,
+        params: body,
+        payload: params.payload,
+        from: params.from,
+        description: params.description || '',
+        expiresAt: Number(params.expiresAt) || Date.now() + this.ttlMs
+      };
+      this.requests.set(request.id, request);
+      this.emit('request', request);
+      return;
+    }
+
+    const proposal = this.proposals.get(params.id);
+    if (!proposal || proposal.status !== 'collecting') return;
+    if (!proposal.participants.some(p => same(p, params.from))) return;
+
+    if (params.quorum === 'signature' && params.signature) {
+      await this.assertSignedBy(params.from, params.delegation, proposal.payload, params.signature);
+      if (proposal.status !== 'collecting') return;
+      proposal.signatures.set(params.from.toLowerCase(), params.signature);
+      if (this.hasQuorum(proposal)) {
+        this.submit(proposal).catch(() => {}); // reported through 'failed'
+        return;
+      }
+    } else if (params.quorum === 'decline') {
+      await this.assertSignedBy(params.from, params.delegation, ['quorum_decline', params.id, params.reason], params.proof);
+      if (proposal.status !== 'collecting') return;
+      proposal.declined.set(params.from.toLowerCase(), params.reason || 'declined');
+      if (!this.canReachQuorum(proposal)) {
+        clearTimeout(proposal.timer);
+        proposal.status = 'rejected';
+      }
+    }
+    this.emit('proposal', proposal);
+  }
+
+  async sendAppMessage(sessionId, params) {
+    const message = await createApplicationMessage(this.client.messageSigner, sessionId, params);
+    this.client.send(message);
+  }
+}
@@ -0,0 +1,96 @@
+import { keccak256, toHex, recoverAddress, getAddress } from 'viem';
+
+// Clearnode signs each frame's `res` (or `req`) array exactly as serialized on
+// the wire: keccak256 over the JSON bytes, plain ECDSA over the hash.
+// Re-serializing the parsed array can differ (escaping, number formatting),
+// so the signed bytes are cut out of the raw frame text instead.
+
+// Returns the raw JSON text of a top-level field of an object literal, or
+// null when it can't be located.
+export function extractRawJsonField(text, field) {
+  if (typeof text !== 'string') return null;
+
+  let depth = 0;
+  let inString = false;
+  let keyStart = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (ch === '\\') {
+        i++;
+      } else if (ch === '"') {
+        inString = false;
+        // A top-level key is a string at depth 1 followed by a colon
+        if (depth === 1 && text.slice(keyStart + 1, i) === field) {
+          let j = i + 1;
+          while (/\s/.test(text[j])) j++;
+          if (text[j] === ':') {
+            j++;
+            while (/\s/.test(text[j])) j++;
+            const end = findValueEnd(text, j);
+            return end === -1 ? null : text.slice(j, end);
+          }
+        }
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+      keyStart = i;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+    }
+  }
+  return null;
+}
+
+// End index (exclusive) of the array/object value starting at `start`
+function findValueEnd(text, start) {
+  const open = text[start];
+  if (open !== '[' && open !== '{') return -1;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+// Check a decoded frame against the expected signer.
+// Resolves to 'valid', 'unsigned' or 'invalid'.
+export async function verifyFrameSignature(rawText, parsed, expectedSigner) {
+  const field = parsed.res ? 'res' : 'req';
+  const signatures = Array.isArray(parsed.sig) ? parsed.sig.filter(s => typeof s === 'string') : [];
+  if (signatures.length === 0) return 'unsigned';
+
+  const payload = extractRawJsonField(rawText, field) ?? JSON.stringify(parsed[field]);
+  const hash = keccak256(toHex(payload));
+  const expected = getAddress(expectedSigner);
+
+  for (const signature of signatures) {
+    try {
+      const signer = await recoverAddress({ hash, signature });
+      if (signer === expected) return 'valid';
+    } catch (error) {
+      // Malformed signature - try the next one
+    }
+  }
+  return 'invalid';
+}
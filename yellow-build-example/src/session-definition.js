@@ -0,0 +1,126 @@
+import { getAddress, isAddress } from 'viem';
+
+// App session definitions for create_app_session (NitroRPC/0.4).
+//
+// A draft is what the editor holds:
+//
+//   {
+//     application, quorum, challenge,
+//     participants: [{ address, weight, allocations: [{ asset, amount }] }]
+//   }
+//
+// amounts are bigints in each asset's base units. validateSessionDraft lists
+// everything wrong with a draft; buildSessionRequest turns a valid one into
+// the { definition, allocations } the SDK signs.
+
+export const SESSION_PROTOCOL = 'NitroRPC/0.4';
+
+export class SessionDefinitionError extends Error {
+  constructor(problems) {
+    super(problems.join('; '));
+    this.name = 'SessionDefinitionError';
+    this.problems = problems;
+  }
+}
+
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+// Per-asset totals a participant puts into the session
+export function fundingOf(participant) {
+  const totals = new Map();
+  for (const { asset, amount } of participant.allocations || []) {
+    totals.set(asset, (totals.get(asset) ?? 0n) + amount);
+  }
+  return totals;
+}
+
+// `creator` is our address and must be a participant. `available(asset)` is
+// our ledger balance in base units. Participants other than the creator
+// funding the session must sign its creation as well, so that is only
+// allowed when `canCollectSignatures` is set. Returns a list of problems,
+// empty when the draft can be sent.
+export function validateSessionDraft(draft, {
+  creator,
+  available,
+  canCollectSignatures = false,
+  formatAmount = (asset, amount) => `${amount} ${asset}`
+}) {
+  const problems = [];
+  const participants = draft.participants || [];
+
+  if (participants.length < 2) problems.push('a session needs at least two participants');
+
+  const seen = new Set();
+  participants.forEach(({ address }, i) => {
+    if (!isAddress(address || '')) {
+      problems.push(`participant ${i + 1}: "${address || ''}" is not an address`);
+      return;
+    }
+    const key = address.toLowerCase();
+    if (seen.has(key)) problems.push(`participant ${i + 1}: ${address} is listed twice`);
+    seen.add(key);
+  });
+  if (creator && !seen.has(creator.toLowerCase())) problems.push('you must be one of the participants');
+
+  // Weights and quorum: the participants able to sign must be able to reach it
+  participants.forEach(({ weight }, i) => {
+    if (!isWholeNumber(weight)) problems.push(`participant ${i + 1}: weight must be a whole number of 0 or more`);
+  });
+  const totalWeight = participants.reduce((sum, p) => sum + (isWholeNumber(p.weight) ? p.weight : 0), 0);
+  if (!isWholeNumber(draft.quorum) || draft.quorum === 0) {
+    problems.push('quorum must be a whole number above 0');
+  } else if (totalWeight < draft.quorum) {
+    problems.push(`quorum ${draft.quorum} cannot be reached: weights only add up to ${totalWeight}`);
+  }
+
+  if (!isWholeNumber(draft.challenge)) problems.push('challenge period must be a whole number of seconds');
+
+  // Allocations: non-negative, something funded, and our part covered
+  let funded = false;
+  participants.forEach((participant, i) => {
+    for (const { asset, amount } of participant.allocations || []) {
+      if (!asset) problems.push(`participant ${i + 1}: allocation without an asset`);
+      if (amount < 0n) problems.push(`participant ${i + 1}: negative ${asset} allocation`);
+      if (amount > 0n) funded = true;
+    }
+  });
+  if (!funded) problems.push('no funds allocated to the session');
+
+  for (const participant of participants) {
+    const isCreator = creator && participant.address?.toLowerCase() === creator.toLowerCase();
+    for (const [asset, amount] of fundingOf(participant)) {
+      if (amount <= 0n) continue;
+      if (isCreator && amount > available(asset)) {
+        problems.push(`you allocate ${formatAmount(asset, amount)} but have ${formatAmount(asset, available(asset))}`);
+      } else if (!isCreator && !canCollectSignatures) {
+        problems.push(`${participant.address} funds the session, so they would have to sign its creation too`);
+        break;
+      }
+    }
+  }
+
+  return problems;
+}
+
+// Valid draft -> { definition, allocations } for createAppSessionMessage.
+// Throws SessionDefinitionError if it is not valid.
+export function buildSessionRequest(draft, options) {
+  const problems = validateSessionDraft(draft, options);
+  if (problems.length > 0) throw new SessionDefinitionError(problems);
+
+  const participants = draft.participants.map(p => getAddress(p.address));
+  return {
+    definition: {
+      application: draft.application || 'payment',
+      protocol: SESSION_PROTOCOL,
+      participants,
+      weights: draft.participants.map(p => p.weight),
+      quorum: draft.quorum,
+      challenge: draft.challenge,
+      nonce: Date.now()
+    },
+    allocations: draft.participants.flatMap((p, i) =>
+      [...fundingOf(p)].map(([asset, amount]) => ({ participant: participants[i], asset, amount: amount.toString() }))
+    )
+  };
+}
@@ -1,5 +1,4 @@
 import {
-  createAuthRequestMessage,
   createAuthVerifyMessage,
   parseAuthChallengeResponse,
   createEIP712AuthMessageSigner,
@@ -13,11 +12,11 @@ import {
   createResizeChannelMessage,
   createCloseChannelMessage,
   createGetChannelsMessageV2,
-  createECDSAMessageSigner,
   EIP712AuthTypes,
   getChannelId,
   getPackedState,
   NitroliteService,
+  ChannelStatus,
 } from "@erc7824/nitrolite";
 import {
   getAddress,
@@ -25,15 +24,36 @@ import {
   createWalletClient,
   custom,
   http,
-  parseUnits,
-  formatUnits,
   erc20Abi,
   encodeFunctionData,
   toHex,
   keccak256,
 } from "viem";
-import { generatePrivateKey, privateKeyToAccount } from "viem/accounts";
 import { base, mainnet } from "viem/chains";
+import { ClearnodeClient } from "./clearnode-client.js";
+import { getSharedVault } from "./vault.js";
+import {
+  CHANNEL_STATUS_LABELS,
+  ChallengeCountdown,
+  formatRemaining,
+  submitChallenge,
+} from "./channel-challenge.js";
+import { LedgerBalances } from "./ledger-balances.js";
+import {
+  adjustAllocation,
+  allocationOf,
+  describeMismatch,
+  fetchAppSessionState,
+  toRPCAllocations,
+} from "./app-session-state.js";
+import { AmountError, formatAmount, parseAmount } from "./amounts.js";
+import {
+  ActivityLog,
+  LOG_LEVELS,
+  matchesLogFilters,
+} from "./activity-log.js";
+import { delegate, html, render } from "./dom.js";
+import { Store } from "./store.js";
 
 // Custody contract ABI for deposit function
 const custodyDepositAbi = [
@@ -98,6 +118,13 @@ const SESSIONS_CONFIG = {
   wsUrl: "wss://clearnet.yellow.com/ws",
   asset: "usdc",
   sessionExpiryHours: 1,
+  reconnect: {
+    initialDelayMs: 1000,
+    maxDelayMs: 30000,
+    maxAttempts: 10,
+  },
+  // Drop any response not signed by the broker from get_config
+  signatureMode: "strict",
   // All supported chains
   chains: {
     1: {
@@ -133,29 +160,64 @@ const SESSIONS_CONFIG = {
 
 export class SessionsApp {
   constructor() {
-    this.ws = null;
-    this.messageSigner = null;
-    this.userAddress = null;
-    this.isAuthenticated = false;
-    this.pendingAuthResolve = null;
-    this.sessionKeyPrivate = null;
-    this.sessionKeyAddress = null;
-    this.ledgerBalance = 0;
-    this.appSessions = [];
+    // Structured, persisted log behind log()
+    this.activityLog = new ActivityLog({ environment: "sessions" });
+
+    // What the views render from (see bindViews). The STORE_KEYS fields
+    // below read and write it, so assigning one of them re-renders.
+    this.store = new Store({
+      connection: { state: "closed" }, // ClearnodeClient state, plus 'closed'
+      authenticated: false,
+      userAddress: null,
+      balances: [], // LedgerBalances.list() snapshot
+      channels: [], // from the clearnode
+      activeChannel: null, // Current channel with clearnode
+      appSessions: [],
+    });
+
+    // Session keys and session allocations are kept in the encrypted vault
+    this.vault = getSharedVault();
+
+    this.client = new ClearnodeClient({
+      wsUrl: SESSIONS_CONFIG.wsUrl,
+      scope: "console",
+      sessionExpiryHours: SESSIONS_CONFIG.sessionExpiryHours,
+      reconnect: SESSIONS_CONFIG.reconnect,
+      storageNamespace: "sessions",
+      signatureMode: SESSIONS_CONFIG.signatureMode,
+      storage: this.vault.asStorage(),
+    });
+    this.bindClientEvents();
+    // A session key minted while the vault was locked is saved once it opens
+    this.vault.on("unlocked", () => this.client.persistSession());
+
+    this.balances = new LedgerBalances(this.client.registry);
+    this.registryWarnings = new Set(); // logged once, not on every reconnect
     this.publicClient = null;
     this.walletClient = null;
     this.nitroliteService = null;
-    this.authTimeoutId = null;
-    this.channels = [];
-    this.activeChannel = null; // Current channel with clearnode
     this.channelStates = new Map(); // Store channel states for proofs: channelId -> state
     this.fetchedChannelData = null; // For on-chain force close
+    this.challengeCountdown = null; // Running challenge period, if any
     this.pendingCreateChannelOnly = false; // For create channel without deposit
 
     this.initUI();
     this.connectWebSocket();
   }
 
+  // Read-through accessors for state owned by this.client
+  get isAuthenticated() {
+    return this.client.isAuthenticated;
+  }
+
+  get messageSigner() {
+    return this.client.messageSigner;
+  }
+
+  get sessionKeyAddress() {
+    return this.client.sessionKeyAddress;
+  }
+
   // Get element by ID with sessions- prefix
   getElement(id) {
     return document.getElementById("sessions-" + id);
@@ -168,7 +230,11 @@ export class SessionsApp {
       walletStatus: this.getElement("walletStatus"),
       walletStatusText: this.getElement("walletStatusText"),
       userAddress: this.getElement("userAddress"),
+      securityAlert: this.getElement("securityAlert"),
       connectBtn: this.getElement("connectBtn"),
+      allowanceAmount: this.getElement("allowanceAmount"),
+      sessionScope: this.getElement("sessionScope"),
+      allowanceUsage: this.getElement("allowanceUsage"),
       ledgerBalance: this.getElement("ledgerBalance"),
       custodyBalanceDisplay: this.getElement("custodyBalanceDisplay"),
       channelBalanceDisplay: this.getElement("channelBalanceDisplay"),
@@ -185,6 +251,10 @@ export class SessionsApp {
       sessionsList: this.getElement("sessionsList"),
       refreshSessionsBtn: this.getElement("refreshSessionsBtn"),
       activityLog: this.getElement("activityLog"),
+      logLevel: this.getElement("logLevel"),
+      logOperation: this.getElement("logOperation"),
+      logExportBtn: this.getElement("logExportBtn"),
+      logClearBtn: this.getElement("logClearBtn"),
       // Resize elements
       resizeCard: this.getElement("resizeCard"),
       resizeChannelId: this.getElement("resizeChannelId"),
@@ -208,6 +278,7 @@ export class SessionsApp {
       forceCloseChannelId: this.getElement("forceCloseChannelId"),
       fetchChannelDataBtn: this.getElement("fetchChannelDataBtn"),
       forceCloseBtn: this.getElement("forceCloseBtn"),
+      challengeBtn: this.getElement("challengeBtn"),
       channelDataDisplay: this.getElement("channelDataDisplay"),
       channelStatusDisplay: this.getElement("channelStatusDisplay"),
       channelStateDisplay: this.getElement("channelStateDisplay"),
@@ -259,6 +330,9 @@ export class SessionsApp {
     this.elements.forceCloseBtn?.addEventListener("click", () =>
       this.forceCloseChannelOnChain()
     );
+    this.elements.challengeBtn?.addEventListener("click", () =>
+      this.challengeChannelOnChain()
+    );
     this.elements.withdrawCustodyBtn?.addEventListener("click", () =>
       this.withdrawFromCustodyDirect()
     );
@@ -283,254 +357,422 @@ export class SessionsApp {
     this.elements.closeSessionBtn?.addEventListener("click", () =>
       this.closeCurrentSession()
     );
+
+    // Activity log
+    if (this.elements.logLevel) {
+      render(
+        this.elements.logLevel,
+        html`<option value="">All levels</option>${LOG_LEVELS.map(
+          (level) => html`<option value="${level}">${level}</option>`,
+        )}`,
+      );
+    }
+    this.elements.logLevel?.addEventListener("change", () =>
+      this.renderActivityLog()
+    );
+    this.elements.logOperation?.addEventListener("change", () =>
+      this.renderActivityLog()
+    );
+    this.elements.logExportBtn?.addEventListener("click", () =>
+      this.exportActivityLog()
+    );
+    this.elements.logClearBtn?.addEventListener("click", () => {
+      if (confirm("Clear the activity log? Export it first if you need it.")) {
+        this.activityLog.clear();
+      }
+    });
+    this.activityLog.on("entry", (entry) => this.showLogEntry(entry));
+    this.activityLog.on("cleared", () => this.renderActivityLog());
+    this.renderActivityLog();
+
+    // Rendered channel and session cards name their action in data-action
+    delegate(this.getElement("content"), {
+      selectResizeChannel: ({ channelId }) => {
+        if (this.elements.resizeChannelId) {
+          this.elements.resizeChannelId.value = channelId;
+        }
+      },
+      showPaymentModal: ({ sessionId }) => this.showPaymentModal(sessionId),
+      closeSession: ({ sessionId }) => this.closeSession(sessionId),
+    });
+
+    this.bindViews();
+  }
+
+  // ========== VIEWS ==========
+  // Each subscription re-renders one part of the tab when what its selector
+  // picks from the store changes; handlers only change state.
+
+  bindViews() {
+    const { store } = this;
+    store.subscribe(
+      (state) => state.connection,
+      (connection) => this.renderConnection(connection),
+    );
+    store.subscribe(
+      (state) => [state.authenticated, state.userAddress],
+      () => this.updateControls(),
+      { immediate: true },
+    );
+    store.subscribe(
+      (state) => state.balances,
+      () => this.updateBalanceDisplay(),
+    );
+    // Every channel list from the clearnode comes with its active channel
+    store.subscribe(
+      (state) => [state.activeChannel, state.channels],
+      () => this.updateDepositUI(),
+    );
+    store.subscribe(
+      (state) => state.channels,
+      (channels) => {
+        this.renderChannelsList(channels);
+        this.updateChannelBalanceDisplay(this.activeChannel);
+      },
+    );
+    store.subscribe(
+      (state) => state.appSessions,
+      () => this.renderSessionsList(),
+    );
+  }
+
+  renderConnection({ state }) {
+    const text = {
+      connecting: "Connecting...",
+      open: "Connected to Yellow Network",
+      closed: "Disconnected",
+      backoff: "Reconnecting...",
+      offline: "Offline",
+    }[state];
+    if (this.elements.wsStatusText && text) {
+      this.elements.wsStatusText.textContent = text;
+    }
+    this.elements.wsStatus?.classList.toggle("connected", state === "open");
   }
 
-  log(message, type = "info") {
+  // Everything past the connect button needs an authenticated session;
+  // resize, allocate and close take a typed channel id, so only the wallet
+  updateControls() {
+    const { authenticated, userAddress } = this.store.state;
+    const controls = [
+      "depositBtn",
+      "withdrawCustodyBtn",
+      "withdrawBtn",
+      "createSessionBtn",
+      "refreshSessionsBtn",
+      "refreshBalancesBtn",
+      "refreshChannelsBtn",
+      "createChannelBtn",
+      "fetchChannelDataBtn",
+      "forceCloseBtn",
+      "challengeBtn",
+    ];
+    for (const key of controls) {
+      if (this.elements[key]) this.elements[key].disabled = !authenticated;
+    }
+    for (const key of ["resizeBtn", "closeChannelBtn", "allocateBtn"]) {
+      if (this.elements[key]) this.elements[key].disabled = !userAddress;
+    }
+
+    if (authenticated && this.elements.connectBtn) {
+      this.elements.connectBtn.textContent = "Connected";
+      this.elements.connectBtn.disabled = true;
+    }
+  }
+
+  // `context`: { operation, txHash, channelId, sessionId }. Methods doing one
+  // operation log through operationLog() instead.
+  log(message, type = "info", context = {}) {
     console.log(`[Sessions] ${message}`);
-    if (!this.elements.activityLog) return;
-
-    const entry = document.createElement("div");
-    entry.className = "log-entry";
-    const time = new Date().toLocaleTimeString();
-    const prefix = type === "error" ? "❌" : type === "success" ? "✅" : "📝";
-    entry.innerHTML = `<span style="color: #888;">[${time}]</span> ${prefix} ${message}`;
-    this.elements.activityLog.insertBefore(
-      entry,
-      this.elements.activityLog.firstChild
+    this.activityLog.add(message, type, context);
+  }
+
+  // log() tagged with an operation and, optionally, the channel or session
+  operationLog(operation, links = {}) {
+    return (message, type = "info", context = {}) =>
+      this.log(message, type, { operation, ...links, ...context });
+  }
+
+  // ========== ACTIVITY LOG ==========
+
+  logFilters() {
+    return {
+      level: this.elements.logLevel?.value || "",
+      operation: this.elements.logOperation?.value || "",
+    };
+  }
+
+  updateLogOperations() {
+    const select = this.elements.logOperation;
+    if (!select) return;
+    const selected = select.value;
+    select.replaceChildren(new Option("All operations", ""));
+    for (const operation of this.activityLog.operations()) {
+      select.add(new Option(operation.replace(/_/g, " "), operation));
+    }
+    select.value = selected;
+  }
+
+  logEntryElement(entry) {
+    const element = document.createElement("div");
+    element.className = `log-entry log-${entry.level}`;
+
+    const time = new Date(entry.time);
+    const stamp = document.createElement("span");
+    stamp.style.color = "#888";
+    stamp.textContent = `[${
+      time.toDateString() === new Date().toDateString()
+        ? time.toLocaleTimeString()
+        : time.toLocaleString()
+    }]`;
+    const prefix =
+      { error: "❌", success: "✅", warn: "⚠️" }[entry.level] || "📝";
+    const operation = document.createElement("span");
+    operation.className = "log-operation";
+    operation.textContent = entry.operation.replace(/_/g, " ");
+    element.append(stamp, ` ${prefix} `, operation, ` ${entry.message}`);
+
+    for (const [label, value] of [
+      ["tx", entry.txHash],
+      ["channel", entry.channelId],
+      ["session", entry.sessionId],
+    ]) {
+      if (!value) continue;
+      const link = document.createElement("span");
+      link.className = "log-link";
+      link.title = value;
+      link.textContent = `${label} ${value.slice(0, 10)}...`;
+      element.append(" ", link);
+    }
+    return element;
+  }
+
+  renderActivityLog() {
+    this.updateLogOperations();
+    const container = this.elements.activityLog;
+    if (!container) return;
+
+    const entries = this.activityLog.list(this.logFilters());
+    if (entries.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "log-entry log-empty";
+      empty.textContent =
+        this.activityLog.entries.length > 0
+          ? "No entries match the filters"
+          : "💸 Sessions mode - no activity yet";
+      container.replaceChildren(empty);
+      return;
+    }
+    container.replaceChildren(
+      ...entries.map((entry) => this.logEntryElement(entry)),
     );
+  }
 
-    // Keep log limited
-    while (this.elements.activityLog.children.length > 50) {
-      this.elements.activityLog.removeChild(
-        this.elements.activityLog.lastChild
-      );
+  showLogEntry(entry) {
+    const container = this.elements?.activityLog;
+    if (!container) return;
+    const operations = this.elements.logOperation?.options;
+    if (
+      operations &&
+      ![...operations].some((option) => option.value === entry.operation)
+    ) {
+      this.updateLogOperations();
+    }
+    if (!matchesLogFilters(entry, this.logFilters())) return;
+
+    container.querySelector(".log-empty")?.remove();
+    container.prepend(this.logEntryElement(entry));
+    while (container.children.length > this.activityLog.maxEntries) {
+      container.lastChild.remove();
     }
   }
 
-  connectWebSocket() {
-    this.log("Connecting to Yellow Network (Mainnet)...");
+  exportActivityLog() {
+    const json = this.activityLog.toJSON(this.logFilters());
+    const url = URL.createObjectURL(
+      new Blob([json], { type: "application/json" }),
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `yellow-activity-sessions-${new Date()
+      .toISOString()
+      .slice(0, 19)
+      .replace(/:/g, "-")}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
 
-    this.ws = new WebSocket(SESSIONS_CONFIG.wsUrl);
+  // Wire ClearnodeClient events to the UI. Listeners survive reconnects.
+  bindClientEvents() {
+    const log = this.operationLog("connection");
+    this.client.on("state", (state, { delayMs }) =>
+      this.store.set({ connection: { state, delayMs } }),
+    );
 
-    this.ws.onopen = async () => {
-      this.elements.wsStatus?.classList.add("connected");
-      if (this.elements.wsStatusText) {
-        this.elements.wsStatusText.textContent = "Connected to Yellow Network";
-      }
-      this.log("Connected to Yellow Network!", "success");
+    this.client.on("connecting", () => {
+      log("Connecting to Yellow Network (Mainnet)...");
+    });
+
+    this.client.on("open", async () => {
+      log("Connected to Yellow Network!", "success");
 
       // Auto re-authenticate if wallet was connected
       if (this.userAddress && !this.isAuthenticated) {
-        this.log("Re-authenticating...");
+        log("Re-authenticating...");
         try {
           await this.authenticate();
-          this.log("Re-authenticated successfully!", "success");
-          this.enableButtons();
+          log("Re-authenticated successfully!", "success");
+          this.refreshAllBalances();
           await this.getChannels();
           await this.getBalances();
           await this.getAppSessions();
         } catch (error) {
-          this.log(`Re-authentication failed: ${error.message}`, "error");
+          log(`Re-authentication failed: ${error.message}`, "error");
         }
       }
-    };
+    });
 
-    this.ws.onclose = () => {
-      this.elements.wsStatus?.classList.remove("connected");
-      if (this.elements.wsStatusText) {
-        this.elements.wsStatusText.textContent = "Disconnected";
-      }
-      this.isAuthenticated = false;
-      this.log("Disconnected from Yellow Network");
+    this.client.on("close", () => {
+      this.store.set({ connection: { state: "closed" }, authenticated: false });
+      log("Disconnected from Yellow Network");
+    });
 
-      // Auto-reconnect
-      setTimeout(() => this.connectWebSocket(), 3000);
-    };
+    this.client.on("backoff", ({ attempt, maxAttempts, delayMs }) => {
+      log(
+        `Reconnecting in ${Math.round(delayMs / 1000)}s (attempt ${attempt}/${maxAttempts})`
+      );
+    });
 
-    this.ws.onerror = (error) => {
-      this.log(`WebSocket error: ${error.message || "Unknown error"}`, "error");
-    };
+    this.client.on("offline", ({ reason }) => {
+      log(`Connection offline: ${reason}`, "error");
+      if (this.elements.connectBtn) {
+        this.elements.connectBtn.textContent = "Reconnect";
+        this.elements.connectBtn.disabled = false;
+      }
+    });
 
-    this.ws.onmessage = (event) => {
-      this.handleMessage(event.data);
-    };
-  }
+    this.client.on("error", (error) => {
+      log(`WebSocket error: ${error.message || "Unknown error"}`, "error");
+    });
 
-  handleMessage(data) {
-    let parsed;
-    try {
-      parsed = typeof data === "string" ? JSON.parse(data) : data;
-    } catch (e) {
-      return;
-    }
+    this.client.on("message", (parsed) => {
+      console.log("[Sessions] WebSocket message:", parsed);
+    });
 
-    console.log("[Sessions] WebSocket message:", parsed);
+    this.client.on("authenticated", () => {
+      this.store.set({ authenticated: true });
+      log("Authentication successful!", "success");
+    });
 
-    if (parsed.res) {
-      const [requestId, method, responseData, timestamp] = parsed.res;
+    this.client.on("signature_error", ({ reason, method }) => {
+      const message = `Rejected ${method || "frame"} from clearnode: ${reason}`;
+      log(message, "error");
+      if (this.elements.securityAlert) {
+        this.elements.securityAlert.textContent = `🚨 ${message}`;
+        this.elements.securityAlert.classList.add("visible");
+      }
+    });
 
-      switch (method) {
-        case "auth_challenge":
-          this.handleAuthChallenge(responseData, requestId);
-          break;
+    this.client.on("allowance_usage", () => this.updateAllowanceUsage());
 
-        case "auth_verify":
-          this.log("Authentication successful!", "success");
-          this.isAuthenticated = true;
-          if (this.authTimeoutId) {
-            clearTimeout(this.authTimeoutId);
-            this.authTimeoutId = null;
-          }
-          if (this.pendingAuthResolve) {
-            this.pendingAuthResolve();
-            this.pendingAuthResolve = null;
-          }
-          break;
-
-        case "get_ledger_balances":
-          this.handleBalanceResponse(responseData);
-          break;
-
-        case "create_app_session":
-          this.handleCreateAppSessionResponse(responseData);
-          break;
-
-        case "get_app_sessions":
-          this.handleGetAppSessionsResponse(responseData);
-          break;
-
-        case "submit_app_state":
-          this.handleSubmitAppStateResponse(responseData);
-          break;
-
-        case "close_app_session":
-          this.handleCloseAppSessionResponse(responseData);
-          break;
-
-        case "create_channel":
-          this.handleCreateChannelResponse(responseData);
-          break;
-
-        case "resize_channel":
-          this.handleResizeChannelResponse(responseData);
-          break;
-
-        case "close_channel":
-          this.handleCloseChannelResponse(responseData);
-          break;
-
-        case "get_channels":
-          this.handleGetChannelsResponse(responseData);
-          break;
-
-        case "get_config":
-          this.handleGetConfigResponse(responseData);
-          break;
-
-        // Push notifications from clearnode
-        case "assets":
-          this.handleAssetsNotification(responseData);
-          break;
-
-        case "channels":
-          this.handleChannelsNotification(responseData);
-          break;
-
-        case "balance_update":
-          this.handleBalanceUpdateNotification(responseData);
-          break;
-
-        case "app_session_update":
-          this.handleAppSessionUpdateNotification(responseData);
-          break;
-
-        case "error":
-          const errorMsg = responseData?.error || JSON.stringify(responseData);
-          this.log(`Error: ${errorMsg}`, "error");
-
-          // Update resize status if there was a pending on-chain resize
-          if (this.pendingOnChainResize && this.elements.resizeStatus) {
-            this.elements.resizeStatus.textContent = `Server rejected: ${errorMsg}`;
-            this.elements.resizeStatus.style.color = "#f44336";
-            this.pendingOnChainResize = null;
-          }
+    this.client.on("registry", (registry) => {
+      this.checkRegistry(registry);
+      // Asset decimals/symbols may have just arrived
+      this.store.set({ balances: this.balances.list() });
+    });
 
-          // Update allocate status if there was a pending allocate
-          if (this.pendingAllocate && this.elements.allocateStatus) {
-            this.elements.allocateStatus.textContent = `Server rejected: ${errorMsg}`;
-            this.elements.allocateStatus.style.color = "#f44336";
-            this.pendingAllocate = null;
-          }
+    this.client.on("jwt_rejected", () => {
+      log("Saved JWT expired, signing in with wallet again...");
+    });
 
-          // Handle resize retry for "insufficient unified balance" error
-          if (
-            errorMsg.includes("insufficient unified balance") &&
-            this.pendingResize
-          ) {
-            const { channelId, amount, retryCount } = this.pendingResize;
-            if (retryCount < 3) {
-              this.log(
-                `Retrying resize in 5 seconds... (attempt ${retryCount + 2}/4)`
-              );
-              setTimeout(async () => {
-                await this.resizeChannelToLedger(
-                  channelId,
-                  amount,
-                  retryCount + 1
-                );
-              }, 5000);
-            } else {
-              this.log("Max retries reached. Please try again later.", "error");
-              this.pendingResize = null;
-            }
-          }
-          break;
+    this.client.on("session_renewing", () => {
+      log("Session key expiring soon, renewing...");
+    });
 
-        default:
-          console.log(`[Sessions] Unhandled method: ${method}`, responseData);
-      }
+    this.client.on("rpc_error", (data) => this.handleRpcError(data));
+
+    // request() hands responses back to the caller, so only pushes and the
+    // create/resize/close channel flows are dispatched here
+    const responseHandlers = {
+      create_channel: (data) => this.handleCreateChannelResponse(data),
+      resize_channel: (data) => this.handleResizeChannelResponse(data),
+      close_channel: (data) => this.handleCloseChannelResponse(data),
+      // Push notifications from clearnode
+      channels: (data) => this.handleChannelsNotification(data),
+      balance_update: (data) => this.handleBalanceUpdateNotification(data),
+      app_session_update: (data) =>
+        this.handleAppSessionUpdateNotification(data),
+    };
+    for (const [method, handler] of Object.entries(responseHandlers)) {
+      this.client.on(method, handler);
     }
   }
 
-  // Push notification handlers
-  handleGetConfigResponse(data) {
-    console.log("[Sessions] ========== CLEARNODE CONFIG ==========");
-    console.log("[Sessions] Config response:", data);
-    if (data) {
-      console.log(
-        "[Sessions] Broker address:",
-        data.broker_address || data.brokerAddress
-      );
-      console.log("[Sessions] Networks:", data.networks);
-      if (data.networks) {
-        data.networks.forEach((network, idx) => {
-          console.log(`[Sessions] Network ${idx + 1}:`, {
-            chain_id: network.chain_id,
-            name: network.name,
-            custody: network.custody,
-            adjudicator: network.adjudicator,
-            tokens: network.tokens,
-          });
-        });
+  connectWebSocket() {
+    this.client.connect();
+  }
+
+  handleRpcError(responseData) {
+    const log = this.operationLog("connection");
+    const errorMsg = responseData?.error || JSON.stringify(responseData);
+    log(`Error: ${errorMsg}`, "error");
+
+    // Update resize status if there was a pending on-chain resize
+    if (this.pendingOnChainResize && this.elements.resizeStatus) {
+      this.elements.resizeStatus.textContent = `Server rejected: ${errorMsg}`;
+      this.elements.resizeStatus.style.color = "#f44336";
+      this.pendingOnChainResize = null;
+    }
+
+    // Update allocate status if there was a pending allocate
+    if (this.pendingAllocate && this.elements.allocateStatus) {
+      this.elements.allocateStatus.textContent = `Server rejected: ${errorMsg}`;
+      this.elements.allocateStatus.style.color = "#f44336";
+      this.pendingAllocate = null;
+    }
+
+    // Handle resize retry for "insufficient unified balance" error
+    if (
+      errorMsg.includes("insufficient unified balance") &&
+      this.pendingResize
+    ) {
+      const { channelId, amount, retryCount } = this.pendingResize;
+      if (retryCount < 3) {
+        log(
+          `Retrying resize in 5 seconds... (attempt ${retryCount + 2}/4)`
+        );
+        setTimeout(async () => {
+          await this.resizeChannelToLedger(channelId, amount, retryCount + 1);
+        }, 5000);
+      } else {
+        log("Max retries reached. Please try again later.", "error");
+        this.pendingResize = null;
       }
     }
-    console.log("[Sessions] =====================================");
-    this.log("Received clearnode config");
   }
 
-  handleAssetsNotification(data) {
-    console.log("[Sessions] ========== ASSETS NOTIFICATION ==========");
-    console.log("[Sessions] Assets data:", data);
-    if (Array.isArray(data?.assets || data)) {
-      const assets = data?.assets || data;
-      assets.forEach((asset, idx) => {
-        console.log(`[Sessions] Asset ${idx + 1}:`, asset);
-      });
+  /**
+   * Compare the clearnode's networks and assets (collected by the client's
+   * registry from get_config and the assets push) with SESSIONS_CONFIG.
+   * Mismatches are only reported; the static config stays in use.
+   */
+  checkRegistry(registry) {
+    const log = this.operationLog("connection");
+    console.log("[Sessions] Clearnode networks:", [...registry.networks.values()]);
+    console.log("[Sessions] Clearnode assets:", registry.assets);
+
+    const warnings = registry.crossCheck(
+      SESSIONS_CONFIG.chains,
+      SESSIONS_CONFIG.asset
+    );
+    for (const warning of warnings) {
+      if (this.registryWarnings.has(warning)) continue;
+      this.registryWarnings.add(warning);
+      log(`Config mismatch: ${warning}`, "error");
     }
-    console.log("[Sessions] ========================================");
-    // Assets info from clearnode - typically sent after auth
   }
 
+  // Push notification handlers
   handleChannelsNotification(data) {
     console.log("[Sessions] Channels notification:", data);
     this.processChannels(data);
@@ -545,6 +787,7 @@ export class SessionsApp {
   }
 
   processChannels(data) {
+    const log = this.operationLog("channels");
     console.log("[Sessions] processChannels input:", data);
     console.log(
       "[Sessions] processChannels input type:",
@@ -623,20 +866,13 @@ export class SessionsApp {
           chain_id: openChannel.chain_id || openChannel.chainId,
         };
         console.log("[Sessions] Active channel details:", this.activeChannel);
-        this.log(`Active channel: ${channelId.slice(0, 10)}...`);
-        this.updateDepositUI(true);
-        this.updateChannelBalanceDisplay(openChannel);
+        log(`Active channel: ${channelId.slice(0, 10)}...`);
       } else {
         this.activeChannel = null;
         console.log("[Sessions] No matching open channel found");
-        this.updateDepositUI(false);
-        this.updateChannelBalanceDisplay(null);
       }
 
-      this.log(`Received ${data.length} channel(s) from clearnode`);
-
-      // Render all channels in the list
-      this.renderChannelsList(data);
+      log(`Received ${data.length} channel(s) from clearnode`);
     }
   }
 
@@ -644,7 +880,10 @@ export class SessionsApp {
     if (!this.elements.channelsList) return;
 
     if (!channels || channels.length === 0) {
-      this.elements.channelsList.innerHTML = '<p style="color: #888; text-align: center;">No channels found.</p>';
+      render(
+        this.elements.channelsList,
+        html`<p class="empty-note centered">No channels found.</p>`,
+      );
       return;
     }
 
@@ -659,29 +898,32 @@ export class SessionsApp {
     });
 
     if (relevantChannels.length === 0) {
-      this.elements.channelsList.innerHTML = '<p style="color: #888; text-align: center;">No channels on Base network.</p>';
+      render(
+        this.elements.channelsList,
+        html`<p class="empty-note centered">No channels on Base network.</p>`,
+      );
       return;
     }
 
-    const html = relevantChannels.map((ch) => {
+    const cards = relevantChannels.map((ch) => {
       const channelId = ch.channel_id || ch.channelId;
       const status = ch.status || "unknown";
       const shortId = channelId ? `${channelId.slice(0, 10)}...${channelId.slice(-6)}` : "N/A";
 
       // Status color coding
-      let statusColor = "#888";
+      let statusClass = "muted";
       let statusIcon = "⚪";
       if (status === "open") {
-        statusColor = "#4caf50";
+        statusClass = "text-success";
         statusIcon = "🟢";
       } else if (status === "resize" || status === "pending_resize" || status === "resizing") {
-        statusColor = "#ff9800";
+        statusClass = "text-warning";
         statusIcon = "🟠";
       } else if (status === "closed" || status === "closing") {
-        statusColor = "#f44336";
+        statusClass = "text-error";
         statusIcon = "🔴";
       } else if (status === "challenged") {
-        statusColor = "#e91e63";
+        statusClass = "text-challenged";
         statusIcon = "⚠️";
       }
 
@@ -689,101 +931,93 @@ export class SessionsApp {
       let balanceDisplay = "N/A";
       if (ch.amount !== undefined) {
         // Direct amount field from clearnode response
-        balanceDisplay = `${(parseInt(ch.amount) / 1_000_000).toFixed(2)} USDC`;
+        balanceDisplay = this.formatAsset(BigInt(ch.amount || 0));
       } else if (ch.allocations && Array.isArray(ch.allocations)) {
         const userAlloc = ch.allocations.find(
           (a) => a.participant?.toLowerCase() === this.userAddress?.toLowerCase()
         );
         if (userAlloc) {
-          const amount = parseInt(userAlloc.amount || "0") / 1_000_000;
-          balanceDisplay = `${amount.toFixed(2)} USDC`;
+          balanceDisplay = this.formatAsset(BigInt(userAlloc.amount || 0));
         }
       } else if (ch.my_balance !== undefined) {
-        balanceDisplay = `${(parseInt(ch.my_balance) / 1_000_000).toFixed(2)} USDC`;
-      }
-
-      return `
-        <div style="background: rgba(156,39,176,0.1); border: 1px solid rgba(156,39,176,0.3); border-radius: 6px; padding: 0.75rem; margin-bottom: 0.5rem; cursor: pointer;" onclick="document.getElementById('sessions-resizeChannelId').value = '${channelId}'">
-          <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.25rem;">
-            <span style="font-family: monospace; font-size: 0.8rem; color: #9c27b0;">${shortId}</span>
-            <span style="color: ${statusColor}; font-size: 0.75rem;">${statusIcon} ${status}</span>
+        balanceDisplay = this.formatAsset(BigInt(ch.my_balance || 0));
+      }
+
+      return html`
+        <div
+          class="resize-channel-card"
+          data-action="selectResizeChannel"
+          data-channel-id="${channelId}"
+        >
+          <div class="row-between mb-xxs">
+            <span class="mono text-md text-accent">${shortId}</span>
+            <span class="${statusClass} text-sm">${statusIcon} ${status}</span>
           </div>
-          <div style="display: flex; justify-content: space-between; align-items: center;">
-            <span style="font-size: 0.75rem; color: #888;">Balance:</span>
-            <span style="font-weight: bold; color: #4caf50;">${balanceDisplay}</span>
+          <div class="row-between">
+            <span class="muted text-sm">Balance:</span>
+            <span class="text-success bold">${balanceDisplay}</span>
           </div>
         </div>
       `;
-    }).join("");
+    });
 
-    this.elements.channelsList.innerHTML = html;
+    render(this.elements.channelsList, html`${cards}`);
   }
 
   updateChannelBalanceDisplay(channel) {
     if (!this.elements.channelBalanceDisplay) return;
 
     if (!channel) {
-      this.elements.channelBalanceDisplay.textContent = "0.00 USDC";
+      this.elements.channelBalanceDisplay.textContent = this.formatAsset(0n);
       return;
     }
 
     // Try to get user's allocation from channel data
     // Channel structure may have: amount, allocations, balances, or participant-specific amounts
-    let userBalance = 0;
+    let userBalance = 0n;
 
     // Check various possible channel data structures
     // Clearnode returns 'amount' field directly
     if (channel.amount !== undefined) {
-      userBalance = parseInt(channel.amount || "0");
+      userBalance = BigInt(channel.amount || "0");
     } else if (channel.allocations && Array.isArray(channel.allocations)) {
       const userAlloc = channel.allocations.find(
         (a) => a.participant?.toLowerCase() === this.userAddress?.toLowerCase()
       );
       if (userAlloc) {
-        userBalance = parseInt(userAlloc.amount || "0");
+        userBalance = BigInt(userAlloc.amount || "0");
       }
     } else if (channel.balance !== undefined) {
       // Some responses have a direct balance field
-      userBalance = parseInt(channel.balance || "0");
+      userBalance = BigInt(channel.balance || "0");
     } else if (channel.my_balance !== undefined) {
-      userBalance = parseInt(channel.my_balance || "0");
+      userBalance = BigInt(channel.my_balance || "0");
     } else if (channel.participant_balances) {
       // Another possible structure
       const myBalance =
         channel.participant_balances[this.userAddress?.toLowerCase()];
       if (myBalance) {
-        userBalance = parseInt(myBalance || "0");
+        userBalance = BigInt(myBalance || "0");
       }
     }
 
-    const displayBalance = (userBalance / 1_000_000).toFixed(2);
-    this.elements.channelBalanceDisplay.textContent = `${displayBalance} USDC`;
+    const displayBalance = this.formatAsset(userBalance);
+    this.elements.channelBalanceDisplay.textContent = displayBalance;
 
-    if (userBalance > 0) {
-      this.log(`Channel balance: ${displayBalance} USDC`);
+    if (userBalance > 0n) {
+      this.log(`Channel balance: ${displayBalance}`);
     }
   }
 
-  updateDepositUI(hasChannel) {
+  updateDepositUI() {
+    const hasChannel = Boolean(this.activeChannel);
     // Update deposit button text based on whether we have an existing channel
     if (this.elements.depositBtn) {
       this.elements.depositBtn.textContent = hasChannel
         ? "Top Up"
         : "Deposit & Create Channel";
     }
-    // Always show resize card - user can manually enter channel ID if not auto-detected
-    if (this.elements.resizeBtn) {
-      // Enable button when wallet is connected (user can manually enter channel ID)
-      this.elements.resizeBtn.disabled = !this.userAddress;
-    }
-    if (this.elements.closeChannelBtn) {
-      // Enable close button when wallet is connected
-      this.elements.closeChannelBtn.disabled = !this.userAddress;
-    }
-    if (this.elements.allocateBtn) {
-      // Enable allocate button when wallet is connected
-      this.elements.allocateBtn.disabled = !this.userAddress;
-    }
+    // The resize card stays usable - a channel ID can be entered manually
     if (!hasChannel && this.elements.resizeStatus) {
       this.elements.resizeStatus.style.display = "block";
       this.elements.resizeStatus.textContent =
@@ -799,18 +1033,23 @@ export class SessionsApp {
   }
 
   async getConfig() {
+    const log = this.operationLog("channels");
     if (!this.isAuthenticated) return;
 
     try {
-      this.log("Requesting clearnode config...");
+      log("Requesting clearnode config...");
       const message = createGetConfigMessageV2();
-      this.ws.send(message);
+      await this.client.request(message);
+      log(
+        `Received clearnode config (${this.client.registry.networks.size} networks)`
+      );
     } catch (error) {
-      this.log(`Failed to get config: ${error.message}`, "error");
+      log(`Failed to get config: ${error.message}`, "error");
     }
   }
 
   async getChannels() {
+    const log = this.operationLog("channels");
     if (!this.isAuthenticated) {
       console.log("[Sessions] getChannels: Not authenticated, skipping");
       return;
@@ -869,7 +1108,7 @@ export class SessionsApp {
           );
 
           if (channelIds.length > 0) {
-            this.log(
+            log(
               `Found ${channelIds.length} channel(s) on ${chainConfig.name}`
             );
 
@@ -918,19 +1157,18 @@ export class SessionsApp {
         this.activeChainConfig = foundChainConfig;
         console.log("[Sessions] Set active channel:", this.activeChannel);
         console.log("[Sessions] Active chain config:", foundChainConfig);
-        this.updateDepositUI(true);
       } else {
-        this.log("No on-chain channels found on any chain");
+        log("No on-chain channels found on any chain");
         this.activeChannel = null;
         this.activeChainConfig = SESSIONS_CONFIG.chain; // Default to Base
-        this.updateDepositUI(false);
       }
 
       // Also fetch via WebSocket RPC for additional channel data
       const message = createGetChannelsMessageV2(this.userAddress, "open");
-      this.ws.send(message);
+      const response = await this.client.request(message);
+      this.handleGetChannelsResponse(response);
     } catch (error) {
-      this.log(`Failed to get channels: ${error.message}`, "error");
+      log(`Failed to get channels: ${error.message}`, "error");
       console.error("[Sessions] getChannels error:", error);
     }
   }
@@ -948,8 +1186,15 @@ export class SessionsApp {
   }
 
   async connectWallet() {
+    const log = this.operationLog("wallet");
+    // Already have the wallet; reopening the socket triggers re-authentication
+    if (this.userAddress && this.client.state === "offline") {
+      this.client.connect();
+      return;
+    }
+
     try {
-      this.log("Connecting wallet...");
+      log("Connecting wallet...");
 
       if (!window.ethereum) {
         throw new Error("Please install MetaMask!");
@@ -1000,7 +1245,7 @@ export class SessionsApp {
         this.elements.connectBtn.textContent = "Authenticating...";
       }
 
-      this.log(
+      log(
         `Wallet connected: ${this.userAddress.slice(
           0,
           6
@@ -1010,58 +1255,31 @@ export class SessionsApp {
       // Listen for account changes
       window.ethereum.on("accountsChanged", (accounts) => {
         if (accounts.length === 0) {
-          this.log("Wallet disconnected");
+          log("Wallet disconnected");
           location.reload();
         } else {
-          this.log("Account changed - please reconnect");
+          log("Account changed - please reconnect");
           location.reload();
         }
       });
 
       await this.authenticate();
-      this.enableButtons();
+      this.refreshAllBalances();
       await this.getConfig();
       await this.getChannels();
       await this.getBalances();
       await this.getAppSessions();
     } catch (error) {
-      this.log(`Failed to connect wallet: ${error.message}`, "error");
+      log(`Failed to connect wallet: ${error.message}`, "error");
       if (this.elements.connectBtn) {
         this.elements.connectBtn.textContent = "Connect Wallet";
       }
     }
   }
 
-  enableButtons() {
-    if (this.elements.connectBtn) {
-      this.elements.connectBtn.textContent = "Connected";
-      this.elements.connectBtn.disabled = true;
-    }
-    if (this.elements.depositBtn) this.elements.depositBtn.disabled = false;
-    if (this.elements.withdrawCustodyBtn)
-      this.elements.withdrawCustodyBtn.disabled = false;
-    if (this.elements.withdrawBtn) this.elements.withdrawBtn.disabled = false;
-    if (this.elements.createSessionBtn)
-      this.elements.createSessionBtn.disabled = false;
-    if (this.elements.refreshSessionsBtn)
-      this.elements.refreshSessionsBtn.disabled = false;
-    if (this.elements.refreshBalancesBtn)
-      this.elements.refreshBalancesBtn.disabled = false;
-    if (this.elements.refreshChannelsBtn)
-      this.elements.refreshChannelsBtn.disabled = false;
-    if (this.elements.createChannelBtn)
-      this.elements.createChannelBtn.disabled = false;
-    if (this.elements.fetchChannelDataBtn)
-      this.elements.fetchChannelDataBtn.disabled = false;
-    if (this.elements.forceCloseBtn)
-      this.elements.forceCloseBtn.disabled = false;
-
-    // Check all balances
-    this.refreshAllBalances();
-  }
-
   async refreshAllBalances() {
-    this.log("Refreshing all balances...");
+    const log = this.operationLog("balance");
+    log("Refreshing all balances...");
     await Promise.all([
       this.checkCustodyBalance(),
       this.getBalances(),
@@ -1070,188 +1288,181 @@ export class SessionsApp {
   }
 
   async authenticate() {
-    return new Promise(async (resolve, reject) => {
-      try {
-        this.log("Authenticating with Clearnode...");
-        this.pendingAuthResolve = resolve;
-        this.pendingAuthReject = reject;
-
-        // Generate session key
-        this.sessionKeyPrivate = generatePrivateKey();
-        const sessionAccount = privateKeyToAccount(this.sessionKeyPrivate);
-        this.sessionKeyAddress = sessionAccount.address;
-
-        this.messageSigner = createECDSAMessageSigner(this.sessionKeyPrivate);
-
-        this.log(
-          `Session key: ${this.sessionKeyAddress.slice(
-            0,
-            6
-          )}...${this.sessionKeyAddress.slice(-4)}`
-        );
-
-        const expiresAt = BigInt(
-          Math.floor(Date.now() / 1000) +
-            SESSIONS_CONFIG.sessionExpiryHours * 60 * 60
-        );
-
-        // Store auth params for challenge handler
-        this.pendingAuthParams = {
-          address: getAddress(this.userAddress),
-          session_key: getAddress(this.sessionKeyAddress),
-          application: "clearnode",
-          allowances: [],
-          expires_at: expiresAt,
-          scope: "console",
-        };
-
-        const authMessage = await createAuthRequestMessage(
-          this.pendingAuthParams
-        );
-
-        this.ws.send(authMessage);
-
-        this.authTimeoutId = setTimeout(() => {
-          if (!this.isAuthenticated) {
-            this.pendingAuthResolve = null;
-            this.pendingAuthReject = null;
-            reject(new Error("Authentication timeout"));
-          }
-        }, 60000);
-      } catch (error) {
-        reject(error);
-      }
+    const log = this.operationLog("auth");
+    log("Authenticating with Clearnode...");
+
+    // Scope defaults to "console" for this tab; blank allowance = unrestricted
+    const allowance = this.elements.allowanceAmount?.value.trim();
+    const allowanceUnits = allowance
+      ? parseAmount(allowance, this.assetDecimals())
+      : 0n;
+    this.client.setSessionPolicy({
+      scope: this.elements.sessionScope?.value.trim() || "console",
+      allowances:
+        allowanceUnits > 0n
+          ? [
+              {
+                asset: SESSIONS_CONFIG.asset,
+                amount: formatAmount(allowanceUnits, this.assetDecimals(), {
+                  minFraction: 0,
+                }),
+              },
+            ]
+          : [],
     });
-  }
-
-  async handleAuthChallenge(data, requestId) {
-    try {
-      // Extract challenge message - can come as {challenge_message: "..."} or array
-      let challengeMessage;
-      if (data?.challenge_message) {
-        challengeMessage = data.challenge_message;
-      } else if (Array.isArray(data) && data[0]?.challenge_message) {
-        challengeMessage = data[0].challenge_message;
-      } else {
-        challengeMessage = JSON.stringify(data);
-      }
 
-      this.log(`Signing auth challenge: ${challengeMessage.slice(0, 20)}...`);
+    await this.client.authenticate(this.userAddress, (typedData) =>
+      this.signAuthTypedData(typedData)
+    );
 
-      // Use window.ethereum.request directly for browser wallet compatibility
-      // IMPORTANT: expires_at must be uint64, and Allowance.amount must be string (per SDK EIP712AuthTypes)
-      const expiresAtNumber = Number(this.pendingAuthParams.expires_at);
+    const reused =
+      this.client.lastAuthMethod === "jwt"
+        ? " (reused, JWT)"
+        : this.client.sessionKeyReused
+          ? " (reused)"
+          : "";
+    log(
+      `Session key: ${this.sessionKeyAddress.slice(
+        0,
+        6
+      )}...${this.sessionKeyAddress.slice(-4)}${reused}`
+    );
+    if (!this.vault.isUnlocked) {
+      log(
+        "Vault is locked - this session key is kept in memory only; unlock the vault to keep it",
+        "warn"
+      );
+    }
+    this.updateAllowanceUsage();
+  }
 
-      const typedData = {
-        types: {
-          EIP712Domain: [{ name: "name", type: "string" }],
-          Policy: [
-            { name: "challenge", type: "string" },
-            { name: "scope", type: "string" },
-            { name: "wallet", type: "address" },
-            { name: "session_key", type: "address" },
-            { name: "expires_at", type: "uint64" },
-            { name: "allowances", type: "Allowance[]" },
-          ],
-          Allowance: [
-            { name: "asset", type: "string" },
-            { name: "amount", type: "string" },
-          ],
-        },
-        primaryType: "Policy",
-        domain: { name: this.pendingAuthParams.application },
-        message: {
-          challenge: challengeMessage,
-          scope: this.pendingAuthParams.scope,
-          wallet: this.userAddress,
-          session_key: this.pendingAuthParams.session_key,
-          expires_at: expiresAtNumber,
-          allowances: this.pendingAuthParams.allowances || [],
-        },
-      };
+  updateAllowanceUsage() {
+    if (!this.elements.allowanceUsage) return;
+    const rows = this.client.spending.summary();
+    this.elements.allowanceUsage.textContent =
+      rows.length === 0
+        ? "Session key: no spending limit"
+        : rows
+            .map((r) => `Used ${r.used} of ${r.limit} ${r.asset.toUpperCase()}`)
+            .join(", ");
+  }
 
-      // Sign with wallet using eth_signTypedData_v4
-      const signature = await window.ethereum.request({
-        method: "eth_signTypedData_v4",
-        params: [this.userAddress, JSON.stringify(typedData)],
-      });
+  /**
+   * Sign the auth Policy with the browser wallet.
+   * expires_at must be uint64 and Allowance.amount a string (per SDK EIP712AuthTypes).
+   */
+  async signAuthTypedData(typedData) {
+    const log = this.operationLog("wallet");
+    log(
+      `Signing auth challenge: ${typedData.message.challenge.slice(0, 20)}...`
+    );
 
-      this.log("Wallet signed, sending auth_verify...");
-
-      // Build auth_verify message manually with wallet signature
-      const verifyRequestId = Date.now();
-      const timestamp = Date.now();
-      const verifyMessage = {
-        req: [
-          verifyRequestId,
-          "auth_verify",
-          { challenge: challengeMessage },
-          timestamp,
-        ],
-        sig: [signature],
-      };
+    // Use window.ethereum.request directly for browser wallet compatibility
+    const signature = await window.ethereum.request({
+      method: "eth_signTypedData_v4",
+      params: [this.userAddress, JSON.stringify(typedData)],
+    });
 
-      console.log("Sending auth_verify:", JSON.stringify(verifyMessage));
-      this.ws.send(JSON.stringify(verifyMessage));
-    } catch (error) {
-      this.log(`Auth challenge failed: ${error.message}`, "error");
-      console.error("Auth error:", error);
-      if (this.pendingAuthReject) {
-        this.pendingAuthReject(error);
-        this.pendingAuthReject = null;
-        this.pendingAuthResolve = null;
-      }
-    }
+    log("Wallet signed, sending auth_verify...");
+    return signature;
   }
 
   async getBalances() {
+    const log = this.operationLog("balance");
     try {
       const balanceMessage = await createGetLedgerBalancesMessage(
         this.messageSigner,
         this.userAddress
       );
-      this.ws.send(balanceMessage);
+      const response = await this.client.request(balanceMessage);
+      this.handleBalanceResponse(response);
     } catch (error) {
-      this.log(`Failed to get balances: ${error.message}`, "error");
+      log(`Failed to get balances: ${error.message}`, "error");
     }
   }
 
   handleBalanceResponse(data) {
-    if (Array.isArray(data)) {
-      const usdcBalance = data.find((b) => b.asset === SESSIONS_CONFIG.asset);
-      if (usdcBalance) {
-        this.ledgerBalance = parseInt(usdcBalance.amount);
-        const displayBalance = (this.ledgerBalance / 1_000_000).toFixed(2);
-        if (this.elements.ledgerBalance) {
-          this.elements.ledgerBalance.textContent = `${displayBalance} USDC`;
-        }
-        this.log(`Ledger balance: ${displayBalance} USDC`);
-      } else {
-        this.ledgerBalance = 0;
-        if (this.elements.ledgerBalance) {
-          this.elements.ledgerBalance.textContent = "0.00 USDC";
-        }
-      }
+    const log = this.operationLog("balance");
+    const balances = Array.isArray(data) ? data : data?.ledger_balances;
+    if (!Array.isArray(balances)) return;
+
+    this.balances.replace(balances);
+    this.store.set({ balances: this.balances.list() });
+    log(
+      `Ledger balance: ${this.balances.format(SESSIONS_CONFIG.asset)}`
+    );
+  }
+
+  /**
+   * Show the session asset first, followed by any other non-zero assets
+   * held on the ledger.
+   */
+  updateBalanceDisplay() {
+    if (!this.elements.ledgerBalance) return;
+    const others = this.balances
+      .list(SESSIONS_CONFIG.asset)
+      .filter((row) => row.asset !== SESSIONS_CONFIG.asset)
+      .map((row) => this.balances.format(row.asset));
+    this.elements.ledgerBalance.textContent = [
+      this.balances.format(SESSIONS_CONFIG.asset),
+      ...others,
+    ].join(" · ");
+  }
+
+  // ========== AMOUNTS ==========
+
+  /**
+   * Decimals of the session asset on the session chain, from the clearnode's
+   * asset list once it has arrived.
+   */
+  assetDecimals() {
+    const asset = this.client.registry.getAsset(
+      SESSIONS_CONFIG.asset,
+      SESSIONS_CONFIG.chain.id
+    );
+    return asset?.decimals ?? this.balances.decimalsFor(SESSIONS_CONFIG.asset);
+  }
+
+  /** Base units -> "12.50 USDC" */
+  formatAsset(units) {
+    return `${formatAmount(units, this.assetDecimals())} ${this.balances.symbolFor(
+      SESSIONS_CONFIG.asset
+    )}`;
+  }
+
+  /**
+   * Parse a positive amount typed by the user into base units. Logs the
+   * problem and returns null when the input can't be represented exactly.
+   */
+  readAmount(value, what = "amount") {
+    try {
+      const units = parseAmount(value || "0", this.assetDecimals());
+      if (units > 0n) return units;
+    } catch (error) {
+      if (!(error instanceof AmountError)) throw error;
+      this.log(`Invalid ${what}: ${error.message}`, "error");
+      return null;
     }
+    this.log(`Please enter a valid ${what}`, "error");
+    return null;
   }
 
   // ========== DEPOSIT FUNDS ==========
 
   async depositFunds() {
-    const amount = parseFloat(this.elements.depositAmount?.value || "0");
-    if (isNaN(amount) || amount <= 0) {
-      this.log("Please enter a valid deposit amount", "error");
-      return;
-    }
+    const log = this.operationLog("deposit");
+    const amountInUnits = this.readAmount(
+      this.elements.depositAmount?.value,
+      "deposit amount"
+    );
+    if (amountInUnits === null) return;
 
     try {
-      this.log(`Starting deposit: ${amount} USDC on Base`);
+      log(`Starting deposit: ${this.formatAsset(amountInUnits)} on Base`);
 
       // Switch to Base if needed
       await this.ensureBaseNetwork();
 
-      const amountInUnits = parseUnits(amount.toString(), 6);
-
       // Check wallet USDC balance
       const walletBalance = await this.publicClient.readContract({
         address: SESSIONS_CONFIG.chain.token,
@@ -1260,14 +1471,13 @@ export class SessionsApp {
         args: [this.userAddress],
       });
 
-      this.log(`Wallet USDC: ${formatUnits(walletBalance, 6)}`);
+      log(`Wallet USDC: ${this.formatAsset(walletBalance)}`);
 
       if (walletBalance < amountInUnits) {
-        this.log(
-          `Insufficient USDC. Have: ${formatUnits(
-            walletBalance,
-            6
-          )}, Need: ${amount}`,
+        log(
+          `Insufficient USDC. Have: ${this.formatAsset(
+            walletBalance
+          )}, Need: ${this.formatAsset(amountInUnits)}`,
           "error"
         );
         return;
@@ -1283,7 +1493,7 @@ export class SessionsApp {
 
       // Approve if needed
       if (allowance < amountInUnits) {
-        this.log("Requesting USDC approval...");
+        log("Requesting USDC approval...");
         const approveTxHash = await this.walletClient.writeContract({
           address: SESSIONS_CONFIG.chain.token,
           abi: erc20Abi,
@@ -1291,16 +1501,18 @@ export class SessionsApp {
           args: [SESSIONS_CONFIG.chain.custody, amountInUnits],
           account: this.userAddress,
         });
-        this.log(`Approval tx: ${approveTxHash.slice(0, 10)}...`);
+        log(`Approval tx: ${approveTxHash.slice(0, 10)}...`, "info", {
+          txHash: approveTxHash,
+        });
         await this.publicClient.waitForTransactionReceipt({
           hash: approveTxHash,
         });
-        this.log("Approval confirmed!", "success");
+        log("Approval confirmed!", "success");
       }
 
       // Check if we already have an active channel - if so, just do a top-up deposit
       if (this.activeChannel) {
-        this.log("Active channel exists. Depositing to custody for top-up...");
+        log("Active channel exists. Depositing to custody for top-up...");
         const depositTxHash = await this.walletClient.writeContract({
           address: SESSIONS_CONFIG.chain.custody,
           abi: custodyDepositAbi,
@@ -1309,12 +1521,17 @@ export class SessionsApp {
           account: this.userAddress,
         });
 
-        this.log(`Deposit tx: ${depositTxHash.slice(0, 10)}...`);
+        log(`Deposit tx: ${depositTxHash.slice(0, 10)}...`, "info", {
+          txHash: depositTxHash,
+        });
         await this.publicClient.waitForTransactionReceipt({
           hash: depositTxHash,
         });
-        this.log(`Deposited ${amount} USDC to custody`, "success");
-        this.log("Use On-Chain Resize to move funds to channel", "success");
+        log(
+          `Deposited ${this.formatAsset(amountInUnits)} to custody`,
+          "success"
+        );
+        log("Use On-Chain Resize to move funds to channel", "success");
 
         await this.refreshAllBalances();
         return;
@@ -1322,12 +1539,12 @@ export class SessionsApp {
 
       // No active channel - need to create one via depositAndCreate
       // Step 1: Request channel config from clearnode
-      this.log("Requesting channel config from clearnode...");
+      log("Requesting channel config from clearnode...");
 
       // Store pending deposit info for when we get the channel config
       this.pendingDepositAndCreate = {
         amount: amountInUnits,
-        displayAmount: amount,
+        displayAmount: this.formatAsset(amountInUnits),
       };
 
       // Request create_channel from clearnode - this gets the channel config we need
@@ -1340,25 +1557,26 @@ export class SessionsApp {
         }
       );
 
-      this.ws.send(channelMessage);
-      this.log("Waiting for channel config from clearnode...");
+      this.client.send(channelMessage);
+      log("Waiting for channel config from clearnode...");
 
       // The flow continues in handleCreateChannelResponse -> executeDepositAndCreate
     } catch (error) {
-      this.log(`Deposit failed: ${error.message}`, "error");
+      log(`Deposit failed: ${error.message}`, "error");
       console.error("Deposit error:", error);
       this.pendingDepositAndCreate = null;
     }
   }
 
   async ensureBaseNetwork() {
+    const log = this.operationLog("wallet");
     const currentChainId = await window.ethereum.request({
       method: "eth_chainId",
     });
     const currentChainIdDecimal = parseInt(currentChainId, 16);
 
     if (currentChainIdDecimal !== SESSIONS_CONFIG.chain.id) {
-      this.log("Switching to Base network...");
+      log("Switching to Base network...");
       try {
         await window.ethereum.request({
           method: "wallet_switchEthereumChain",
@@ -1393,9 +1611,10 @@ export class SessionsApp {
   }
 
   async ensureChannelExists(amountInUnits) {
+    const log = this.operationLog("deposit");
     // Create channel via WebSocket to move funds from custody to ledger
     try {
-      this.log("Creating channel with Clearnode...");
+      log("Creating channel with Clearnode...");
 
       const channelMessage = await createCreateChannelMessage(
         this.messageSigner,
@@ -1406,13 +1625,14 @@ export class SessionsApp {
       );
 
       this.pendingChannelAmount = amountInUnits;
-      this.ws.send(channelMessage);
+      this.client.send(channelMessage);
     } catch (error) {
-      this.log(`Channel creation failed: ${error.message}`, "error");
+      log(`Channel creation failed: ${error.message}`, "error");
     }
   }
 
   async handleCreateChannelResponse(data) {
+    const log = this.operationLog("channel_create");
     if (data?.channel_id) {
       console.log("[Sessions] Create channel response:", data);
       console.log("[Sessions] Channel details:", {
@@ -1422,7 +1642,7 @@ export class SessionsApp {
         server_signature: data.server_signature || data.serverSignature,
         status: data.status,
       });
-      this.log(`Channel config received: ${data.channel_id.slice(0, 10)}...`);
+      log(`Channel config received: ${data.channel_id.slice(0, 10)}...`);
 
       // Store the initial state for use as proof in future resize operations
       // Note: For resize proofs, we need both user and server signatures
@@ -1508,7 +1728,7 @@ export class SessionsApp {
         return;
       }
 
-      this.log(
+      log(
         `Channel created: ${data.channel_id.slice(0, 10)}...`,
         "success"
       );
@@ -1520,7 +1740,6 @@ export class SessionsApp {
         token: SESSIONS_CONFIG.chain.token,
         status: "open",
       };
-      this.updateDepositUI(true);
 
       // Handle deposit flow: resize channel to move funds from custody to ledger
       if (this.pendingChannelAmount) {
@@ -1546,11 +1765,12 @@ export class SessionsApp {
    * This deposits funds and creates channel in one transaction, which clearnode monitors
    */
   async executeDepositAndCreate(channelData) {
+    const log = this.operationLog("deposit");
     const pendingDeposit = this.pendingDepositAndCreate;
     this.pendingDepositAndCreate = null;
 
     try {
-      this.log("Preparing on-chain depositAndCreate...");
+      log("Preparing on-chain depositAndCreate...");
 
       // Extract channel config from response
       // Response format: { channel_id, channel: {participants, adjudicator, challenge, nonce}, state: {intent, version, stateData, allocations}, serverSignature }
@@ -1598,11 +1818,11 @@ export class SessionsApp {
 
       // Calculate channel ID for signing
       const channelId = getChannelId(channelStruct, SESSIONS_CONFIG.chain.id);
-      this.log(`Channel ID: ${channelId.slice(0, 10)}...`);
+      log(`Channel ID: ${channelId.slice(0, 10)}...`);
 
       // Get packed state for signing
       const packedState = getPackedState(channelId, unsignedState);
-      this.log("Signing state with wallet...");
+      log("Signing state with wallet...");
 
       // Sign with user's wallet using EIP-191 personal_sign (raw message)
       const userSignature = await this.walletClient.signMessage({
@@ -1610,7 +1830,7 @@ export class SessionsApp {
         account: this.userAddress,
       });
 
-      this.log("State signed!");
+      log("State signed!");
 
       // Determine signature order based on participant positions
       // Contract expects: sigs[0] from participants[0], sigs[1] from participants[1]
@@ -1633,7 +1853,7 @@ export class SessionsApp {
       console.log("[Sessions] Signature order - sigs[1] from:", userIsClient ? "server" : "user");
 
       // Execute depositAndCreate on-chain
-      this.log("Executing depositAndCreate on-chain...");
+      log("Executing depositAndCreate on-chain...");
 
       const txHash = await this.walletClient.writeContract({
         address: SESSIONS_CONFIG.chain.custody,
@@ -1648,11 +1868,11 @@ export class SessionsApp {
         account: this.userAddress,
       });
 
-      this.log(`Tx submitted: ${txHash.slice(0, 10)}...`);
+      log(`Tx submitted: ${txHash.slice(0, 10)}...`, "info", { txHash });
       await this.publicClient.waitForTransactionReceipt({ hash: txHash });
 
-      this.log(
-        `Deposited ${pendingDeposit.displayAmount} USDC and created channel!`,
+      log(
+        `Deposited ${pendingDeposit.displayAmount} and created channel!`,
         "success"
       );
 
@@ -1664,7 +1884,6 @@ export class SessionsApp {
         token: SESSIONS_CONFIG.chain.token,
         status: "open",
       };
-      this.updateDepositUI(true);
 
       // Store the signed initial state for use as proof in future resize operations
       this.channelStates.set(clearnodeChannelId, signedState);
@@ -1685,20 +1904,21 @@ export class SessionsApp {
 
       // Now resize the channel to move funds from custody to ledger
       // The depositAndCreate puts funds in custody, resize moves them to ledger
-      this.log("Moving funds from custody to ledger...");
+      log("Moving funds from custody to ledger...");
       await this.resizeChannelToLedger(
         clearnodeChannelId,
         pendingDeposit.amount
       );
     } catch (error) {
-      this.log(`depositAndCreate failed: ${error.message}`, "error");
+      log(`depositAndCreate failed: ${error.message}`, "error");
       console.error("depositAndCreate error:", error);
     }
   }
 
   async resizeChannelForWithdrawal(channelId, amount) {
+    const log = this.operationLog("withdraw", { channelId });
     try {
-      this.log("Moving funds from channel to custody (on-chain resize)...");
+      log("Moving funds from channel to custody (on-chain resize)...");
 
       // For withdrawal, use negative resize_amount to move funds from channel to custody
       const resizeMessage = await createResizeChannelMessage(
@@ -1710,9 +1930,9 @@ export class SessionsApp {
         }
       );
 
-      this.ws.send(resizeMessage);
+      this.client.send(resizeMessage);
     } catch (error) {
-      this.log(`Resize for withdrawal failed: ${error.message}`, "error");
+      log(`Resize for withdrawal failed: ${error.message}`, "error");
       this.pendingWithdrawal = null;
     }
   }
@@ -1724,6 +1944,7 @@ export class SessionsApp {
 
   // Check on-chain custody balance and show sync section if > 0
   async checkCustodyBalance() {
+    const log = this.operationLog("custody");
     if (!this.publicClient || !this.userAddress) return;
 
     try {
@@ -1751,13 +1972,11 @@ export class SessionsApp {
       // balances is uint256[][] - balances[0][0] is our account's balance for the token
       const balance = balances[0][0];
       this.custodyBalanceAmount = balance;
-      const displayBalance = formatUnits(balance, 6);
+      const displayBalance = this.formatAsset(balance);
 
       // Always update the custody balance display
       if (this.elements.custodyBalanceDisplay) {
-        this.elements.custodyBalanceDisplay.textContent = `${parseFloat(
-          displayBalance
-        ).toFixed(2)} USDC`;
+        this.elements.custodyBalanceDisplay.textContent = displayBalance;
       }
 
       if (balance > 0n) {
@@ -1765,7 +1984,7 @@ export class SessionsApp {
         if (this.elements.syncSection) {
           this.elements.syncSection.style.display = "block";
         }
-        this.log(`Custody balance: ${displayBalance} USDC`);
+        log(`Custody balance: ${displayBalance} USDC`);
       } else {
         // Hide sync section
         if (this.elements.syncSection) {
@@ -1784,8 +2003,9 @@ export class SessionsApp {
   // Withdraw funds directly from custody contract to wallet
   // (Use this when funds are stuck in custody and clearnode doesn't recognize them)
   async withdrawFromCustodyDirect() {
+    const log = this.operationLog("withdraw");
     if (!this.custodyBalanceAmount || this.custodyBalanceAmount === 0n) {
-      this.log("No funds in custody to withdraw", "error");
+      log("No funds in custody to withdraw", "error");
       return;
     }
 
@@ -1793,22 +2013,24 @@ export class SessionsApp {
       await this.ensureBaseNetwork();
 
       const amount = this.custodyBalanceAmount;
-      this.log(
-        `Withdrawing ${formatUnits(amount, 6)} USDC from custody to wallet...`
+      log(
+        `Withdrawing ${this.formatAsset(amount)} from custody to wallet...`
       );
 
       const withdrawTxHash = await this.withdrawFromCustody(amount);
-      this.log(`Withdraw tx: ${withdrawTxHash.slice(0, 10)}...`);
+      log(`Withdraw tx: ${withdrawTxHash.slice(0, 10)}...`, "info", {
+        txHash: withdrawTxHash,
+      });
 
       await this.publicClient.waitForTransactionReceipt({
         hash: withdrawTxHash,
       });
-      this.log("Withdrawal complete! Funds returned to wallet.", "success");
+      log("Withdrawal complete! Funds returned to wallet.", "success");
 
       // Refresh balances
       await this.checkCustodyBalance();
     } catch (error) {
-      this.log(`Withdrawal failed: ${error.message}`, "error");
+      log(`Withdrawal failed: ${error.message}`, "error");
       console.error("Custody withdrawal error:", error);
     }
   }
@@ -1816,25 +2038,24 @@ export class SessionsApp {
   // ========== ON-CHAIN RESIZE ==========
 
   async requestResize() {
-    const amount = parseFloat(this.elements.resizeAmount?.value || "0");
+    const log = this.operationLog("channel_resize");
     const direction = this.elements.resizeDirection?.value || "allocate";
     const manualChannelId = this.elements.resizeChannelId?.value?.trim() || "";
 
-    if (isNaN(amount) || amount <= 0) {
-      this.log("Please enter a valid resize amount", "error");
-      return;
-    }
+    const amountInMicrounits = this.readAmount(
+      this.elements.resizeAmount?.value,
+      "resize amount"
+    );
+    if (amountInMicrounits === null) return;
 
     // Use manual channel ID if provided, otherwise fall back to auto-detected channel
     const channelId = manualChannelId || this.activeChannel?.channel_id;
 
     if (!channelId) {
-      this.log("No channel ID provided and no active channel detected", "error");
+      log("No channel ID provided and no active channel detected", "error");
       return;
     }
 
-    const amountInMicrounits = Math.floor(amount * 1_000_000);
-
     // Show status
     if (this.elements.resizeStatus) {
       this.elements.resizeStatus.style.display = "block";
@@ -1843,10 +2064,10 @@ export class SessionsApp {
     }
 
     try {
-      this.log(
+      log(
         `Requesting resize: ${
           direction === "allocate" ? "+" : "-"
-        }${amount} USDC (channel: ${channelId.slice(0, 10)}...)`
+        }${this.formatAsset(amountInMicrounits)} (channel: ${channelId.slice(0, 10)}...)`
       );
 
       // Store pending resize info for when we get the response
@@ -1854,7 +2075,7 @@ export class SessionsApp {
         channelId: channelId,
         amount: amountInMicrounits,
         direction,
-        displayAmount: amount,
+        displayAmount: this.formatAsset(amountInMicrounits),
       };
 
       // Request resize via WebSocket to get server signature
@@ -1870,9 +2091,20 @@ export class SessionsApp {
         }
       );
 
-      this.ws.send(resizeMessage);
+      if (direction === "allocate") {
+        await this.client.spend(
+          {
+            asset: SESSIONS_CONFIG.asset,
+            amount: amountInMicrounits,
+            operation: "Channel resize",
+          },
+          () => this.client.send(resizeMessage)
+        );
+      } else {
+        this.client.send(resizeMessage);
+      }
     } catch (error) {
-      this.log(`Resize request failed: ${error.message}`, "error");
+      log(`Resize request failed: ${error.message}`, "error");
       if (this.elements.resizeStatus) {
         this.elements.resizeStatus.textContent = `Error: ${error.message}`;
         this.elements.resizeStatus.style.color = "#f44336";
@@ -1882,24 +2114,23 @@ export class SessionsApp {
   }
 
   async requestAllocate() {
-    const amount = parseFloat(this.elements.allocateAmount?.value || "0");
+    const log = this.operationLog("channel_resize");
     const manualChannelId = this.elements.allocateChannelId?.value?.trim() || "";
 
-    if (isNaN(amount) || amount <= 0) {
-      this.log("Please enter a valid allocate amount", "error");
-      return;
-    }
+    const amountInMicrounits = this.readAmount(
+      this.elements.allocateAmount?.value,
+      "allocate amount"
+    );
+    if (amountInMicrounits === null) return;
 
     // Use manual channel ID if provided, otherwise fall back to auto-detected channel
     const channelId = manualChannelId || this.activeChannel?.channel_id;
 
     if (!channelId) {
-      this.log("No channel ID provided and no active channel detected", "error");
+      log("No channel ID provided and no active channel detected", "error");
       return;
     }
 
-    const amountInMicrounits = Math.floor(amount * 1_000_000);
-
     // Show status
     if (this.elements.allocateStatus) {
       this.elements.allocateStatus.style.display = "block";
@@ -1908,15 +2139,15 @@ export class SessionsApp {
     }
 
     try {
-      this.log(
-        `Allocating ${amount} USDC from channel to ledger (channel: ${channelId.slice(0, 10)}...)`
+      log(
+        `Allocating ${this.formatAsset(amountInMicrounits)} from channel to ledger (channel: ${channelId.slice(0, 10)}...)`
       );
 
       // Store pending allocate info
       this.pendingAllocate = {
         channelId: channelId,
         amount: amountInMicrounits,
-        displayAmount: amount,
+        displayAmount: this.formatAsset(amountInMicrounits),
       };
 
       // Use allocate_amount for off-chain channel → ledger transfer
@@ -1931,9 +2162,9 @@ export class SessionsApp {
         }
       );
 
-      this.ws.send(allocateMessage);
+      this.client.send(allocateMessage);
     } catch (error) {
-      this.log(`Allocate request failed: ${error.message}`, "error");
+      log(`Allocate request failed: ${error.message}`, "error");
       if (this.elements.allocateStatus) {
         this.elements.allocateStatus.textContent = `Error: ${error.message}`;
         this.elements.allocateStatus.style.color = "#f44336";
@@ -1943,11 +2174,12 @@ export class SessionsApp {
   }
 
   async closeChannelManual() {
+    const log = this.operationLog("channel_close");
     const manualChannelId = this.elements.resizeChannelId?.value?.trim() || "";
     const channelId = manualChannelId || this.activeChannel?.channel_id;
 
     if (!channelId) {
-      this.log("No channel ID provided and no active channel detected", "error");
+      log("No channel ID provided and no active channel detected", "error");
       return;
     }
 
@@ -1959,20 +2191,20 @@ export class SessionsApp {
     }
 
     try {
-      this.log(`Closing channel: ${channelId.slice(0, 10)}...`);
+      log(`Closing channel: ${channelId.slice(0, 10)}...`);
 
       const closeMessage = await createCloseChannelMessage(this.messageSigner, {
         channel_id: channelId,
       });
 
-      this.ws.send(closeMessage);
+      this.client.send(closeMessage);
 
       // Update status after sending
       if (this.elements.resizeStatus) {
         this.elements.resizeStatus.textContent = "Close request sent. Waiting for response...";
       }
     } catch (error) {
-      this.log(`Close channel failed: ${error.message}`, "error");
+      log(`Close channel failed: ${error.message}`, "error");
       if (this.elements.resizeStatus) {
         this.elements.resizeStatus.textContent = `Error: ${error.message}`;
         this.elements.resizeStatus.style.color = "#f44336";
@@ -1983,6 +2215,7 @@ export class SessionsApp {
   // ========== CREATE CHANNEL ONLY ==========
 
   async createChannelOnly() {
+    const log = this.operationLog("channel_create");
     // Show status
     if (this.elements.createChannelStatus) {
       this.elements.createChannelStatus.style.display = "block";
@@ -1991,7 +2224,7 @@ export class SessionsApp {
     }
 
     try {
-      this.log("Creating channel (no deposit)...");
+      log("Creating channel (no deposit)...");
 
       // Switch to Base if needed
       await this.ensureBaseNetwork();
@@ -2008,8 +2241,8 @@ export class SessionsApp {
         }
       );
 
-      this.ws.send(channelMessage);
-      this.log("Waiting for channel config from clearnode...");
+      this.client.send(channelMessage);
+      log("Waiting for channel config from clearnode...");
 
       if (this.elements.createChannelStatus) {
         this.elements.createChannelStatus.textContent = "Waiting for channel config...";
@@ -2017,7 +2250,7 @@ export class SessionsApp {
 
       // Flow continues in handleCreateChannelResponse -> executeCreateChannelOnly
     } catch (error) {
-      this.log(`Create channel failed: ${error.message}`, "error");
+      log(`Create channel failed: ${error.message}`, "error");
       console.error("Create channel error:", error);
       if (this.elements.createChannelStatus) {
         this.elements.createChannelStatus.textContent = `Error: ${error.message}`;
@@ -2028,10 +2261,11 @@ export class SessionsApp {
   }
 
   async executeCreateChannelOnly(channelData) {
+    const log = this.operationLog("channel_create");
     this.pendingCreateChannelOnly = false;
 
     try {
-      this.log("Preparing on-chain channel creation...");
+      log("Preparing on-chain channel creation...");
 
       if (this.elements.createChannelStatus) {
         this.elements.createChannelStatus.textContent = "Preparing on-chain transaction...";
@@ -2072,11 +2306,11 @@ export class SessionsApp {
 
       // Calculate channel ID
       const channelId = getChannelId(channelStruct, SESSIONS_CONFIG.chain.id);
-      this.log(`Channel ID: ${channelId.slice(0, 10)}...`);
+      log(`Channel ID: ${channelId.slice(0, 10)}...`);
 
       // Get packed state for signing
       const packedState = getPackedState(channelId, unsignedState);
-      this.log("Signing state with wallet...");
+      log("Signing state with wallet...");
 
       if (this.elements.createChannelStatus) {
         this.elements.createChannelStatus.textContent = "Please sign in wallet...";
@@ -2088,7 +2322,7 @@ export class SessionsApp {
         account: this.userAddress,
       });
 
-      this.log("State signed!");
+      log("State signed!");
 
       // Determine signature order based on participant positions
       // Contract expects: sigs[0] from participants[0], sigs[1] from participants[1]
@@ -2111,7 +2345,7 @@ export class SessionsApp {
       console.log("[Sessions] Signature order - sigs[1] from:", userIsClient ? "server" : "user");
 
       // Execute create on-chain (not depositAndCreate)
-      this.log("Executing create on-chain...");
+      log("Executing create on-chain...");
 
       if (this.elements.createChannelStatus) {
         this.elements.createChannelStatus.textContent = "Submitting transaction...";
@@ -2119,7 +2353,7 @@ export class SessionsApp {
 
       const txHash = await this.nitroliteService.createChannel(channelStruct, signedState);
 
-      this.log(`Tx submitted: ${txHash.slice(0, 10)}...`);
+      log(`Tx submitted: ${txHash.slice(0, 10)}...`, "info", { txHash });
 
       if (this.elements.createChannelStatus) {
         this.elements.createChannelStatus.textContent = `Tx: ${txHash.slice(0, 10)}... Waiting for confirmation...`;
@@ -2128,7 +2362,7 @@ export class SessionsApp {
 
       await this.publicClient.waitForTransactionReceipt({ hash: txHash });
 
-      this.log("Channel created on-chain!", "success");
+      log("Channel created on-chain!", "success");
 
       // Store as active channel
       const clearnodeChannelId = channelData.channel_id;
@@ -2138,7 +2372,6 @@ export class SessionsApp {
         token: SESSIONS_CONFIG.chain.token,
         status: "open",
       };
-      this.updateDepositUI(true);
 
       // Store the signed initial state for proofs
       this.channelStates.set(clearnodeChannelId, signedState);
@@ -2151,7 +2384,7 @@ export class SessionsApp {
       // Refresh data
       await this.refreshAllBalances();
     } catch (error) {
-      this.log(`Create channel failed: ${error.message}`, "error");
+      log(`Create channel failed: ${error.message}`, "error");
       console.error("Create channel error:", error);
       if (this.elements.createChannelStatus) {
         this.elements.createChannelStatus.textContent = `Error: ${error.message}`;
@@ -2163,10 +2396,11 @@ export class SessionsApp {
   // ========== ON-CHAIN FORCE CLOSE ==========
 
   async fetchChannelDataOnChain() {
+    const log = this.operationLog("challenge");
     const channelId = this.elements.forceCloseChannelId?.value?.trim();
 
     if (!channelId) {
-      this.log("Please enter a channel ID", "error");
+      log("Please enter a channel ID", "error");
       return;
     }
 
@@ -2178,7 +2412,7 @@ export class SessionsApp {
     }
 
     try {
-      this.log(`Fetching on-chain data for channel: ${channelId.slice(0, 10)}...`);
+      log(`Fetching on-chain data for channel: ${channelId.slice(0, 10)}...`);
 
       // Use NitroliteService to fetch channel data
       const channelData = await this.nitroliteService.getChannelData(channelId);
@@ -2196,14 +2430,14 @@ export class SessionsApp {
         this.elements.channelDataDisplay.style.display = "block";
       }
 
-      // Status display (0 = Open, 1 = Challenged, 2 = Closed)
-      const statusMap = { 0: "Open", 1: "Challenged", 2: "Closed" };
-      const statusText = statusMap[channelData.status] || `Unknown (${channelData.status})`;
+      // Status display (custody ChannelStatus)
+      const statusText =
+        CHANNEL_STATUS_LABELS[channelData.status] || `Unknown (${channelData.status})`;
       if (this.elements.channelStatusDisplay) {
         this.elements.channelStatusDisplay.textContent = statusText;
         this.elements.channelStatusDisplay.style.color =
-          channelData.status === 0 ? "#4caf50" :
-          channelData.status === 1 ? "#ff9800" : "#f44336";
+          channelData.status === ChannelStatus.ACTIVE ? "#4caf50" :
+          channelData.status === ChannelStatus.DISPUTE ? "#ff9800" : "#f44336";
       }
 
       // State version display
@@ -2216,22 +2450,28 @@ export class SessionsApp {
       // Allocations display
       if (this.elements.channelAllocationsDisplay) {
         const state = channelData.lastValidState;
-        const allocHtml = state.allocations.map((a, i) => {
-          const amount = Number(a.amount) / 1_000_000;
+        const rows = state.allocations.map((a, i) => {
           const shortAddr = `${a.destination.slice(0, 6)}...${a.destination.slice(-4)}`;
-          return `<div>P${i + 1} (${shortAddr}): ${amount.toFixed(2)} USDC</div>`;
-        }).join("");
-        this.elements.channelAllocationsDisplay.innerHTML = allocHtml;
+          return html`<div>P${i + 1} (${shortAddr}): ${this.formatAsset(
+            BigInt(a.amount),
+          )}</div>`;
+        });
+        render(this.elements.channelAllocationsDisplay, html`${rows}`);
       }
 
-      if (this.elements.forceCloseStatus) {
-        this.elements.forceCloseStatus.textContent = "Channel data fetched. Ready to force close.";
-        this.elements.forceCloseStatus.style.color = "#4caf50";
+      if (channelData.status === ChannelStatus.DISPUTE) {
+        this.startChallengeCountdown(Number(channelData.challengeExpiry));
+      } else {
+        this.stopChallengeCountdown();
+        if (this.elements.forceCloseStatus) {
+          this.elements.forceCloseStatus.textContent = "Channel data fetched. Ready to force close.";
+          this.elements.forceCloseStatus.style.color = "#4caf50";
+        }
       }
 
-      this.log("Channel data fetched from contract", "success");
+      log("Channel data fetched from contract", "success");
     } catch (error) {
-      this.log(`Failed to fetch channel data: ${error.message}`, "error");
+      log(`Failed to fetch channel data: ${error.message}`, "error");
       console.error("[Sessions] fetchChannelDataOnChain error:", error);
       if (this.elements.forceCloseStatus) {
         this.elements.forceCloseStatus.textContent = `Error: ${error.message}`;
@@ -2244,24 +2484,34 @@ export class SessionsApp {
   }
 
   async forceCloseChannelOnChain() {
+    const log = this.operationLog("channel_close");
     const channelId = this.elements.forceCloseChannelId?.value?.trim();
 
     if (!channelId) {
-      this.log("Please enter a channel ID", "error");
+      log("Please enter a channel ID", "error");
       return;
     }
 
     // Check if we have fetched data for this channel
     if (!this.fetchedChannelData || this.fetchedChannelData.channelId !== channelId) {
-      this.log("Please fetch channel data first", "error");
+      log("Please fetch channel data first", "error");
       return;
     }
 
     const { lastValidState, status } = this.fetchedChannelData;
 
     // Check if channel is already closed
-    if (status === 2) {
-      this.log("Channel is already closed on-chain", "error");
+    if (status === ChannelStatus.FINAL || status === ChannelStatus.VOID) {
+      log("Channel is already closed on-chain", "error");
+      return;
+    }
+
+    // A challenged channel can only be closed once its period has passed
+    if (this.challengeCountdown && !this.challengeCountdown.isExpired) {
+      log(
+        `Challenge period still running (${formatRemaining(this.challengeCountdown.secondsLeft)} left)`,
+        "error"
+      );
       return;
     }
 
@@ -2273,7 +2523,7 @@ export class SessionsApp {
     }
 
     try {
-      this.log(`Force closing channel on-chain: ${channelId.slice(0, 10)}...`);
+      log(`Force closing channel on-chain: ${channelId.slice(0, 10)}...`);
 
       // The lastValidState from the contract should have the signatures
       // Call close with the last valid state
@@ -2283,7 +2533,9 @@ export class SessionsApp {
         [] // No additional proofs needed when using lastValidState
       );
 
-      this.log(`Close tx submitted: ${txHash.slice(0, 10)}...`, "success");
+      log(`Close tx submitted: ${txHash.slice(0, 10)}...`, "success", {
+        txHash,
+      });
 
       if (this.elements.forceCloseStatus) {
         this.elements.forceCloseStatus.textContent = `Tx submitted: ${txHash.slice(0, 10)}... Waiting for confirmation...`;
@@ -2294,7 +2546,7 @@ export class SessionsApp {
       const receipt = await this.publicClient.waitForTransactionReceipt({ hash: txHash });
 
       if (receipt.status === "success") {
-        this.log("Channel closed on-chain!", "success");
+        log("Channel closed on-chain!", "success");
         if (this.elements.forceCloseStatus) {
           this.elements.forceCloseStatus.textContent = `Success! Tx: ${txHash}`;
           this.elements.forceCloseStatus.style.color = "#4caf50";
@@ -2302,6 +2554,7 @@ export class SessionsApp {
 
         // Clear the fetched data
         this.fetchedChannelData = null;
+        this.stopChallengeCountdown();
 
         // Refresh data
         await this.refreshAllBalances();
@@ -2309,7 +2562,7 @@ export class SessionsApp {
         throw new Error("Transaction failed");
       }
     } catch (error) {
-      this.log(`Force close failed: ${error.message}`, "error");
+      log(`Force close failed: ${error.message}`, "error");
       console.error("[Sessions] forceCloseChannelOnChain error:", error);
       if (this.elements.forceCloseStatus) {
         this.elements.forceCloseStatus.textContent = `Error: ${error.message}`;
@@ -2318,7 +2571,125 @@ export class SessionsApp {
     }
   }
 
+  /**
+   * Challenge the fetched channel with its last valid on-chain state, for
+   * when the broker stops cooperating. Once the challenge period ends the
+   * force-close button finalizes the close on that state.
+   */
+  async challengeChannelOnChain() {
+    const log = this.operationLog("challenge");
+    const channelId = this.elements.forceCloseChannelId?.value?.trim();
+
+    if (!this.fetchedChannelData || this.fetchedChannelData.channelId !== channelId) {
+      log("Please fetch channel data first", "error");
+      return;
+    }
+
+    const { lastValidState, status } = this.fetchedChannelData;
+    if (status !== ChannelStatus.ACTIVE) {
+      log(
+        `Only an active channel can be challenged (this one is ${CHANNEL_STATUS_LABELS[status] || status})`,
+        "error"
+      );
+      return;
+    }
+    if (!lastValidState?.sigs || lastValidState.sigs.length < 2) {
+      log("On-chain state is not signed by both parties", "error");
+      return;
+    }
+
+    if (this.elements.forceCloseStatus) {
+      this.elements.forceCloseStatus.style.display = "block";
+      this.elements.forceCloseStatus.textContent = "Submitting challenge...";
+      this.elements.forceCloseStatus.style.color = "#888";
+    }
+
+    try {
+      log(
+        `Challenging channel ${channelId.slice(0, 10)}... with state v${lastValidState.version}`
+      );
+
+      const txHash = await submitChallenge(this.nitroliteService, {
+        channelId,
+        state: lastValidState,
+        signRaw: (raw) =>
+          this.walletClient.signMessage({
+            message: { raw },
+            account: this.userAddress,
+          }),
+      });
+      log(`Challenge tx submitted: ${txHash.slice(0, 10)}...`, "success", {
+        txHash,
+      });
+
+      const receipt = await this.publicClient.waitForTransactionReceipt({ hash: txHash });
+      if (receipt.status !== "success") {
+        throw new Error("Transaction failed");
+      }
+
+      log("Channel challenged on-chain", "success");
+      // Re-read the channel: shows the dispute status and starts the countdown
+      await this.fetchChannelDataOnChain();
+    } catch (error) {
+      log(`Challenge failed: ${error.message}`, "error");
+      console.error("[Sessions] challengeChannelOnChain error:", error);
+      if (this.elements.forceCloseStatus) {
+        this.elements.forceCloseStatus.textContent = `Error: ${error.message}`;
+        this.elements.forceCloseStatus.style.color = "#f44336";
+      }
+    }
+  }
+
+  /**
+   * Count down to `expiresAt` (unix seconds) in the force-close status line,
+   * keeping the close button disabled until it can finalize.
+   */
+  startChallengeCountdown(expiresAt) {
+    const log = this.operationLog("challenge");
+    this.stopChallengeCountdown();
+    const status = this.elements.forceCloseStatus;
+    const closeBtn = this.elements.forceCloseBtn;
+
+    if (closeBtn) closeBtn.disabled = true;
+    if (this.elements.challengeBtn) this.elements.challengeBtn.disabled = true;
+
+    this.challengeCountdown = new ChallengeCountdown(expiresAt, {
+      onTick: (secondsLeft) => {
+        if (status) {
+          status.style.display = "block";
+          status.textContent = `Challenged - finalize close possible in ${formatRemaining(secondsLeft)}`;
+          status.style.color = "#ff9800";
+        }
+      },
+      onExpire: () => {
+        if (closeBtn) {
+          closeBtn.disabled = false;
+          closeBtn.textContent = "Finalize Close";
+        }
+        if (status) {
+          status.style.display = "block";
+          status.textContent = "Challenge period over. Finalize the close on the challenged state.";
+          status.style.color = "#4caf50";
+        }
+        log("Challenge period over - channel can be finalized", "success");
+      },
+    });
+  }
+
+  stopChallengeCountdown() {
+    this.challengeCountdown?.stop();
+    this.challengeCountdown = null;
+    if (this.elements.forceCloseBtn) {
+      this.elements.forceCloseBtn.textContent = "Force Close On-Chain";
+      this.elements.forceCloseBtn.disabled = !this.userAddress;
+    }
+    if (this.elements.challengeBtn) {
+      this.elements.challengeBtn.disabled = !this.userAddress;
+    }
+  }
+
   async executeOnChainResize(resizeData) {
+    const log = this.operationLog("channel_resize");
     // This is called when we receive a successful resize_channel response with server signature
     const pending = this.pendingOnChainResize;
     this.pendingOnChainResize = null;
@@ -2326,7 +2697,7 @@ export class SessionsApp {
     if (!pending) return;
 
     try {
-      this.log("Got server signature, executing on-chain resize...");
+      log("Got server signature, executing on-chain resize...");
 
       if (this.elements.resizeStatus) {
         this.elements.resizeStatus.textContent = "Executing on-chain resize...";
@@ -2350,7 +2721,7 @@ export class SessionsApp {
       const channelId = pending.channelId;
 
       // Fetch channel data from contract to get participant order
-      this.log("Fetching channel config from contract...");
+      log("Fetching channel config from contract...");
       const channelData = await this.nitroliteService.getChannelData(channelId);
       const participants = channelData.channel.participants;
 
@@ -2415,7 +2786,7 @@ export class SessionsApp {
       let precedingState = this.channelStates.get(channelId);
       if (!precedingState) {
         // Try to fetch from contract if not in memory
-        this.log("No cached state, fetching from contract...");
+        log("No cached state, fetching from contract...");
         console.log("[Sessions] Fetching lastValidState from contract as preceding state");
 
         // channelData was already fetched above for participant order
@@ -2467,7 +2838,7 @@ export class SessionsApp {
       }
 
       // Call prepareResize to get the calldata
-      this.log("Preparing resize transaction...");
+      log("Preparing resize transaction...");
       try {
         const proofs = [precedingState]; // The preceding state is the proof
 
@@ -2494,7 +2865,7 @@ export class SessionsApp {
         console.log("[Sessions] Encoded calldata:", calldata);
         console.log("[Sessions] =============================================");
 
-        this.log("Executing on-chain resize...");
+        log("Executing on-chain resize...");
 
         const txHash = await this.nitroliteService.resize(
           channelId,
@@ -2502,7 +2873,7 @@ export class SessionsApp {
           proofs // Pass the preceding state as proof
         );
 
-        this.log(`Resize tx: ${txHash.slice(0, 10)}...`, "success");
+        log(`Resize tx: ${txHash.slice(0, 10)}...`, "success", { txHash });
 
         if (this.elements.resizeStatus) {
           this.elements.resizeStatus.textContent = `Success! Tx: ${txHash.slice(
@@ -2513,7 +2884,7 @@ export class SessionsApp {
         }
 
         await this.publicClient.waitForTransactionReceipt({ hash: txHash });
-        this.log("On-chain resize complete!", "success");
+        log("On-chain resize complete!", "success");
 
         // Update stored state for future resizes
         this.channelStates.set(channelId, resizeState);
@@ -2522,14 +2893,14 @@ export class SessionsApp {
         );
       } catch (prepareError) {
         console.error("[Sessions] prepareResize error:", prepareError);
-        this.log(`prepareResize failed: ${prepareError.message}`, "error");
+        log(`prepareResize failed: ${prepareError.message}`, "error");
         throw prepareError;
       }
 
       // Refresh balances
       await this.refreshAllBalances();
     } catch (error) {
-      this.log(`On-chain resize failed: ${error.message}`, "error");
+      log(`On-chain resize failed: ${error.message}`, "error");
       console.error("[Sessions] Full resize error:", error);
       if (this.elements.resizeStatus) {
         this.elements.resizeStatus.textContent = `Error: ${error.message}`;
@@ -2539,33 +2910,46 @@ export class SessionsApp {
   }
 
   async resizeChannelToLedger(channelId, amount, retryCount = 0) {
+    const log = this.operationLog("channel_resize", { channelId });
     try {
-      this.log("Moving funds from custody to channel (on-chain resize)...");
+      log("Moving funds from custody to channel (on-chain resize)...");
 
-      // Convert BigInt to number for the resize_amount (in microunits)
-      const amountNumber = typeof amount === "bigint" ? Number(amount) : amount;
+      const units = BigInt(amount);
 
       // Store for potential retry
-      this.pendingResize = { channelId, amount: amountNumber, retryCount };
+      this.pendingResize = { channelId, amount: units, retryCount };
 
       // Use resize_amount for on-chain custody → channel operation
       const resizeMessage = await createResizeChannelMessage(
         this.messageSigner,
         {
           channel_id: channelId,
-          resize_amount: amountNumber,
+          resize_amount: units,
           funds_destination: this.userAddress,
         }
       );
 
-      this.ws.send(resizeMessage);
+      // Retries resend the same resize, which was already counted
+      if (retryCount === 0) {
+        await this.client.spend(
+          {
+            asset: SESSIONS_CONFIG.asset,
+            amount: units,
+            operation: "Channel resize",
+          },
+          () => this.client.send(resizeMessage)
+        );
+      } else {
+        this.client.send(resizeMessage);
+      }
     } catch (error) {
-      this.log(`Resize failed: ${error.message}`, "error");
+      log(`Resize failed: ${error.message}`, "error");
       this.pendingResize = null;
     }
   }
 
   async handleResizeChannelResponse(data) {
+    const log = this.operationLog("channel_resize");
     if (data?.state || data?.channel_id) {
       // Clear pending resize on success
       this.pendingResize = null;
@@ -2581,10 +2965,10 @@ export class SessionsApp {
         const pending = this.pendingAllocate;
         this.pendingAllocate = null;
 
-        this.log(`Allocated ${pending.displayAmount} USDC to ledger!`, "success");
+        log(`Allocated ${pending.displayAmount} to ledger!`, "success");
 
         if (this.elements.allocateStatus) {
-          this.elements.allocateStatus.textContent = `Success! ${pending.displayAmount} USDC moved to ledger`;
+          this.elements.allocateStatus.textContent = `Success! ${pending.displayAmount} moved to ledger`;
           this.elements.allocateStatus.style.color = "#4caf50";
         }
 
@@ -2596,7 +2980,7 @@ export class SessionsApp {
 
       // Handle deposit/top-up flow
       if (!this.pendingWithdrawal) {
-        this.log("Funds moved to ledger!", "success");
+        log("Funds moved to ledger!", "success");
         this.getBalances();
         this.getChannels(); // Refresh channel info
         this.checkCustodyBalance(); // Update sync section
@@ -2606,20 +2990,22 @@ export class SessionsApp {
       // Handle withdrawal flow: withdraw from custody on-chain
       // (keep channel open for future use)
       if (this.pendingWithdrawal?.step === "resize_channel") {
-        this.log("Funds moved to custody. Withdrawing to wallet...");
+        log("Funds moved to custody. Withdrawing to wallet...");
         this.pendingWithdrawal.step = "on_chain_withdraw";
 
         try {
           const withdrawTxHash = await this.withdrawFromCustody(
             this.pendingWithdrawal.amountBigInt
           );
-          this.log(`Withdrawal tx: ${withdrawTxHash.slice(0, 10)}...`);
+          log(`Withdrawal tx: ${withdrawTxHash.slice(0, 10)}...`, "info", {
+            txHash: withdrawTxHash,
+          });
           await this.publicClient.waitForTransactionReceipt({
             hash: withdrawTxHash,
           });
-          this.log("Withdrawal complete!", "success");
+          log("Withdrawal complete!", "success");
         } catch (error) {
-          this.log(`On-chain withdrawal failed: ${error.message}`, "error");
+          log(`On-chain withdrawal failed: ${error.message}`, "error");
           console.error("Withdrawal error:", error);
         }
 
@@ -2631,14 +3017,15 @@ export class SessionsApp {
   }
 
   async closeChannelForWithdrawal(channelId) {
+    const log = this.operationLog("withdraw", { channelId });
     try {
       const closeMessage = await createCloseChannelMessage(this.messageSigner, {
         channel_id: channelId,
       });
 
-      this.ws.send(closeMessage);
+      this.client.send(closeMessage);
     } catch (error) {
-      this.log(`Close channel failed: ${error.message}`, "error");
+      log(`Close channel failed: ${error.message}`, "error");
       this.pendingWithdrawal = null;
     }
   }
@@ -2646,30 +3033,32 @@ export class SessionsApp {
   // ========== WITHDRAW FUNDS ==========
 
   async withdrawFunds() {
-    const amount = parseFloat(this.elements.withdrawAmount?.value || "0");
-    if (isNaN(amount) || amount <= 0) {
-      this.log("Please enter a valid withdrawal amount", "error");
-      return;
-    }
+    const log = this.operationLog("withdraw");
+    const amountInMicrounits = this.readAmount(
+      this.elements.withdrawAmount?.value,
+      "withdrawal amount"
+    );
+    if (amountInMicrounits === null) return;
 
-    const amountInMicrounits = Math.floor(amount * 1_000_000);
-    if (amountInMicrounits > this.ledgerBalance) {
-      this.log(
-        `Insufficient balance. Have: ${(this.ledgerBalance / 1_000_000).toFixed(
-          2
-        )} USDC`,
+    if (!this.balances.covers(SESSIONS_CONFIG.asset, amountInMicrounits)) {
+      log(
+        `Insufficient balance. Have: ${this.balances.format(
+          SESSIONS_CONFIG.asset
+        )}`,
         "error"
       );
       return;
     }
 
     try {
-      this.log(`Starting withdrawal: ${amount} USDC to wallet`);
+      log(
+        `Starting withdrawal: ${this.formatAsset(amountInMicrounits)} to wallet`
+      );
       await this.ensureBaseNetwork();
 
       this.pendingWithdrawal = {
         amount: amountInMicrounits,
-        amountBigInt: parseUnits(amount.toString(), 6),
+        amountBigInt: amountInMicrounits,
         step: "resize_channel",
       };
 
@@ -2694,19 +3083,20 @@ export class SessionsApp {
             token: SESSIONS_CONFIG.chain.token,
           }
         );
-        this.ws.send(channelMessage);
+        this.client.send(channelMessage);
       }
     } catch (error) {
-      this.log(`Withdrawal failed: ${error.message}`, "error");
+      log(`Withdrawal failed: ${error.message}`, "error");
     }
   }
 
   async handleCloseChannelResponse(data) {
+    const log = this.operationLog("channel_close");
     if (
       (data?.state || data?.channel_id) &&
       this.pendingWithdrawal?.step === "close_channel"
     ) {
-      this.log("Channel closed. Withdrawing from custody...", "success");
+      log("Channel closed. Withdrawing from custody...", "success");
       this.pendingWithdrawal.step = "on_chain_withdraw";
 
       try {
@@ -2714,13 +3104,15 @@ export class SessionsApp {
         const withdrawTxHash = await this.withdrawFromCustody(
           this.pendingWithdrawal.amountBigInt
         );
-        this.log(`Withdrawal tx: ${withdrawTxHash.slice(0, 10)}...`);
+        log(`Withdrawal tx: ${withdrawTxHash.slice(0, 10)}...`, "info", {
+          txHash: withdrawTxHash,
+        });
         await this.publicClient.waitForTransactionReceipt({
           hash: withdrawTxHash,
         });
-        this.log("Withdrawal complete!", "success");
+        log("Withdrawal complete!", "success");
       } catch (error) {
-        this.log(`On-chain withdrawal failed: ${error.message}`, "error");
+        log(`On-chain withdrawal failed: ${error.message}`, "error");
         console.error("Withdrawal error:", error);
       }
 
@@ -2729,7 +3121,7 @@ export class SessionsApp {
     } else if (data?.state || data?.channel_id) {
       // Manual close channel (from Close Channel button)
       const closedChannelId = data.channel_id || "unknown";
-      this.log(`Channel closed: ${closedChannelId.slice(0, 10)}...`, "success");
+      log(`Channel closed: ${closedChannelId.slice(0, 10)}...`, "success");
 
       if (this.elements.resizeStatus) {
         this.elements.resizeStatus.style.display = "block";
@@ -2786,37 +3178,34 @@ export class SessionsApp {
   // ========== APP SESSIONS ==========
 
   async createAppSession() {
+    const log = this.operationLog("session_create");
     const partnerAddress = this.elements.partnerAddress?.value.trim();
-    const amount = parseFloat(this.elements.sessionAmount?.value || "0");
 
     if (!partnerAddress || !partnerAddress.startsWith("0x")) {
-      this.log("Please enter a valid partner address", "error");
+      log("Please enter a valid partner address", "error");
       return;
     }
 
     if (partnerAddress.toLowerCase() === this.userAddress.toLowerCase()) {
-      this.log("Cannot create session with yourself", "error");
+      log("Cannot create session with yourself", "error");
       return;
     }
 
-    if (isNaN(amount) || amount <= 0) {
-      this.log("Please enter a valid amount", "error");
-      return;
-    }
+    const amountInMicrounits = this.readAmount(this.elements.sessionAmount?.value);
+    if (amountInMicrounits === null) return;
 
-    const amountInMicrounits = Math.floor(amount * 1_000_000);
-    if (amountInMicrounits > this.ledgerBalance) {
-      this.log(
-        `Insufficient balance. Have: ${(this.ledgerBalance / 1_000_000).toFixed(
-          2
-        )} USDC`,
+    if (!this.balances.covers(SESSIONS_CONFIG.asset, amountInMicrounits)) {
+      log(
+        `Insufficient balance. Have: ${this.balances.format(
+          SESSIONS_CONFIG.asset
+        )}`,
         "error"
       );
       return;
     }
 
     try {
-      this.log(
+      log(
         `Creating bidirectional session with ${partnerAddress.slice(0, 6)}...`
       );
 
@@ -2853,16 +3242,25 @@ export class SessionsApp {
         allocations,
       });
 
-      this.ws.send(message);
-      this.log("Session request sent...");
+      log("Session request sent...");
+      const response = await this.client.spend(
+        {
+          asset: SESSIONS_CONFIG.asset,
+          amount: amountInMicrounits,
+          operation: "Session deposit",
+        },
+        () => this.client.request(message)
+      );
+      this.handleCreateAppSessionResponse(response);
     } catch (error) {
-      this.log(`Failed to create session: ${error.message}`, "error");
+      log(`Failed to create session: ${error.message}`, "error");
     }
   }
 
   handleCreateAppSessionResponse(data) {
+    const log = this.operationLog("session_create");
     if (data?.app_session_id) {
-      this.log(
+      log(
         `Session created: ${data.app_session_id.slice(0, 10)}...`,
         "success"
       );
@@ -2873,21 +3271,23 @@ export class SessionsApp {
   }
 
   async getAppSessions() {
+    const log = this.operationLog("sessions");
     if (!this.isAuthenticated) return;
 
     try {
       const message = createGetAppSessionsMessageV2(this.userAddress, "open");
-      this.ws.send(message);
+      const response = await this.client.request(message);
+      this.handleGetAppSessionsResponse(response);
     } catch (error) {
-      this.log(`Failed to get sessions: ${error.message}`, "error");
+      log(`Failed to get sessions: ${error.message}`, "error");
     }
   }
 
   handleGetAppSessionsResponse(data) {
+    const log = this.operationLog("sessions");
     if (data?.app_sessions) {
       this.appSessions = data.app_sessions;
-      this.renderSessionsList();
-      this.log(`Found ${this.appSessions.length} active session(s)`);
+      log(`Found ${this.appSessions.length} active session(s)`);
     }
   }
 
@@ -2895,16 +3295,20 @@ export class SessionsApp {
     if (!this.elements.sessionsList) return;
 
     if (this.appSessions.length === 0) {
-      this.elements.sessionsList.innerHTML = `
-        <p style="color: #888; text-align: center; padding: 1rem;">
-          No active sessions. Create one above.
-        </p>
-      `;
+      render(
+        this.elements.sessionsList,
+        html`
+          <p class="empty-note centered padded">
+            No active sessions. Create one above.
+          </p>
+        `,
+      );
       return;
     }
 
-    this.elements.sessionsList.innerHTML = this.appSessions
-      .map((session) => {
+    render(
+      this.elements.sessionsList,
+      html`${this.appSessions.map((session) => {
         const partner = session.participants.find(
           (p) => p.toLowerCase() !== this.userAddress.toLowerCase()
         );
@@ -2912,13 +3316,15 @@ export class SessionsApp {
           ? `${partner.slice(0, 6)}...${partner.slice(-4)}`
           : "Unknown";
 
-        return `
+        return html`
         <div class="session-card" data-session-id="${session.app_session_id}">
           <div class="session-header">
             <span class="counterparty">Partner: ${partnerShort}</span>
-            <span class="session-status" style="color: ${
-              session.status === "open" ? "#4caf50" : "#888"
-            };">
+            <span
+              class="session-status ${
+                session.status === "open" ? "text-success" : "muted"
+              }"
+            >
               ${session.status}
             </span>
           </div>
@@ -2926,25 +3332,29 @@ export class SessionsApp {
             0,
             16
           )}...</div>
-          <div style="margin-top: 0.5rem; font-size: 0.8rem; color: #aaa;">
+          <div class="soft text-md mt-sm">
             Weights: [${session.weights.join(", ")}] | Quorum: ${session.quorum}
           </div>
           <div class="session-actions">
-            <button class="btn-pay" onclick="window.sessionsApp.showPaymentModal('${
-              session.app_session_id
-            }')">
-              💰 Pay / Refund
+            <button
+              class="btn-pay"
+              data-action="showPaymentModal"
+              data-session-id="${session.app_session_id}"
+            >
+              💰 Pay / Refund / Top up
             </button>
-            <button class="btn-close" onclick="window.sessionsApp.closeSession('${
-              session.app_session_id
-            }')">
+            <button
+              class="btn-close"
+              data-action="closeSession"
+              data-session-id="${session.app_session_id}"
+            >
               Close
             </button>
           </div>
         </div>
       `;
-      })
-      .join("");
+      })}`,
+    );
   }
 
   // Payment modal
@@ -2961,14 +3371,14 @@ export class SessionsApp {
     }
 
     this.currentSession = session;
+    this.currentSessionAllocations = null;
 
     // Find partner
     const partner = session.participants.find(
       (p) => p.toLowerCase() !== this.userAddress.toLowerCase()
     );
 
-    // Get current allocations (we need to fetch or estimate)
-    // For now, show the session info
+    // Session info now; balances once the clearnode has answered
     if (this.elements.paymentSessionId) {
       this.elements.paymentSessionId.textContent =
         sessionId.slice(0, 16) + "...";
@@ -2993,46 +3403,143 @@ export class SessionsApp {
       this.elements.paymentModal.classList.remove("hidden");
     }
 
-    // Load current allocations from session_data if available
     this.loadSessionAllocations(session);
   }
 
-  loadSessionAllocations(session) {
-    // Try to get allocations from localStorage or session_data
-    const storageKey = `session_allocations_${session.app_session_id}`;
-    const stored = localStorage.getItem(storageKey);
-
-    if (stored) {
-      try {
-        this.currentSessionAllocations = JSON.parse(stored);
-      } catch (e) {
-        this.currentSessionAllocations = null;
-      }
+  /**
+   * Show the session's allocations as the clearnode has them, flagging any
+   * difference from the copy saved in the vault after our last payment.
+   */
+  async loadSessionAllocations(session) {
+    const log = this.operationLog("sessions");
+    try {
+      const state = await this.authoritativeSessionState(session, {
+        local: this.storedSessionAllocations(session),
+        confirmMismatch: false,
+      });
+      if (this.currentSession !== session) return; // modal moved on
+      this.currentSessionAllocations = this.toTwoPartyAllocations(state);
+      this.saveSessionAllocations(session.app_session_id, state);
+    } catch (error) {
+      log(`Could not load session state: ${error.message}`, "error");
+      this.currentSessionAllocations = null;
     }
 
-    if (!this.currentSessionAllocations) {
-      // Initialize with estimated values
-      // In a real app, you'd query the clearnode for current state
-      this.currentSessionAllocations = {
-        user: 0,
-        partner: 0,
-        version: session.version || 1,
+    this.updatePaymentModalBalances();
+  }
+
+  /**
+   * Allocations saved in the vault for a session, as { version, allocations }
+   * for describeMismatch, or null if there are none (or the vault is locked).
+   */
+  storedSessionAllocations(session) {
+    if (!this.vault.isUnlocked) return null;
+    const stored = this.vault.get(`session_allocations_${session.app_session_id}`);
+    if (!stored) return null;
+
+    try {
+      // Amounts are stored as base-unit strings (older entries as numbers)
+      const data = JSON.parse(stored);
+      const partner = session.participants.find(
+        (p) => p.toLowerCase() !== this.userAddress.toLowerCase()
+      );
+      return {
+        version: data.version,
+        allocations: [
+          {
+            participant: this.userAddress,
+            asset: SESSIONS_CONFIG.asset,
+            amount: BigInt(data.user),
+          },
+          {
+            participant: partner,
+            asset: SESSIONS_CONFIG.asset,
+            amount: BigInt(data.partner),
+          },
+        ],
       };
+    } catch (e) {
+      return null;
     }
+  }
 
-    this.updatePaymentModalBalances();
+  saveSessionAllocations(sessionId, state) {
+    if (!this.vault.isUnlocked) return;
+    const { user, partner, version } = this.toTwoPartyAllocations(state);
+    this.vault.set(
+      `session_allocations_${sessionId}`,
+      JSON.stringify({
+        user: user.toString(),
+        partner: partner.toString(),
+        version,
+      })
+    );
+  }
+
+  /**
+   * Clearnode state -> { user, partner, version } in the session asset, the
+   * shape the payment modal works with.
+   */
+  toTwoPartyAllocations(state) {
+    const partner = state.participants.find(
+      (p) => p.toLowerCase() !== this.userAddress.toLowerCase()
+    );
+    return {
+      user: allocationOf(state, this.userAddress, SESSIONS_CONFIG.asset),
+      partner: partner ? allocationOf(state, partner, SESSIONS_CONFIG.asset) : 0n,
+      version: state.version,
+    };
+  }
+
+  /**
+   * Fetch the session's current version and allocations from the clearnode.
+   * Differences from `local` are logged and, with `confirmMismatch`, must be
+   * accepted before going on. Resolves to null if the user declines.
+   */
+  async authoritativeSessionState(
+    session,
+    { local = null, confirmMismatch = true } = {}
+  ) {
+    const state = await fetchAppSessionState(this.client, {
+      sessionId: session.app_session_id,
+      userAddress: this.userAddress,
+      parseAmount: (asset, amount) =>
+        this.balances.parseLedgerAmount(asset, amount),
+    });
+
+    const problems = local
+      ? describeMismatch(local, state, (asset, amount) =>
+          this.balances.format(asset, amount)
+        )
+      : [];
+    if (problems.length === 0) return state;
+
+    problems.forEach((problem) =>
+      this.log(`Local session state is out of date - ${problem}`, "error")
+    );
+    if (
+      confirmMismatch &&
+      !confirm(
+        `Your local copy of this session differs from the clearnode:\n\n${problems.join(
+          "\n"
+        )}\n\nContinue from the clearnode's current state?`
+      )
+    ) {
+      return null;
+    }
+    return state;
   }
 
   updatePaymentModalBalances() {
     if (this.elements.paymentMyBalance && this.currentSessionAllocations) {
-      this.elements.paymentMyBalance.textContent = `${(
-        this.currentSessionAllocations.user / 1_000_000
-      ).toFixed(2)} USDC`;
+      this.elements.paymentMyBalance.textContent = this.formatAsset(
+        this.currentSessionAllocations.user
+      );
     }
     if (this.elements.paymentPartnerBalance && this.currentSessionAllocations) {
-      this.elements.paymentPartnerBalance.textContent = `${(
-        this.currentSessionAllocations.partner / 1_000_000
-      ).toFixed(2)} USDC`;
+      this.elements.paymentPartnerBalance.textContent = this.formatAsset(
+        this.currentSessionAllocations.partner
+      );
     }
     if (this.elements.paymentVersion && this.currentSessionAllocations) {
       this.elements.paymentVersion.textContent =
@@ -3049,120 +3556,249 @@ export class SessionsApp {
   }
 
   async sendPayment() {
+    const log = this.operationLog("session_update");
     if (!this.currentSession) {
-      this.log("No session selected", "error");
+      log("No session selected", "error");
       return;
     }
 
-    const amount = parseFloat(this.elements.paymentAmount?.value || "0");
     const direction =
       this.elements.paymentDirection?.value || "user-to-partner";
 
-    if (isNaN(amount) || amount <= 0) {
-      this.log("Please enter a valid amount", "error");
+    const amountInMicrounits = this.readAmount(this.elements.paymentAmount?.value);
+    if (amountInMicrounits === null) return;
+    if (direction === "deposit" || direction === "withdraw") {
+      await this.changeSessionFunds(direction, amountInMicrounits);
       return;
     }
-
-    const amountInMicrounits = Math.floor(amount * 1_000_000);
+    const amount = this.formatAsset(amountInMicrounits);
     const partner = this.currentSession.participants.find(
       (p) => p.toLowerCase() !== this.userAddress.toLowerCase()
     );
 
     if (!partner) {
-      this.log("Partner not found", "error");
+      log("Partner not found", "error");
       return;
     }
 
     try {
+      // Build on the clearnode's state; what the modal showed may be stale
+      const shown = this.currentSessionAllocations;
+      const state = await this.authoritativeSessionState(this.currentSession, {
+        local: shown && {
+          version: shown.version,
+          allocations: [
+            {
+              participant: this.userAddress,
+              asset: SESSIONS_CONFIG.asset,
+              amount: shown.user,
+            },
+            {
+              participant: partner,
+              asset: SESSIONS_CONFIG.asset,
+              amount: shown.partner,
+            },
+          ],
+        },
+      });
+      if (!state) {
+        log("Payment cancelled");
+        return;
+      }
+
       // Calculate new allocations based on direction
       let newUserAmount, newPartnerAmount;
-
-      if (!this.currentSessionAllocations) {
-        this.currentSessionAllocations = { user: 0, partner: 0, version: 1 };
-      }
+      const { user, partner: partnerAmount } =
+        this.toTwoPartyAllocations(state);
 
       if (direction === "user-to-partner") {
         // User pays partner
-        newUserAmount = Math.max(
-          0,
-          this.currentSessionAllocations.user - amountInMicrounits
-        );
-        newPartnerAmount =
-          this.currentSessionAllocations.partner + amountInMicrounits;
-        this.log(`Paying ${amount} USDC to partner...`);
+        if (amountInMicrounits > user) {
+          log(`Insufficient session balance. Have: ${this.formatAsset(user)}`, "error");
+          return;
+        }
+        newUserAmount = user - amountInMicrounits;
+        newPartnerAmount = partnerAmount + amountInMicrounits;
+        log(`Paying ${amount} to partner...`);
       } else {
         // Partner refunds user (B can sign this)
-        newUserAmount =
-          this.currentSessionAllocations.user + amountInMicrounits;
-        newPartnerAmount = Math.max(
-          0,
-          this.currentSessionAllocations.partner - amountInMicrounits
-        );
-        this.log(`Receiving ${amount} USDC refund from partner...`);
+        if (amountInMicrounits > partnerAmount) {
+          log(
+            `Partner only has ${this.formatAsset(partnerAmount)} in the session`,
+            "error"
+          );
+          return;
+        }
+        newUserAmount = user + amountInMicrounits;
+        newPartnerAmount = partnerAmount - amountInMicrounits;
+        log(`Receiving ${amount} refund from partner...`);
       }
 
-      const newVersion = this.currentSessionAllocations.version + 1;
+      const newVersion = state.version + 1;
 
-      const allocations = [
-        {
-          participant: getAddress(this.userAddress),
-          asset: SESSIONS_CONFIG.asset,
-          amount: newUserAmount.toString(),
-        },
-        {
-          participant: getAddress(partner),
-          asset: SESSIONS_CONFIG.asset,
-          amount: newPartnerAmount.toString(),
-        },
-      ];
+      // Only the two balances in the session asset change
+      const allocations = state.allocations.map((a) => ({ ...a }));
+      const setAmount = (participant, amount) => {
+        const entry = allocations.find(
+          (a) =>
+            a.participant.toLowerCase() === participant.toLowerCase() &&
+            a.asset === SESSIONS_CONFIG.asset
+        );
+        if (entry) entry.amount = amount;
+        else
+          allocations.push({
+            participant: getAddress(participant),
+            asset: SESSIONS_CONFIG.asset,
+            amount,
+          });
+      };
+      setAmount(this.userAddress, newUserAmount);
+      setAmount(partner, newPartnerAmount);
 
       const message = await createSubmitAppStateMessage(this.messageSigner, {
         app_session_id: this.currentSession.app_session_id,
         intent: "operate",
         version: newVersion,
-        allocations,
+        allocations: toRPCAllocations(allocations),
         session_data: JSON.stringify({
-          lastPayment: amount,
+          lastPayment: amountInMicrounits.toString(),
           direction,
           timestamp: Date.now(),
         }),
       });
 
-      this.ws.send(message);
+      const response = await this.client.request(message);
+      this.handleSubmitAppStateResponse(response);
 
-      // Optimistically update local state
+      // Record the allocations the clearnode just accepted
       this.currentSessionAllocations = {
         user: newUserAmount,
         partner: newPartnerAmount,
         version: newVersion,
       };
 
-      // Save to localStorage
-      const storageKey = `session_allocations_${this.currentSession.app_session_id}`;
-      localStorage.setItem(
-        storageKey,
-        JSON.stringify(this.currentSessionAllocations)
+      // Save to the vault
+      if (this.vault.isUnlocked) {
+        this.saveSessionAllocations(this.currentSession.app_session_id, {
+          ...state,
+          allocations,
+          version: newVersion,
+        });
+      } else {
+        log(
+          "Vault is locked - these allocations are not saved and are lost on reload",
+          "error"
+        );
+      }
+
+      this.updatePaymentModalBalances();
+    } catch (error) {
+      log(`Payment failed: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Top up (`deposit`) or partially withdraw (`withdraw`) our allocation in
+   * the session open in the payment modal, without closing it.
+   */
+  async changeSessionFunds(intent, amountInMicrounits) {
+    const log = this.operationLog("session_update");
+    const session = this.currentSession;
+    const isDeposit = intent === "deposit";
+
+    if (
+      isDeposit &&
+      !this.balances.covers(SESSIONS_CONFIG.asset, amountInMicrounits)
+    ) {
+      log(
+        `Insufficient ledger balance. Have: ${this.balances.format(
+          SESSIONS_CONFIG.asset
+        )}`,
+        "error"
       );
+      return;
+    }
 
+    try {
+      const state = await this.authoritativeSessionState(session, {
+        local: this.storedSessionAllocations(session),
+      });
+      if (!state) {
+        log("Cancelled");
+        return;
+      }
+
+      const { user } = this.toTwoPartyAllocations(state);
+      if (!isDeposit && amountInMicrounits > user) {
+        log(
+          `You only have ${this.formatAsset(user)} in this session`,
+          "error"
+        );
+        return;
+      }
+
+      const allocations = adjustAllocation(
+        state.allocations,
+        this.userAddress,
+        SESSIONS_CONFIG.asset,
+        isDeposit ? amountInMicrounits : -amountInMicrounits
+      );
+      const version = state.version + 1;
+
+      const message = await createSubmitAppStateMessage(this.messageSigner, {
+        app_session_id: session.app_session_id,
+        intent,
+        version,
+        allocations: toRPCAllocations(allocations),
+      });
+
+      log(
+        `${isDeposit ? "Adding" : "Withdrawing"} ${this.formatAsset(
+          amountInMicrounits
+        )}...`
+      );
+      const send = () => this.client.request(message);
+      const response = isDeposit
+        ? await this.client.spend(
+            {
+              asset: SESSIONS_CONFIG.asset,
+              amount: amountInMicrounits,
+              operation: "Session top-up",
+            },
+            send
+          )
+        : await send();
+      this.handleSubmitAppStateResponse(response);
+
+      const updated = { ...state, allocations, version };
+      this.saveSessionAllocations(session.app_session_id, updated);
+      this.currentSessionAllocations = this.toTwoPartyAllocations(updated);
       this.updatePaymentModalBalances();
     } catch (error) {
-      this.log(`Payment failed: ${error.message}`, "error");
+      log(
+        `Failed to ${isDeposit ? "top up" : "withdraw from"} session: ${
+          error.message
+        }`,
+        "error"
+      );
     }
   }
 
   handleSubmitAppStateResponse(data) {
+    const log = this.operationLog("session_update");
     if (data?.app_session_id) {
-      this.log(`Payment sent! Version: ${data.version}`, "success");
+      log(`Session updated! Version: ${data.version}`, "success");
       this.getBalances();
     }
   }
 
   async closeSession(sessionId) {
+    const log = this.operationLog("session_close", { sessionId });
     const session = this.appSessions.find(
       (s) => s.app_session_id === sessionId
     );
     if (!session) {
-      this.log("Session not found", "error");
+      log("Session not found", "error");
       return;
     }
 
@@ -3175,44 +3811,15 @@ export class SessionsApp {
     }
 
     try {
-      const partner = session.participants.find(
-        (p) => p.toLowerCase() !== this.userAddress.toLowerCase()
-      );
-
-      // Get stored allocations or use defaults
-      const storageKey = `session_allocations_${sessionId}`;
-      let allocations;
-      const stored = localStorage.getItem(storageKey);
-
-      if (stored) {
-        const data = JSON.parse(stored);
-        allocations = [
-          {
-            participant: getAddress(this.userAddress),
-            asset: SESSIONS_CONFIG.asset,
-            amount: data.user.toString(),
-          },
-          {
-            participant: getAddress(partner),
-            asset: SESSIONS_CONFIG.asset,
-            amount: data.partner.toString(),
-          },
-        ];
-      } else {
-        // Default: return all to user
-        allocations = [
-          {
-            participant: getAddress(this.userAddress),
-            asset: SESSIONS_CONFIG.asset,
-            amount: "0",
-          },
-          {
-            participant: getAddress(partner),
-            asset: SESSIONS_CONFIG.asset,
-            amount: "0",
-          },
-        ];
+      // Close on the clearnode's allocations, checked against our vault copy
+      const state = await this.authoritativeSessionState(session, {
+        local: this.storedSessionAllocations(session),
+      });
+      if (!state) {
+        log("Close cancelled");
+        return;
       }
+      const allocations = toRPCAllocations(state.allocations);
 
       const message = await createCloseAppSessionMessage(this.messageSigner, {
         app_session_id: sessionId,
@@ -3220,13 +3827,16 @@ export class SessionsApp {
         session_data: JSON.stringify({ closed_at: Date.now() }),
       });
 
-      this.ws.send(message);
-      this.log("Closing session...");
+      log("Closing session...");
+      const response = await this.client.request(message);
+      this.handleCloseAppSessionResponse(response);
 
-      // Clean up localStorage
-      localStorage.removeItem(storageKey);
+      // Clean up the vault
+      if (this.vault.isUnlocked) {
+        this.vault.delete(`session_allocations_${sessionId}`);
+      }
     } catch (error) {
-      this.log(`Failed to close session: ${error.message}`, "error");
+      log(`Failed to close session: ${error.message}`, "error");
     }
   }
 
@@ -3238,8 +3848,9 @@ export class SessionsApp {
   }
 
   handleCloseAppSessionResponse(data) {
+    const log = this.operationLog("session_close");
     if (data?.app_session_id) {
-      this.log(
+      log(
         `Session closed: ${data.app_session_id.slice(0, 10)}...`,
         "success"
       );
@@ -3249,6 +3860,20 @@ export class SessionsApp {
   }
 }
 
+// App fields kept in the store. Reading one reads the store and assigning
+// one notifies the views that select it.
+const STORE_KEYS = ["userAddress", "channels", "activeChannel", "appSessions"];
+for (const key of STORE_KEYS) {
+  Object.defineProperty(SessionsApp.prototype, key, {
+    get() {
+      return this.store.get(key);
+    },
+    set(value) {
+      this.store.set({ [key]: value });
+    },
+  });
+}
+
 // Initialize when DOM is ready
 if (typeof window !== "undefined") {
   window.sessionsApp = null;
@@ -3260,17 +3885,6 @@ if (typeof window !== "undefined") {
     }
   };
 
-  // Initialize when tab is switched to sessions (lazy load)
-  const originalSwitchTab = window.switchTab;
-  window.switchTab = (tab) => {
-    if (typeof originalSwitchTab === "function") {
-      originalSwitchTab(tab);
-    }
-    if (tab === "sessions" && !window.sessionsApp) {
-      window.initSessionsApp();
-    }
-  };
-
   // Auto-init if sessions tab is default
   document.addEventListener("DOMContentLoaded", () => {
     const sessionsTab = document.getElementById("sessions-content");
@@ -0,0 +1,134 @@
+// Append-only history of every signed state per channel.
+//
+// The channel itself only keeps the latest state; this keeps all of them,
+// with both signatures, so an old state a counterparty submits in a dispute
+// can be answered with a newer one. Entries are never edited or removed.
+//
+// Stored in the vault under `yellow_state_history_<channelId>`. States
+// recorded while the vault is locked are held in memory and merged into the
+// stored history on the next unlock.
+
+const KEY_PREFIX = 'yellow_state_history_';
+
+const INTENTS = ['OPERATE', 'INITIALIZE', 'RESIZE', 'FINALIZE'];
+
+// Numeric StateIntent or the clearnode's string form
+export function intentName(intent) {
+  return typeof intent === 'number' ? INTENTS[intent] || String(intent) : String(intent ?? '').toUpperCase();
+}
+
+const sameState = (a, b) => a.version === b.version && a.sigs.join() === b.sigs.join();
+
+export class StateHistory {
+  constructor(vault) {
+    this.vault = vault;
+    this.entries = new Map(); // channelId -> entries, in the order recorded
+    this.unsaved = new Set();
+    vault.on('unlocked', () => this.merge());
+  }
+
+  // Record a signed state. `initiator` says who proposed it ('user',
+  // 'partner', 'clearnode'); `note` is free text. Re-recording the same
+  // version with the same signatures is a no-op and returns null.
+  record(channelId, signedState, { initiator, note = '' } = {}) {
+    const entry = {
+      version: signedState.version.toString(),
+      intent: signedState.intent,
+      data: signedState.data || '0x',
+      allocations: signedState.allocations.map(a => ({
+        destination: a.destination,
+        token: a.token,
+        amount: a.amount.toString()
+      })),
+      sigs: [...(signedState.sigs || [])],
+      initiator,
+      note,
+      timestamp: Date.now()
+    };
+
+    const list = this.list(channelId);
+    if (list.some(existing => sameState(existing, entry))) return null;
+
+    list.push(entry);
+    this.save(channelId);
+    return entry;
+  }
+
+  // Add entries from elsewhere (a backup) that are not here yet. Existing
+  // entries are left as they are. Returns the number added.
+  importEntries(channelId, entries = []) {
+    const list = this.list(channelId);
+    const added = entries.filter(entry => !list.some(existing => sameState(existing, entry)));
+    if (added.length === 0) return 0;
+
+    list.push(...added);
+    list.sort((a, b) => a.timestamp - b.timestamp);
+    this.save(channelId);
+    return added.length;
+  }
+
+  // Entries oldest first
+  list(channelId) {
+    if (!this.entries.has(channelId)) {
+      this.entries.set(channelId, this.vault.isUnlocked ? this.vault.get(KEY_PREFIX + channelId) || [] : []);
+    }
+    return this.entries.get(channelId);
+  }
+
+  // Highest version with both signatures - what to answer a challenge with
+  latest(channelId) {
+    return this.list(channelId)
+      .filter(entry => entry.sigs.length >= 2)
+      .reduce((best, entry) => (!best || BigInt(entry.version) > BigInt(best.version) ? entry : best), null);
+  }
+
+  // Every whitespace-separated term must appear in the entry: version
+  // ("v12" or "12"), intent, initiator, note, addresses, amounts or sigs
+  search(channelId, query = '') {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return this.list(channelId);
+
+    return this.list(channelId).filter((entry) => {
+      const text = [
+        `v${entry.version}`,
+        intentName(entry.intent),
+        entry.initiator,
+        entry.note,
+        ...entry.sigs,
+        ...entry.allocations.flatMap(a => [a.destination, a.amount])
+      ].join(' ').toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+  }
+
+  // Entry -> state with bigints, as the custody contract expects it
+  toSignedState(entry) {
+    return {
+      intent: entry.intent,
+      version: BigInt(entry.version),
+      data: entry.data,
+      allocations: entry.allocations.map(a => ({ ...a, amount: BigInt(a.amount) })),
+      sigs: [...entry.sigs]
+    };
+  }
+
+  save(channelId) {
+    if (!this.vault.isUnlocked) {
+      this.unsaved.add(channelId);
+      return;
+    }
+    this.vault.set(KEY_PREFIX + channelId, this.entries.get(channelId));
+    this.unsaved.delete(channelId);
+  }
+
+  // On unlock: combine what is stored with anything recorded since the
+  // channel was first read, keeping recording order
+  merge() {
+    for (const [channelId, recorded] of this.entries) {
+      const stored = this.vault.get(KEY_PREFIX + channelId) || [];
+      const added = recorded.filter(entry => !stored.some(existing => sameState(existing, entry)));
+      this.entries.set(channelId, [...stored, ...added].sort((a, b) => a.timestamp - b.timestamp));
+      if (added.length > 0 || this.unsaved.has(channelId)) this.save(channelId);
+    }
+  }
+}
@@ -0,0 +1,87 @@
+// Observable app state.
+//
+// One plain object, changed through set(), update() or touch(). Views
+// subscribe with a selector and are called when what it selects changes
+// (Object.is; a selector may return an array, compared element by element).
+// Notifications are batched to the end of the current task, so a handler
+// that changes several keys renders each view once.
+//
+// Collections can be changed in place as long as touch(key) follows; that
+// gives the key a new identity (a shallow copy) so selectors see a change.
+
+const copy = (value) => {
+  if (value instanceof Map) return new Map(value);
+  if (value instanceof Set) return new Set(value);
+  if (Array.isArray(value)) return [...value];
+  if (value && typeof value === 'object') return { ...value };
+  return value;
+};
+
+const same = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((value, i) => Object.is(value, b[i]));
+  return Object.is(a, b);
+};
+
+export class Store {
+  constructor(initial = {}) {
+    this.state = { ...initial };
+    this.subscriptions = new Set();
+    this.scheduled = false;
+  }
+
+  get(key) {
+    return this.state[key];
+  }
+
+  set(patch) {
+    const changed = Object.keys(patch).some(key => !Object.is(patch[key], this.state[key]));
+    if (!changed) return;
+    this.state = { ...this.state, ...patch };
+    this.schedule();
+  }
+
+  update(key, fn) {
+    this.set({ [key]: fn(this.state[key]) });
+  }
+
+  // After changing a collection in place
+  touch(...keys) {
+    this.set(Object.fromEntries(keys.map(key => [key, copy(this.state[key])])));
+  }
+
+  // `listener(value, previous, state)`. With `immediate` it also runs now
+  // with the current value. Returns an unsubscribe function.
+  subscribe(selector, listener, { immediate = false } = {}) {
+    const subscription = { selector, listener, value: selector(this.state) };
+    this.subscriptions.add(subscription);
+    if (immediate) this.call(subscription, subscription.value, undefined);
+    return () => this.subscriptions.delete(subscription);
+  }
+
+  schedule() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    queueMicrotask(() => {
+      this.scheduled = false;
+      this.flush();
+    });
+  }
+
+  flush() {
+    for (const subscription of [...this.subscriptions]) {
+      const value = subscription.selector(this.state);
+      if (same(value, subscription.value)) continue;
+      const previous = subscription.value;
+      subscription.value = value;
+      this.call(subscription, value, previous);
+    }
+  }
+
+  call(subscription, value, previous) {
+    try {
+      subscription.listener(value, previous, this.state);
+    } catch (error) {
+      console.error('Store subscriber failed:', error);
+    }
+  }
+}
@@ -0,0 +1,30 @@
+// Tab navigation and collapsible sections. Bound here rather than through
+// inline script and onclick attributes, so the page runs under a CSP
+// without 'unsafe-inline'.
+
+function switchTab(tab) {
+  // Update tab buttons
+  document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tab));
+
+  // Update tab content
+  document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+  document.getElementById(`${tab}-content`).classList.add('active');
+
+  // The sessions app is created the first time its tab is shown
+  if (tab === 'sessions') window.initSessionsApp?.();
+}
+
+function toggleCollapsible(header) {
+  const content = header.nextElementSibling;
+  const collapsed = content.style.display !== 'none';
+  content.style.display = collapsed ? 'none' : 'block';
+  header.classList.toggle('collapsed', collapsed);
+}
+
+document.querySelectorAll('.tab-btn[data-tab]').forEach((btn) => {
+  btn.addEventListener('click', () => switchTab(btn.dataset.tab));
+});
+
+document.querySelectorAll('.collapsible-header').forEach((header) => {
+  header.addEventListener('click', () => toggleCollapsible(header));
+});
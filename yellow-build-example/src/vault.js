@@ -0,0 +1,297 @@
+// Encrypted key/value store in IndexedDB for secrets the apps keep locally:
+// partner private keys, session keys, signed channel states and session
+// allocations.
+//
+// Clearnode session keys reach the client through asStorage(). A client that
+// connects while the vault is locked mints a session key that lives only in
+// memory until the vault is unlocked; it is never written out in plaintext.
+//
+// Every value is JSON, encrypted with AES-GCM under a key derived from the
+// user's passphrase (PBKDF2-SHA256). Nothing is readable until unlock(); the
+// decrypted entries are then held in memory, so reads are synchronous, and
+// dropped again on lock() or after `idleTimeoutMs` without touch().
+//
+// Events: unlocked ({ migrated }), locked ({ reason }), error (error)
+
+const DB_VERSION = 1;
+const META_STORE = 'meta';
+const ENTRY_STORE = 'entries';
+const CHECK_TEXT = 'yellow-vault';
+
+export const DEFAULT_VAULT = {
+  dbName: 'yellow-vault',
+  idleTimeoutMs: 10 * 60 * 1000,
+  iterations: 600000
+};
+
+// localStorage prefixes whose plaintext entries move into the vault on unlock
+export const MIGRATED_PREFIXES = [
+  'yellow_channels_',
+  'session_allocations_',
+  'yellow_session_key_',
+  'yellow_allowance_usage_'
+];
+
+export class VaultLockedError extends Error {
+  constructor(message = 'Vault is locked') {
+    super(message);
+    this.name = 'VaultLockedError';
+  }
+}
+
+// IDBRequest -> Promise
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export class Vault {
+  constructor({
+    dbName = DEFAULT_VAULT.dbName,
+    idleTimeoutMs = DEFAULT_VAULT.idleTimeoutMs,
+    iterations = DEFAULT_VAULT.iterations,
+    indexedDB = globalThis.indexedDB,
+    crypto = globalThis.crypto,
+    legacyStorage = null
+  } = {}) {
+    this.dbName = dbName;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.iterations = iterations;
+    this.indexedDB = indexedDB;
+    this.subtle = crypto?.subtle;
+    this.crypto = crypto;
+    this.legacyStorage = legacyStorage; // plaintext store migrated on unlock
+
+    this.db = null;
+    this.key = null;
+    this.cache = new Map(); // decrypted entries while unlocked
+    this.idleTimer = null;
+    this.writes = Promise.resolve();
+    this.listeners = new Map();
+  }
+
+  // ============ EVENTS ============
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, ...args) {
+    for (const handler of this.listeners.get(event) || []) {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`Vault ${event} handler failed:`, error);
+      }
+    }
+  }
+
+  // ============ LOCK STATE ============
+
+  get isUnlocked() {
+    return this.key !== null;
+  }
+
+  get isSupported() {
+    return Boolean(this.indexedDB && this.subtle);
+  }
+
+  // True once a passphrase has been set
+  async isInitialized() {
+    const db = await this.open();
+    return Boolean(await settle(db.transaction(META_STORE).objectStore(META_STORE).get('kdf')));
+  }
+
+  // First unlock sets the passphrase; later ones must match it. Plaintext
+  // entries left in `legacyStorage` are moved in before 'unlocked' fires.
+  async unlock(passphrase) {
+    if (!passphrase) throw new Error('Passphrase required');
+    if (!this.isSupported) throw new Error('IndexedDB and WebCrypto are required for the vault');
+
+    const db = await this.open();
+    let kdf = await settle(db.transaction(META_STORE).objectStore(META_STORE).get('kdf'));
+
+    if (!kdf) {
+      const salt = this.crypto.getRandomValues(new Uint8Array(16));
+      const key = await this.deriveKey(passphrase, salt, this.iterations);
+      kdf = { salt, iterations: this.iterations, check: await this.encrypt(key, CHECK_TEXT) };
+      await settle(db.transaction(META_STORE, 'readwrite').objectStore(META_STORE).put(kdf, 'kdf'));
+      this.key = key;
+    } else {
+      const key = await this.deriveKey(passphrase, kdf.salt, kdf.iterations);
+      try {
+        if (await this.decrypt(key, kdf.check) !== CHECK_TEXT) throw new Error();
+      } catch {
+        throw new Error('Wrong vault passphrase');
+      }
+      this.key = key;
+    }
+
+    await this.loadEntries();
+    const migrated = await this.migrateFrom(this.legacyStorage);
+    this.touch();
+    this.emit('unlocked', { migrated });
+    return { migrated };
+  }
+
+  lock(reason = 'Locked') {
+    if (!this.isUnlocked) return;
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.key = null;
+    this.cache.clear();
+    this.emit('locked', { reason });
+  }
+
+  // Call on user activity to postpone the idle auto-lock
+  touch() {
+    if (!this.isUnlocked || !this.idleTimeoutMs) return;
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.lock('Locked after inactivity'), this.idleTimeoutMs);
+  }
+
+  // ============ ENTRIES ============
+
+  get(key) {
+    if (!this.isUnlocked) throw new VaultLockedError();
+    return this.cache.has(key) ? structuredClone(this.cache.get(key)) : null;
+  }
+
+  keys(prefix = '') {
+    if (!this.isUnlocked) throw new VaultLockedError();
+    return [...this.cache.keys()].filter(key => key.startsWith(prefix));
+  }
+
+  // The cache updates immediately; the encrypted write is queued so writes
+  // land in order. The returned promise settles once it is on disk.
+  set(key, value) {
+    if (!this.isUnlocked) throw new VaultLockedError();
+    this.cache.set(key, structuredClone(value));
+    const cryptoKey = this.key;
+    return this.enqueue(async () => {
+      const record = await this.encrypt(cryptoKey, JSON.stringify(value));
+      const db = await this.open();
+      await settle(db.transaction(ENTRY_STORE, 'readwrite').objectStore(ENTRY_STORE).put(record, key));
+    });
+  }
+
+  delete(key) {
+    if (!this.isUnlocked) throw new VaultLockedError();
+    this.cache.delete(key);
+    return this.enqueue(async () => {
+      const db = await this.open();
+      await settle(db.transaction(ENTRY_STORE, 'readwrite').objectStore(ENTRY_STORE).delete(key));
+    });
+  }
+
+  enqueue(task) {
+    const result = this.writes.then(task);
+    this.writes = result.catch((error) => this.emit('error', error));
+    return result;
+  }
+
+  // Synchronous localStorage-shaped view for code written against Storage
+  // (the Clearnode client's session keys). Reads return null and writes are
+  // dropped while locked, so nothing falls back to plaintext.
+  asStorage() {
+    return {
+      getItem: (key) => {
+        if (!this.isUnlocked) return null;
+        const value = this.get(key);
+        return value === null ? null : String(value);
+      },
+      setItem: (key, value) => {
+        if (this.isUnlocked) this.set(key, String(value));
+      },
+      removeItem: (key) => {
+        if (this.isUnlocked) this.delete(key);
+      }
+    };
+  }
+
+  // Move plaintext entries with the given prefixes out of `storage` and
+  // into the vault. Returns the number of entries moved.
+  async migrateFrom(storage, prefixes = MIGRATED_PREFIXES) {
+    if (!this.isUnlocked) throw new VaultLockedError();
+    if (!storage) return 0;
+
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (prefixes.some(prefix => key.startsWith(prefix))) keys.push(key);
+    }
+
+    // Values stay the serialized strings they were, to be read back through
+    // asStorage(). An entry already in the vault is newer than the plaintext.
+    for (const key of keys) {
+      if (!this.cache.has(key)) await this.set(key, storage.getItem(key));
+      storage.removeItem(key);
+    }
+    return keys.length;
+  }
+
+  // ============ INTERNALS ============
+
+  async open() {
+    if (this.db) return this.db;
+    if (!this.indexedDB) throw new Error('IndexedDB is not available');
+
+    const request = this.indexedDB.open(this.dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE);
+      if (!db.objectStoreNames.contains(ENTRY_STORE)) db.createObjectStore(ENTRY_STORE);
+    };
+    this.db = await settle(request);
+    return this.db;
+  }
+
+  async loadEntries() {
+    const db = await this.open();
+    const store = db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE);
+    const [keys, records] = await Promise.all([settle(store.getAllKeys()), settle(store.getAll())]);
+
+    this.cache.clear();
+    for (let i = 0; i < keys.length; i++) {
+      try {
+        this.cache.set(keys[i], JSON.parse(await this.decrypt(this.key, records[i])));
+      } catch (error) {
+        this.emit('error', new Error(`Could not decrypt vault entry ${keys[i]}`));
+      }
+    }
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await this.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return this.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async encrypt(key, text) {
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const data = await this.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv, data: new Uint8Array(data) };
+  }
+
+  async decrypt(key, { iv, data }) {
+    const plain = await this.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    return new TextDecoder().decode(plain);
+  }
+}
+
+// One vault per page, shared by every app instance
+let shared = null;
+
+export function getSharedVault() {
+  if (!shared) shared = new Vault({ legacyStorage: globalThis.localStorage ?? null });
+  return shared;
+}
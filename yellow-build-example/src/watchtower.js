@@ -0,0 +1,206 @@
+import { createPublicClient, http } from 'viem';
+import { CustodyAbi, ChannelStatus } from '@erc7824/nitrolite';
+
+// Watches the custody contracts for challenges on the channels we track
+// and answers a stale one with our newest signed state.
+//
+// Each poll reads `Challenged` events since the last block seen, per chain.
+// A channel seen for the first time is also read with getChannelData, so a
+// dispute opened before watching started (or outside the log window) is
+// still caught. What to watch, which state is newest and how to submit it
+// are supplied by the app:
+//
+//   channels()                  -> [{ channelId, chainId, chainConfig }]
+//   latestState(channelId)      -> newest fully signed state, or null
+//   respond(channelId, state)   -> submits it on-chain, resolves when mined
+//
+// Events: log (message, type, context), challenged ({ channelId, version, expiresAt }),
+//         responded ({ channelId, version }), error (error)
+
+export const DEFAULT_WATCHTOWER = {
+  pollIntervalMs: 60000,
+  lookbackBlocks: 5000,
+  maxBlockRange: 2000
+};
+
+export class Watchtower {
+  constructor({ channels, latestState, respond, ...options }) {
+    this.channels = channels;
+    this.latestState = latestState;
+    this.respond = respond;
+    this.options = { ...DEFAULT_WATCHTOWER, ...options };
+
+    this.timer = null;
+    this.polling = false;
+    this.clients = new Map(); // chainId -> public client
+    this.lastBlock = new Map(); // chainId -> last block scanned
+    this.swept = new Set(); // channels checked with getChannelData
+    this.handled = new Set(); // `${channelId}:${version}:${expiresAt}` answered or given up on
+    this.listeners = new Map();
+  }
+
+  // ============ EVENTS ============
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, ...args) {
+    for (const handler of this.listeners.get(event) || []) {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`Watchtower ${event} handler failed:`, error);
+      }
+    }
+  }
+
+  log(message, type = 'info', context = {}) {
+    this.emit('log', `Watchtower: ${message}`, type, context);
+  }
+
+  // ============ LIFECYCLE ============
+
+  get isRunning() {
+    return this.timer !== null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.timer = setInterval(() => this.poll(), this.options.pollIntervalMs);
+    this.log(`watching custody for challenges every ${Math.round(this.options.pollIntervalMs / 1000)}s`);
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // ============ POLLING ============
+
+  async poll() {
+    if (this.polling) return; // previous round still running
+    this.polling = true;
+    try {
+      const byChain = new Map();
+      for (const channel of this.channels()) {
+        if (!byChain.has(channel.chainId)) byChain.set(channel.chainId, []);
+        byChain.get(channel.chainId).push(channel);
+      }
+
+      for (const [chainId, channels] of byChain) {
+        if (!this.isRunning) break; // stopped mid-round
+        try {
+          await this.pollChain(chainId, channels);
+        } catch (error) {
+          this.emit('error', error);
+          this.log(`could not check chain ${channels[0].chainConfig?.name || chainId}: ${error.shortMessage || error.message}`, 'error');
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async pollChain(chainId, channels) {
+    const { chainConfig } = channels[0];
+    const client = this.clientFor(chainId, chainConfig);
+    if (!client) return;
+
+    for (const { channelId } of channels) {
+      if (this.swept.has(channelId)) continue;
+      const data = await client.readContract({
+        address: chainConfig.custody,
+        abi: CustodyAbi,
+        functionName: 'getChannelData',
+        args: [channelId]
+      });
+      this.swept.add(channelId);
+      // [channel, status, wallets, challengeExpiry, lastValidState]
+      if (data[1] === ChannelStatus.DISPUTE) {
+        await this.handleChallenge(channelId, data[4].version, data[3]);
+      }
+    }
+
+    const latest = await client.getBlockNumber();
+    let fromBlock = this.lastBlock.get(chainId) ?? latest - BigInt(this.options.lookbackBlocks);
+    if (fromBlock < 0n) fromBlock = 0n;
+
+    const ids = channels.map(c => c.channelId);
+    while (fromBlock <= latest) {
+      const toBlock = fromBlock + BigInt(this.options.maxBlockRange) - 1n < latest
+        ? fromBlock + BigInt(this.options.maxBlockRange) - 1n
+        : latest;
+      const events = await client.getContractEvents({
+        address: chainConfig.custody,
+        abi: CustodyAbi,
+        eventName: 'Challenged',
+        args: { channelId: ids },
+        fromBlock,
+        toBlock
+      });
+      for (const { args } of events) {
+        await this.handleChallenge(args.channelId, args.state.version, args.expiration);
+      }
+      this.lastBlock.set(chainId, toBlock + 1n);
+      fromBlock = toBlock + 1n;
+    }
+  }
+
+  clientFor(chainId, chainConfig) {
+    if (!this.clients.has(chainId)) {
+      this.clients.set(chainId, chainConfig?.chain || chainConfig?.rpcUrl
+        ? createPublicClient({ chain: chainConfig.chain || undefined, transport: http(chainConfig.rpcUrl) })
+        : null);
+      if (!this.clients.get(chainId)) {
+        this.log(`no RPC configured for ${chainConfig?.name || `chain ${chainId}`}, not watching it`, 'warn');
+      }
+    }
+    return this.clients.get(chainId);
+  }
+
+  // ============ RESPONSE ============
+
+  async handleChallenge(channelId, challengedVersion, expiration) {
+    const key = `${channelId}:${challengedVersion}:${expiration}`;
+    if (this.handled.has(key)) return;
+
+    const version = BigInt(challengedVersion);
+    const expiresAt = Number(expiration);
+    const secondsLeft = expiresAt - Math.floor(Date.now() / 1000);
+    const short = `${channelId.slice(0, 10)}...`;
+
+    this.emit('challenged', { channelId, version, expiresAt });
+    this.log(`channel ${short} challenged with state v${version}, period ends ${new Date(expiresAt * 1000).toLocaleString()}`, 'warn', { channelId });
+
+    if (secondsLeft <= 0) {
+      this.handled.add(key);
+      this.log(`challenge period for ${short} is already over - it can only be finalized now`, 'error', { channelId });
+      return;
+    }
+
+    const ours = this.latestState(channelId);
+    if (!ours || BigInt(ours.version) <= version) {
+      this.handled.add(key);
+      this.log(`${short}: challenged state is our newest (v${ours?.version ?? 'none'}), nothing to answer with`, 'info', { channelId });
+      return;
+    }
+
+    // Marked before submitting so an overlapping poll doesn't send it twice;
+    // unmarked on failure so the next poll retries while time remains
+    this.handled.add(key);
+    try {
+      this.log(`${short}: submitting our v${ours.version} against stale v${version} (${Math.floor(secondsLeft / 60)} min left)...`, 'info', { channelId });
+      await this.respond(channelId, ours);
+      this.emit('responded', { channelId, version: BigInt(ours.version) });
+      this.log(`${short}: challenge answered with v${ours.version}`, 'info', { channelId });
+    } catch (error) {
+      this.handled.delete(key);
+      this.emit('error', error);
+      this.log(`${short}: response failed, retrying next poll: ${error.shortMessage || error.message}`, 'error', { channelId });
+    }
+  }
+}
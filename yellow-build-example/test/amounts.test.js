@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AmountError, formatAmount, parseAmount } from '../src/amounts.js';
+
+test('parseAmount turns decimal strings into base units', () => {
+  assert.equal(parseAmount('12.5', 6), 12500000n);
+  assert.equal(parseAmount('0.000001', 6), 1n);
+  assert.equal(parseAmount(' 7 ', 6), 7000000n);
+  assert.equal(parseAmount('.5', 2), 50n);
+  assert.equal(parseAmount('3.', 2), 300n);
+  assert.equal(parseAmount('1', 0), 1n);
+});
+
+test('parseAmount is exact where floats are not', () => {
+  assert.equal(parseAmount('0.1', 18) + parseAmount('0.2', 18), parseAmount('0.3', 18));
+  assert.equal(parseAmount('123456789012345678.123456', 6), 123456789012345678123456n);
+});
+
+test('parseAmount rejects anything but a plain decimal', () => {
+  for (const value of ['', '.', '-1', '+1', '1e6', '1,5', 'abc', '1.2.3', null, undefined]) {
+    assert.throws(() => parseAmount(value, 6), AmountError, `accepted ${value}`);
+  }
+});
+
+test('parseAmount rejects more decimals than the asset has instead of rounding', () => {
+  assert.throws(() => parseAmount('0.0000001', 6), /at most 6 decimal places/);
+  assert.throws(() => parseAmount('1.5', 0), /at most 0 decimal places/);
+});
+
+test('formatAmount pads to two decimals and trims the rest', () => {
+  assert.equal(formatAmount(12500000n, 6), '12.50');
+  assert.equal(formatAmount(12345678n, 6), '12.345678');
+  assert.equal(formatAmount(1n, 6), '0.000001');
+  assert.equal(formatAmount(0n, 6), '0.00');
+  assert.equal(formatAmount(5n, 0), '5');
+});
+
+test('formatAmount takes minFraction, negatives and non-bigint input', () => {
+  assert.equal(formatAmount(12000000n, 6, { minFraction: 0 }), '12');
+  assert.equal(formatAmount(-1500000n, 6), '-1.50');
+  assert.equal(formatAmount('2500000', 6), '2.50');
+});
+
+test('formatAmount and parseAmount round-trip', () => {
+  for (const units of [0n, 1n, 999999n, 1000000n, 123456789n]) {
+    assert.equal(parseAmount(formatAmount(units, 6), 6), units);
+  }
+});
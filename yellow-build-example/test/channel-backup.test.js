@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getChannelId, getPackedState } from '@erc7824/nitrolite';
+import { privateKeyToAccount } from 'viem/accounts';
+import {
+  BackupError,
+  checkStateSignatures,
+  decodeBackup,
+  deserializeChannel,
+  encodeBackup,
+  serializeChannel
+} from '../src/channel-backup.js';
+
+const user = privateKeyToAccount(`0x${'11'.repeat(32)}`);
+const partner = privateKeyToAccount(`0x${'22'.repeat(32)}`);
+const outsider = privateKeyToAccount(`0x${'33'.repeat(32)}`);
+const token = '0x000000000000000000000000000000000000dEaD';
+const chainId = 11155111;
+
+const channel = {
+  participants: [user.address, partner.address],
+  adjudicator: '0x000000000000000000000000000000000000bEEF',
+  challenge: 3600n,
+  nonce: 42n
+};
+const channelId = getChannelId(channel, chainId);
+
+const state = {
+  intent: 1,
+  version: 3n,
+  data: '0x',
+  allocations: [
+    { destination: user.address, token, amount: 700n },
+    { destination: partner.address, token, amount: 300n }
+  ]
+};
+
+const signedBy = async (...signers) => ({
+  ...state,
+  sigs: await Promise.all(signers.map(signer => signer.signMessage({ message: { raw: getPackedState(channelId, state) } })))
+});
+
+const channelData = (overrides = {}) => ({
+  chainId,
+  depositedAmount: 1000n,
+  partnerAddress: partner.address,
+  tokenAddress: token,
+  status: 'open',
+  currentState: { version: 3n, allocations: state.allocations },
+  latestSignedState: null,
+  channel,
+  ...overrides
+});
+
+// ============ CHANNEL IDS ============
+
+test('a serialized channel recomputes to its own channel id', () => {
+  const entry = serializeChannel(channelData());
+  assert.equal(getChannelId(deserializeChannel(entry).channel, entry.chainId), channelId);
+});
+
+test('a tampered channel struct no longer matches the channel id', () => {
+  const entry = serializeChannel(channelData());
+  for (const tampered of [
+    { ...entry.channel, participants: [user.address, outsider.address] },
+    { ...entry.channel, nonce: '43' },
+    { ...entry.channel, challenge: '1' }
+  ]) {
+    const restored = deserializeChannel({ ...entry, channel: tampered });
+    assert.notEqual(getChannelId(restored.channel, entry.chainId), channelId);
+  }
+  assert.notEqual(getChannelId(deserializeChannel(entry).channel, 1), channelId);
+});
+
+test('serializeChannel and deserializeChannel round trip bigints', () => {
+  const data = channelData({ latestSignedState: { ...state, sigs: ['0x01'] } });
+  const restored = deserializeChannel(JSON.parse(JSON.stringify(serializeChannel(data))), { name: 'Sepolia' });
+  assert.deepEqual(restored.channel, channel);
+  assert.equal(restored.depositedAmount, 1000n);
+  assert.deepEqual(restored.latestSignedState, data.latestSignedState);
+  assert.deepEqual(restored.chainConfig, { name: 'Sepolia' });
+});
+
+// ============ STATE SIGNATURES ============
+
+test('checkStateSignatures accepts a state signed by both participants', async () => {
+  assert.equal(await checkStateSignatures(channelId, channel.participants, await signedBy(user, partner)), null);
+});
+
+test('checkStateSignatures rejects unsigned, foreign, repeated and malformed signatures', async () => {
+  const participants = channel.participants;
+  assert.equal(await checkStateSignatures(channelId, participants, { ...state, sigs: [] }), 'state is not signed');
+  assert.equal(await checkStateSignatures(channelId, participants, await signedBy(user, outsider)), 'signature 2 is not from a participant');
+  assert.equal(await checkStateSignatures(channelId, participants, await signedBy(partner, partner)), 'signature 2 repeats a signer');
+  assert.equal(await checkStateSignatures(channelId, participants, { ...state, sigs: ['0x1234'] }), 'signature 1 is malformed');
+});
+
+test('checkStateSignatures rejects signatures over another channel', async () => {
+  const otherId = getChannelId({ ...channel, nonce: 43n }, chainId);
+  assert.equal(await checkStateSignatures(otherId, channel.participants, await signedBy(user)), 'signature 1 is not from a participant');
+});
+
+// ============ BACKUP FILES ============
+
+const backupWith = (data) => ({
+  format: 'yellow-channel-backup',
+  version: 1,
+  environment: 'testnet',
+  userAddress: user.address,
+  channels: [{ channelId, ...serializeChannel(data), history: [] }]
+});
+
+// What a backup reads back as: JSON leaves out undefined fields
+const asRead = (backup) => JSON.parse(JSON.stringify(backup));
+
+test('encodeBackup refuses partner keys without a passphrase', async () => {
+  const backup = backupWith(channelData({ partnerPrivateKey: `0x${'22'.repeat(32)}` }));
+  await assert.rejects(encodeBackup(backup), BackupError);
+});
+
+test('an unencrypted backup decodes as written', async () => {
+  const backup = backupWith(channelData());
+  assert.deepEqual(await decodeBackup(await encodeBackup(backup)), asRead(backup));
+});
+
+test('an encrypted backup needs its passphrase', async () => {
+  const backup = backupWith(channelData({ partnerPrivateKey: `0x${'22'.repeat(32)}` }));
+  const text = await encodeBackup(backup, 'correct horse');
+  assert.ok(!text.includes(backup.channels[0].partnerPrivateKey));
+  assert.deepEqual(await decodeBackup(text, 'correct horse'), asRead(backup));
+  await assert.rejects(decodeBackup(text, 'wrong'), { name: 'BackupError', message: 'Wrong backup passphrase' });
+  await assert.rejects(decodeBackup(text), { name: 'BackupError', message: 'Backup is encrypted - enter its passphrase' });
+});
+
+test('decodeBackup rejects files that are not backups', async () => {
+  await assert.rejects(decodeBackup('not json'), BackupError);
+  await assert.rejects(decodeBackup('{"format":"other"}'), BackupError);
+  await assert.rejects(decodeBackup('{"format":"yellow-channel-backup","version":99,"channels":[]}'), BackupError);
+});
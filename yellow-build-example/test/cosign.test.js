@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getChannelId, getPackedState } from '@erc7824/nitrolite';
+import { privateKeyToAccount } from 'viem/accounts';
+import { serializeState } from '../src/channel-backup.js';
+import { CoSignError, CoSigner } from '../src/cosign.js';
+
+const user = privateKeyToAccount(`0x${'11'.repeat(32)}`);
+const partner = privateKeyToAccount(`0x${'22'.repeat(32)}`);
+const chainId = 11155111;
+const channel = {
+  participants: [partner.address, user.address],
+  adjudicator: '0x000000000000000000000000000000000000bEEF',
+  challenge: 3600n,
+  nonce: 7n
+};
+const channelId = getChannelId(channel, chainId);
+const state = {
+  intent: 0,
+  version: 4n,
+  data: '0x',
+  allocations: [
+    { destination: partner.address, token: '0x000000000000000000000000000000000000dEaD', amount: 400n },
+    { destination: user.address, token: '0x000000000000000000000000000000000000dEaD', amount: 600n }
+  ]
+};
+
+// Delivers messages to the co-signer and keeps what it sends back
+class FakeTransport {
+  constructor({ connected = true } = {}) {
+    this.isConnected = connected;
+    this.handlers = [];
+    this.sent = [];
+  }
+
+  on(event, handler) {
+    if (event === 'message') this.handlers.push(handler);
+  }
+
+  send(message) {
+    if (!this.isConnected) throw new CoSignError('Partner is not connected to the relay');
+    this.sent.push(message);
+  }
+
+  deliver(message) {
+    for (const handler of this.handlers) handler(message);
+  }
+}
+
+const next = (emitter, event) => new Promise(resolve => emitter.on(event, (...args) => resolve(args)));
+
+async function requestMessage(overrides = {}) {
+  const signature = await partner.signMessage({ message: { raw: getPackedState(channelId, state) } });
+  return {
+    type: 'cosign_request',
+    id: 'request-1',
+    channelId,
+    chainId,
+    channel: { ...channel, challenge: '3600', nonce: '7' },
+    state: serializeState({ ...state, sigs: [signature] }),
+    proposer: partner.address,
+    ...overrides
+  };
+}
+
+// A rejection escaping the message handler would fail the test run
+function watchUnhandled(t) {
+  const unhandled = [];
+  const record = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', record);
+  t.after(() => process.off('unhandledRejection', record));
+  return unhandled;
+}
+
+const settled = () => new Promise(resolve => setImmediate(resolve));
+
+test('a valid request is passed on for review', async () => {
+  const transport = new FakeTransport();
+  const coSigner = new CoSigner({ transport, userAddress: user.address });
+  const received = next(coSigner, 'request');
+  transport.deliver(await requestMessage());
+  const [request] = await received;
+  assert.equal(request.channelId, channelId);
+  assert.equal(request.state.version, 4n);
+  assert.deepEqual(transport.sent, []);
+});
+
+test('a malformed request is rejected without an unhandled rejection', async (t) => {
+  const unhandled = watchUnhandled(t);
+  for (const overrides of [
+    { channel: { ...channel, challenge: 'soon', nonce: '7' } },
+    { state: { ...(await requestMessage()).state, version: '1.5' } },
+    { state: null },
+    { channel: { participants: 'everyone' } }
+  ]) {
+    const transport = new FakeTransport();
+    const coSigner = new CoSigner({ transport, userAddress: user.address });
+    const logged = next(coSigner, 'log');
+    transport.deliver(await requestMessage(overrides));
+    const [message, type] = await logged;
+    assert.match(message, /^Rejected co-sign request/);
+    assert.equal(type, 'error');
+    assert.equal(transport.sent[0]?.type, 'cosign_reject');
+    assert.equal(transport.sent[0].id, 'request-1');
+  }
+  await settled();
+  assert.deepEqual(unhandled, []);
+});
+
+test('a request from someone else is rejected', async () => {
+  const transport = new FakeTransport();
+  const coSigner = new CoSigner({ transport, userAddress: user.address });
+  const logged = next(coSigner, 'log');
+  transport.deliver(await requestMessage({ proposer: user.address }));
+  assert.match((await logged)[0], /proposer is not the other participant/);
+});
+
+test('a rejection the peer is gone for is logged, not thrown', async (t) => {
+  const unhandled = watchUnhandled(t);
+  const transport = new FakeTransport({ connected: false });
+  const coSigner = new CoSigner({ transport, userAddress: user.address });
+  const logs = [];
+  coSigner.on('log', (message, type) => logs.push([message, type]));
+  transport.deliver(await requestMessage({ state: null }));
+  while (logs.length < 2) await settled();
+  assert.match(logs[1][0], /Could not send the rejection: Partner is not connected/);
+  assert.equal(logs[1][1], 'warn');
+  assert.deepEqual(unhandled, []);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { html, render } from '../src/dom.js';
+
+const markup = (template) => template.toString();
+
+test('html escapes interpolated strings', () => {
+  const value = `<img src=x onerror="alert('x')">&`;
+  assert.equal(
+    markup(html`<div>${value}</div>`),
+    '<div>&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;&amp;</div>'
+  );
+});
+
+test('html escapes values inside attributes', () => {
+  const id = '" data-action="steal';
+  assert.equal(markup(html`<button data-id="${id}">`), '<button data-id="&quot; data-action=&quot;steal">');
+});
+
+test('html keeps nested templates and arrays of them as markup', () => {
+  const items = ['a', '<b>'].map(item => html`<li>${item}</li>`);
+  assert.equal(markup(html`<ul>${items}</ul>`), '<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+});
+
+test('html renders null, undefined and false as nothing', () => {
+  assert.equal(markup(html`[${null}${undefined}${false}${false && html`<b>no</b>`}]`), '[]');
+});
+
+test('html renders numbers, zero and bigints as text', () => {
+  assert.equal(markup(html`${0} ${12} ${5n}`), '0 12 5');
+});
+
+test('render only takes html templates', () => {
+  const element = { innerHTML: '' };
+  render(element, html`<p>${'<i>'}</p>`);
+  assert.equal(element.innerHTML, '<p>&lt;i&gt;</p>');
+  assert.throws(() => render(element, '<p>raw</p>'), TypeError);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AmountError } from '../src/amounts.js';
+import { LedgerBalances } from '../src/ledger-balances.js';
+
+const registry = {
+  getAsset: (asset) => ({ usdc: { symbol: 'usdc', decimals: 6 }, eth: { symbol: 'eth', decimals: 18 } })[asset] ?? null
+};
+
+test('ledger amounts are read as base units', () => {
+  const balances = new LedgerBalances(registry);
+  assert.equal(balances.parseLedgerAmount('usdc', '10'), 10n);
+  assert.equal(balances.parseLedgerAmount('usdc', 2500000), 2500000n);
+  assert.equal(balances.parseLedgerAmount('eth', '1000000000000000000'), 10n ** 18n);
+  assert.equal(balances.parseLedgerAmount('usdc', null), 0n);
+  assert.equal(balances.parseLedgerAmount('usdc', '-5'), -5n);
+});
+
+test('an integer and its decimal form are the same ledger amount', () => {
+  const balances = new LedgerBalances(registry);
+  assert.equal(balances.parseLedgerAmount('usdc', '10.0'), balances.parseLedgerAmount('usdc', '10'));
+  assert.equal(balances.parseLedgerAmount('usdc', '10.00000000000'), 10n);
+});
+
+test('a fraction of a base unit is refused whatever the decimals', () => {
+  const balances = new LedgerBalances(registry);
+  for (const amount of ['10.5', '0.0000001', '1.0000000000000000001', '1e6', 'abc', '']) {
+    assert.throws(() => balances.parseLedgerAmount('usdc', amount), AmountError, `accepted ${amount}`);
+  }
+});
+
+test('balances from the clearnode format with the asset decimals', () => {
+  const balances = new LedgerBalances(registry);
+  balances.replace([{ asset: 'usdc', amount: '12500000' }, { asset: 'eth', amount: '0' }]);
+  balances.update([{ asset: 'eth', amount: '1500000000000000000.0' }]);
+  assert.equal(balances.format('usdc'), '12.50 USDC');
+  assert.equal(balances.format('eth'), '1.50 ETH');
+  assert.deepEqual(balances.list('eth').map(b => b.asset), ['eth', 'usdc']);
+});
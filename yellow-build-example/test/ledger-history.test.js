@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LedgerHistory, toCSV } from '../src/ledger-history.js';
+
+const ME = '0x1111111111111111111111111111111111111111';
+const ALICE = '0xa11ce00000000000000000000000000000000000';
+const BOB = '0xb0b0000000000000000000000000000000000000';
+
+// Newest first, one a day going back from 2026-03-31; every third is with Alice
+const ledger = Array.from({ length: 95 }, (_, i) => ({
+  id: 95 - i,
+  tx_type: 'transfer',
+  from_account: i % 2 ? ME : (i % 3 === 0 ? ALICE : BOB),
+  to_account: i % 2 ? (i % 3 === 0 ? ALICE : BOB) : ME,
+  asset: 'usdc',
+  amount: String(1000000 * (i + 1)),
+  created_at: new Date(Date.UTC(2026, 2, 31 - i, 12)).toISOString()
+}));
+
+// Answers get_ledger_transactions from `ledger`, counting the requests
+function fakeClient() {
+  return {
+    requests: 0,
+    async request(message) {
+      this.requests++;
+      const { asset, tx_type: type, offset, limit } = JSON.parse(message).req[2];
+      const rows = ledger.filter(tx => (!asset || tx.asset === asset) && (!type || tx.tx_type === type));
+      return { ledger_transactions: rows.slice(offset, offset + limit) };
+    }
+  };
+}
+
+const history = (client = fakeClient()) =>
+  new LedgerHistory({ client, accountId: ME, parseAmount: (asset, amount) => BigInt(amount), pageSize: 10 });
+
+test('pages without client-side filters follow the server pages', async () => {
+  const ledgerHistory = history();
+  const first = await ledgerHistory.fetchPage(0);
+  assert.deepEqual(first.transactions.map(tx => tx.id), [95, 94, 93, 92, 91, 90, 89, 88, 87, 86]);
+  assert.equal(first.hasMore, true);
+  assert.equal(first.nextOffset, 10);
+
+  const last = await ledgerHistory.fetchPage(90);
+  assert.equal(last.transactions.length, 5);
+  assert.equal(last.hasMore, false);
+});
+
+test('a counterparty filter fills each page from as many server pages as it takes', async () => {
+  const ledgerHistory = history();
+  const pages = [];
+  let offset = 0;
+  for (;;) {
+    const page = await ledgerHistory.fetchPage(offset, { counterparty: 'a11ce' });
+    pages.push(page.transactions);
+    if (!page.hasMore) break;
+    offset = page.nextOffset;
+  }
+  const withAlice = ledger.filter((_, i) => i % 3 === 0).map(tx => tx.id);
+  assert.deepEqual(pages.map(page => page.length), [10, 10, 10, 2]);
+  assert.deepEqual(pages.flat().map(tx => tx.id), withAlice);
+});
+
+test('no empty page is offered when the matches end on a page boundary', async () => {
+  const ledgerHistory = history();
+  // 1 to 20 March: exactly two pages
+  const filters = { from: '2026-03-01', to: '2026-03-20' };
+  const first = await ledgerHistory.fetchPage(0, filters);
+  const second = await ledgerHistory.fetchPage(first.nextOffset, filters);
+  assert.equal(first.transactions.length, 10);
+  assert.equal(first.hasMore, true);
+  assert.equal(second.transactions.length, 10);
+  assert.equal(second.hasMore, false);
+});
+
+test('paging stops once the transactions are older than the date range', async () => {
+  const client = fakeClient();
+  const page = await history(client).fetchPage(0, { from: '2026-03-25' });
+  assert.equal(page.transactions.length, 7);
+  assert.equal(page.hasMore, false);
+  assert.equal(client.requests, 1);
+});
+
+test('fetchAll exports every matching transaction, past any page count', async () => {
+  const ledgerHistory = new LedgerHistory({ client: fakeClient(), accountId: ME, parseAmount: (asset, amount) => BigInt(amount), pageSize: 2 });
+  assert.equal((await ledgerHistory.fetchAll()).length, 95);
+  assert.equal((await ledgerHistory.fetchAll({ counterparty: 'A11CE' })).length, 32);
+});
+
+test('toCSV neutralizes cells a spreadsheet would run as formulas', () => {
+  const [tx] = ledger.map(raw => history().normalize(raw));
+  const csv = toCSV([{ ...tx, counterpartyTag: '=HYPERLINK("x")' }], (asset, amount) => String(amount));
+  assert.match(csv.split('\n')[1], /,"'=HYPERLINK\(""x""\)",/);
+});
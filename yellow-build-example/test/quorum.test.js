@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createECDSAMessageSigner } from '@erc7824/nitrolite';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { authTypedData } from '../src/clearnode-client.js';
+import { QuorumCollector } from '../src/quorum.js';
+
+const SESSION_ID = '0x5e55';
+
+// A wallet with a session key it has authorised, behind a fake client that
+// keeps what it sends
+async function party({ expiresIn = 3600 } = {}) {
+  const wallet = privateKeyToAccount(generatePrivateKey());
+  const sessionKey = generatePrivateKey();
+  const authParams = {
+    address: wallet.address,
+    session_key: privateKeyToAccount(sessionKey).address,
+    application: 'test',
+    allowances: [{ asset: 'usdc', amount: '5' }],
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+    scope: 'app.create'
+  };
+  const signature = await wallet.signTypedData(authTypedData('challenge', authParams));
+  const client = {
+    sent: [],
+    on() {},
+    send(message) {
+      this.sent.push(JSON.parse(message).req[2]);
+    },
+    request: async () => ({}),
+    messageSigner: createECDSAMessageSigner(sessionKey),
+    delegation: () => ({ ...authParams, challenge: 'challenge', signature })
+  };
+  return { wallet, client, quorum: new QuorumCollector({ client, userAddress: wallet.address }) };
+}
+
+// a proposes a state update to a session of a, b and c (40/40/20, quorum 100)
+async function proposal(t) {
+  const [a, b, c] = await Promise.all([party(), party(), party()]);
+  const payload = [1, 'submit_app_state', { app_session_id: SESSION_ID }, Date.now()];
+  const proposed = await a.quorum.propose({
+    sessionId: SESSION_ID,
+    message: { req: payload, sig: [await a.client.messageSigner(payload)] },
+    session: { participants: [a.wallet.address, b.wallet.address, c.wallet.address], weights: [40, 40, 20], quorum: 100 }
+  });
+  t.after(() => clearTimeout(proposed.timer));
+  const request = a.client.sent[0];
+  return { a, b, c, payload, proposed, request };
+}
+
+test('a signature request reaches the other participants', async (t) => {
+  const { b, proposed, request } = await proposal(t);
+  await b.quorum.handleMessage(request);
+  assert.equal(b.quorum.requests.get(proposed.id)?.method, 'submit_app_state');
+});
+
+test('a signature request with a forged proposer signature is refused', async (t) => {
+  const { b, c, payload, proposed, request } = await proposal(t);
+  const forged = { ...request, signature: await c.client.messageSigner(payload) };
+  await assert.rejects(b.quorum.handleMessage(forged), { name: 'QuorumError' });
+  assert.equal(b.quorum.requests.size, 0);
+});
+
+test('signatures count once checked against the sender\'s session key', async (t) => {
+  const { a, b, proposed, request } = await proposal(t);
+  await b.quorum.handleMessage(request);
+  await b.quorum.approve(proposed.id);
+  await a.quorum.handleMessage(b.client.sent[0]);
+  assert.equal(a.quorum.signedWeight(proposed), 80);
+});
+
+test('a signature under someone else\'s delegation or key is refused', async (t) => {
+  const { a, b, c, payload, proposed, request } = await proposal(t);
+  await b.quorum.handleMessage(request);
+  await b.quorum.approve(proposed.id);
+  const signature = b.client.sent[0];
+
+  await assert.rejects(a.quorum.handleMessage({ ...signature, delegation: c.client.delegation() }), /no delegation for the sender/);
+  const delegation = { ...signature.delegation, expires_at: signature.delegation.expires_at + 1 };
+  await assert.rejects(a.quorum.handleMessage({ ...signature, delegation }), /not signed by the sender/);
+  await assert.rejects(
+    a.quorum.handleMessage({ ...signature, signature: await c.client.messageSigner(payload) }),
+    /not from the sender's session key/
+  );
+  assert.equal(a.quorum.signedWeight(proposed), 40);
+});
+
+test('an expired session key is refused', async (t) => {
+  const { a, proposed } = await proposal(t);
+  const stale = await party({ expiresIn: -60 });
+  const payload = proposed.payload;
+  const message = {
+    quorum: 'signature',
+    id: proposed.id,
+    from: stale.wallet.address,
+    delegation: stale.client.delegation(),
+    signature: await stale.client.messageSigner(payload)
+  };
+  proposed.participants = [...proposed.participants, stale.wallet.address];
+  proposed.weights = [...proposed.weights, 100];
+  await assert.rejects(a.quorum.handleMessage(message), /session key has expired/);
+});
+
+test('a decline needs a proof over its reason', async (t) => {
+  const { a, c, proposed, request } = await proposal(t);
+  await c.quorum.handleMessage(request);
+  await c.quorum.decline(proposed.id, 'not today');
+  const decline = c.client.sent[0];
+
+  await assert.rejects(a.quorum.handleMessage({ ...decline, reason: 'something else' }), { name: 'QuorumError' });
+  assert.equal(proposed.status, 'collecting');
+
+  await a.quorum.handleMessage(decline);
+  assert.equal(proposed.declined.get(c.wallet.address.toLowerCase()), 'not today');
+  assert.equal(proposed.status, 'rejected');
+});
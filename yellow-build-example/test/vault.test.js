@@ -0,0 +1,12 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vault, VaultLockedError } from '../src/vault.js';
+
+test('a locked vault reads as empty storage and drops writes', () => {
+  const vault = new Vault({ indexedDB: null });
+  const storage = vault.asStorage();
+  storage.setItem('yellow_session_key_testnet_0xabc', '{"privateKey":"0x01"}');
+  assert.equal(storage.getItem('yellow_session_key_testnet_0xabc'), null);
+  storage.removeItem('yellow_session_key_testnet_0xabc');
+  assert.throws(() => vault.get('yellow_session_key_testnet_0xabc'), VaultLockedError);
+});